@@ -1,39 +1,78 @@
 const jwt = require('jsonwebtoken');
+const userStore = require('../services/userStore');
+const { PERMISSIONS, hasPermission, normalizeRole } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
-const auth = (req, res, next) => {
+// Verificar un JWT y devolver el usuario vigente (o null si no es válido)
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // La cuenta debe seguir existiendo y activa; el rol vigente es el del store
+  const user = await userStore.findById(decoded.userId);
+  if (!user || user.disabled || user.username !== decoded.username) {
+    return null;
+  }
+
+  return { ...decoded, role: normalizeRole(user.role) };
+};
+
+const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({
         success: false,
         message: 'Acceso denegado. Token no proporcionado.'
       });
     }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+
+    const user = await verifyToken(token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Cuenta deshabilitada o inexistente'
+      });
+    }
+
+    req.user = user;
   } catch (error) {
     logger.error('Error verificando token:', error);
-    res.status(401).json({
+    return res.status(401).json({
       success: false,
       message: 'Token inválido'
     });
   }
+  next();
 };
 
-const adminAuth = (req, res, next) => {
-  auth(req, res, () => {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Acceso denegado. Se requieren permisos de administrador.'
-      });
-    }
-    next();
-  });
+// Exigir un permiso al usuario autenticado (usar después de `auth`)
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    logger.warn(`Acceso denegado a ${req.user?.username || 'anónimo'}: requiere ${permission}`);
+    return res.status(403).json({
+      success: false,
+      message: `Acceso denegado. Se requiere el permiso ${permission}.`
+    });
+  }
+  next();
+};
+
+// /metrics: con METRICS_TOKEN se exige ese token (para Prometheus); sin él, un JWT
+// con permiso de lectura como en el resto de la API
+const metricsAuth = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return auth(req, res, () => authorize(PERMISSIONS.NETWORK_READ)(req, res, next));
+  }
+
+  if (req.header('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token de métricas inválido'
+    });
+  }
+  next();
 };
 
-module.exports = { auth, adminAuth };
\ No newline at end of file
+module.exports = { auth, authorize, metricsAuth, verifyToken };
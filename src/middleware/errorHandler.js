@@ -39,7 +39,7 @@ const errorHandler = (err, req, res, next) => {
 
 const notFound = (req, res, next) => {
   const error = new Error(`Ruta no encontrada - ${req.originalUrl}`);
-  res.status(404);
+  error.statusCode = 404;
   next(error);
 };
 
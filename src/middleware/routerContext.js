@@ -0,0 +1,26 @@
+const routerRegistry = require('../services/routerRegistry');
+const logger = require('../utils/logger');
+
+// Resolver el router objetivo a partir de ?router= o del header X-Router-Id
+const resolveRouter = async (req, res, next) => {
+  try {
+    const requested = req.query.router || req.header('X-Router-Id');
+    const router = await routerRegistry.resolve(requested);
+
+    if (!router) {
+      return res.status(404).json({
+        success: false,
+        message: requested ? `Router no encontrado: ${requested}` : 'No hay routers configurados'
+      });
+    }
+
+    req.routerId = router.id;
+    req.mikrotik = await routerRegistry.getService(router.id);
+    next();
+  } catch (error) {
+    logger.error(`Error resolviendo router: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = { resolveRouter };
@@ -0,0 +1,11 @@
+const backupService = require('../services/backupService');
+const auditService = require('../services/auditService');
+
+// Copiar la configuración del router antes de una operación masiva o destructiva.
+// Va después de authorize/validate para no exportar en peticiones rechazadas.
+const snapshotBefore = (operation) => async (req, res, next) => {
+  req.snapshot = await backupService.snapshotBefore(auditService.fromRequest(req), operation);
+  next();
+};
+
+module.exports = { snapshotBefore };
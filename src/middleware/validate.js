@@ -0,0 +1,15 @@
+const { validationResult } = require('express-validator');
+
+// Responder 400 con los errores de express-validator
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = validate;
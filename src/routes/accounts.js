@@ -0,0 +1,135 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const userStore = require('../services/userStore');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS, ROLES } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+// GET /api/accounts - Listar cuentas de la API
+router.get('/', authorize(PERMISSIONS.ACCOUNTS_MANAGE), async (req, res) => {
+  try {
+    const users = await userStore.list();
+    res.json({
+      success: true,
+      data: users.map(u => userStore.toPublic(u)),
+      count: users.length
+    });
+  } catch (error) {
+    logger.error(`Error listando cuentas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// GET /api/accounts/:id - Obtener una cuenta
+router.get('/:id',
+  authorize(PERMISSIONS.ACCOUNTS_MANAGE),
+  [
+    param('id').notEmpty().withMessage('Id inválido')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const user = await userStore.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cuenta no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: userStore.toPublic(user)
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo cuenta: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  }
+);
+
+// PATCH /api/accounts/:id - Cambiar rol o habilitar/deshabilitar una cuenta
+router.patch('/:id',
+  authorize(PERMISSIONS.ACCOUNTS_MANAGE),
+  [
+    param('id').notEmpty().withMessage('Id inválido'),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Rol inválido, debe ser uno de: ${ROLES.join(', ')}`),
+    body('disabled').optional().isBoolean().withMessage('disabled debe ser booleano').toBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { role, disabled } = req.body;
+      const updated = await userStore.update(req.params.id, { role, disabled });
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cuenta no encontrada'
+        });
+      }
+
+      logger.info(`Cuenta ${updated.username} actualizada por ${req.user.username}`);
+
+      res.json({
+        success: true,
+        message: 'Cuenta actualizada exitosamente',
+        data: userStore.toPublic(updated)
+      });
+    } catch (error) {
+      logger.error(`Error actualizando cuenta: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/accounts/:id - Eliminar una cuenta
+router.delete('/:id',
+  authorize(PERMISSIONS.ACCOUNTS_MANAGE),
+  [
+    param('id').notEmpty().withMessage('Id inválido')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const removed = await userStore.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cuenta no encontrada'
+        });
+      }
+
+      logger.info(`Cuenta ${req.params.id} eliminada por ${req.user.username}`);
+
+      res.json({
+        success: true,
+        message: 'Cuenta eliminada exitosamente'
+      });
+    } catch (error) {
+      logger.error(`Error eliminando cuenta: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
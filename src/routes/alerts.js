@@ -0,0 +1,272 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const alertService = require('../services/alertService');
+const routerRegistry = require('../services/routerRegistry');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const ruleRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 64 }).withMessage('Nombre es requerido (máximo 64 caracteres)'),
+    body('router').optional().notEmpty().withMessage('Router inválido'),
+    body('severity').optional().isIn(alertService.SEVERITIES).withMessage('Severidad inválida, debe ser "info", "warning" o "critical"'),
+    body('interface')
+      .if((value, { req }) => req.body.type === 'interface' && (!optional || value !== undefined))
+      .isLength({ min: 1, max: 64 }).withMessage('Interfaz es requerida para reglas de tipo interface'),
+    body('direction').optional().isIn(['rx', 'tx']).withMessage('direction debe ser "rx" o "tx"'),
+    body('ip')
+      .if((value, { req }) => req.body.type === 'device-usage' && (!optional || value !== undefined))
+      .isIP().withMessage('IP inválida'),
+    body('threshold')
+      .if((value, { req }) => req.body.type !== 'router-down' && (!optional || value !== undefined))
+      .isFloat({ min: 0 }).withMessage('threshold debe ser un número mayor o igual 0').toFloat(),
+    body('threshold')
+      .if((value, { req }) => req.body.type === 'cpu' && value !== undefined)
+      .isFloat({ max: 100 }).withMessage('threshold de CPU debe estar entre 0 y 100'),
+    body('duration').optional().isInt({ min: 0 }).withMessage('duration debe ser un entero mayor o igual 0 (segundos)').toInt(),
+    body('hysteresis').optional().isFloat({ min: 0 }).withMessage('hysteresis debe ser mayor o igual 0').toFloat(),
+    body('cooldown').optional().isInt({ min: 0 }).withMessage('cooldown debe ser un entero mayor o igual 0 (segundos)').toInt(),
+    body('enabled').optional().isBoolean().withMessage('enabled debe ser booleano').toBoolean()
+  ];
+};
+
+const findRule = async (req, res) => {
+  const rule = await alertService.getRule(req.params.id);
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      message: 'Regla de alerta no encontrada'
+    });
+    return null;
+  }
+  return rule;
+};
+
+// GET /api/alerts - Listar alertas (más recientes primero)
+router.get('/',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [
+    query('router').optional().notEmpty(),
+    query('status').optional().isIn(['firing', 'resolved']).withMessage('status debe ser "firing" o "resolved"'),
+    query('severity').optional().isIn(alertService.SEVERITIES).withMessage('Severidad inválida'),
+    query('acknowledged').optional().isBoolean().withMessage('acknowledged debe ser booleano').toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit debe estar entre 1 y 1000').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset debe ser mayor o igual 0').toInt()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { total, alerts } = await alertService.list(req.query);
+      res.json({
+        success: true,
+        data: alerts,
+        count: alerts.length,
+        total
+      });
+    } catch (error) {
+      logger.error(`Error listando alertas: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error listando alertas',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/alerts/rules - Listar reglas de alerta
+router.get('/rules', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const rules = await alertService.listRules(req.query.router);
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+  } catch (error) {
+    logger.error(`Error listando reglas de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando reglas de alerta',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alerts/rules/:id - Obtener una regla
+router.get('/rules/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo regla de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo regla de alerta',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alerts/rules - Crear una regla (router por defecto si no se indica)
+router.post('/rules',
+  authorize(PERMISSIONS.ALERTS_MANAGE),
+  [
+    body('type').isIn(alertService.RULE_TYPES).withMessage('Tipo inválido, debe ser "interface", "cpu", "device-usage" o "router-down"'),
+    ...ruleRules(false)
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const target = await routerRegistry.resolve(req.body.router);
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: req.body.router ? `Router no encontrado: ${req.body.router}` : 'No hay routers configurados'
+        });
+      }
+
+      const rule = await alertService.createRule({ ...req.body, router: target.id }, req.user.username);
+      res.status(201).json({
+        success: true,
+        message: 'Regla de alerta creada exitosamente',
+        data: rule
+      });
+    } catch (error) {
+      logger.error(`Error creando regla de alerta: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error creando regla de alerta',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/alerts/rules/:id - Actualizar una regla (el tipo y el router no cambian)
+router.put('/rules/:id',
+  authorize(PERMISSIONS.ALERTS_MANAGE),
+  async (req, res, next) => {
+    try {
+      // Validar según el tipo guardado
+      const rule = await alertService.getRule(req.params.id);
+      req.body.type = rule ? rule.type : req.body.type;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  },
+  ruleRules(true),
+  validate,
+  async (req, res) => {
+    try {
+      if (!await findRule(req, res)) return;
+
+      const rule = await alertService.updateRule(req.params.id, req.body);
+      res.json({
+        success: true,
+        message: 'Regla de alerta actualizada exitosamente',
+        data: rule
+      });
+    } catch (error) {
+      logger.error(`Error actualizando regla de alerta: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error actualizando regla de alerta',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/alerts/rules/:id - Eliminar una regla (resuelve su alerta activa)
+router.delete('/rules/:id', authorize(PERMISSIONS.ALERTS_MANAGE), async (req, res) => {
+  try {
+    if (!await findRule(req, res)) return;
+
+    await alertService.removeRule(req.params.id);
+    res.json({
+      success: true,
+      message: 'Regla de alerta eliminada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando regla de alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando regla de alerta',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alerts/:id - Obtener una alerta
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const alert = await alertService.get(req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo alerta: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo alerta',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alerts/:id/ack - Reconocer una alerta
+router.post('/:id/ack',
+  authorize(PERMISSIONS.ALERTS_MANAGE),
+  [
+    param('id').notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const alert = await alertService.acknowledge(req.params.id, req.user.username);
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          message: 'Alerta no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Alerta reconocida',
+        data: alert
+      });
+    } catch (error) {
+      logger.error(`Error reconociendo alerta: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error reconociendo alerta',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditService = require('../services/auditService');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const auditFilters = [
+  query('user').optional().notEmpty(),
+  query('ip').optional().isIP().withMessage('IP inválida'),
+  query('action').optional().notEmpty(),
+  query('router').optional().notEmpty(),
+  query('from').optional().isISO8601().withMessage('Fecha "from" inválida (ISO 8601)'),
+  query('to').optional().isISO8601().withMessage('Fecha "to" inválida (ISO 8601)')
+];
+
+// GET /api/audit - Consultar el registro de auditoría
+router.get('/',
+  authorize(PERMISSIONS.AUDIT_READ),
+  [
+    ...auditFilters,
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit debe estar entre 1 y 1000').toInt(),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset debe ser mayor o igual 0').toInt(),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Formato inválido, debe ser "json" o "csv"')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { format = 'json', limit = 100, offset, ...filters } = req.query;
+
+      // El CSV es la exportación completa del filtro: sin paginación
+      if (format === 'csv') {
+        return sendCsv(res, (await auditService.query(filters)).entries);
+      }
+
+      const { total, entries } = await auditService.query({ ...filters, limit, offset });
+      res.json({
+        success: true,
+        data: entries,
+        count: entries.length,
+        total
+      });
+    } catch (error) {
+      logger.error(`Error consultando auditoría: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error consultando auditoría',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/audit/export - Exportar el registro filtrado como CSV
+router.get('/export',
+  authorize(PERMISSIONS.AUDIT_READ),
+  auditFilters,
+  validate,
+  async (req, res) => {
+    try {
+      const { limit, offset, ...filters } = req.query;
+      const { entries } = await auditService.query(filters);
+      sendCsv(res, entries);
+    } catch (error) {
+      logger.error(`Error exportando auditoría: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error exportando auditoría',
+        error: error.message
+      });
+    }
+  }
+);
+
+function sendCsv(res, entries) {
+  const filename = `audit_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(auditService.toCsv(entries));
+}
+
+module.exports = router;
@@ -1,36 +1,19 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body } = require('express-validator');
+const userStore = require('../services/userStore');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS, ROLES, normalizeRole } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Usuarios hardcodeados para demo (en producción usar base de datos)
-const users = [
-  {
-    id: 1,
-    username: 'admin',
-    password: '$2a$10$DwRVMYKU6l5Vh2FK0odfkublbaaKM/WRCpAW58OjtnuCpQng5IWzC', // password123
-    role: 'admin'
-  }
-];
-
-// Middleware para validar errores
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      errors: errors.array()
-    });
-  }
-  next();
-};
-
-// POST /api/auth/register - Registrar nuevo usuario
+// POST /api/auth/register - Registrar nuevo usuario (solo administradores)
 router.post(
   '/register',
+  auth,
+  authorize(PERMISSIONS.ACCOUNTS_MANAGE),
   [
     body('username')
       .notEmpty()
@@ -42,16 +25,16 @@ router.post(
       .withMessage('Password debe tener al menos 6 caracteres'),
     body('role')
       .optional()
-      .isIn(['admin', 'user'])
-      .withMessage('Rol inválido, debe ser "admin" o "user"')
+      .isIn(ROLES)
+      .withMessage(`Rol inválido, debe ser uno de: ${ROLES.join(', ')}`)
   ],
   validate,
   async (req, res) => {
     try {
-      const { username, password, role = 'user' } = req.body;
+      const { username, password, role = 'viewer' } = req.body;
 
       // Verificar si el usuario ya existe
-      const existingUser = users.find(u => u.username === username);
+      const existingUser = await userStore.findByUsername(username);
       if (existingUser) {
         return res.status(400).json({
           success: false,
@@ -59,20 +42,19 @@ router.post(
         });
       }
 
-      // Hashear contraseña
-      const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-      // Crear nuevo usuario
-      const newUser = {
-        id: users.length + 1,
-        username,
-        password: hashedPassword,
-        role
-      };
-      users.push(newUser);
+      // Crear nuevo usuario (la contraseña se guarda hasheada). create() vuelve a
+      // comprobar el nombre por si otra alta simultánea lo ha ocupado
+      let newUser;
+      try {
+        newUser = await userStore.create({ username, password, role });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
 
-      logger.info(`Usuario ${username} registrado exitosamente`);
+      logger.info(`Usuario ${username} (${role}) registrado por ${req.user.username}`);
 
       res.status(201).json({
         success: true,
@@ -106,8 +88,8 @@ router.post(
       const { username, password } = req.body;
 
       // Buscar usuario
-      const user = users.find(u => u.username === username);
-      if (!user) {
+      const user = await userStore.findByUsername(username);
+      if (!user || user.disabled) {
         return res.status(401).json({
           success: false,
           message: 'Credenciales inválidas'
@@ -115,7 +97,7 @@ router.post(
       }
 
       // Verificar contraseña
-      const isValidPassword = await bcrypt.compare(password, user.password);
+      const isValidPassword = await userStore.verifyPassword(user, password);
       if (!isValidPassword) {
         return res.status(401).json({
           success: false,
@@ -124,11 +106,12 @@ router.post(
       }
 
       // Generar JWT
+      const role = normalizeRole(user.role);
       const token = jwt.sign(
         {
           userId: user.id,
           username: user.username,
-          role: user.role
+          role
         },
         process.env.JWT_SECRET,
         { expiresIn: '24h' }
@@ -143,7 +126,7 @@ router.post(
         user: {
           id: user.id,
           username: user.username,
-          role: user.role
+          role
         }
       });
     } catch (error) {
@@ -157,47 +140,22 @@ router.post(
 );
 
 // GET /api/auth/me - Obtener información del usuario actual
-router.get('/me', async (req, res) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token no proporcionado'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = users.find(u => u.id === decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
+router.get('/me', auth, authorize(PERMISSIONS.PROFILE_MANAGE), (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.user.userId,
+      username: req.user.username,
+      role: req.user.role
     }
-
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role
-      }
-    });
-  } catch (error) {
-    logger.error('Error verificando token:', error);
-    res.status(401).json({
-      success: false,
-      message: 'Token inválido'
-    });
-  }
+  });
 });
 
 // POST /api/auth/change-password - Cambiar contraseña
 router.post(
   '/change-password',
+  auth,
+  authorize(PERMISSIONS.PROFILE_MANAGE),
   [
     body('currentPassword').notEmpty().withMessage('Contraseña actual es requerida'),
     body('newPassword').isLength({ min: 6 }).withMessage('Nueva contraseña debe tener al menos 6 caracteres')
@@ -205,29 +163,11 @@ router.post(
   validate,
   async (req, res) => {
     try {
-      const token = req.header('Authorization')?.replace('Bearer ', '');
-
-      if (!token) {
-        return res.status(401).json({
-          success: false,
-          message: 'Token no proporcionado'
-        });
-      }
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const userIndex = users.findIndex(u => u.id === decoded.userId);
-
-      if (userIndex === -1) {
-        return res.status(401).json({
-          success: false,
-          message: 'Usuario no encontrado'
-        });
-      }
-
+      const user = await userStore.findById(req.user.userId);
       const { currentPassword, newPassword } = req.body;
 
       // Verificar contraseña actual
-      const isValidCurrentPassword = await bcrypt.compare(currentPassword, users[userIndex].password);
+      const isValidCurrentPassword = await userStore.verifyPassword(user, currentPassword);
       if (!isValidCurrentPassword) {
         return res.status(400).json({
           success: false,
@@ -235,14 +175,10 @@ router.post(
         });
       }
 
-      // Hashear nueva contraseña
-      const saltRounds = 10;
-      const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
-
       // Actualizar contraseña
-      users[userIndex].password = hashedNewPassword;
+      await userStore.setPassword(user.id, newPassword);
 
-      logger.info(`Usuario ${users[userIndex].username} cambió su contraseña`);
+      logger.info(`Usuario ${user.username} cambió su contraseña`);
 
       res.json({
         success: true,
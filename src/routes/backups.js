@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const backupService = require('../services/backupService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/backups (auth y router ya resueltos).
+// El export incluye la configuración completa: solo administradores.
+const router = express.Router();
+
+router.use(authorize(PERMISSIONS.BACKUPS_MANAGE));
+
+const findSnapshot = async (req, res, id) => {
+  const snapshot = await backupService.get(id);
+  if (!snapshot || snapshot.router !== req.routerId) {
+    res.status(404).json({
+      success: false,
+      message: `Copia no encontrada: ${id}`
+    });
+    return null;
+  }
+  return snapshot;
+};
+
+// GET /api/mikrotik/backups - Listar copias del router (?reason=)
+router.get('/',
+  [query('reason').optional().isIn(backupService.REASONS).withMessage(`reason debe ser ${backupService.REASONS.join(', ')}`)],
+  validate,
+  async (req, res) => {
+    try {
+      const snapshots = (await backupService.list(req.routerId))
+        .filter(s => !req.query.reason || s.reason === req.query.reason);
+      res.json({
+        success: true,
+        data: snapshots,
+        count: snapshots.length
+      });
+    } catch (error) {
+      logger.error(`Error listando copias de configuración: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error listando copias de configuración',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/mikrotik/backups - Exportar y guardar la configuración ahora
+router.post('/',
+  [body('comment').optional().isLength({ max: 200 }).withMessage('Comentario demasiado largo (máximo 200 caracteres)')],
+  validate,
+  async (req, res) => {
+    try {
+      const { snapshot } = await backupService.snapshot(req.routerId, {
+        reason: 'manual',
+        createdBy: req.user.username,
+        comment: req.body.comment || null
+      });
+      res.status(201).json({
+        success: true,
+        message: 'Copia de configuración creada',
+        data: snapshot
+      });
+    } catch (error) {
+      logger.error(`Error creando copia de configuración: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error creando copia de configuración',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/mikrotik/backups/diff?from=<id>&to=<id> - Diferencias por línea entre dos copias
+router.get('/diff',
+  [
+    query('from').isUUID().withMessage('from debe ser el id de una copia'),
+    query('to').isUUID().withMessage('to debe ser el id de una copia'),
+    query('context').optional().isInt({ min: 0, max: 50 }).withMessage('context debe estar entre 0 y 50').toInt(),
+    query('format').optional().isIn(['json', 'text']).withMessage('format debe ser json o text')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const from = await findSnapshot(req, res, req.query.from);
+      if (!from) return;
+      const to = await findSnapshot(req, res, req.query.to);
+      if (!to) return;
+
+      const result = await backupService.diff(from, to, { context: req.query.context });
+
+      if (req.query.format === 'text') {
+        return res.type('text/plain').send(result.diff);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from: { id: from.id, createdAt: from.createdAt },
+          to: { id: to.id, createdAt: to.createdAt },
+          added: result.added,
+          removed: result.removed,
+          diff: result.diff
+        }
+      });
+    } catch (error) {
+      logger.error(`Error comparando copias de configuración: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error comparando copias de configuración',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/mikrotik/backups/:id - Metadatos de una copia
+router.get('/:id', [param('id').isUUID().withMessage('Id de copia inválido')], validate, async (req, res) => {
+  try {
+    const snapshot = await findSnapshot(req, res, req.params.id);
+    if (!snapshot) return;
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo copia de configuración: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo copia de configuración',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/backups/:id/download - Descargar el script (.rsc)
+router.get('/:id/download', [param('id').isUUID().withMessage('Id de copia inválido')], validate, async (req, res) => {
+  try {
+    const snapshot = await findSnapshot(req, res, req.params.id);
+    if (!snapshot) return;
+
+    const content = await backupService.getContent(snapshot);
+    if (content === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contenido de la copia no disponible'
+      });
+    }
+
+    const stamp = snapshot.createdAt.replace(/[:.]/g, '-');
+    res.attachment(`${snapshot.router}-${stamp}.rsc`);
+    res.type('text/plain').send(content);
+  } catch (error) {
+    logger.error(`Error descargando copia de configuración: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error descargando copia de configuración',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/mikrotik/backups/:id - Eliminar una copia
+router.delete('/:id', [param('id').isUUID().withMessage('Id de copia inválido')], validate, async (req, res) => {
+  try {
+    const snapshot = await findSnapshot(req, res, req.params.id);
+    if (!snapshot) return;
+
+    await backupService.remove(snapshot.id);
+    res.json({
+      success: true,
+      message: 'Copia de configuración eliminada'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando copia de configuración: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando copia de configuración',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const curfewService = require('../services/curfewService');
+const auditService = require('../services/auditService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isValidTime } = require('../utils/timeWindow');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/curfews (auth y router ya resueltos)
+const router = express.Router();
+
+const curfewRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 64 }).withMessage('Nombre es requerido (máximo 64 caracteres)'),
+    field('ips').isArray({ min: 1 }).withMessage('ips debe ser una lista con al menos una IP'),
+    body('ips.*').isIP().withMessage('IP inválida'),
+    body('days').optional().isArray({ max: 7 }).withMessage('days debe ser una lista de días (0-6)'),
+    body('days.*').isInt({ min: 0, max: 6 }).withMessage('Día inválido (0 = domingo ... 6 = sábado)').toInt(),
+    field('start').custom(isValidTime).withMessage('Hora de inicio inválida (HH:MM)'),
+    field('end').custom(isValidTime).withMessage('Hora de fin inválida (HH:MM)'),
+    body('enabled').optional().isBoolean().withMessage('enabled debe ser booleano').toBoolean()
+  ];
+};
+
+const findCurfew = async (req, res) => {
+  const curfew = await curfewService.get(req.params.id);
+  if (!curfew || curfew.router !== req.routerId) {
+    res.status(404).json({
+      success: false,
+      message: 'Toque de queda no encontrado'
+    });
+    return null;
+  }
+  return curfew;
+};
+
+// GET /api/mikrotik/curfews - Listar toques de queda del router
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const curfews = await curfewService.list(req.routerId);
+    res.json({
+      success: true,
+      data: curfews,
+      count: curfews.length
+    });
+  } catch (error) {
+    logger.error(`Error listando toques de queda: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando toques de queda',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/curfews/active - Toques de queda y pausas vigentes ahora
+router.get('/active', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const curfews = await curfewService.getActive(req.routerId);
+    const pauses = await curfewService.getPauses(req.mikrotik);
+    res.json({
+      success: true,
+      data: {
+        curfews,
+        pauses
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo toques de queda activos: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo toques de queda activos',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/curfews/pause - Pausar internet de un dispositivo N minutos
+router.post('/pause',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  [
+    body('ip').isIP().withMessage('IP inválida'),
+    body('minutes').isInt({ min: 1, max: 1440 }).withMessage('Minutos debe estar entre 1 y 1440').toInt()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { ip, minutes } = req.body;
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'pauseInternet',
+        target: { ip },
+        params: { minutes }
+      }, () => curfewService.pause(req.mikrotik, ip, minutes));
+
+      res.json({
+        success: true,
+        message: result.message,
+        until: result.until
+      });
+    } catch (error) {
+      logger.error(`Error pausando internet: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error pausando internet',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/curfews/pause/:ip - Reanudar internet antes de tiempo
+router.delete('/pause/:ip',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  [
+    param('ip').isIP().withMessage('IP inválida')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { ip } = req.params;
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'resumeInternet',
+        target: { ip }
+      }, () => curfewService.resume(req.mikrotik, ip));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      logger.error(`Error reanudando internet: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error reanudando internet',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/mikrotik/curfews/:id - Obtener un toque de queda
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const curfew = await findCurfew(req, res);
+    if (!curfew) return;
+
+    res.json({
+      success: true,
+      data: curfew
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo toque de queda: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo toque de queda',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/curfews - Crear un toque de queda
+router.post('/',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  curfewRules(false),
+  validate,
+  async (req, res) => {
+    try {
+      const curfew = await curfewService.create({ ...req.body, router: req.routerId }, req.user.username);
+      res.status(201).json({
+        success: true,
+        message: 'Toque de queda creado exitosamente',
+        data: curfew
+      });
+    } catch (error) {
+      logger.error(`Error creando toque de queda: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error creando toque de queda',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/mikrotik/curfews/:id - Actualizar un toque de queda
+router.put('/:id',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  curfewRules(true),
+  validate,
+  async (req, res) => {
+    try {
+      if (!await findCurfew(req, res)) return;
+
+      const curfew = await curfewService.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        message: 'Toque de queda actualizado exitosamente',
+        data: curfew
+      });
+    } catch (error) {
+      logger.error(`Error actualizando toque de queda: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error actualizando toque de queda',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/curfews/:id - Eliminar un toque de queda
+router.delete('/:id', authorize(PERMISSIONS.DEVICES_BLOCK), async (req, res) => {
+  try {
+    if (!await findCurfew(req, res)) return;
+
+    await curfewService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Toque de queda eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando toque de queda: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando toque de queda',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const deviceService = require('../services/deviceService');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const macParam = param('mac').isMACAddress().withMessage('MAC inválida');
+
+const deviceRules = [
+  body('name').optional({ nullable: true }).isLength({ min: 1, max: 64 }).withMessage('Nombre inválido (máximo 64 caracteres)'),
+  body('owner').optional({ nullable: true }).isLength({ min: 1, max: 64 }).withMessage('Dueño inválido (máximo 64 caracteres)'),
+  body('category').optional({ nullable: true }).isIn(deviceService.CATEGORIES)
+    .withMessage(`Categoría inválida, válidas: ${deviceService.CATEGORIES.join(', ')}`),
+  body('tags').optional().isArray({ max: 20 }).withMessage('tags debe ser una lista (máximo 20)'),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 32 }).withMessage('Cada etiqueta debe tener entre 1 y 32 caracteres')
+];
+
+const findDevice = async (req, res) => {
+  const device = await deviceService.get(req.params.mac);
+  if (!device) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispositivo no encontrado'
+    });
+    return null;
+  }
+  return device;
+};
+
+// GET /api/devices - Listar el inventario (?owner, ?category, ?tag, ?search)
+router.get('/',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [
+    query('owner').optional().notEmpty(),
+    query('category').optional().isIn(deviceService.CATEGORIES).withMessage('Categoría inválida'),
+    query('tag').optional().notEmpty(),
+    query('search').optional().notEmpty()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const devices = await deviceService.list(req.query);
+      res.json({
+        success: true,
+        data: devices,
+        count: devices.length,
+        categories: deviceService.CATEGORIES
+      });
+    } catch (error) {
+      logger.error(`Error listando dispositivos: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error listando dispositivos',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/devices/:mac - Obtener un dispositivo
+router.get('/:mac', authorize(PERMISSIONS.NETWORK_READ), [macParam], validate, async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    res.json({
+      success: true,
+      data: device
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo dispositivo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo dispositivo',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/devices - Registrar un dispositivo antes de que aparezca en la red
+router.post('/',
+  authorize(PERMISSIONS.INVENTORY_MANAGE),
+  [
+    body('mac').isMACAddress().withMessage('MAC inválida'),
+    ...deviceRules
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      if (await deviceService.get(req.body.mac)) {
+        return res.status(409).json({
+          success: false,
+          message: 'El dispositivo ya está en el inventario'
+        });
+      }
+
+      const device = await deviceService.create(req.body, req.user.username);
+      res.status(201).json({
+        success: true,
+        message: 'Dispositivo registrado exitosamente',
+        data: device
+      });
+    } catch (error) {
+      logger.error(`Error registrando dispositivo: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error registrando dispositivo',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/devices/:mac - Actualizar nombre, dueño, categoría o etiquetas
+router.put('/:mac', authorize(PERMISSIONS.INVENTORY_MANAGE), [macParam, ...deviceRules], validate, async (req, res) => {
+  try {
+    if (!await findDevice(req, res)) return;
+
+    const device = await deviceService.update(req.params.mac, req.body);
+    res.json({
+      success: true,
+      message: 'Dispositivo actualizado exitosamente',
+      data: device
+    });
+  } catch (error) {
+    logger.error(`Error actualizando dispositivo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error actualizando dispositivo',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/devices/:mac - Eliminar del inventario (vuelve a registrarse si reaparece)
+router.delete('/:mac', authorize(PERMISSIONS.INVENTORY_MANAGE), [macParam], validate, async (req, res) => {
+  try {
+    if (!await findDevice(req, res)) return;
+
+    await deviceService.remove(req.params.mac);
+    res.json({
+      success: true,
+      message: 'Dispositivo eliminado del inventario'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando dispositivo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando dispositivo',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const auditService = require('../services/auditService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { snapshotBefore } = require('../middleware/snapshot');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/dhcp (auth y router ya resueltos)
+const router = express.Router();
+
+const leaseIdParam = param('id').matches(/^\*[0-9A-Fa-f]+$/).withMessage('Id de lease inválido (formato RouterOS, p. ej. *1A)');
+
+// La dirección de una reserva es una IP fija o un pool del que tomarla
+const leaseRules = (optional) => [
+  (optional ? body('mac').optional() : body('mac')).isMACAddress().withMessage('MAC inválida'),
+  body('address').optional().isIP(4).withMessage('IP inválida'),
+  body('pool').optional().isLength({ min: 1, max: 64 }).withMessage('Pool inválido'),
+  body('pool').if(body('address').exists()).not().exists().withMessage('Indicar address o pool, no ambos'),
+  ...(optional ? [] : [body('address').if(body('pool').not().exists()).exists().withMessage('Se requiere address o pool')]),
+  body('server').optional().isLength({ min: 1, max: 64 }).withMessage('Servidor DHCP inválido'),
+  body('comment').optional().isLength({ max: 128 }).withMessage('Comentario demasiado largo (máximo 128 caracteres)')
+];
+
+// Comprobar que el servidor y el pool indicados existen en el router
+const checkServerAndPool = async (req, res) => {
+  const { server, pool } = req.body;
+  if (!server && !pool) return true;
+
+  const { servers, pools } = await req.mikrotik.getDhcpServers();
+  if (server && server !== 'all' && !servers.some(s => s.name === server)) {
+    res.status(400).json({
+      success: false,
+      message: `Servidor DHCP no encontrado: ${server}`
+    });
+    return false;
+  }
+  if (pool && !pools.some(p => p.name === pool)) {
+    res.status(400).json({
+      success: false,
+      message: `Pool de direcciones no encontrado: ${pool}`
+    });
+    return false;
+  }
+  return true;
+};
+
+const leaseChanges = ({ mac, address, pool, server, comment }) => ({
+  mac,
+  address: pool || address,
+  server,
+  comment
+});
+
+const findLease = async (req, res) => {
+  const lease = await req.mikrotik.getDhcpLease(req.params.id);
+  if (!lease) {
+    res.status(404).json({
+      success: false,
+      message: 'Lease no encontrada'
+    });
+    return null;
+  }
+  return lease;
+};
+
+// GET /api/mikrotik/dhcp/leases - Listar leases (?server, ?status, ?dynamic)
+router.get('/leases',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [
+    query('server').optional().notEmpty(),
+    query('status').optional().notEmpty(),
+    query('dynamic').optional().isBoolean().withMessage('dynamic debe ser booleano').toBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { server, status, dynamic } = req.query;
+      const leases = (await req.mikrotik.getDhcpLeases())
+        .filter(l => !server || l.server === server)
+        .filter(l => !status || l.status === status)
+        .filter(l => dynamic === undefined || l.dynamic === dynamic);
+
+      res.json({
+        success: true,
+        data: leases,
+        count: leases.length
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo leases DHCP: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo leases DHCP',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/mikrotik/dhcp/servers - Servidores DHCP y pools de direcciones
+router.get('/servers', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const data = await req.mikrotik.getDhcpServers();
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo servidores DHCP: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo servidores DHCP',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/dhcp/leases/:id - Obtener una lease
+router.get('/leases/:id', authorize(PERMISSIONS.NETWORK_READ), [leaseIdParam], validate, async (req, res) => {
+  try {
+    const lease = await findLease(req, res);
+    if (!lease) return;
+
+    res.json({
+      success: true,
+      data: lease
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo lease DHCP: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo lease DHCP',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/dhcp/leases - Crear una reserva estática (MAC -> IP o pool)
+router.post('/leases', authorize(PERMISSIONS.DHCP_MANAGE), leaseRules(false), validate, async (req, res) => {
+  try {
+    if (!await checkServerAndPool(req, res)) return;
+
+    const mac = req.body.mac.toUpperCase();
+    const existing = (await req.mikrotik.getDhcpLeases())
+      .find(l => !l.dynamic && l.mac === mac && (!req.body.server || l.server === req.body.server));
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `La MAC ya tiene una reserva (${existing.id})`
+      });
+    }
+
+    const changes = leaseChanges({ ...req.body, mac });
+    const result = await auditService.track({
+      ...auditService.fromRequest(req),
+      action: 'addStaticLease',
+      target: { ip: req.body.address, mac },
+      params: { address: changes.address, server: changes.server, comment: changes.comment }
+    }, () => req.mikrotik.addStaticLease(changes));
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: await req.mikrotik.getDhcpLease(result.leaseId)
+    });
+  } catch (error) {
+    logger.error(`Error creando reserva DHCP: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error creando reserva DHCP',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/dhcp/leases/:id/make-static - Convertir una lease dinámica en reserva
+router.post('/leases/:id/make-static', authorize(PERMISSIONS.DHCP_MANAGE), [leaseIdParam], validate, async (req, res) => {
+  try {
+    const lease = await findLease(req, res);
+    if (!lease) return;
+
+    if (!lease.dynamic) {
+      return res.status(409).json({
+        success: false,
+        message: 'La lease ya es estática'
+      });
+    }
+
+    const result = await auditService.track({
+      ...auditService.fromRequest(req),
+      action: 'makeLeaseStatic',
+      target: { ip: lease.address, mac: lease.mac }
+    }, () => req.mikrotik.makeLeaseStatic(lease.id));
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: await req.mikrotik.getDhcpLease(lease.id)
+    });
+  } catch (error) {
+    logger.error(`Error convirtiendo lease en estática: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error convirtiendo lease en estática',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/mikrotik/dhcp/leases/:id - Editar una reserva (IP o pool, MAC, servidor, comentario)
+router.put('/leases/:id', authorize(PERMISSIONS.DHCP_MANAGE), [leaseIdParam, ...leaseRules(true)], validate, snapshotBefore('updateLease'), async (req, res) => {
+  try {
+    const lease = await findLease(req, res);
+    if (!lease) return;
+
+    if (lease.dynamic) {
+      return res.status(409).json({
+        success: false,
+        message: 'Las leases dinámicas no se editan; convertirla antes con make-static'
+      });
+    }
+    if (!await checkServerAndPool(req, res)) return;
+
+    const changes = leaseChanges({ ...req.body, mac: req.body.mac && req.body.mac.toUpperCase() });
+    const result = await auditService.track({
+      ...auditService.fromRequest(req),
+      action: 'updateLease',
+      target: { ip: changes.address || lease.address, mac: changes.mac || lease.mac },
+      params: changes
+    }, () => req.mikrotik.updateLease(lease.id, changes));
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: await req.mikrotik.getDhcpLease(lease.id)
+    });
+  } catch (error) {
+    logger.error(`Error actualizando reserva DHCP: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error actualizando reserva DHCP',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/mikrotik/dhcp/leases/:id - Eliminar una lease o reserva
+router.delete('/leases/:id', authorize(PERMISSIONS.DHCP_MANAGE), [leaseIdParam], validate, snapshotBefore('removeLease'), async (req, res) => {
+  try {
+    const lease = await findLease(req, res);
+    if (!lease) return;
+
+    const result = await auditService.track({
+      ...auditService.fromRequest(req),
+      action: 'removeLease',
+      target: { ip: lease.address, mac: lease.mac }
+    }, () => req.mikrotik.removeLease(lease.id));
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error(`Error eliminando reserva DHCP: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando reserva DHCP',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
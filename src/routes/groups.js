@@ -0,0 +1,142 @@
+const express = require('express');
+const { body } = require('express-validator');
+const deviceGroupService = require('../services/deviceGroupService');
+const planService = require('../services/planService');
+const auditService = require('../services/auditService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { snapshotBefore } = require('../middleware/snapshot');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/groups (auth y router ya resueltos)
+const router = express.Router();
+
+const groupRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 64 }).withMessage('Nombre es requerido (máximo 64 caracteres)'),
+    body('members').optional().isArray().withMessage('members debe ser una lista de MACs'),
+    body('members.*').isMACAddress().withMessage('MAC inválida'),
+    body('planId').optional({ nullable: true }).custom(async (planId) => {
+      if (!await planService.get(planId)) {
+        throw new Error('Plan no encontrado');
+      }
+    })
+  ];
+};
+
+const findGroup = async (req, res) => {
+  const group = await deviceGroupService.get(req.params.id);
+  if (!group || group.router !== req.routerId) {
+    res.status(404).json({
+      success: false,
+      message: 'Grupo no encontrado'
+    });
+    return null;
+  }
+  return group;
+};
+
+// GET /api/mikrotik/groups - Listar grupos del router
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const groups = await deviceGroupService.list(req.routerId);
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.length
+    });
+  } catch (error) {
+    logger.error(`Error listando grupos: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando grupos',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/groups/:id - Obtener un grupo
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const group = await findGroup(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo grupo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo grupo',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/groups - Crear un grupo (aplica su plan a los miembros)
+router.post('/', authorize(PERMISSIONS.LIMITS_MANAGE), groupRules(false), validate, async (req, res) => {
+  try {
+    const { group, applied } = await deviceGroupService.create(auditService.fromRequest(req), req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Grupo creado exitosamente',
+      data: group,
+      applied
+    });
+  } catch (error) {
+    logger.error(`Error creando grupo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error creando grupo',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/mikrotik/groups/:id - Cambiar nombre, miembros o plan
+router.put('/:id', authorize(PERMISSIONS.LIMITS_MANAGE), groupRules(true), validate, async (req, res) => {
+  try {
+    if (!await findGroup(req, res)) return;
+
+    const { group, applied } = await deviceGroupService.update(auditService.fromRequest(req), req.params.id, req.body);
+    res.json({
+      success: true,
+      message: 'Grupo actualizado exitosamente',
+      data: group,
+      applied
+    });
+  } catch (error) {
+    logger.error(`Error actualizando grupo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error actualizando grupo',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/mikrotik/groups/:id - Eliminar un grupo (quita el plan a sus miembros)
+router.delete('/:id', authorize(PERMISSIONS.LIMITS_MANAGE), snapshotBefore('removeGroup'), async (req, res) => {
+  try {
+    if (!await findGroup(req, res)) return;
+
+    await deviceGroupService.remove(auditService.fromRequest(req), req.params.id);
+    res.json({
+      success: true,
+      message: 'Grupo eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando grupo: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando grupo',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
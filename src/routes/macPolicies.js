@@ -0,0 +1,168 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const macPolicyService = require('../services/macPolicyService');
+const planService = require('../services/planService');
+const auditService = require('../services/auditService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { snapshotBefore } = require('../middleware/snapshot');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/mac-policies (auth y router ya resueltos)
+const router = express.Router();
+
+// Los límites requieren limits:manage; bloqueos y expulsiones, devices:block
+const permissionFor = (type) => (type === 'limit' ? PERMISSIONS.LIMITS_MANAGE : PERMISSIONS.DEVICES_BLOCK);
+
+const macParam = param('mac').isMACAddress().withMessage('MAC inválida');
+
+const policyRules = [
+  macParam,
+  body('type').isIn(macPolicyService.POLICY_TYPES).withMessage('Tipo inválido, debe ser "limit", "block" o "kick"'),
+  // Un "limit" lleva rxLimit/txLimit o el planId de un plan de ancho de banda
+  body('planId').optional().notEmpty().withMessage('planId inválido'),
+  body('rxLimit')
+    .if((value, { req }) => req.body.type === 'limit' && !req.body.planId)
+    .isInt({ min: 0 }).withMessage('Límite RX debe ser mayor o igual 0').toInt(),
+  body('txLimit')
+    .if((value, { req }) => req.body.type === 'limit' && !req.body.planId)
+    .isInt({ min: 0 }).withMessage('Límite TX debe ser mayor o igual 0').toInt(),
+  body('duration')
+    .if(body('type').equals('kick'))
+    .optional().isInt({ min: 60, max: 3600 }).withMessage('Duración debe estar entre 60 y 3600 segundos').toInt()
+];
+
+const findPolicy = async (req, res) => {
+  const policy = await macPolicyService.get(req.routerId, req.params.mac);
+  if (!policy) {
+    res.status(404).json({
+      success: false,
+      message: 'Política no encontrada para esa MAC'
+    });
+    return null;
+  }
+  return policy;
+};
+
+// GET /api/mikrotik/mac-policies - Listar políticas por MAC del router
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const policies = await macPolicyService.list(req.routerId);
+    res.json({
+      success: true,
+      data: policies,
+      count: policies.length
+    });
+  } catch (error) {
+    logger.error(`Error listando políticas por MAC: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando políticas por MAC',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/mac-policies/:mac - Obtener la política de una MAC
+router.get('/:mac', authorize(PERMISSIONS.NETWORK_READ), [macParam], validate, async (req, res) => {
+  try {
+    const policy = await findPolicy(req, res);
+    if (!policy) return;
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo política por MAC: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo política por MAC',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/mikrotik/mac-policies/:mac - Asignar (o reemplazar) la política de una MAC
+router.put('/:mac',
+  policyRules,
+  validate,
+  (req, res, next) => authorize(permissionFor(req.body.type))(req, res, next),
+  async (req, res) => {
+    try {
+      const ctx = auditService.fromRequest(req);
+      let assignment;
+      if (req.body.type === 'limit' && req.body.planId) {
+        const plan = await planService.get(req.body.planId);
+        if (!plan) {
+          return res.status(404).json({
+            success: false,
+            message: 'Plan no encontrado'
+          });
+        }
+        assignment = await planService.assign(ctx, req.params.mac, plan);
+      } else {
+        const { type, rxLimit, txLimit, duration } = req.body;
+        assignment = await macPolicyService.assign(ctx, { mac: req.params.mac, type, rxLimit, txLimit, duration });
+      }
+      const { policy, result } = assignment;
+
+      res.json({
+        success: true,
+        message: policy.ip
+          ? `Política aplicada a ${policy.mac} en ${policy.ip}`
+          : `Política guardada para ${policy.mac}; se aplicará cuando el dispositivo se conecte`,
+        data: policy,
+        result: result ? result.message || null : null
+      });
+    } catch (error) {
+      logger.error(`Error asignando política por MAC: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error asignando política por MAC',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/mac-policies/:mac - Quitar la política y lo aplicado en el router
+router.delete('/:mac',
+  [macParam],
+  validate,
+  // El permiso depende del tipo de la política guardada
+  async (req, res, next) => {
+    try {
+      req.policy = await findPolicy(req, res);
+      if (!req.policy) return;
+    } catch (error) {
+      logger.error(`Error obteniendo política por MAC: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        message: 'Error obteniendo política por MAC',
+        error: error.message
+      });
+    }
+    authorize(permissionFor(req.policy.type))(req, res, next);
+  },
+  snapshotBefore('removeMacPolicy'),
+  async (req, res) => {
+    try {
+      await macPolicyService.remove(auditService.fromRequest(req), req.params.mac);
+      res.json({
+        success: true,
+        message: `Política eliminada para ${req.policy.mac}`
+      });
+    } catch (error) {
+      logger.error(`Error eliminando política por MAC: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error eliminando política por MAC',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,27 +1,47 @@
+const net = require('net');
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
-const MikrotikService = require('../services/mikrotikService');
-const { auth } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { resolveRouter } = require('../middleware/routerContext');
+const validate = require('../middleware/validate');
+const { snapshotBefore } = require('../middleware/snapshot');
+const auditService = require('../services/auditService');
+const bulkService = require('../services/bulkService');
+const scheduleRoutes = require('./schedules');
+const curfewRoutes = require('./curfews');
+const quotaRoutes = require('./quotas');
+const macPolicyRoutes = require('./macPolicies');
+const groupRoutes = require('./groups');
+const dhcpRoutes = require('./dhcp');
+const wirelessRoutes = require('./wireless');
+const systemRoutes = require('./system');
+const backupRoutes = require('./backups');
+const { enrichUsers } = require('../services/userEnricher');
+const bandwidthHistoryService = require('../services/bandwidthHistoryService');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isCidr, isMac } = require('../utils/network');
 const logger = require('../utils/logger');
 
 const router = express.Router();
-const mikrotikService = new MikrotikService();
 
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      errors: errors.array()
-    });
-  }
-  next();
-};
+// Todas las rutas operan sobre un router del registro (?router=<id> o X-Router-Id)
+router.use(auth, resolveRouter);
 
-router.get('/users', auth, async (req, res) => {
+router.use('/schedules', scheduleRoutes);
+router.use('/curfews', curfewRoutes);
+router.use('/quotas', quotaRoutes);
+router.use('/mac-policies', macPolicyRoutes);
+router.use('/groups', groupRoutes);
+router.use('/dhcp', dhcpRoutes);
+router.use('/wireless', wirelessRoutes);
+router.use('/system', systemRoutes);
+router.use('/backups', backupRoutes);
+
+router.get('/users', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
   try {
     logger.info('Solicitud recibida para obtener usuarios conectados');
-    const users = await mikrotikService.getConnectedUsers();
+    const connected = await req.mikrotik.getConnectedUsers();
+    const users = await enrichUsers(req.routerId, connected);
     res.json({
       success: true,
       data: users,
@@ -37,10 +57,60 @@ router.get('/users', auth, async (req, res) => {
   }
 });
 
-router.get('/bandwidth', auth, async (req, res) => {
+// GET /api/mikrotik/users/:ip/traffic - Historial de velocidad de un dispositivo
+// (?from/?to en ISO 8601 o ?minutes hacia atrás)
+router.get('/users/:ip/traffic',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [
+    param('ip').isIP().withMessage('IP inválida'),
+    query('minutes').optional().isInt({ min: 1 }).withMessage('minutes debe ser un entero mayor a 0').toInt(),
+    query('from').optional().isISO8601().withMessage('from debe ser una fecha ISO 8601'),
+    query('to').optional().isISO8601().withMessage('to debe ser una fecha ISO 8601')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - (req.query.minutes || 5) * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          message: 'from debe ser anterior a to'
+        });
+      }
+
+      const points = await bandwidthHistoryService.queryDevice({
+        router: req.routerId,
+        ip: req.params.ip,
+        from,
+        to
+      });
+
+      res.json({
+        success: true,
+        data: points,
+        count: points.length,
+        from: from.toISOString(),
+        to: to.toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo historial del dispositivo: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo historial del dispositivo',
+        error: error.message
+      });
+    }
+  }
+);
+
+router.get('/bandwidth', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
   try {
     logger.info('Solicitud recibida para obtener ancho de banda');
-    const bandwidthData = await mikrotikService.getBandwidthUsage();
+    const bandwidthData = await req.mikrotik.getBandwidthUsage();
     res.json({
       success: true,
       data: bandwidthData || []
@@ -55,31 +125,65 @@ router.get('/bandwidth', auth, async (req, res) => {
   }
 });
 
-// ENDPOINT FALTANTE - bandwidth-history
-router.get('/bandwidth-history', auth, async (req, res) => {
-  try {
-    logger.info('Solicitud recibida para obtener historial de ancho de banda');
-    const minutes = parseInt(req.query.minutes) || 5; // Por defecto últimos 5 minutos
-    const history = await mikrotikService.getBandwidthHistory(minutes);
-    
-    res.json({
-      success: true,
-      data: history || [],
-      count: history.length
-    });
-  } catch (error) {
-    logger.error(`Error obteniendo historial de ancho de banda: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Error obteniendo historial de ancho de banda',
-      error: error.message,
-      data: [] // Enviar array vacío en caso de error
-    });
+// GET /api/mikrotik/bandwidth-history - Historial por interfaz y rango
+// (?interface, ?from/?to en ISO 8601 o ?minutes hacia atrás, ?resolution raw|1m|1h|auto)
+router.get('/bandwidth-history',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [
+    query('interface').optional().isLength({ min: 1, max: 64 }).withMessage('Interfaz inválida'),
+    query('minutes').optional().isInt({ min: 1 }).withMessage('minutes debe ser un entero mayor a 0').toInt(),
+    query('from').optional().isISO8601().withMessage('from debe ser una fecha ISO 8601'),
+    query('to').optional().isISO8601().withMessage('to debe ser una fecha ISO 8601'),
+    query('resolution').optional().isIn([...bandwidthHistoryService.RESOLUTIONS, 'auto'])
+      .withMessage('Resolución inválida, debe ser "raw", "1m", "1h" o "auto"')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      logger.info('Solicitud recibida para obtener historial de ancho de banda');
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      // Por defecto últimos 5 minutos
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - (req.query.minutes || 5) * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          message: 'from debe ser anterior a to'
+        });
+      }
+
+      const { resolution, points } = await bandwidthHistoryService.query({
+        router: req.routerId,
+        interface: req.query.interface,
+        from,
+        to,
+        resolution: req.query.resolution
+      });
+
+      res.json({
+        success: true,
+        data: points,
+        count: points.length,
+        resolution,
+        from: from.toISOString(),
+        to: to.toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo historial de ancho de banda: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo historial de ancho de banda',
+        error: error.message,
+        data: [] // Enviar array vacío en caso de error
+      });
+    }
   }
-});
+);
 
 router.post('/speed-limit',
-  auth,
+  authorize(PERMISSIONS.LIMITS_MANAGE),
   [
     body('ip').isIP().withMessage('IP inválida'),
     body('rxLimit').isInt({ min: 0 }).withMessage('Límite RX debe ser mayor o igual 0'),
@@ -89,7 +193,13 @@ router.post('/speed-limit',
   async (req, res) => {
     try {
       const { ip, rxLimit, txLimit } = req.body;
-      const result = await mikrotikService.setSpeedLimit(ip, rxLimit, txLimit);
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        // Un límite 0/0 se traduce en un bloqueo completo por firewall
+        action: rxLimit === 0 && txLimit === 0 ? 'blockUserCompletely' : 'setSpeedLimit',
+        target: { ip },
+        params: { rxLimit, txLimit }
+      }, () => req.mikrotik.setSpeedLimit(ip, rxLimit, txLimit));
       res.json({
         success: true,
         message: result.message
@@ -106,15 +216,20 @@ router.post('/speed-limit',
 );
 
 router.delete('/speed-limit/:ip',
-  auth,
+  authorize(PERMISSIONS.LIMITS_MANAGE),
   [
     param('ip').isIP().withMessage('IP inválida')
   ],
   validate,
+  snapshotBefore('removeSpeedLimit'),
   async (req, res) => {
     try {
       const { ip } = req.params;
-      const result = await mikrotikService.removeSpeedLimit(ip);
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'removeSpeedLimit',
+        target: { ip }
+      }, () => req.mikrotik.removeSpeedLimit(ip));
       res.json({
         success: true,
         message: result.message
@@ -131,7 +246,7 @@ router.delete('/speed-limit/:ip',
 );
 
 router.post('/kick-user',
-  auth,
+  authorize(PERMISSIONS.DEVICES_BLOCK),
   [
     body('ip').isIP().withMessage('IP inválida'),
     body('duration').optional().isInt({ min: 60, max: 3600 }).withMessage('Duración debe estar entre 60 y 3600 segundos')
@@ -140,7 +255,12 @@ router.post('/kick-user',
   async (req, res) => {
     try {
       const { ip, duration = 300 } = req.body;
-      const result = await mikrotikService.kickUser(ip, duration);
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'kickUser',
+        target: { ip },
+        params: { duration }
+      }, () => req.mikrotik.kickUser(ip, duration));
       res.json({
         success: true,
         message: result.message
@@ -157,7 +277,7 @@ router.post('/kick-user',
 );
 
 router.post('/unblock-user',
-  auth,
+  authorize(PERMISSIONS.DEVICES_BLOCK),
   [
     body('ip').isIP().withMessage('IP inválida')
   ],
@@ -165,7 +285,11 @@ router.post('/unblock-user',
   async (req, res) => {
     try {
       const { ip } = req.body;
-      const result = await mikrotikService.unblockUser(ip);
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'unblockUser',
+        target: { ip }
+      }, () => req.mikrotik.unblockUser(ip));
       res.json({
         success: true,
         message: result.message
@@ -181,9 +305,54 @@ router.post('/unblock-user',
   }
 );
 
-router.get('/queues', auth, async (req, res) => {
+// POST /api/mikrotik/bulk - Una acción sobre una lista de IPs, MACs o rangos CIDR
+router.post('/bulk',
+  [
+    body('action').isIn(bulkService.ACTIONS).withMessage(`Acción inválida, válidas: ${bulkService.ACTIONS.join(', ')}`),
+    body('targets').isArray({ min: 1, max: bulkService.MAX_TARGETS })
+      .withMessage(`targets debe ser una lista de 1 a ${bulkService.MAX_TARGETS} IPs, MACs o CIDR`),
+    body('targets.*').isString().trim()
+      .custom(target => net.isIP(target) || isMac(target) || isCidr(target))
+      .withMessage('Objetivo inválido (IP, MAC o CIDR)'),
+    body('rxLimit')
+      .if(body('action').equals('set-limit'))
+      .isInt({ min: 0 }).withMessage('Límite RX debe ser mayor o igual 0').toInt(),
+    body('txLimit')
+      .if(body('action').equals('set-limit'))
+      .isInt({ min: 0 }).withMessage('Límite TX debe ser mayor o igual 0').toInt(),
+    body('duration')
+      .if(body('action').equals('kick'))
+      .optional().isInt({ min: 60, max: 3600 }).withMessage('Duración debe estar entre 60 y 3600 segundos').toInt()
+  ],
+  validate,
+  // Límites: limits:manage; expulsiones y desbloqueos: devices:block
+  (req, res, next) => authorize(req.body.action.endsWith('limit') ? PERMISSIONS.LIMITS_MANAGE : PERMISSIONS.DEVICES_BLOCK)(req, res, next),
+  (req, res, next) => snapshotBefore(`bulk:${req.body.action}`)(req, res, next),
+  async (req, res) => {
+    try {
+      const { results, summary } = await bulkService.run(auditService.fromRequest(req), req.body);
+      res.json({
+        success: summary.failed === 0,
+        message: `${summary.succeeded} de ${summary.total} objetivos procesados correctamente`,
+        data: results,
+        count: results.length,
+        summary,
+        snapshot: req.snapshot ? req.snapshot.id : null
+      });
+    } catch (error) {
+      logger.error(`Error en operación masiva: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error en operación masiva',
+        error: error.message
+      });
+    }
+  }
+);
+
+router.get('/queues', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
   try {
-    const queues = await mikrotikService.getActiveQueues();
+    const queues = await req.mikrotik.getActiveQueues();
     res.json({
       success: true,
       data: queues,
@@ -199,12 +368,13 @@ router.get('/queues', auth, async (req, res) => {
   }
 });
 
-router.get('/status', auth, async (req, res) => {
+router.get('/status', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
   try {
-    await mikrotikService.connect();
+    await req.mikrotik.connect();
     res.json({
       success: true,
       message: 'Conexión con MikroTik exitosa',
+      router: req.routerId,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
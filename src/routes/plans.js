@@ -0,0 +1,176 @@
+const express = require('express');
+const { body } = require('express-validator');
+const planService = require('../services/planService');
+const deviceGroupService = require('../services/deviceGroupService');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const planRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 64 }).withMessage('Nombre es requerido (máximo 64 caracteres)'),
+    body('description').optional({ nullable: true }).isLength({ max: 200 }).withMessage('Descripción demasiado larga (máximo 200 caracteres)'),
+    field('rxLimit').isInt({ min: 0 }).withMessage('Límite RX debe ser mayor o igual 0').toInt(),
+    field('txLimit').isInt({ min: 0 }).withMessage('Límite TX debe ser mayor o igual 0').toInt()
+  ];
+};
+
+const findPlan = async (req, res) => {
+  const plan = await planService.get(req.params.id);
+  if (!plan) {
+    res.status(404).json({
+      success: false,
+      message: 'Plan no encontrado'
+    });
+    return null;
+  }
+  return plan;
+};
+
+// Nombres únicos (sin distinguir mayúsculas)
+const nameTaken = async (name, id = null) => {
+  const existing = name ? await planService.findByName(name) : null;
+  return Boolean(existing && existing.id !== id);
+};
+
+// GET /api/plans - Listar planes con cuántos dispositivos los tienen
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const plans = await planService.list();
+    const data = await Promise.all(plans.map(async plan => ({
+      ...plan,
+      devices: (await planService.getMembers(plan.id)).length
+    })));
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    logger.error(`Error listando planes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando planes',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/plans/:id - Obtener un plan y sus dispositivos
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    const members = await planService.getMembers(plan.id);
+    res.json({
+      success: true,
+      data: {
+        ...plan,
+        members: members.map(p => ({ router: p.router, mac: p.mac, ip: p.ip, groupId: p.groupId }))
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo plan: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo plan',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/plans - Crear un plan
+router.post('/', authorize(PERMISSIONS.LIMITS_MANAGE), planRules(false), validate, async (req, res) => {
+  try {
+    if (await nameTaken(req.body.name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un plan con ese nombre'
+      });
+    }
+
+    const plan = await planService.create(req.body, req.user.username);
+    res.status(201).json({
+      success: true,
+      message: 'Plan creado exitosamente',
+      data: plan
+    });
+  } catch (error) {
+    logger.error(`Error creando plan: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error creando plan',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/plans/:id - Actualizar un plan (reaplica los límites a sus dispositivos)
+router.put('/:id', authorize(PERMISSIONS.LIMITS_MANAGE), planRules(true), validate, async (req, res) => {
+  try {
+    if (!await findPlan(req, res)) return;
+
+    if (await nameTaken(req.body.name, req.params.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un plan con ese nombre'
+      });
+    }
+
+    const actor = { userId: req.user.userId, username: req.user.username, role: req.user.role };
+    const { plan, reapplied } = await planService.update(req.params.id, req.body, actor);
+    res.json({
+      success: reapplied.failed === 0,
+      message: reapplied.failed === 0
+        ? `Plan actualizado y reaplicado a ${reapplied.updated} dispositivos`
+        : `Plan actualizado; falló la reaplicación en ${reapplied.failed} dispositivos`,
+      data: plan,
+      reapplied
+    });
+  } catch (error) {
+    logger.error(`Error actualizando plan: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error actualizando plan',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/plans/:id - Eliminar un plan que no esté en uso
+router.delete('/:id', authorize(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    if (!await findPlan(req, res)) return;
+
+    const members = await planService.getMembers(req.params.id);
+    const groups = (await deviceGroupService.list()).filter(g => g.planId === req.params.id);
+    if (members.length > 0 || groups.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `El plan está en uso por ${members.length} dispositivos y ${groups.length} grupos`
+      });
+    }
+
+    await planService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Plan eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando plan: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando plan',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
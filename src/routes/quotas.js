@@ -0,0 +1,174 @@
+const express = require('express');
+const { body } = require('express-validator');
+const quotaService = require('../services/quotaService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/quotas (auth y router ya resueltos)
+const router = express.Router();
+
+const quotaRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 64 }).withMessage('Nombre es requerido (máximo 64 caracteres)'),
+    field('ips').isArray({ min: 1 }).withMessage('ips debe ser una lista con al menos una IP'),
+    body('ips.*').isIP().withMessage('IP inválida'),
+    body('scope').optional().isIn(['device', 'group']).withMessage('scope debe ser "device" o "group"'),
+    field('period').isIn(quotaService.PERIODS).withMessage('Periodo inválido, debe ser "daily", "weekly" o "monthly"'),
+    field('limitBytes').isInt({ min: 1 }).withMessage('limitBytes debe ser un entero mayor a 0').toInt(),
+    body('action').optional().isIn(['throttle', 'block']).withMessage('Acción inválida, debe ser "throttle" o "block"'),
+    body('throttleRx')
+      .if((value, { req }) => req.body.action !== 'block' && (!optional || value !== undefined))
+      .isInt({ min: 1 }).withMessage('throttleRx debe ser mayor a 0').toInt(),
+    body('throttleTx')
+      .if((value, { req }) => req.body.action !== 'block' && (!optional || value !== undefined))
+      .isInt({ min: 1 }).withMessage('throttleTx debe ser mayor a 0').toInt(),
+    body('enabled').optional().isBoolean().withMessage('enabled debe ser booleano').toBoolean()
+  ];
+};
+
+const findQuota = async (req, res) => {
+  const quota = await quotaService.get(req.params.id);
+  if (!quota || quota.router !== req.routerId) {
+    res.status(404).json({
+      success: false,
+      message: 'Cuota no encontrada'
+    });
+    return null;
+  }
+  return quota;
+};
+
+// GET /api/mikrotik/quotas - Listar cuotas del router con su consumo
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const quotas = await quotaService.list(req.routerId);
+    res.json({
+      success: true,
+      data: quotas,
+      count: quotas.length
+    });
+  } catch (error) {
+    logger.error(`Error listando cuotas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando cuotas',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/quotas/usage - Cuota restante por IP (la más restrictiva)
+router.get('/usage', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const byIp = await quotaService.getStatusByIp(req.routerId);
+    const usage = Array.from(byIp.entries()).map(([ip, status]) => ({ ip, ...status }));
+    res.json({
+      success: true,
+      data: usage,
+      count: usage.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo consumo de cuotas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo consumo de cuotas',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/quotas/:id - Obtener una cuota
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const quota = await findQuota(req, res);
+    if (!quota) return;
+
+    res.json({
+      success: true,
+      data: quota
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo cuota: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo cuota',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/quotas - Crear una cuota
+router.post('/',
+  authorize(PERMISSIONS.LIMITS_MANAGE),
+  quotaRules(false),
+  validate,
+  async (req, res) => {
+    try {
+      const quota = await quotaService.create({ ...req.body, router: req.routerId }, req.user.username);
+      res.status(201).json({
+        success: true,
+        message: 'Cuota creada exitosamente',
+        data: quota
+      });
+    } catch (error) {
+      logger.error(`Error creando cuota: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error creando cuota',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/mikrotik/quotas/:id - Actualizar una cuota
+router.put('/:id',
+  authorize(PERMISSIONS.LIMITS_MANAGE),
+  quotaRules(true),
+  validate,
+  async (req, res) => {
+    try {
+      if (!await findQuota(req, res)) return;
+
+      const quota = await quotaService.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        message: 'Cuota actualizada exitosamente',
+        data: quota
+      });
+    } catch (error) {
+      logger.error(`Error actualizando cuota: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error actualizando cuota',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/quotas/:id - Eliminar una cuota (restaura los límites previos)
+router.delete('/:id', authorize(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    if (!await findQuota(req, res)) return;
+
+    await quotaService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Cuota eliminada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando cuota: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando cuota',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
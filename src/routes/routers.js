@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const routerRegistry = require('../services/routerRegistry');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+// GET /api/routers - Listar routers registrados
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const routers = await routerRegistry.getAll();
+    const defaultId = await routerRegistry.getDefaultId();
+    res.json({
+      success: true,
+      data: routers.map(r => ({ ...routerRegistry.toPublic(r), isDefault: r.id === defaultId })),
+      count: routers.length
+    });
+  } catch (error) {
+    logger.error(`Error listando routers: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando routers',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/routers/:id - Obtener un router y su estado de conexión
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const found = await routerRegistry.get(req.params.id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Router no encontrado'
+      });
+    }
+
+    const service = await routerRegistry.getService(found.id);
+    const connected = await service.checkMikrotikConnection();
+
+    res.json({
+      success: true,
+      data: {
+        ...routerRegistry.toPublic(found),
+        status: connected ? 'connected' : 'disconnected'
+      }
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo router: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo router',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/routers - Registrar un router
+router.post('/',
+  authorize(PERMISSIONS.ROUTERS_MANAGE),
+  [
+    body('id').optional().matches(/^[a-zA-Z0-9_-]{1,32}$/).withMessage('Id inválido (letras, números, guiones, máximo 32)'),
+    body('name').notEmpty().withMessage('Nombre es requerido'),
+    body('host').notEmpty().withMessage('Host es requerido'),
+    body('port').optional().isInt({ min: 1, max: 65535 }).withMessage('Puerto inválido'),
+    body('user').notEmpty().withMessage('Usuario es requerido'),
+    body('password').notEmpty().withMessage('Contraseña es requerida')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const created = await routerRegistry.add(req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Router registrado exitosamente',
+        data: routerRegistry.toPublic(created)
+      });
+    } catch (error) {
+      logger.error(`Error registrando router: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/routers/:id - Actualizar un router
+router.put('/:id',
+  authorize(PERMISSIONS.ROUTERS_MANAGE),
+  [
+    param('id').notEmpty(),
+    body('name').optional().notEmpty().withMessage('Nombre inválido'),
+    body('host').optional().notEmpty().withMessage('Host inválido'),
+    body('port').optional().isInt({ min: 1, max: 65535 }).withMessage('Puerto inválido'),
+    body('user').optional().notEmpty().withMessage('Usuario inválido'),
+    body('password').optional().notEmpty().withMessage('Contraseña inválida')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const updated = await routerRegistry.update(req.params.id, req.body);
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Router no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Router actualizado exitosamente',
+        data: routerRegistry.toPublic(updated)
+      });
+    } catch (error) {
+      logger.error(`Error actualizando router: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/routers/:id - Eliminar un router
+router.delete('/:id', authorize(PERMISSIONS.ROUTERS_MANAGE), async (req, res) => {
+  try {
+    const removed = await routerRegistry.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Router no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Router eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando router: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
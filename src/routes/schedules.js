@@ -0,0 +1,174 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const scheduleService = require('../services/scheduleService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isValidTime } = require('../utils/timeWindow');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/schedules (auth y router ya resueltos)
+const router = express.Router();
+
+// En una actualización que deja la programación en modo "limit", los límites que no
+// vengan en el cuerpo tienen que estar ya guardados
+const storedLimit = (name, label) => body(name).custom(async (value, { req }) => {
+  if (value !== undefined) return true;
+  const existing = await scheduleService.get(req.params.id);
+  if (!existing || (req.body.mode || existing.mode) === 'unlimited') return true;
+  if (existing[name] === null || existing[name] === undefined) {
+    throw new Error(`${label} es obligatorio en modo "limit"`);
+  }
+  return true;
+});
+
+const scheduleRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const stored = optional ? [storedLimit('rxLimit', 'Límite RX'), storedLimit('txLimit', 'Límite TX')] : [];
+  return [
+    body('name').optional().isLength({ min: 1, max: 64 }).withMessage('Nombre inválido'),
+    field('ip').isIP().withMessage('IP inválida'),
+    body('days').optional().isArray({ max: 7 }).withMessage('days debe ser una lista de días (0-6)'),
+    body('days.*').isInt({ min: 0, max: 6 }).withMessage('Día inválido (0 = domingo ... 6 = sábado)').toInt(),
+    field('start').custom(isValidTime).withMessage('Hora de inicio inválida (HH:MM)'),
+    field('end').custom(isValidTime).withMessage('Hora de fin inválida (HH:MM)'),
+    body('mode').optional().isIn(['limit', 'unlimited']).withMessage('Modo inválido, debe ser "limit" o "unlimited"'),
+    body('rxLimit')
+      .if((value, { req }) => req.body.mode !== 'unlimited' && (!optional || value !== undefined))
+      .isInt({ min: 0 }).withMessage('Límite RX debe ser mayor o igual 0').toInt(),
+    body('txLimit')
+      .if((value, { req }) => req.body.mode !== 'unlimited' && (!optional || value !== undefined))
+      .isInt({ min: 0 }).withMessage('Límite TX debe ser mayor o igual 0').toInt(),
+    ...stored,
+    body('priority').optional().isInt().withMessage('Prioridad inválida').toInt(),
+    body('enabled').optional().isBoolean().withMessage('enabled debe ser booleano').toBoolean()
+  ];
+};
+
+// GET /api/mikrotik/schedules - Listar programaciones del router
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const schedules = await scheduleService.list(req.routerId);
+    res.json({
+      success: true,
+      data: schedules,
+      count: schedules.length
+    });
+  } catch (error) {
+    logger.error(`Error listando programaciones: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando programaciones',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/schedules/:id - Obtener una programación
+router.get('/:id', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const schedule = await scheduleService.get(req.params.id);
+    if (!schedule || schedule.router !== req.routerId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Programación no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo programación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo programación',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/schedules - Crear una programación
+router.post('/',
+  authorize(PERMISSIONS.LIMITS_MANAGE),
+  scheduleRules(false),
+  validate,
+  async (req, res) => {
+    try {
+      const schedule = await scheduleService.create({ ...req.body, router: req.routerId }, req.user.username);
+      res.status(201).json({
+        success: true,
+        message: 'Programación creada exitosamente',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error(`Error creando programación: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error creando programación',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/mikrotik/schedules/:id - Actualizar una programación
+router.put('/:id',
+  authorize(PERMISSIONS.LIMITS_MANAGE),
+  [param('id').notEmpty(), ...scheduleRules(true)],
+  validate,
+  async (req, res) => {
+    try {
+      const existing = await scheduleService.get(req.params.id);
+      if (!existing || existing.router !== req.routerId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Programación no encontrada'
+        });
+      }
+
+      const schedule = await scheduleService.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        message: 'Programación actualizada exitosamente',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error(`Error actualizando programación: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error actualizando programación',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/schedules/:id - Eliminar una programación
+router.delete('/:id', authorize(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const existing = await scheduleService.get(req.params.id);
+    if (!existing || existing.router !== req.routerId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Programación no encontrada'
+      });
+    }
+
+    await scheduleService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Programación eliminada exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando programación: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando programación',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
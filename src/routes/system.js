@@ -0,0 +1,75 @@
+const express = require('express');
+const { query } = require('express-validator');
+const systemHealthService = require('../services/systemHealthService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/system (auth y router ya resueltos)
+const router = express.Router();
+
+// GET /api/mikrotik/system - CPU, memoria, disco, temperatura, versión y placa
+router.get('/', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const status = await systemHealthService.getStatus(req.mikrotik);
+    res.json({
+      success: true,
+      data: status,
+      router: req.routerId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo estado del sistema: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo estado del sistema',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/mikrotik/system/history - Historial de CPU, memoria, disco y temperatura
+router.get('/history',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [
+    query('minutes').optional().isInt({ min: 1 }).withMessage('minutes debe ser un entero mayor a 0').toInt(),
+    query('from').optional().isISO8601().withMessage('from debe ser una fecha ISO 8601'),
+    query('to').optional().isISO8601().withMessage('to debe ser una fecha ISO 8601')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      // Por defecto las últimas 24 horas
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - (req.query.minutes || 24 * 60) * 60 * 1000);
+
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          message: 'from debe ser anterior a to'
+        });
+      }
+
+      const points = await systemHealthService.query({ router: req.routerId, from, to });
+      res.json({
+        success: true,
+        data: points,
+        count: points.length,
+        from: from.toISOString(),
+        to: to.toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo historial del sistema: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo historial del sistema',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const webhookService = require('../services/webhookService');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { auth, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Configurar webhooks es solo de administradores (los secretos viajan en el alta)
+router.use(auth, authorize(PERMISSIONS.WEBHOOKS_MANAGE));
+
+const webhookRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1, max: 64 }).withMessage('Nombre es requerido (máximo 64 caracteres)'),
+    field('url').isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('URL inválida (http o https)'),
+    field('events').isArray({ min: 1 }).withMessage('events debe ser una lista con al menos un tipo de evento'),
+    body('events.*').isIn([...EVENT_TYPES, '*']).withMessage(`Evento inválido, válidos: ${EVENT_TYPES.join(', ')} o *`),
+    body('secret').optional().isLength({ min: 16 }).withMessage('El secreto debe tener al menos 16 caracteres'),
+    body('enabled').optional().isBoolean().withMessage('enabled debe ser booleano').toBoolean()
+  ];
+};
+
+const findWebhook = async (req, res) => {
+  const webhook = await webhookService.get(req.params.id);
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook no encontrado'
+    });
+    return null;
+  }
+  return webhook;
+};
+
+const deliveryFilters = [
+  query('event').optional().notEmpty(),
+  query('status').optional().isIn(['success', 'failed']).withMessage('status debe ser "success" o "failed"'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit debe estar entre 1 y 1000').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset debe ser mayor o igual 0').toInt()
+];
+
+// GET /api/webhooks - Listar webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await webhookService.list();
+    res.json({
+      success: true,
+      data: webhooks.map(w => webhookService.toPublic(w)),
+      count: webhooks.length,
+      events: EVENT_TYPES
+    });
+  } catch (error) {
+    logger.error(`Error listando webhooks: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listando webhooks',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/webhooks/deliveries - Registro de entregas de todos los webhooks
+router.get('/deliveries', deliveryFilters, validate, async (req, res) => {
+  try {
+    const { total, deliveries } = await webhookService.getDeliveries(req.query);
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      total
+    });
+  } catch (error) {
+    logger.error(`Error consultando entregas de webhooks: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error consultando entregas de webhooks',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/webhooks/:id - Obtener un webhook
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({
+      success: true,
+      data: webhookService.toPublic(webhook)
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo webhook',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/webhooks - Crear un webhook (el secreto solo se devuelve aquí)
+router.post('/', webhookRules(false), validate, async (req, res) => {
+  try {
+    const webhook = await webhookService.create(req.body, req.user.username);
+    res.status(201).json({
+      success: true,
+      message: 'Webhook creado exitosamente',
+      data: webhook
+    });
+  } catch (error) {
+    logger.error(`Error creando webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error creando webhook',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/webhooks/:id - Actualizar un webhook
+router.put('/:id', webhookRules(true), validate, async (req, res) => {
+  try {
+    if (!await findWebhook(req, res)) return;
+
+    const webhook = await webhookService.update(req.params.id, req.body);
+    res.json({
+      success: true,
+      message: 'Webhook actualizado exitosamente',
+      data: webhookService.toPublic(webhook)
+    });
+  } catch (error) {
+    logger.error(`Error actualizando webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error actualizando webhook',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/webhooks/:id - Eliminar un webhook
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!await findWebhook(req, res)) return;
+
+    await webhookService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Webhook eliminado exitosamente'
+    });
+  } catch (error) {
+    logger.error(`Error eliminando webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error eliminando webhook',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Registro de entregas de un webhook
+router.get('/:id/deliveries', deliveryFilters, validate, async (req, res) => {
+  try {
+    if (!await findWebhook(req, res)) return;
+
+    const { total, deliveries } = await webhookService.getDeliveries({ ...req.query, webhookId: req.params.id });
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      total
+    });
+  } catch (error) {
+    logger.error(`Error consultando entregas del webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error consultando entregas del webhook',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/webhooks/:id/test - Enviar un evento de prueba
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await webhookService.test(webhook);
+    res.json({
+      success: delivery.status === 'success',
+      message: delivery.status === 'success'
+        ? 'Evento de prueba entregado'
+        : `Entrega de prueba fallida: ${delivery.error}`,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error(`Error probando webhook: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error probando webhook',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const auditService = require('../services/auditService');
+const { normalizeMac } = require('../services/deviceService');
+const { authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { snapshotBefore } = require('../middleware/snapshot');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Montado en /api/mikrotik/wireless (auth y router ya resueltos)
+const router = express.Router();
+
+// GET /api/mikrotik/wireless/clients - Clientes Wi-Fi con señal, tasas, CCQ y uptime (?interface=)
+router.get('/clients',
+  authorize(PERMISSIONS.NETWORK_READ),
+  [query('interface').optional().notEmpty()],
+  validate,
+  async (req, res) => {
+    try {
+      const clients = (await req.mikrotik.getWirelessClients())
+        .filter(c => !req.query.interface || c.interface === req.query.interface);
+
+      res.json({
+        success: true,
+        data: clients,
+        count: clients.length
+      });
+    } catch (error) {
+      logger.error(`Error obteniendo clientes Wi-Fi: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo clientes Wi-Fi',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/wireless/clients/:mac - Desconectar un cliente Wi-Fi
+router.delete('/clients/:mac',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  [param('mac').isMACAddress().withMessage('MAC inválida')],
+  validate,
+  async (req, res) => {
+    try {
+      const mac = normalizeMac(req.params.mac);
+      const client = (await req.mikrotik.getWirelessClients()).find(c => normalizeMac(c.mac) === mac);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'El cliente no está asociado a ninguna interfaz wireless'
+        });
+      }
+
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'disconnectWirelessClient',
+        target: { mac },
+        params: { interface: client.interface }
+      }, () => req.mikrotik.disconnectWirelessClient(client.mac));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      logger.error(`Error desconectando cliente Wi-Fi: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error desconectando cliente Wi-Fi',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/mikrotik/wireless/access-list - Reglas de permitir/denegar por MAC
+router.get('/access-list', authorize(PERMISSIONS.NETWORK_READ), async (req, res) => {
+  try {
+    const entries = await req.mikrotik.getWirelessAccessList();
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    logger.error(`Error obteniendo access list: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo access list',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/mikrotik/wireless/access-list - Permitir o denegar una MAC
+router.post('/access-list',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  [
+    body('mac').isMACAddress().withMessage('MAC inválida'),
+    body('action').isIn(['allow', 'deny']).withMessage('action debe ser allow o deny'),
+    body('interface').optional().isLength({ min: 1, max: 64 }).withMessage('Interfaz inválida'),
+    body('comment').optional().isLength({ max: 128 }).withMessage('Comentario demasiado largo (máximo 128 caracteres)')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const mac = normalizeMac(req.body.mac);
+      const iface = req.body.interface || 'all';
+      const existing = (await req.mikrotik.getWirelessAccessList())
+        .find(e => normalizeMac(e.mac) === mac && e.interface === iface);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `La MAC ya tiene una regla en la access list (${existing.id})`
+        });
+      }
+
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'addWirelessAccessEntry',
+        target: { mac },
+        params: { action: req.body.action, interface: iface, comment: req.body.comment }
+      }, () => req.mikrotik.addWirelessAccessEntry({ ...req.body, mac, interface: iface }));
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: { id: result.ruleId, mac, action: req.body.action, interface: iface, comment: req.body.comment || '' }
+      });
+    } catch (error) {
+      logger.error(`Error agregando regla a la access list: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error agregando regla a la access list',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/mikrotik/wireless/access-list/:id - Eliminar una regla
+router.delete('/access-list/:id',
+  authorize(PERMISSIONS.DEVICES_BLOCK),
+  [param('id').matches(/^\*[0-9A-Fa-f]+$/).withMessage('Id de regla inválido (formato RouterOS, p. ej. *1A)')],
+  validate,
+  snapshotBefore('removeWirelessAccessEntry'),
+  async (req, res) => {
+    try {
+      const entry = (await req.mikrotik.getWirelessAccessList()).find(e => e.id === req.params.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Regla no encontrada'
+        });
+      }
+
+      const result = await auditService.track({
+        ...auditService.fromRequest(req),
+        action: 'removeWirelessAccessEntry',
+        target: { mac: entry.mac },
+        params: { action: entry.action, interface: entry.interface }
+      }, () => req.mikrotik.removeWirelessAccessEntry(entry.id));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      logger.error(`Error eliminando regla de la access list: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error eliminando regla de la access list',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -8,8 +8,28 @@ const socketIo = require('socket.io');
 const logger = require('./utils/logger');
 const mikrotikRoutes = require('./routes/mikrotik');
 const authRoutes = require('./routes/auth');
+const routerRoutes = require('./routes/routers');
+const accountRoutes = require('./routes/accounts');
+const auditRoutes = require('./routes/audit');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
+const deviceRoutes = require('./routes/devices');
+const planRoutes = require('./routes/plans');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
-const MikrotikService = require('./services/mikrotikService');
+const { metricsAuth } = require('./middleware/auth');
+const routerRegistry = require('./services/routerRegistry');
+const userStore = require('./services/userStore');
+const scheduleService = require('./services/scheduleService');
+const curfewService = require('./services/curfewService');
+const quotaService = require('./services/quotaService');
+const bandwidthHistoryService = require('./services/bandwidthHistoryService');
+const systemHealthService = require('./services/systemHealthService');
+const backupService = require('./services/backupService');
+const alertService = require('./services/alertService');
+const webhookService = require('./services/webhookService');
+const metricsService = require('./services/metricsService');
+const deviceService = require('./services/deviceService');
+const macPolicyService = require('./services/macPolicyService');
 const WebSocketManager = require('./services/websocketManager');
 
 const app = express();
@@ -35,6 +55,24 @@ app.use(cors({
   allowedHeaders: ["Content-Type", "Authorization"]
 }));
 
+// Latencia y errores HTTP para /metrics
+app.use(metricsService.httpMetrics());
+
+// Métricas Prometheus (fuera del rate limiting para no cortar el scrape)
+app.get('/metrics', metricsAuth, async (req, res) => {
+  try {
+    res.set('Content-Type', metricsService.contentType);
+    res.send(await metricsService.render(wsManager.getStats()));
+  } catch (error) {
+    logger.error(`Error generando métricas: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error generando métricas',
+      error: error.message
+    });
+  }
+});
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -56,21 +94,48 @@ app.use((req, res, next) => {
 // Rutas
 app.use('/api/auth', authRoutes);
 app.use('/api/mikrotik', mikrotikRoutes);
+app.use('/api/routers', routerRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/plans', planRoutes);
 
 // Health check
 app.get('/health', async (req, res) => {
-  const mikrotikService = new MikrotikService();
-  const mikrotikStatus = await mikrotikService.checkMikrotikConnection();
-  
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    services: {
-      mikrotik: mikrotikStatus ? 'connected' : 'disconnected',
-      websocket: io.engine.clientsCount > 0 ? 'active' : 'idle'
+  try {
+    const routers = await routerRegistry.getAll();
+    const defaultId = await routerRegistry.getDefaultId();
+    const routerStatus = {};
+    const connections = {};
+
+    // Usa la sesión compartida de cada router; no abre conexiones nuevas si ya existen
+    for (const router of routers) {
+      const service = await routerRegistry.getService(router.id);
+      routerStatus[router.id] = await service.checkMikrotikConnection() ? 'connected' : 'disconnected';
+      connections[router.id] = service.getConnectionStats();
     }
-  });
+
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      services: {
+        mikrotik: routerStatus[defaultId] || 'disconnected',
+        routers: routerStatus,
+        connections,
+        websocket: io.engine.clientsCount > 0 ? 'active' : 'idle'
+      }
+    });
+  } catch (error) {
+    logger.error(`Error comprobando el estado del servicio: ${error.message}`);
+    res.status(503).json({
+      success: false,
+      message: 'Error comprobando el estado del servicio',
+      error: error.message
+    });
+  }
 });
 
 // Error handlers
@@ -81,6 +146,13 @@ app.use(errorHandler);
 const wsManager = new WebSocketManager(io);
 wsManager.initialize();
 
+// Difundir alertas disparadas y resueltas a los clientes WebSocket
+alertService.on('fired', (alert) => wsManager.broadcastBandwidthAlert(alert, 'fired'));
+alertService.on('resolved', (alert) => wsManager.broadcastBandwidthAlert(alert, 'resolved'));
+
+// Webhooks escuchando el bus de eventos desde el arranque (incluye router.down inicial)
+webhookService.start();
+
 // Manejo de errores del proceso
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Promise Rejection: ${err.message}`);
@@ -89,6 +161,16 @@ process.on('unhandledRejection', (err) => {
 process.on('uncaughtException', (err) => {
   logger.error(`Uncaught Exception: ${err.message}`);
   // Limpiar recursos antes de salir
+  scheduleService.stop();
+  curfewService.stop();
+  quotaService.stop();
+  deviceService.stop();
+  macPolicyService.stop();
+  bandwidthHistoryService.stop();
+  systemHealthService.stop();
+  backupService.stop();
+  alertService.stop();
+  webhookService.stop();
   wsManager.cleanup();
   process.exit(1);
 });
@@ -96,6 +178,16 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM recibido, cerrando servidor...');
+  scheduleService.stop();
+  curfewService.stop();
+  quotaService.stop();
+  deviceService.stop();
+  macPolicyService.stop();
+  await bandwidthHistoryService.stop();
+  systemHealthService.stop();
+  backupService.stop();
+  alertService.stop();
+  webhookService.stop();
   wsManager.cleanup();
   server.close(() => {
     logger.info('Servidor cerrado correctamente');
@@ -105,31 +197,60 @@ process.on('SIGTERM', async () => {
 
 // Verificar variables de entorno
 function checkEnvironmentVariables() {
-  const required = ['JWT_SECRET', 'MIKROTIK_HOST', 'MIKROTIK_USER', 'MIKROTIK_PASSWORD'];
+  const required = ['JWT_SECRET'];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
     logger.error(`Variables de entorno faltantes: ${missing.join(', ')}`);
     process.exit(1);
   }
+
+  // El router por defecto es opcional si hay routers registrados vía /api/routers
+  if (process.env.MIKROTIK_HOST && (!process.env.MIKROTIK_USER || !process.env.MIKROTIK_PASSWORD)) {
+    logger.error('Variables de entorno faltantes: MIKROTIK_USER, MIKROTIK_PASSWORD');
+    process.exit(1);
+  }
 }
 
 checkEnvironmentVariables();
 
+// Crear el administrador inicial si todavía no hay cuentas
+userStore.bootstrap().catch((error) => {
+  logger.error(`Error creando administrador inicial: ${error.message}`);
+});
+
 // Iniciar servidor
 const PORT = process.env.PORT || 5001;
 server.listen(PORT, '0.0.0.0', () => {
   logger.info(`Servidor iniciado en puerto ${PORT}`);
-  logger.info(`Conectando a MikroTik en ${process.env.MIKROTIK_HOST}:${process.env.MIKROTIK_PORT || 8728}`);
   
-  // Verificar conexión inicial con MikroTik
+  // Verificar conexión inicial con cada MikroTik registrado
   setTimeout(async () => {
-    const mikrotikService = new MikrotikService();
-    try {
-      await mikrotikService.connect();
-      logger.info('Conexión inicial a MikroTik exitosa');
-    } catch (error) {
-      logger.error(`No se pudo conectar inicialmente a MikroTik: ${error.message}`);
+    const routers = await routerRegistry.getAll();
+    if (routers.length === 0) {
+      logger.warn('No hay routers MikroTik configurados');
+    }
+
+    for (const router of routers) {
+      logger.info(`Conectando a MikroTik ${router.id} en ${router.host}:${router.port}`);
+      try {
+        const service = await routerRegistry.getService(router.id);
+        await service.connect();
+        logger.info(`Conexión inicial a MikroTik ${router.id} exitosa`);
+      } catch (error) {
+        logger.error(`No se pudo conectar inicialmente a MikroTik ${router.id}: ${error.message}`);
+      }
     }
+
+    // Aplicar programaciones y toques de queda pendientes (también tras un reinicio)
+    scheduleService.start();
+    curfewService.start();
+    quotaService.start();
+    deviceService.start();
+    macPolicyService.start();
+    alertService.start();
+    bandwidthHistoryService.start();
+    systemHealthService.start();
+    backupService.start();
   }, 2000);
 });
\ No newline at end of file
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const bandwidthHistoryService = require('./bandwidthHistoryService');
+const eventBus = require('./eventBus');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const RULE_TYPES = ['interface', 'cpu', 'device-usage', 'router-down'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const UNITS = {
+  interface: 'bps',
+  cpu: '%',
+  'device-usage': 'bytes',
+  'router-down': ''
+};
+
+// Reglas de alerta evaluadas sobre cada muestra del sondeo de ancho de banda.
+// Una regla dispara cuando su condición se mantiene `duration` segundos, no vuelve
+// a disparar antes de `cooldown` segundos y se resuelve cuando el valor baja de
+// `threshold - hysteresis`. Emite 'fired' y 'resolved' con la alerta.
+class AlertService extends EventEmitter {
+  constructor() {
+    super();
+    this.rules = createStore('alert-rules');
+    this.alerts = createStore('alerts');
+    this.retentionDays = parseInt(process.env.ALERT_RETENTION_DAYS) || 30;
+    // Estado en memoria por regla: { conditionSince, lastFiredAt }
+    this.state = new Map();
+    this.onSample = (sample) => this.evaluateSample(sample);
+    this.evaluating = Promise.resolve();
+  }
+
+  start() {
+    bandwidthHistoryService.on('sample', this.onSample);
+    logger.info('Motor de alertas iniciado');
+  }
+
+  stop() {
+    bandwidthHistoryService.off('sample', this.onSample);
+  }
+
+  async listRules(router) {
+    const rules = await this.rules.all();
+    return rules.filter(r => !router || r.router === router);
+  }
+
+  async getRule(id) {
+    return this.rules.get(id);
+  }
+
+  async createRule(data, createdBy) {
+    const rule = {
+      id: crypto.randomUUID(),
+      router: data.router,
+      name: data.name,
+      type: data.type,
+      severity: data.severity || 'warning',
+      interface: data.type === 'interface' ? data.interface : null,
+      direction: data.type === 'interface' ? (data.direction || 'rx') : null,
+      ip: data.type === 'device-usage' ? data.ip : null,
+      threshold: data.type === 'router-down' ? 0 : data.threshold,
+      duration: data.duration || 0,
+      hysteresis: data.type === 'router-down' ? 0 : data.hysteresis || 0,
+      cooldown: data.cooldown ?? 300,
+      enabled: data.enabled !== false,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.rules.save(rule);
+    logger.info(`Regla de alerta "${rule.name}" creada (${rule.type})`);
+    return rule;
+  }
+
+  async updateRule(id, changes) {
+    const rule = await this.rules.get(id);
+    if (!rule) {
+      return null;
+    }
+
+    const updated = { ...rule, updatedAt: new Date().toISOString() };
+    ['name', 'severity', 'interface', 'direction', 'ip', 'threshold', 'duration', 'hysteresis', 'cooldown', 'enabled'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    // Router caído vale 1 o 0: sin umbral ni histéresis
+    if (updated.type === 'router-down') {
+      updated.threshold = 0;
+      updated.hysteresis = 0;
+    }
+
+    await this.rules.save(updated);
+    this.state.delete(id);
+    if (!updated.enabled) {
+      await this.resolveRule(updated, null, 'Regla deshabilitada');
+    }
+    return updated;
+  }
+
+  async removeRule(id) {
+    const rule = await this.rules.get(id);
+    if (!rule) {
+      return false;
+    }
+
+    await this.rules.remove(id);
+    this.state.delete(id);
+    await this.resolveRule(rule, null, 'Regla eliminada');
+    return true;
+  }
+
+  async list({ router, status, severity, acknowledged, limit = 100, offset = 0 } = {}) {
+    const alerts = (await this.alerts.all())
+      .filter(a => !router || a.router === router)
+      .filter(a => !status || a.status === status)
+      .filter(a => !severity || a.severity === severity)
+      .filter(a => acknowledged === undefined || a.acknowledged === acknowledged)
+      .sort((a, b) => new Date(b.firedAt) - new Date(a.firedAt));
+
+    return {
+      total: alerts.length,
+      alerts: alerts.slice(offset, offset + limit)
+    };
+  }
+
+  async get(id) {
+    return this.alerts.get(id);
+  }
+
+  async acknowledge(id, username) {
+    const alert = await this.alerts.get(id);
+    if (!alert) {
+      return null;
+    }
+
+    const updated = {
+      ...alert,
+      acknowledged: true,
+      acknowledgedBy: username,
+      acknowledgedAt: new Date().toISOString()
+    };
+    await this.alerts.save(updated);
+    return updated;
+  }
+
+  // Valor actual de la métrica de una regla, o null si la muestra no lo incluye
+  async measure(rule, sample) {
+    if (rule.type === 'router-down') {
+      return sample.reachable ? 0 : 1;
+    }
+    if (!sample.reachable) {
+      return null;
+    }
+
+    if (rule.type === 'interface') {
+      const entry = sample.interfaces.find(i => i.interface === rule.interface);
+      if (!entry) return null;
+      return rule.direction === 'tx' ? entry.txBits : entry.rxBits;
+    }
+
+    if (rule.type === 'cpu') {
+      const stats = await sample.service.getSystemStats();
+      return parseInt(stats.cpuLoad);
+    }
+
+    if (rule.type === 'device-usage') {
+      return bandwidthHistoryService.getDeviceUsageToday(rule.router, rule.ip).totalBytes;
+    }
+    return null;
+  }
+
+  evaluateSample(sample) {
+    // Evaluar las muestras en orden, sin solapar escrituras
+    this.evaluating = this.evaluating
+      .then(() => this.evaluate(sample))
+      .catch(error => logger.error(`Error evaluando alertas: ${error.message}`));
+    return this.evaluating;
+  }
+
+  async evaluate(sample) {
+    const rules = (await this.rules.all()).filter(r => r.enabled && r.router === sample.router);
+    const now = new Date(sample.timestamp);
+    // La CPU se consulta una sola vez por muestra aunque haya varias reglas
+    let cpu;
+
+    for (const rule of rules) {
+      let value;
+      try {
+        if (rule.type === 'cpu') {
+          cpu = cpu === undefined ? await this.measure(rule, sample) : cpu;
+          value = cpu;
+        } else {
+          value = await this.measure(rule, sample);
+        }
+      } catch (error) {
+        logger.warn(`Regla ${rule.name}: no se pudo medir (${error.message})`);
+        continue;
+      }
+
+      if (value === null || Number.isNaN(value)) continue;
+      await this.evaluateRule(rule, value, now);
+    }
+
+    await this.prune(now);
+  }
+
+  async evaluateRule(rule, value, now) {
+    const state = this.state.get(rule.id) || { conditionSince: null, lastFiredAt: null };
+    this.state.set(rule.id, state);
+    const firing = await this.getFiring(rule.id);
+
+    if (firing) {
+      // Histéresis: solo se resuelve al bajar claramente del umbral (un router caído,
+      // en cuanto vuelve a responder)
+      const resolveAt = rule.type === 'router-down' ? 0 : rule.threshold - rule.hysteresis;
+      if (value <= resolveAt) {
+        state.conditionSince = null;
+        await this.resolve(firing, value);
+      }
+      return;
+    }
+
+    if (value <= rule.threshold) {
+      state.conditionSince = null;
+      return;
+    }
+
+    state.conditionSince = state.conditionSince || now;
+    const sustained = now - state.conditionSince >= rule.duration * 1000;
+    const lastFiredAt = state.lastFiredAt || (await this.getLastFiredAt(rule.id));
+    const cooledDown = !lastFiredAt || now - lastFiredAt >= rule.cooldown * 1000;
+
+    if (sustained && cooledDown) {
+      state.lastFiredAt = now;
+      await this.fire(rule, value, now);
+    }
+  }
+
+  async getFiring(ruleId) {
+    const alerts = await this.alerts.all();
+    return alerts.find(a => a.ruleId === ruleId && a.status === 'firing') || null;
+  }
+
+  async getLastFiredAt(ruleId) {
+    const alerts = (await this.alerts.all()).filter(a => a.ruleId === ruleId);
+    if (alerts.length === 0) return null;
+    return new Date(Math.max(...alerts.map(a => new Date(a.firedAt).getTime())));
+  }
+
+  describe(rule, value) {
+    switch (rule.type) {
+      case 'interface':
+        return `${rule.interface} ${rule.direction.toUpperCase()} en ${value} bps (umbral ${rule.threshold} bps)`;
+      case 'cpu':
+        return `CPU del router al ${value}% (umbral ${rule.threshold}%)`;
+      case 'device-usage':
+        return `${rule.ip} consumió ${value} bytes hoy (umbral ${rule.threshold} bytes)`;
+      case 'router-down':
+        return `Router ${rule.router} inalcanzable`;
+      default:
+        return rule.name;
+    }
+  }
+
+  async fire(rule, value, now) {
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      router: rule.router,
+      name: rule.name,
+      type: rule.type,
+      severity: rule.severity,
+      status: 'firing',
+      value,
+      threshold: rule.threshold,
+      unit: UNITS[rule.type],
+      message: this.describe(rule, value),
+      firedAt: now.toISOString(),
+      resolvedAt: null,
+      acknowledged: false
+    };
+
+    await this.alerts.save(alert);
+    logger.warn(`Alerta [${alert.severity}] ${alert.name}: ${alert.message}`);
+    this.emit('fired', alert);
+    eventBus.publish('alert.fired', alert);
+    return alert;
+  }
+
+  async resolve(alert, value, reason) {
+    const resolved = {
+      ...alert,
+      status: 'resolved',
+      resolvedValue: value,
+      resolvedAt: new Date().toISOString(),
+      ...(reason ? { resolvedReason: reason } : {})
+    };
+
+    await this.alerts.save(resolved);
+    logger.info(`Alerta resuelta: ${alert.name}`);
+    this.emit('resolved', resolved);
+    eventBus.publish('alert.resolved', resolved);
+    return resolved;
+  }
+
+  async resolveRule(rule, value, reason) {
+    const firing = await this.getFiring(rule.id);
+    if (firing) {
+      await this.resolve(firing, value, reason);
+    }
+  }
+
+  // Borrar alertas resueltas más antiguas que la retención
+  async prune(now = new Date()) {
+    const cutoff = now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const expired = (await this.alerts.all())
+      .filter(a => a.status === 'resolved' && new Date(a.resolvedAt).getTime() < cutoff);
+
+    for (const alert of expired) {
+      await this.alerts.remove(alert.id);
+    }
+  }
+}
+
+module.exports = new AlertService();
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.SEVERITIES = SEVERITIES;
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const AppendLog = require('../utils/appendLog');
+const logger = require('../utils/logger');
+
+// Campos del resultado de MikrotikService que se guardan en la auditoría
+const RESULT_FIELDS = ['queueId', 'ruleId', 'rulesRemoved', 'applied', 'isBlocked', 'limit', 'method', 'leaseId'];
+
+const CSV_COLUMNS = ['timestamp', 'router', 'username', 'role', 'action', 'ip', 'mac', 'params', 'result', 'outcome', 'error'];
+
+// Registro persistente de las acciones que modifican el router
+class AuditService {
+  constructor() {
+    this.log = new AppendLog('audit');
+  }
+
+  // Contexto de auditoría a partir de una petición autenticada
+  fromRequest(req) {
+    return {
+      actor: {
+        userId: req.user.userId,
+        username: req.user.username,
+        role: req.user.role
+      },
+      router: req.routerId,
+      service: req.mikrotik
+    };
+  }
+
+  // Ejecutar una operación y registrar su resultado (éxito o fallo)
+  async track({ actor, router, service, action, target = {}, params = {} }, operation) {
+    const mac = target.mac || await this.lookupMac(service, target.ip);
+
+    try {
+      const result = await operation();
+      await this.record({ actor, router, action, target: { ...target, mac }, params, result, outcome: 'success' });
+      return result;
+    } catch (error) {
+      await this.record({ actor, router, action, target: { ...target, mac }, params, outcome: 'failure', error: error.message });
+      throw error;
+    }
+  }
+
+  async lookupMac(service, ip) {
+    if (!service || !ip) {
+      return null;
+    }
+
+    try {
+      return await service.getMacByIp(ip);
+    } catch (error) {
+      logger.debug(`No se pudo resolver la MAC de ${ip}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async record({ actor, router, action, target, params, result, outcome, error }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      router: router || null,
+      actor: actor || { username: 'system' },
+      action,
+      target: {
+        ip: target.ip || null,
+        mac: target.mac || null
+      },
+      params,
+      result: result ? this.pickResult(result) : null,
+      outcome,
+      error: error || null
+    };
+
+    try {
+      await this.log.append(entry);
+    } catch (err) {
+      logger.error(`Error registrando auditoría: ${err.message}`);
+    }
+
+    logger.info(`Auditoría: ${entry.actor.username} ${action} ${entry.target.ip || ''} -> ${outcome}`);
+    return entry;
+  }
+
+  pickResult(result) {
+    return RESULT_FIELDS.reduce((picked, field) => {
+      if (result[field] !== undefined) picked[field] = result[field];
+      return picked;
+    }, {});
+  }
+
+  async query({ user, ip, action, router, from, to, limit, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = (entry) => {
+      const time = new Date(entry.timestamp).getTime();
+      if (user && entry.actor.username !== user) return false;
+      if (ip && entry.target.ip !== ip) return false;
+      if (action && entry.action !== action) return false;
+      if (router && entry.router !== router) return false;
+      if (fromTime && time < fromTime) return false;
+      if (toTime && time > toTime) return false;
+      return true;
+    };
+
+    // Más recientes primero; sin filtros las primeras páginas salen de memoria
+    const filtered = user || ip || action || router || fromTime || toTime;
+    return this.log.query({ filter: filtered ? matches : null, limit, offset });
+  }
+
+  toCsv(entries) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => [
+      entry.timestamp,
+      entry.router,
+      entry.actor.username,
+      entry.actor.role,
+      entry.action,
+      entry.target.ip,
+      entry.target.mac,
+      entry.params,
+      entry.result,
+      entry.outcome,
+      entry.error
+    ].map(escape).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+}
+
+module.exports = new AuditService();
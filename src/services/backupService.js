@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const routerRegistry = require('./routerRegistry');
+const { createStore } = require('../utils/store');
+const BlobStore = require('../utils/blobStore');
+const { unifiedDiff } = require('../utils/lineDiff');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+const REASONS = ['manual', 'scheduled', 'pre-operation'];
+
+// La cabecera del export lleva la fecha y hora; no cuenta como cambio de configuración
+const HEADER = /^#.* by RouterOS /;
+const configHash = (content) => crypto
+  .createHash('sha256')
+  .update(content.split(/\r?\n/).filter(line => !HEADER.test(line)).join('\n'))
+  .digest('hex');
+
+// Copias de la configuración de cada router (`/export`): metadatos en el store
+// 'backups' y el script en DATA_DIR/backups/<id>.rsc. Se toman a mano, cada
+// BACKUP_INTERVAL_HOURS y antes de las operaciones masivas o destructivas.
+// Si la configuración no cambió desde la última copia no se guarda otra.
+class BackupService {
+  constructor() {
+    this.store = createStore('backups');
+    this.contents = new BlobStore('backups');
+    this.interval = (parseInt(process.env.BACKUP_INTERVAL_HOURS) || 24) * HOUR;
+    this.maxSnapshots = parseInt(process.env.BACKUP_MAX_SNAPSHOTS) || 30;
+    this.beforeOperations = process.env.BACKUP_BEFORE_OPERATIONS !== 'false';
+    // Una exportación a la vez por router (RouterOS 6 usa un archivo temporal)
+    this.pending = new Map();
+    // Última comprobación programada por router (aunque no generara copia)
+    this.lastChecks = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Revisar cada hora qué routers necesitan su copia programada (sobrevive a reinicios)
+  start() {
+    if (this.timer) return;
+    logger.info(`Copias de configuración iniciadas (cada ${this.interval / HOUR}h)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), Math.min(this.interval, HOUR));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async list(router) {
+    const snapshots = await this.store.all();
+    return snapshots
+      .filter(s => !router || s.router === router)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async getContent(snapshot) {
+    return this.contents.read(`${snapshot.id}.rsc`);
+  }
+
+  // Exportar la configuración y guardarla; devuelve { snapshot, created }
+  async snapshot(routerId, { reason = 'manual', createdBy = null, operation = null, comment = null } = {}) {
+    const previous = this.pending.get(routerId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.takeSnapshot(routerId, { reason, createdBy, operation, comment }));
+    this.pending.set(routerId, run);
+
+    try {
+      return await run;
+    } finally {
+      if (this.pending.get(routerId) === run) this.pending.delete(routerId);
+    }
+  }
+
+  async takeSnapshot(routerId, { reason, createdBy, operation, comment }) {
+    const service = await routerRegistry.getService(routerId);
+    const content = await service.exportConfig();
+    const hash = configHash(content);
+
+    // Las copias manuales se guardan siempre; las automáticas solo si hubo cambios
+    const [latest] = await this.list(routerId);
+    if (reason !== 'manual' && latest && latest.hash === hash) {
+      logger.debug(`Configuración de ${routerId} sin cambios desde ${latest.id}`);
+      return { snapshot: latest, created: false };
+    }
+
+    const snapshot = {
+      id: crypto.randomUUID(),
+      router: routerId,
+      createdAt: new Date().toISOString(),
+      reason,
+      operation,
+      comment,
+      createdBy,
+      size: Buffer.byteLength(content),
+      lines: content.split(/\r?\n/).length,
+      hash
+    };
+
+    await this.contents.write(`${snapshot.id}.rsc`, content);
+    await this.store.save(snapshot);
+    logger.info(`Copia de configuración de ${routerId} guardada (${reason}${operation ? `: ${operation}` : ''})`);
+
+    await this.prune(routerId);
+    return { snapshot, created: true };
+  }
+
+  // Copia previa a una operación; si falla se registra y la operación sigue
+  async snapshotBefore(ctx, operation) {
+    if (!this.beforeOperations) return null;
+
+    try {
+      const { snapshot } = await this.snapshot(ctx.router, {
+        reason: 'pre-operation',
+        createdBy: ctx.actor.username,
+        operation
+      });
+      return snapshot;
+    } catch (error) {
+      logger.warn(`No se pudo copiar la configuración de ${ctx.router} antes de ${operation}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async remove(id) {
+    await this.contents.remove(`${id}.rsc`);
+    await this.store.remove(id);
+  }
+
+  // Conservar las últimas BACKUP_MAX_SNAPSHOTS copias automáticas; las manuales no se borran
+  async prune(routerId) {
+    const automatic = (await this.list(routerId)).filter(s => s.reason !== 'manual');
+    for (const snapshot of automatic.slice(this.maxSnapshots)) {
+      await this.remove(snapshot.id);
+    }
+  }
+
+  async diff(from, to, { context } = {}) {
+    const [before, after] = await Promise.all([this.getContent(from), this.getContent(to)]);
+    if (before === null || after === null) {
+      throw new Error('Contenido de la copia no disponible');
+    }
+    return unifiedDiff(before, after, { context, fromLabel: from.createdAt, toLabel: to.createdAt });
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const routers = await routerRegistry.getAll();
+      for (const router of routers) {
+        const scheduled = (await this.list(router.id)).filter(s => s.reason === 'scheduled');
+        const lastCheck = Math.max(
+          scheduled[0] ? new Date(scheduled[0].createdAt).getTime() : 0,
+          this.lastChecks.get(router.id) || 0
+        );
+        if (Date.now() - lastCheck < this.interval) continue;
+
+        try {
+          await this.snapshot(router.id, { reason: 'scheduled', createdBy: 'backup' });
+          this.lastChecks.set(router.id, Date.now());
+        } catch (error) {
+          logger.warn(`Copia programada de ${router.id} fallida: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error en las copias programadas: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new BackupService();
+module.exports.REASONS = REASONS;
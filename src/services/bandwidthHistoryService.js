@@ -0,0 +1,285 @@
+const EventEmitter = require('events');
+const routerRegistry = require('./routerRegistry');
+const TimeSeriesStore = require('../utils/timeSeriesStore');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const RESOLUTIONS = ['raw', '1m', '1h'];
+
+const bucketStart = (timestamp, size) =>
+  new Date(Math.floor(new Date(timestamp).getTime() / size) * size).toISOString();
+
+// Combinar puntos (muestras o agregados) de una misma interfaz en un agregado
+const aggregate = (points, timestamp, seconds) => {
+  const samples = points.reduce((sum, p) => sum + (p.samples || 1), 0);
+  const weighted = (field) => points.reduce((sum, p) => sum + p[field] * (p.samples || 1), 0);
+  const rxBits = Math.round(weighted('rxBits') / samples);
+  const txBits = Math.round(weighted('txBits') / samples);
+  const fromMinutes = points[0].rxBytes !== undefined;
+
+  return {
+    router: points[0].router,
+    interface: points[0].interface,
+    timestamp,
+    rxBits,
+    txBits,
+    rxBitsMax: Math.max(...points.map(p => p.rxBitsMax ?? p.rxBits)),
+    txBitsMax: Math.max(...points.map(p => p.txBitsMax ?? p.txBits)),
+    // Bytes estimados a partir de la velocidad media del intervalo
+    rxBytes: fromMinutes ? points.reduce((sum, p) => sum + p.rxBytes, 0) : Math.round(rxBits * seconds / 8),
+    txBytes: fromMinutes ? points.reduce((sum, p) => sum + p.txBytes, 0) : Math.round(txBits * seconds / 8),
+    samples
+  };
+};
+
+// Historial de ancho de banda por interfaz: muestras crudas de corta duración
+// que se resumen en agregados de 1 minuto y de 1 hora con retención larga,
+// más la velocidad de cada dispositivo con simple queue.
+// Emite 'sample' con los datos de cada lectura para quien evalúe sobre el sondeo.
+class BandwidthHistoryService extends EventEmitter {
+  constructor() {
+    super();
+    this.raw = new TimeSeriesStore('bandwidth-raw');
+    this.minutes = new TimeSeriesStore('bandwidth-1m');
+    this.hours = new TimeSeriesStore('bandwidth-1h', { partition: 'month' });
+    // Velocidad por dispositivo (solo muestras crudas)
+    this.devices = new TimeSeriesStore('device-traffic');
+
+    this.sampleInterval = parseInt(process.env.BANDWIDTH_SAMPLE_MS) || 10000;
+    this.retention = {
+      raw: (parseInt(process.env.HISTORY_RAW_RETENTION_HOURS) || 24) * HOUR,
+      '1m': (parseInt(process.env.HISTORY_1M_RETENTION_DAYS) || 30) * DAY,
+      '1h': (parseInt(process.env.HISTORY_1H_RETENTION_DAYS) || 365) * DAY,
+      devices: (parseInt(process.env.HISTORY_DEVICE_RETENTION_HOURS) || 24) * HOUR
+    };
+    // Crear queues de conteo para medir también a los dispositivos sin queue
+    this.accountingQueues = process.env.DEVICE_ACCOUNTING_QUEUES === 'true';
+
+    // Muestras del minuto en curso por "router|interfaz"
+    this.openMinutes = new Map();
+    // Bytes del día (hora local) por "router|ip", integrados desde la velocidad
+    this.deviceUsage = new Map();
+    this.timer = null;
+    this.running = false;
+    this.lastPrune = 0;
+  }
+
+  async start() {
+    if (this.timer) return;
+    logger.info(`Historial de ancho de banda iniciado (muestra cada ${this.sampleInterval / 1000}s)`);
+    await this.loadDeviceUsage();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.sampleInterval);
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    // Guardar los minutos incompletos para no perderlos
+    await this.flushMinutes(() => true);
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const routers = await routerRegistry.getAll();
+      for (const router of routers) {
+        const timestamp = new Date().toISOString();
+        try {
+          const service = await routerRegistry.getService(router.id);
+          const interfaces = await service.getBandwidthUsage();
+          await this.record(router.id, interfaces);
+          const devices = await this.recordDevices(router.id, service);
+          this.emit('sample', { router: router.id, reachable: true, interfaces, devices, service, timestamp });
+        } catch (error) {
+          logger.debug(`Sin muestra de ancho de banda para ${router.id}: ${error.message}`);
+          this.emit('sample', { router: router.id, reachable: false, error: error.message, timestamp });
+        }
+      }
+
+      await this.flushMinutes(key => key < bucketStart(new Date(), MINUTE));
+
+      if (Date.now() - this.lastPrune > HOUR) {
+        await this.prune();
+      }
+    } catch (error) {
+      logger.error(`Error registrando historial de ancho de banda: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async record(routerId, bandwidthData, now = new Date()) {
+    const timestamp = now.toISOString();
+    const samples = bandwidthData.map(entry => ({
+      router: routerId,
+      interface: entry.interface,
+      timestamp,
+      rxBits: entry.rxBits,
+      txBits: entry.txBits
+    }));
+
+    await this.raw.append(samples);
+
+    const minute = bucketStart(now, MINUTE);
+    samples.forEach(sample => {
+      const key = `${routerId}|${sample.interface}`;
+      const open = this.openMinutes.get(key);
+      if (open && open.minute === minute) {
+        open.samples.push(sample);
+      } else {
+        // Un minuto anterior sin cerrar se cierra en el siguiente flush
+        if (open) this.openMinutes.set(`${key}|${open.minute}`, open);
+        this.openMinutes.set(key, { minute, samples: [sample] });
+      }
+    });
+  }
+
+  async recordDevices(routerId, service, now = new Date()) {
+    const traffic = await service.getDeviceTraffic();
+
+    if (this.accountingQueues) {
+      const measured = new Set(traffic.map(device => device.ip));
+      const users = await service.getConnectedUsers();
+      for (const user of users.filter(u => !measured.has(u.ip))) {
+        await service.ensureAccountingQueue(user.ip);
+      }
+    }
+
+    const points = traffic.map(device => ({
+      router: routerId,
+      ip: device.ip,
+      timestamp: now.toISOString(),
+      rxBits: device.rxBits,
+      txBits: device.txBits
+    }));
+    await this.devices.append(points);
+    points.forEach(point => this.addDeviceUsage(point));
+    return traffic;
+  }
+
+  // Sumar los bytes de una muestra al día en curso (a lo sumo dos intervalos si hubo huecos)
+  addDeviceUsage(point) {
+    const key = `${point.router}|${point.ip}`;
+    const time = new Date(point.timestamp);
+    const day = new Date(time.getFullYear(), time.getMonth(), time.getDate()).toISOString();
+    let usage = this.deviceUsage.get(key);
+
+    if (!usage || usage.day !== day) {
+      usage = { day, rxBytes: 0, txBytes: 0, lastTime: null };
+      this.deviceUsage.set(key, usage);
+    }
+
+    if (usage.lastTime) {
+      const seconds = Math.min(time - usage.lastTime, 2 * this.sampleInterval) / 1000;
+      usage.rxBytes += Math.round(point.rxBits * seconds / 8);
+      usage.txBytes += Math.round(point.txBits * seconds / 8);
+    }
+    usage.lastTime = time;
+  }
+
+  // Reconstruir el consumo del día desde el historial guardado (tras un reinicio)
+  async loadDeviceUsage(now = new Date()) {
+    try {
+      const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const points = await this.devices.query(dayStart, now);
+      points.forEach(point => this.addDeviceUsage(point));
+    } catch (error) {
+      logger.error(`Error cargando consumo diario por dispositivo: ${error.message}`);
+    }
+  }
+
+  // Bytes consumidos hoy por un dispositivo (estimados desde la velocidad muestreada)
+  getDeviceUsageToday(router, ip, now = new Date()) {
+    const usage = this.deviceUsage.get(`${router}|${ip}`);
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+    if (!usage || usage.day !== day) {
+      return { rxBytes: 0, txBytes: 0, totalBytes: 0 };
+    }
+    return { rxBytes: usage.rxBytes, txBytes: usage.txBytes, totalBytes: usage.rxBytes + usage.txBytes };
+  }
+
+  // Escribir los agregados de 1 minuto cerrados y, al cambiar de hora, el de la hora anterior
+  async flushMinutes(isClosed) {
+    const closed = [];
+    for (const [key, open] of this.openMinutes) {
+      if (isClosed(open.minute)) {
+        closed.push(aggregate(open.samples, open.minute, 60));
+        this.openMinutes.delete(key);
+      }
+    }
+
+    if (closed.length === 0) {
+      return;
+    }
+    await this.minutes.append(closed);
+
+    const hours = new Set(closed.map(point => bucketStart(point.timestamp, HOUR)));
+    const currentHour = bucketStart(new Date(), HOUR);
+    for (const hour of hours) {
+      if (hour < currentHour) {
+        await this.rollupHour(hour);
+      }
+    }
+  }
+
+  // El agregado horario se calcula desde los minutos guardados para sobrevivir a reinicios
+  async rollupHour(hour) {
+    const from = new Date(hour);
+    const to = new Date(from.getTime() + HOUR);
+    const existing = await this.hours.query(from, to);
+    const minutes = await this.minutes.query(from, to);
+
+    const groups = new Map();
+    minutes.forEach(point => {
+      const key = `${point.router}|${point.interface}`;
+      if (existing.some(h => `${h.router}|${h.interface}` === key)) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(point);
+    });
+
+    const points = Array.from(groups.values()).map(group => aggregate(group, hour, 3600));
+    await this.hours.append(points);
+  }
+
+  async prune(now = new Date()) {
+    this.lastPrune = now.getTime();
+    await this.raw.prune(new Date(now.getTime() - this.retention.raw));
+    await this.minutes.prune(new Date(now.getTime() - this.retention['1m']));
+    await this.hours.prune(new Date(now.getTime() - this.retention['1h']));
+    await this.devices.prune(new Date(now.getTime() - this.retention.devices));
+  }
+
+  // Resolución adecuada para un rango si no se indica una
+  pickResolution(from, to) {
+    const range = to - from;
+    if (range <= 2 * HOUR && from.getTime() >= Date.now() - this.retention.raw) return 'raw';
+    if (range <= 2 * DAY && from.getTime() >= Date.now() - this.retention['1m']) return '1m';
+    return '1h';
+  }
+
+  async query({ router, interface: iface, from, to = new Date(), resolution }) {
+    const selected = resolution && resolution !== 'auto' ? resolution : this.pickResolution(from, to);
+    const store = { raw: this.raw, '1m': this.minutes, '1h': this.hours }[selected];
+
+    const points = await store.query(from, to, point =>
+      point.router === router && (!iface || point.interface === iface)
+    );
+
+    return { resolution: selected, points };
+  }
+
+  async queryDevice({ router, ip, from, to = new Date() }) {
+    return this.devices.query(from, to, point => point.router === router && point.ip === ip);
+  }
+}
+
+module.exports = new BandwidthHistoryService();
+module.exports.RESOLUTIONS = RESOLUTIONS;
@@ -0,0 +1,125 @@
+const net = require('net');
+const auditService = require('./auditService');
+const { normalizeMac } = require('./deviceService');
+const { isCidr, isMac, cidrContains } = require('../utils/network');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+// Acción de la API -> acción de auditoría
+const ACTIONS = {
+  'set-limit': 'setSpeedLimit',
+  'remove-limit': 'removeSpeedLimit',
+  kick: 'kickUser',
+  unblock: 'unblockUser'
+};
+
+// Operaciones masivas sobre una lista de IPs, MACs o rangos CIDR con una
+// misma acción. Las MACs y los CIDR se resuelven con la tabla ARP/DHCP del
+// router (un CIDR solo incluye los dispositivos presentes, no todo el rango).
+class BulkService {
+  constructor() {
+    this.concurrency = parseInt(process.env.BULK_CONCURRENCY) || 4;
+  }
+
+  // Traducir los objetivos a IPs; devuelve [{ target, ip, mac }] y los no resueltos
+  async resolveTargets(service, targets) {
+    const needsBindings = targets.some(t => isMac(t) || isCidr(t));
+    const bindings = needsBindings ? await service.getMacBindings() : new Map();
+
+    const resolved = [];
+    const unresolved = [];
+    const seen = new Set();
+    const add = (target, ip, mac = null) => {
+      if (seen.has(ip)) return;
+      seen.add(ip);
+      resolved.push({ target, ip, mac });
+    };
+
+    for (const target of targets) {
+      if (net.isIP(target)) {
+        add(target, target);
+      } else if (isMac(target)) {
+        const mac = normalizeMac(target);
+        const ip = bindings.get(mac);
+        if (ip) {
+          add(target, ip, mac);
+        } else {
+          unresolved.push({ target, status: 'skipped', error: 'MAC sin IP en ARP ni DHCP' });
+        }
+      } else if (isCidr(target)) {
+        const matches = Array.from(bindings.entries()).filter(([, ip]) => cidrContains(target, ip));
+        if (matches.length === 0) {
+          unresolved.push({ target, status: 'skipped', error: 'Ningún dispositivo conectado en el rango' });
+        }
+        matches.forEach(([mac, ip]) => add(target, ip, mac));
+      }
+    }
+
+    return { resolved, unresolved };
+  }
+
+  operation(service, action, ip, params) {
+    switch (action) {
+      case 'set-limit':
+        // Sin los 2s de verificación de cada límite
+        return service.setSpeedLimit(ip, params.rxLimit, params.txLimit, { verify: false });
+      case 'remove-limit':
+        return service.removeSpeedLimit(ip);
+      case 'kick':
+        return service.kickUser(ip, params.duration);
+      case 'unblock':
+        return service.unblockUser(ip);
+      default:
+        throw new Error(`Acción desconocida: ${action}`);
+    }
+  }
+
+  async run(ctx, { targets, action, rxLimit, txLimit, duration = 300 }) {
+    const { service } = ctx;
+    const params = action === 'set-limit' ? { rxLimit, txLimit } : action === 'kick' ? { duration } : {};
+    const started = Date.now();
+
+    // Una sola conexión compartida por todas las operaciones
+    await service.connect();
+    const { resolved, unresolved } = await this.resolveTargets(service, targets);
+
+    const blocking = action === 'set-limit' && rxLimit === 0 && txLimit === 0;
+
+    // Crear lista y regla de firewall antes de lanzar expulsiones o bloqueos 0/0 en paralelo
+    if (resolved.length > 0 && (action === 'kick' || blocking)) {
+      await service.ensureBlockList(blocking ? 'api_speed_blocked' : 'api_blocked');
+    }
+
+    const auditAction = blocking ? 'blockUserCompletely' : ACTIONS[action];
+
+    const results = await mapWithConcurrency(resolved, this.concurrency, async ({ target, ip, mac }) => {
+      try {
+        const result = await auditService.track({
+          ...ctx,
+          action: auditAction,
+          target: { ip, ...(mac ? { mac } : {}) },
+          params: { ...params, bulk: true }
+        }, () => this.operation(service, action, ip, params));
+        return { target, ip, mac, status: 'success', message: result.message };
+      } catch (error) {
+        return { target, ip, mac, status: 'failed', error: error.message };
+      }
+    });
+
+    const report = [...results, ...unresolved];
+    const summary = {
+      total: report.length,
+      succeeded: report.filter(r => r.status === 'success').length,
+      failed: report.filter(r => r.status === 'failed').length,
+      skipped: report.filter(r => r.status === 'skipped').length,
+      durationMs: Date.now() - started
+    };
+
+    logger.info(`Operación masiva ${action}: ${summary.succeeded} ok, ${summary.failed} fallidas, ${summary.skipped} omitidas`);
+    return { results: report, summary };
+  }
+}
+
+module.exports = new BulkService();
+module.exports.ACTIONS = Object.keys(ACTIONS);
+module.exports.MAX_TARGETS = 256;
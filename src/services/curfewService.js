@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const routerRegistry = require('./routerRegistry');
+const auditService = require('./auditService');
+const { createStore } = require('../utils/store');
+const { isWithinWindow, minutesUntilEnd } = require('../utils/timeWindow');
+const logger = require('../utils/logger');
+
+const CURFEW_ACTOR = { username: 'curfew', role: 'system' };
+
+// Prefijos de comentario de las entradas en api_blocked gestionadas aquí
+const CURFEW_COMMENT = 'Curfew_API';
+const PAUSE_COMMENT = 'Pausa_API';
+
+// Toques de queda recurrentes: bloqueo total (api_blocked) durante una franja horaria
+class CurfewService {
+  constructor() {
+    this.store = createStore('curfews');
+    this.tickInterval = parseInt(process.env.CURFEW_TICK_MS) || 30000;
+    this.timer = null;
+    this.running = false;
+    // Routers con curfews eliminadas o modificadas pendientes de limpiar
+    this.pendingRouters = new Set();
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Toques de queda iniciados (cada ${this.tickInterval / 1000}s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  withStatus(curfew, now = new Date()) {
+    const active = curfew.enabled && isWithinWindow(curfew, now);
+    return {
+      ...curfew,
+      active,
+      minutesRemaining: active ? minutesUntilEnd(curfew, now) : 0
+    };
+  }
+
+  async list(router) {
+    const curfews = await this.store.all();
+    return curfews
+      .filter(c => !router || c.router === router)
+      .map(c => this.withStatus(c));
+  }
+
+  async get(id) {
+    const curfew = await this.store.get(id);
+    return curfew ? this.withStatus(curfew) : null;
+  }
+
+  async getActive(router) {
+    const curfews = await this.list(router);
+    return curfews.filter(c => c.active);
+  }
+
+  async create(data, createdBy) {
+    const curfew = {
+      id: crypto.randomUUID(),
+      router: data.router,
+      name: data.name,
+      ips: data.ips,
+      days: data.days || [],
+      start: data.start,
+      end: data.end,
+      enabled: data.enabled !== false,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(curfew);
+    logger.info(`Toque de queda "${curfew.name}" creado (${curfew.start}-${curfew.end}, ${curfew.ips.length} dispositivos)`);
+    this.tick();
+    return curfew;
+  }
+
+  async update(id, changes) {
+    const curfew = await this.store.get(id);
+    if (!curfew) {
+      return null;
+    }
+
+    const updated = { ...curfew, updatedAt: new Date().toISOString() };
+    ['name', 'ips', 'days', 'start', 'end', 'enabled'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+
+    await this.store.save(updated);
+    this.pendingRouters.add(updated.router);
+    this.tick();
+    return updated;
+  }
+
+  async remove(id) {
+    const curfew = await this.store.get(id);
+    if (!curfew) {
+      return false;
+    }
+
+    await this.store.remove(id);
+    this.pendingRouters.add(curfew.router);
+    this.tick();
+    return true;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const curfews = await this.store.all();
+      const routers = new Set([...curfews.map(c => c.router), ...this.pendingRouters]);
+
+      for (const routerId of routers) {
+        const reconciled = await this.reconcileRouter(routerId, curfews.filter(c => c.router === routerId));
+        if (reconciled) {
+          this.pendingRouters.delete(routerId);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error evaluando toques de queda: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Sincronizar las entradas Curfew_API del router con las curfews activas
+  async reconcileRouter(routerId, curfews, now = new Date()) {
+    const service = await routerRegistry.getService(routerId);
+    if (!service) {
+      return true;
+    }
+
+    try {
+      // IP -> { curfewId, minutos restantes } (la ventana que termina más tarde)
+      const desired = new Map();
+      curfews
+        .filter(c => c.enabled && isWithinWindow(c, now))
+        .forEach(curfew => {
+          const minutes = minutesUntilEnd(curfew, now);
+          curfew.ips.forEach(ip => {
+            const current = desired.get(ip);
+            if (!current || minutes > current.minutes) {
+              desired.set(ip, { curfewId: curfew.id, minutes });
+            }
+          });
+        });
+
+      const entries = await service.getBlockListEntries(CURFEW_COMMENT);
+
+      // Salida automática: quitar entradas que ya no corresponden
+      for (const entry of entries) {
+        if (desired.has(entry.ip)) continue;
+        await auditService.track({
+          actor: CURFEW_ACTOR,
+          router: routerId,
+          service,
+          action: 'curfewRelease',
+          target: { ip: entry.ip },
+          params: { comment: entry.comment }
+        }, () => service.removeBlockListEntry(entry.id, entry.ip));
+      }
+
+      // Entrada automática: bloquear IPs en toque de queda sin entrada
+      const blocked = new Set(entries.map(e => e.ip));
+      const pending = Array.from(desired.entries()).filter(([ip]) => !blocked.has(ip));
+      if (pending.length > 0) {
+        await service.ensureBlockList();
+      }
+
+      for (const [ip, { curfewId, minutes }] of pending) {
+        // El timeout hace que el router libere la IP aunque la API no esté corriendo
+        await auditService.track({
+          actor: CURFEW_ACTOR,
+          router: routerId,
+          service,
+          action: 'curfewBlock',
+          target: { ip },
+          params: { curfewId, minutes }
+        }, () => service.addToBlockList(ip, {
+          comment: `${CURFEW_COMMENT}_${curfewId}`,
+          timeout: `${minutes + 1}m`
+        })).catch(error => {
+          // Ya bloqueada por otra vía (expulsión o pausa): no es un fallo
+          if (!error.message.includes('already have')) throw error;
+        });
+        logger.info(`Toque de queda: ${ip} bloqueada en ${routerId} por ${minutes} minutos`);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error(`Error aplicando toques de queda en ${routerId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Pausar internet de un dispositivo ahora durante N minutos
+  async pause(service, ip, minutes) {
+    await this.resume(service, ip);
+    await service.ensureBlockList();
+    const result = await service.addToBlockList(ip, {
+      comment: PAUSE_COMMENT,
+      timeout: `${minutes}m`,
+      replace: true
+    });
+
+    return {
+      success: true,
+      message: `Internet pausado para ${ip} durante ${minutes} minutos`,
+      ruleId: service.getReturnId(result),
+      until: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+    };
+  }
+
+  async resume(service, ip) {
+    const entries = await service.getBlockListEntries(PAUSE_COMMENT);
+    const matching = entries.filter(e => e.ip === ip);
+    for (const entry of matching) {
+      await service.removeBlockListEntry(entry.id, entry.ip);
+    }
+
+    return {
+      success: true,
+      message: `Pausa de internet removida para ${ip}`,
+      rulesRemoved: matching.length
+    };
+  }
+
+  async getPauses(service) {
+    return service.getBlockListEntries(PAUSE_COMMENT);
+  }
+}
+
+module.exports = new CurfewService();
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const macPolicyService = require('./macPolicyService');
+const planService = require('./planService');
+const { normalizeMac } = require('./deviceService');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+// Grupos de dispositivos (por MAC) de un router con un plan común. La política
+// individual de un dispositivo tiene prioridad: el grupo no la pisa ni la borra.
+class DeviceGroupService {
+  constructor() {
+    this.store = createStore('device-groups');
+  }
+
+  async list(router) {
+    const groups = await this.store.all();
+    return groups.filter(g => !router || g.router === router);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async create(ctx, data) {
+    const group = {
+      id: crypto.randomUUID(),
+      router: ctx.router,
+      name: data.name,
+      members: [...new Set((data.members || []).map(normalizeMac))],
+      planId: data.planId || null,
+      createdBy: ctx.actor.username,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(group);
+    logger.info(`Grupo "${group.name}" creado (${group.members.length} dispositivos)`);
+    const applied = await this.applyMembers(ctx, group, group.members);
+    return { group, applied };
+  }
+
+  async update(ctx, id, changes) {
+    const group = await this.store.get(id);
+    if (!group) {
+      return null;
+    }
+
+    const updated = { ...group, updatedAt: new Date().toISOString() };
+    if (changes.name !== undefined) updated.name = changes.name;
+    if (changes.members !== undefined) updated.members = [...new Set(changes.members.map(normalizeMac))];
+    if (changes.planId !== undefined) updated.planId = changes.planId;
+    await this.store.save(updated);
+
+    // Salen del grupo: se quita su plan; con otro plan se reaplica a todos
+    const removed = group.members.filter(mac => !updated.members.includes(mac));
+    const planChanged = updated.planId !== group.planId;
+    const added = planChanged ? updated.members : updated.members.filter(mac => !group.members.includes(mac));
+
+    await this.releaseMembers(ctx, group, planChanged && !updated.planId ? group.members : removed);
+    const applied = await this.applyMembers(ctx, updated, added);
+    return { group: updated, applied };
+  }
+
+  async remove(ctx, id) {
+    const group = await this.store.get(id);
+    if (!group) {
+      return false;
+    }
+
+    await this.store.remove(id);
+    await this.releaseMembers(ctx, group, group.members);
+    return true;
+  }
+
+  // Asignar el plan del grupo a los miembros indicados; devuelve el resultado por MAC
+  async applyMembers(ctx, group, members) {
+    const plan = group.planId ? await planService.get(group.planId) : null;
+    if (!plan || members.length === 0) {
+      return [];
+    }
+
+    const results = [];
+    for (const mac of members) {
+      const existing = await macPolicyService.get(ctx.router, mac);
+      if (existing && !existing.groupId) {
+        results.push({ mac, status: 'skipped', reason: 'El dispositivo tiene una política individual' });
+        continue;
+      }
+
+      try {
+        const { policy } = await planService.assign(ctx, mac, plan, group.id);
+        results.push({ mac, status: policy.ip ? 'applied' : 'pending', ip: policy.ip });
+      } catch (error) {
+        logger.error(`Error aplicando el plan del grupo "${group.name}" a ${mac}: ${error.message}`);
+        results.push({ mac, status: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Quitar la política de los miembros que la recibieron de este grupo
+  async releaseMembers(ctx, group, members) {
+    for (const mac of members) {
+      const policy = await macPolicyService.get(ctx.router, mac);
+      if (!policy || policy.groupId !== group.id) continue;
+
+      try {
+        await macPolicyService.remove(ctx, mac);
+      } catch (error) {
+        logger.error(`Error quitando el plan del grupo "${group.name}" a ${mac}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new DeviceGroupService();
@@ -0,0 +1,193 @@
+const routerRegistry = require('./routerRegistry');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const CATEGORIES = ['computer', 'phone', 'tablet', 'tv', 'console', 'iot', 'printer', 'network', 'other'];
+
+// Precisión de last-seen: no se reescribe el registro más de una vez por minuto
+const SEEN_RESOLUTION_MS = 60 * 1000;
+
+// RouterOS devuelve las MAC en mayúsculas separadas por ":"
+const normalizeMac = (mac) => (mac || '').toString().trim().toUpperCase().replace(/-/g, ':');
+
+// Inventario persistente de dispositivos por MAC: nombre amigable, dueño,
+// categoría y etiquetas, con la primera y última vez que se vieron en la red.
+// Los dispositivos nuevos se registran solos al aparecer en la tabla ARP.
+class DeviceService {
+  constructor() {
+    this.store = createStore('devices');
+    this.scanInterval = parseInt(process.env.DEVICE_SCAN_MS) || 60000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Inventario de dispositivos iniciado (cada ${this.scanInterval / 1000}s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.scanInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async list({ owner, category, tag, search } = {}) {
+    const term = search ? search.toLowerCase() : null;
+    return (await this.store.all())
+      .filter(d => !owner || d.owner === owner)
+      .filter(d => !category || d.category === category)
+      .filter(d => !tag || d.tags.includes(tag))
+      .filter(d => !term || [d.mac, d.name, d.owner, d.hostname, d.lastIp]
+        .some(value => value && value.toLowerCase().includes(term)))
+      .sort((a, b) => new Date(b.lastSeen || 0) - new Date(a.lastSeen || 0));
+  }
+
+  async get(mac) {
+    return this.store.get(normalizeMac(mac));
+  }
+
+  async create(data, createdBy) {
+    const mac = normalizeMac(data.mac);
+    const now = new Date().toISOString();
+    const device = {
+      id: mac,
+      mac,
+      name: data.name || null,
+      owner: data.owner || null,
+      category: data.category || null,
+      tags: data.tags || [],
+      hostname: null,
+      lastIp: null,
+      lastRouter: null,
+      firstSeen: null,
+      lastSeen: null,
+      createdBy,
+      createdAt: now
+    };
+
+    await this.store.save(device);
+    logger.info(`Dispositivo ${mac} registrado en el inventario`);
+    return device;
+  }
+
+  async update(mac, changes) {
+    const device = await this.get(mac);
+    if (!device) {
+      return null;
+    }
+
+    const updated = { ...device, updatedAt: new Date().toISOString() };
+    ['name', 'owner', 'category', 'tags'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+
+    await this.store.save(updated);
+    return updated;
+  }
+
+  async remove(mac) {
+    return this.store.remove(normalizeMac(mac));
+  }
+
+  // Registrar los dispositivos vistos en la tabla ARP de un router
+  async recordSightings(router, users, now = new Date()) {
+    for (const user of users) {
+      if (!user.mac) continue;
+
+      const mac = normalizeMac(user.mac);
+      const device = await this.store.get(mac);
+      const hostname = user.dispositivo && user.dispositivo !== user.mac ? user.dispositivo : null;
+
+      if (!device) {
+        await this.store.save({
+          id: mac,
+          mac,
+          name: null,
+          owner: null,
+          category: null,
+          tags: [],
+          hostname,
+          lastIp: user.ip,
+          lastRouter: router,
+          firstSeen: now.toISOString(),
+          lastSeen: now.toISOString(),
+          createdBy: 'discovery',
+          createdAt: now.toISOString()
+        });
+        logger.info(`Dispositivo nuevo en ${router}: ${mac} (${user.ip})`);
+        continue;
+      }
+
+      const moved = device.lastIp !== user.ip || device.lastRouter !== router
+        || (hostname && device.hostname !== hostname);
+      const stale = !device.lastSeen || now - new Date(device.lastSeen) >= SEEN_RESOLUTION_MS;
+      if (!moved && !stale) continue;
+
+      await this.store.save({
+        ...device,
+        hostname: hostname || device.hostname,
+        lastIp: user.ip,
+        lastRouter: router,
+        firstSeen: device.firstSeen || now.toISOString(),
+        lastSeen: now.toISOString()
+      });
+    }
+  }
+
+  // Agregar a cada usuario conectado su ficha del inventario y usar el nombre amigable
+  async enrichUsers(router, users) {
+    try {
+      await this.recordSightings(router, users);
+
+      return Promise.all(users.map(async user => {
+        const device = user.mac ? await this.store.get(normalizeMac(user.mac)) : null;
+        if (!device) {
+          return { ...user, device: null };
+        }
+
+        return {
+          ...user,
+          dispositivo: device.name || user.dispositivo,
+          device: {
+            name: device.name,
+            owner: device.owner,
+            category: device.category,
+            tags: device.tags,
+            firstSeen: device.firstSeen,
+            lastSeen: device.lastSeen
+          }
+        };
+      }));
+    } catch (error) {
+      logger.warn(`No se pudo agregar el inventario de dispositivos: ${error.message}`);
+      return users;
+    }
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const routers = await routerRegistry.getAll();
+      for (const router of routers) {
+        try {
+          const service = await routerRegistry.getService(router.id);
+          await this.recordSightings(router.id, await service.getConnectedUsers());
+        } catch (error) {
+          logger.debug(`Inventario: no se pudo escanear ${router.id} (${error.message})`);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new DeviceService();
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.normalizeMac = normalizeMac;
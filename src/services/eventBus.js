@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Tipos de evento publicados por la aplicación
+const EVENT_TYPES = [
+  'device.blocked',
+  'device.unblocked',
+  'limit.set',
+  'limit.removed',
+  'router.down',
+  'router.up',
+  'alert.fired',
+  'alert.resolved'
+];
+
+// Bus de eventos interno: MikrotikService, los health checks y las alertas publican,
+// los webhooks (y quien lo necesite) se suscriben a 'event' o a un tipo concreto
+class EventBus extends EventEmitter {
+  publish(type, data = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.emit('event', event);
+    this.emit(type, event);
+    return event;
+  }
+}
+
+module.exports = new EventBus();
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,269 @@
+const routerRegistry = require('./routerRegistry');
+const auditService = require('./auditService');
+const { normalizeMac } = require('./deviceService');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const POLICY_ACTOR = { username: 'policy', role: 'system' };
+
+const POLICY_TYPES = ['limit', 'block', 'kick'];
+
+// Prefijo de comentario de las expulsiones por MAC en api_blocked
+const KICK_COMMENT = 'MacKick_API';
+
+// Dueño de las queues y bloqueos 0/0 de las políticas (ver MikrotikService.setSpeedLimit)
+const POLICY_OWNER = 'MAC_POLICY';
+
+// Límites, bloqueos y expulsiones asignados a una MAC. RouterOS solo entiende
+// IPs en las queues y address-lists, así que cada política guarda la IP donde
+// está aplicada y el reconciliador la mueve cuando DHCP le da otra al dispositivo.
+class MacPolicyService {
+  constructor() {
+    this.store = createStore('mac-policies');
+    this.reconcileInterval = parseInt(process.env.MAC_POLICY_RECONCILE_MS) || 30000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Políticas por MAC iniciadas (cada ${this.reconcileInterval / 1000}s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.reconcileInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  policyId(router, mac) {
+    return `${router}|${normalizeMac(mac)}`;
+  }
+
+  async list(router) {
+    const policies = await this.store.all();
+    return policies.filter(p => !router || p.router === router);
+  }
+
+  async get(router, mac) {
+    return this.store.get(this.policyId(router, mac));
+  }
+
+  // Crear o reemplazar la política de una MAC y aplicarla si el dispositivo está en la red
+  async assign(ctx, data) {
+    const mac = normalizeMac(data.mac);
+    const previous = await this.get(ctx.router, mac);
+    const now = new Date();
+
+    const policy = {
+      id: this.policyId(ctx.router, mac),
+      router: ctx.router,
+      mac,
+      type: data.type,
+      rxLimit: data.type === 'limit' ? data.rxLimit : null,
+      txLimit: data.type === 'limit' ? data.txLimit : null,
+      expiresAt: data.type === 'kick'
+        ? new Date(now.getTime() + (data.duration || 300) * 1000).toISOString()
+        : null,
+      // Plan y grupo de origen: al editar el plan se reaplican sus límites
+      planId: data.type === 'limit' ? data.planId || null : null,
+      groupId: data.groupId || null,
+      ip: null,
+      appliedAt: null,
+      createdBy: previous ? previous.createdBy : ctx.actor.username,
+      createdAt: previous ? previous.createdAt : now.toISOString(),
+      ...(previous ? { updatedAt: now.toISOString() } : {})
+    };
+
+    // Quitar lo que aplicaba la política anterior antes de aplicar la nueva
+    if (previous && previous.ip) {
+      await this.release(ctx, previous, previous.ip);
+    }
+
+    const ip = await ctx.service.resolveMacToIp(mac);
+    let result = null;
+    if (ip) {
+      result = await this.apply(ctx, policy, ip);
+      policy.ip = ip;
+      policy.appliedAt = new Date().toISOString();
+    } else {
+      logger.info(`Política ${policy.type} para ${mac} pendiente: el dispositivo no está en la red`);
+    }
+
+    await this.store.save(policy);
+    return { policy, result };
+  }
+
+  // Cambiar los límites de una política "limit" y reaplicarlos donde esté aplicada
+  async updateLimits(ctx, policy, { rxLimit, txLimit }, { verify = true } = {}) {
+    const updated = { ...policy, rxLimit, txLimit, updatedAt: new Date().toISOString() };
+    if (updated.ip) {
+      await this.apply(ctx, updated, updated.ip, { verify });
+      updated.appliedAt = new Date().toISOString();
+    }
+    await this.store.save(updated);
+    return updated;
+  }
+
+  async remove(ctx, mac) {
+    const policy = await this.get(ctx.router, mac);
+    if (!policy) {
+      return false;
+    }
+
+    if (policy.ip) {
+      await this.release(ctx, policy, policy.ip);
+    }
+    await this.store.remove(policy.id);
+    return true;
+  }
+
+  remainingSeconds(policy, now = new Date()) {
+    return Math.max(0, Math.ceil((new Date(policy.expiresAt) - now) / 1000));
+  }
+
+  apply(ctx, policy, ip, { verify = true } = {}) {
+    const target = { ip, mac: policy.mac };
+
+    if (policy.type === 'limit') {
+      return auditService.track({
+        ...ctx,
+        action: policy.rxLimit === 0 && policy.txLimit === 0 ? 'blockUserCompletely' : 'setSpeedLimit',
+        target,
+        params: { rxLimit: policy.rxLimit, txLimit: policy.txLimit, policy: 'mac' }
+      }, () => ctx.service.setSpeedLimit(ip, policy.rxLimit, policy.txLimit, { verify, owner: POLICY_OWNER }));
+    }
+
+    if (policy.type === 'block') {
+      return auditService.track({
+        ...ctx,
+        action: 'blockUserCompletely',
+        target,
+        params: { policy: 'mac' }
+      }, () => ctx.service.blockUserCompletely(ip, { owner: POLICY_OWNER }));
+    }
+
+    const duration = this.remainingSeconds(policy);
+    return auditService.track({
+      ...ctx,
+      action: 'kickUser',
+      target,
+      params: { duration, policy: 'mac' }
+    }, async () => {
+      await ctx.service.ensureBlockList();
+      const result = await ctx.service.addToBlockList(ip, {
+        comment: `${KICK_COMMENT}_${policy.mac}`,
+        timeout: `${duration}s`,
+        replace: true
+      });
+      return { ruleId: ctx.service.getReturnId(result) };
+    });
+  }
+
+  // Quitar de una IP las queues o entradas de address-list que puso la política,
+  // sin tocar los bloqueos de otras funcionalidades (toques de queda, pausas...)
+  release(ctx, policy, ip) {
+    const target = { ip, mac: policy.mac };
+
+    if (policy.type === 'kick') {
+      return auditService.track({
+        ...ctx,
+        action: 'unblockUser',
+        target,
+        params: { policy: 'mac' }
+      }, async () => {
+        const entries = await ctx.service.getBlockListEntries(`${KICK_COMMENT}_${policy.mac}`);
+        const matching = entries.filter(entry => entry.ip === ip);
+        for (const entry of matching) {
+          await ctx.service.removeBlockListEntry(entry.id, entry.ip);
+        }
+        return { success: true, rulesRemoved: matching.length };
+      });
+    }
+
+    return auditService.track({
+      ...ctx,
+      action: 'removeSpeedLimit',
+      target,
+      params: { policy: 'mac' }
+    }, () => ctx.service.removeSpeedLimit(ip, { owner: POLICY_OWNER }));
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const policies = await this.store.all();
+      const routers = new Set(policies.map(p => p.router));
+
+      for (const routerId of routers) {
+        await this.reconcileRouter(routerId, policies.filter(p => p.router === routerId));
+      }
+    } catch (error) {
+      logger.error(`Error reconciliando políticas por MAC: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Mover cada política a la IP que tiene ahora su MAC
+  async reconcileRouter(routerId, policies, now = new Date()) {
+    const service = await routerRegistry.getService(routerId);
+    if (!service) {
+      return;
+    }
+    const ctx = { actor: POLICY_ACTOR, router: routerId, service };
+
+    let bindings;
+    try {
+      bindings = await service.getMacBindings();
+    } catch (error) {
+      logger.warn(`Políticas por MAC: no se pudo leer ARP/DHCP de ${routerId} (${error.message})`);
+      return;
+    }
+    const owners = new Map(Array.from(bindings.entries()).map(([mac, ip]) => [ip, mac]));
+
+    for (const policy of policies) {
+      try {
+        // Las expulsiones caducan solas en el router (timeout); aquí solo se olvidan
+        if (policy.type === 'kick' && this.remainingSeconds(policy, now) === 0) {
+          await this.store.remove(policy.id);
+          continue;
+        }
+
+        const ip = bindings.get(policy.mac) || null;
+        if (ip === policy.ip) continue;
+
+        if (!ip) {
+          // Desconectado: se deja aplicado salvo que otro dispositivo ya use esa IP
+          const owner = owners.get(policy.ip);
+          if (!policy.ip || !owner || owner === policy.mac) continue;
+
+          logger.info(`Política de ${policy.mac}: ${policy.ip} ahora es de ${owner}, liberando`);
+          await this.release(ctx, policy, policy.ip);
+          await this.store.save({ ...policy, ip: null, appliedAt: null });
+          continue;
+        }
+
+        if (policy.ip) {
+          logger.info(`Política de ${policy.mac}: IP cambió de ${policy.ip} a ${ip}`);
+          await this.release(ctx, policy, policy.ip);
+          // Si la aplicación falla, el siguiente ciclo lo vuelve a intentar
+          await this.store.save({ ...policy, ip: null, appliedAt: null });
+        }
+
+        await this.apply(ctx, policy, ip);
+        await this.store.save({ ...policy, ip, appliedAt: new Date().toISOString() });
+      } catch (error) {
+        logger.error(`Error moviendo la política de ${policy.mac} en ${routerId}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new MacPolicyService();
+module.exports.POLICY_TYPES = POLICY_TYPES;
@@ -0,0 +1,191 @@
+const client = require('prom-client');
+const routerRegistry = require('./routerRegistry');
+const logger = require('../utils/logger');
+
+// Uptime de RouterOS ("1w2d3h4m5s") a segundos
+const UPTIME_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+const parseUptime = (uptime) => {
+  if (!uptime) return null;
+  let seconds = 0;
+  const pattern = /(\d+)([wdhms])/g;
+  let match;
+  while ((match = pattern.exec(uptime)) !== null) {
+    seconds += parseInt(match[1]) * UPTIME_UNITS[match[2]];
+  }
+  return seconds;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Métricas en formato de exposición de Prometheus. Las del router se leen en
+// cada scrape; las HTTP se acumulan con el middleware `httpMetrics`.
+class MetricsService {
+  constructor() {
+    this.register = new client.Registry();
+    client.collectDefaultMetrics({ register: this.register, prefix: 'haplite_' });
+
+    const gauge = (name, help, labelNames = []) =>
+      new client.Gauge({ name, help, labelNames, registers: [this.register] });
+
+    this.routerUp = gauge('mikrotik_up', 'Router alcanzable (1) o no (0)', ['router']);
+    this.scrapeDuration = gauge('mikrotik_scrape_duration_seconds', 'Duración de la lectura del router', ['router']);
+
+    this.interfaceBits = gauge('mikrotik_interface_bits_per_second', 'Velocidad actual de la interfaz', ['router', 'interface', 'direction']);
+    this.interfaceBytes = gauge('mikrotik_interface_bytes', 'Bytes reportados por monitor-traffic', ['router', 'interface', 'direction']);
+
+    this.queueBytes = gauge('mikrotik_queue_bytes', 'Bytes acumulados de la simple queue', ['router', 'queue', 'target', 'direction']);
+    this.queuePackets = gauge('mikrotik_queue_packets', 'Paquetes acumulados de la simple queue', ['router', 'queue', 'target', 'direction']);
+
+    this.cpuLoad = gauge('mikrotik_cpu_load_percent', 'Carga de CPU del router', ['router']);
+    this.memoryFree = gauge('mikrotik_memory_free_bytes', 'Memoria libre del router', ['router']);
+    this.memoryTotal = gauge('mikrotik_memory_total_bytes', 'Memoria total del router', ['router']);
+    this.uptime = gauge('mikrotik_uptime_seconds', 'Tiempo encendido del router', ['router']);
+    this.temperature = gauge('mikrotik_temperature_celsius', 'Temperatura del router', ['router']);
+
+    this.connectedDevices = gauge('mikrotik_connected_devices', 'Dispositivos en la tabla ARP', ['router']);
+
+    this.wsClients = gauge('haplite_websocket_connected_clients', 'Clientes WebSocket conectados');
+    this.wsSubscriptions = gauge('haplite_websocket_subscriptions', 'Suscripciones WebSocket activas por tipo', ['type']);
+
+    this.httpDuration = new client.Histogram({
+      name: 'haplite_http_request_duration_seconds',
+      help: 'Latencia de las peticiones HTTP',
+      labelNames: ['method', 'route', 'status_code'],
+      buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers: [this.register]
+    });
+    this.httpErrors = new client.Counter({
+      name: 'haplite_http_request_errors_total',
+      help: 'Peticiones HTTP respondidas con 4xx o 5xx',
+      labelNames: ['method', 'route', 'status_code'],
+      registers: [this.register]
+    });
+
+    this.pendingRender = null;
+  }
+
+  // Middleware Express: latencia y errores por ruta (plantilla, no la URL concreta)
+  httpMetrics() {
+    return (req, res, next) => {
+      const end = this.httpDuration.startTimer();
+      res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method: req.method, route, status_code: res.statusCode };
+        end(labels);
+        if (res.statusCode >= 400) {
+          this.httpErrors.inc(labels);
+        }
+      });
+      next();
+    };
+  }
+
+  // Leer cada router; un router caído solo deja mikrotik_up = 0
+  async collectRouters() {
+    [
+      this.interfaceBits, this.interfaceBytes, this.queueBytes, this.queuePackets,
+      this.cpuLoad, this.memoryFree, this.memoryTotal, this.uptime, this.temperature,
+      this.connectedDevices
+    ].forEach(metric => metric.reset());
+
+    const routers = await routerRegistry.getAll();
+    await Promise.all(routers.map(router => this.collectRouter(router.id)));
+  }
+
+  async collectRouter(routerId) {
+    const end = this.scrapeDuration.startTimer({ router: routerId });
+    const service = await routerRegistry.getService(routerId);
+
+    try {
+      const [interfaces, queues, users] = await Promise.all([
+        service.getBandwidthUsage(),
+        service.getActiveQueues(),
+        service.getConnectedUsers()
+      ]);
+
+      interfaces.forEach(entry => {
+        const labels = { router: routerId, interface: entry.interface };
+        this.interfaceBits.set({ ...labels, direction: 'rx' }, entry.rxBits);
+        this.interfaceBits.set({ ...labels, direction: 'tx' }, entry.txBits);
+        this.interfaceBytes.set({ ...labels, direction: 'rx' }, entry.rxBytes);
+        this.interfaceBytes.set({ ...labels, direction: 'tx' }, entry.txBytes);
+      });
+
+      queues.forEach(queue => {
+        const labels = { router: routerId, queue: queue.name, target: queue.target || '' };
+        this.queueBytes.set({ ...labels, direction: 'upload' }, queue.bytesIn);
+        this.queueBytes.set({ ...labels, direction: 'download' }, queue.bytesOut);
+        this.queuePackets.set({ ...labels, direction: 'upload' }, queue.packetsIn);
+        this.queuePackets.set({ ...labels, direction: 'download' }, queue.packetsOut);
+      });
+
+      this.connectedDevices.set({ router: routerId }, users.length);
+      this.routerUp.set({ router: routerId }, 1);
+    } catch (error) {
+      logger.warn(`Métricas: router ${routerId} no disponible (${error.message})`);
+      this.routerUp.set({ router: routerId }, 0);
+      end();
+      return;
+    }
+
+    // Las estadísticas del sistema pueden fallar (p. ej. sin /system/health) sin marcar el router caído
+    try {
+      const stats = await service.getSystemStats();
+      const labels = { router: routerId };
+      [
+        [this.cpuLoad, toNumber(stats.cpuLoad)],
+        [this.memoryFree, toNumber(stats.memoryFree)],
+        [this.memoryTotal, toNumber(stats.memoryTotal)],
+        [this.uptime, parseUptime(stats.uptime)],
+        [this.temperature, toNumber(stats.temperature)]
+      ].forEach(([metric, value]) => {
+        if (value !== null) metric.set(labels, value);
+      });
+    } catch (error) {
+      logger.debug(`Métricas: sin estadísticas de sistema de ${routerId} (${error.message})`);
+    }
+    end();
+  }
+
+  collectWebSocket(stats) {
+    this.wsClients.set(stats.connectedClients);
+    this.wsSubscriptions.reset();
+
+    const byType = {};
+    stats.subscriptionDetails.forEach(({ subscriptions }) => {
+      subscriptions.forEach(type => {
+        byType[type] = (byType[type] || 0) + 1;
+      });
+    });
+    Object.entries(byType).forEach(([type, count]) => this.wsSubscriptions.set({ type }, count));
+  }
+
+  // Los gauges del router se vacían al empezar cada lectura, así que dos scrapes
+  // solapados se pisarían: los que llegan durante una lectura comparten su resultado
+  render(wsStats) {
+    if (!this.pendingRender) {
+      this.pendingRender = this.collect(wsStats).finally(() => {
+        this.pendingRender = null;
+      });
+    }
+    return this.pendingRender;
+  }
+
+  async collect(wsStats) {
+    await this.collectRouters();
+    if (wsStats) {
+      this.collectWebSocket(wsStats);
+    }
+    return this.register.metrics();
+  }
+
+  get contentType() {
+    return this.register.contentType;
+  }
+}
+
+module.exports = new MetricsService();
+module.exports.parseUptime = parseUptime;
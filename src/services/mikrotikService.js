@@ -1,70 +1,101 @@
-const { RouterOSAPI } = require('node-routeros');
+const RouterConnection = require('./routerConnection');
+const { RouterConnectionError } = RouterConnection;
+const eventBus = require('./eventBus');
 const logger = require('../utils/logger');
 
+// Dueño de los límites puestos a mano desde la API. Las funcionalidades automáticas
+// (programaciones, políticas por MAC) pasan el suyo para quitar solo lo que pusieron
+const MANUAL_OWNER = 'API';
+const ACCOUNTING_COMMENT = 'API_QUOTA_ACCOUNTING';
+
+// Listas de bloqueo por address-list y comentario de su regla forward-drop
+const BLOCK_LISTS = {
+  api_blocked: 'bloqueo_api',
+  api_quota_blocked: 'bloqueo_cuota_api',
+  api_speed_blocked: 'bloqueo_velocidad_api'
+};
+
+// Comentario de la entrada de api_speed_blocked de un límite 0/0. Una IP solo puede
+// estar una vez en la lista, así que la entrada lleva todos los dueños que la bloquean
+const SPEED_BLOCK_PREFIX = 'Bloqueado_por_limite_0_';
+const speedBlockComment = (owners) => `${SPEED_BLOCK_PREFIX}${owners.join('+')}`;
+
+// Dueños de una entrada de api_speed_blocked (las añadidas a mano cuentan como manuales)
+const speedBlockOwners = (comment = '') => comment.startsWith(SPEED_BLOCK_PREFIX)
+  ? comment.slice(SPEED_BLOCK_PREFIX.length).split('+').filter(Boolean)
+  : [MANUAL_OWNER];
+
+// Dueño de una queue de límite a partir de su comentario (<dueño>_LIMIT_... o <dueño>_BLOCKED_...)
+const queueOwner = (comment) => (/^(.+?)_(?:LIMIT|BLOCKED)_/.exec(comment || '') || [])[1] || null;
+
 class MikrotikService {
-  constructor() {
-    this.conn = null;
+  constructor(config = {}) {
+    // Id del router en el registro, para identificar los eventos publicados
+    this.routerId = config.id || 'default';
+    // Último estado conocido (null = sin comprobar); publica router.down/router.up al cambiar
+    this.reachable = null;
     this.config = {
-      host: process.env.MIKROTIK_HOST,
-      user: process.env.MIKROTIK_USER,
-      password: process.env.MIKROTIK_PASSWORD,
-      port: parseInt(process.env.MIKROTIK_PORT) || 8728,
-      timeout: 10000
+      host: config.host || process.env.MIKROTIK_HOST,
+      user: config.user || process.env.MIKROTIK_USER,
+      password: config.password || process.env.MIKROTIK_PASSWORD,
+      port: parseInt(config.port || process.env.MIKROTIK_PORT) || 8728
     };
-    this.bandwidthHistory = [];
+    // Sesión compartida: cola de comandos, timeouts, keepalive y reconexión
+    this.connection = new RouterConnection(this.config);
+    this.connection.on('up', () => this.setReachable(true));
+    this.connection.on('down', reason => this.setReachable(false, reason));
     this.bandwidthCache = null;
+    // Últimos contadores de bytes por queue, para calcular velocidades por diferencia
+    this.queueCounters = new Map();
     this.cacheTimeout = 1000; // 1 segundo de cache
     this.lastCacheTime = 0;
   }
 
+  // Devuelve la sesión compartida ya abierta; sus write() pasan por la cola
   async connect() {
+    if (!this.config.host || !this.config.user || !this.config.password) {
+      throw new Error('Configuración de MikroTik incompleta');
+    }
+
     try {
-      if (this.conn && this.conn.connected) {
-        logger.debug('Usando conexión existente a MikroTik');
-        return this.conn;
-      }
+      return await this.connection.connect();
+    } catch (error) {
+      throw new RouterConnectionError(`Error conectando a MikroTik: ${error.message}`);
+    }
+  }
 
-      if (!this.config.host || !this.config.user || !this.config.password) {
-        throw new Error('Configuración de MikroTik incompleta');
-      }
+  publishEvent(type, data) {
+    eventBus.publish(type, { router: this.routerId, ...data });
+  }
 
-      logger.info(`Conectando a MikroTik: ${this.config.host}:${this.config.port}`);
-      
-      this.conn = new RouterOSAPI(this.config);
-      await this.conn.connect();
-      
-      logger.info('Conexión exitosa a MikroTik');
-      return this.conn;
-    } catch (error) {
-      logger.error(`Error de conexión: ${error.message}`);
-      this.conn = null;
-      throw new Error(`Error conectando a MikroTik: ${error.message}`);
+  setReachable(reachable, reason) {
+    const previous = this.reachable;
+    this.reachable = reachable;
+
+    if (reachable === false && previous !== false) {
+      this.publishEvent('router.down', { host: this.config.host, reason: reason || null });
+    } else if (reachable === true && previous === false) {
+      this.publishEvent('router.up', { host: this.config.host });
     }
   }
 
   async disconnect() {
-    if (this.conn && this.conn.connected) {
-      await this.conn.close();
-      this.conn = null;
-      logger.info('Desconectado de MikroTik');
-    }
+    await this.connection.close();
+    logger.info('Desconectado de MikroTik');
   }
 
+  // Reintentar solo fallos de conexión; la reconexión la gestiona RouterConnection.
+  // Un !trap de RouterOS es una respuesta válida y se propaga sin reintentar
   async retryOperation(operation, maxAttempts = 3, delay = 1000) {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
         return await operation();
       } catch (error) {
-        logger.warn(`Intento ${attempt} fallido: ${error.message}`);
-        if (attempt === maxAttempts) {
+        if (!(error instanceof RouterConnectionError) || attempt === maxAttempts) {
           throw error;
         }
+        logger.warn(`Intento ${attempt} fallido: ${error.message}`);
         await new Promise(resolve => setTimeout(resolve, delay));
-        // Reconectar en el último intento
-        if (attempt === maxAttempts - 1) {
-          this.conn = null;
-          await this.connect();
-        }
       }
     }
   }
@@ -85,12 +116,15 @@ async getConnectedUsers() {
       this.retryOperation(() => conn.write('/queue/simple/print'))
     ]);
 
+    const rates = this.computeDeviceRates(queues);
+
     // Crear mapa de límites de velocidad
     const speedLimits = {};
     queues.forEach(queue => {
       const target = queue.target?.split('/')[0];
       if (target) {
-        const maxLimit = queue['max-limit'] || '';
+        // 0/0 = queue de conteo de cuotas, no limita
+        const maxLimit = queue['max-limit'] && queue['max-limit'] !== '0/0' ? queue['max-limit'] : '';
         
         // Parsear límites para mostrar números reales
         let uploadSpeed = 'Sin límite';
@@ -108,7 +142,7 @@ async getConnectedUsers() {
           maxLimit: maxLimit,
           uploadSpeed: uploadSpeed,
           downloadSpeed: downloadSpeed,
-          hasLimit: maxLimit && maxLimit !== '',
+          hasLimit: Boolean(maxLimit),
           bytesIn: parseInt(queue.bytes) || 0,
           bytesOut: parseInt(queue['bytes-out']) || 0
         };
@@ -145,7 +179,8 @@ async getConnectedUsers() {
         bandwidth: speedLimit ? {
           bytesIn: speedLimit.bytesIn,
           bytesOut: speedLimit.bytesOut
-        } : null
+        } : null,
+        traffic: rates.get(arp.address) || null
       };
     });
     
@@ -157,6 +192,102 @@ async getConnectedUsers() {
   }
 }
 
+// Velocidad actual por IP desde el punto de vista del dispositivo (rx = bajada).
+// Usa el campo `rate` de las simple queues ("subida/bajada") y, si no viene,
+// la diferencia de bytes con la lectura anterior. Sin queue no hay contadores.
+computeDeviceRates(queues, now = Date.now()) {
+  const rates = new Map();
+
+  queues.forEach(queue => {
+    if (!queue.target) return;
+    const ip = queue.target.split(',')[0].split('/')[0];
+    const [bytesUp, bytesDown] = this.parseCounterPair(queue.bytes);
+    const previous = this.queueCounters.get(queue['.id']);
+    this.queueCounters.set(queue['.id'], { bytesUp, bytesDown, time: now });
+
+    let rxBits;
+    let txBits;
+    if (queue.rate !== undefined) {
+      [txBits, rxBits] = this.parseCounterPair(queue.rate);
+    } else if (previous && now > previous.time && bytesUp >= previous.bytesUp && bytesDown >= previous.bytesDown) {
+      const seconds = (now - previous.time) / 1000;
+      txBits = Math.round((bytesUp - previous.bytesUp) * 8 / seconds);
+      rxBits = Math.round((bytesDown - previous.bytesDown) * 8 / seconds);
+    } else {
+      return;
+    }
+
+    const current = rates.get(ip);
+    if (current) {
+      rxBits += current.rxBits;
+      txBits += current.txBits;
+    }
+    rates.set(ip, {
+      rxBits,
+      txBits,
+      rx: this.formatBandwidth(rxBits),
+      tx: this.formatBandwidth(txBits)
+    });
+  });
+
+  return rates;
+}
+
+// Velocidad actual de cada dispositivo con simple queue
+async getDeviceTraffic() {
+  const conn = await this.connect();
+  const queues = await this.retryOperation(() =>
+    conn.write('/queue/simple/print')
+  );
+
+  const rates = this.computeDeviceRates(queues);
+  return Array.from(rates.entries()).map(([ip, rate]) => ({ ip, ...rate }));
+}
+
+// Id devuelto por RouterOS en un comando /add (=ret=*1A)
+getReturnId(result) {
+  if (!result) return null;
+  const reply = Array.isArray(result) ? result[0] : result;
+  return reply?.ret || reply?.['.id'] || null;
+}
+
+// Buscar la MAC asociada a una IP en la tabla ARP
+async getMacByIp(ip) {
+  const conn = await this.connect();
+  const entries = await this.retryOperation(() =>
+    conn.write('/ip/arp/print', [`?address=${ip}`])
+  );
+  return entries[0]?.['mac-address'] || null;
+}
+
+// MAC -> IP actual según la tabla ARP y, para los que no estén en ella, las leases DHCP
+async getMacBindings() {
+  const conn = await this.connect();
+  const [arpEntries, dhcpLeases] = await Promise.all([
+    this.retryOperation(() => conn.write('/ip/arp/print')),
+    this.retryOperation(() => conn.write('/ip/dhcp-server/lease/print'))
+  ]);
+
+  const bindings = new Map();
+  dhcpLeases
+    .filter(lease => lease['mac-address'] && lease.status === 'bound')
+    .forEach(lease => {
+      bindings.set(lease['mac-address'].toUpperCase(), lease['active-address'] || lease.address);
+    });
+
+  // La ARP refleja quién usa la IP ahora mismo: tiene prioridad sobre la lease
+  arpEntries
+    .filter(arp => arp['mac-address'] && arp.address && arp.complete !== 'false')
+    .forEach(arp => bindings.set(arp['mac-address'].toUpperCase(), arp.address));
+
+  return bindings;
+}
+
+async resolveMacToIp(mac) {
+  const bindings = await this.getMacBindings();
+  return bindings.get(mac.toUpperCase()) || null;
+}
+
 // AGREGAR esta función auxiliar al final de la clase MikrotikService
 parseSpeedToMbps(speedString) {
   if (!speedString) return 'Sin límite';
@@ -278,14 +409,8 @@ formatBandwidth(bitsPerSecond) {
       
       logger.info(`Datos de ancho de banda obtenidos: ${bandwidthData.length} interfaces`);
       
-      // Almacenar histórico (máximo 300 puntos)
+      // Actualizar cache (el histórico lo guarda bandwidthHistoryService)
       if (bandwidthData.length > 0) {
-        this.bandwidthHistory.push(...bandwidthData);
-        if (this.bandwidthHistory.length > 300) {
-          this.bandwidthHistory = this.bandwidthHistory.slice(-300);
-        }
-        
-        // Actualizar cache
         this.bandwidthCache = bandwidthData;
         this.lastCacheTime = now;
       }
@@ -297,16 +422,11 @@ formatBandwidth(bitsPerSecond) {
     }
   }
 
-  async getBandwidthHistory(minutes = 5) {
-    const cutoffTime = new Date(Date.now() - minutes * 60 * 1000);
-    return this.bandwidthHistory.filter(entry => 
-      new Date(entry.timestamp) > cutoffTime
-    );
-  }
-
 
 // REEMPLAZA COMPLETAMENTE la función setSpeedLimit en mikrotikService.js
-async setSpeedLimit(userIp, rxLimit, txLimit) {
+// Con `verify: false` no espera los 2s de verificación (operaciones masivas).
+// `owner` etiqueta la queue y el bloqueo 0/0 con la funcionalidad que los pone
+async setSpeedLimit(userIp, rxLimit, txLimit, { verify = true, owner } = {}) {
   try {
     const conn = await this.connect();
     
@@ -314,7 +434,7 @@ async setSpeedLimit(userIp, rxLimit, txLimit) {
     
     // CASO ESPECIAL: Si ambos límites son 0, BLOQUEAR completamente
     if (rxLimit === 0 && txLimit === 0) {
-      return await this.blockUserCompletely(userIp);
+      return await this.blockUserCompletely(userIp, { owner });
     }
     
     // CASO ESPECIAL: Si uno de los límites es 0, usar valor muy bajo (1 bps)
@@ -323,17 +443,18 @@ async setSpeedLimit(userIp, rxLimit, txLimit) {
     
     const limitString = `${effectiveRxLimit}/${effectiveTxLimit}`;
     
-    // Primero, remover cualquier bloqueo de firewall existente
-    await this.unblockUser(userIp);
+    // Primero, remover el bloqueo 0/0 anterior de este dueño. Las expulsiones, pausas
+    // y toques de queda de api_blocked no son límites de velocidad: no se tocan
+    await this.removeSpeedBlock(userIp, owner);
     
-    // Remover reglas de queue existentes
+    // Remover reglas de queue existentes (RouterOS aplica solo la primera que coincide)
     const existingRules = await this.retryOperation(() =>
-      conn.write('/queue/simple/print', { '?target': userIp + '/32' })
+      conn.write('/queue/simple/print', [`?target=${userIp}/32`])
     );
     
     for (const rule of existingRules) {
       await this.retryOperation(() =>
-        conn.write('/queue/simple/remove', { '.id': rule['.id'] })
+        conn.write('/queue/simple/remove', [`=.id=${rule['.id']}`])
       );
       logger.info(`Regla anterior removida para ${userIp}: ${rule['.id']}`);
     }
@@ -341,30 +462,36 @@ async setSpeedLimit(userIp, rxLimit, txLimit) {
     // Crear nueva regla de queue
     const queueName = `limit_${userIp.replace(/\./g, '_')}_${Date.now()}`;
     const result = await this.retryOperation(() =>
-      conn.write('/queue/simple/add', {
-        name: queueName,
-        target: userIp + '/32',
-        'max-limit': limitString,
-        comment: `API_LIMIT_${new Date().toISOString()}_RX${rxLimit}_TX${txLimit}`
-      })
+      conn.write('/queue/simple/add', [
+        `=name=${queueName}`,
+        `=target=${userIp}/32`,
+        `=max-limit=${limitString}`,
+        `=comment=${owner || MANUAL_OWNER}_LIMIT_${new Date().toISOString()}_RX${rxLimit}_TX${txLimit}`
+      ])
     );
     
-    const queueId = result ? result['.id'] : null;
+    const queueId = this.getReturnId(result);
     logger.info(`Nueva regla creada para ${userIp}: ${limitString}, Queue ID: ${queueId}`);
     
     // Verificar que se aplicó correctamente
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    const verificationRules = await this.retryOperation(() =>
-      conn.write('/queue/simple/print', { '?target': userIp + '/32' })
-    );
-    
-    const applied = verificationRules.length > 0 && 
-                   verificationRules[0]['max-limit'] === limitString;
+    let verificationRules = [];
+    let applied = null;
+    if (verify) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      verificationRules = await this.retryOperation(() =>
+        conn.write('/queue/simple/print', [`?target=${userIp}/32`])
+      );
+
+      applied = verificationRules.length > 0 &&
+                verificationRules[0]['max-limit'] === limitString;
+    }
     
-    if (!applied) {
+    if (applied === false) {
       logger.warn(`Advertencia: El límite para ${userIp} podría no haberse aplicado correctamente`);
     }
+
+    this.publishEvent('limit.set', { ip: userIp, rxLimit, txLimit, limit: limitString, queueId, applied });
     
     // Mensaje personalizado según el tipo de límite
     let message;
@@ -398,75 +525,68 @@ async setSpeedLimit(userIp, rxLimit, txLimit) {
 }
 
 // NUEVA FUNCIÓN: Bloquear usuario completamente con firewall
-async blockUserCompletely(userIp) {
+async blockUserCompletely(userIp, { owner } = {}) {
   try {
     const conn = await this.connect();
     
     logger.info(`Bloqueando completamente a ${userIp} usando firewall`);
     
-    // 1. Crear lista de bloqueo si no existe
+    // 1-2. Asegurar lista api_speed_blocked y regla de firewall
+    await this.ensureBlockList('api_speed_blocked');
+
+    // 3. Agregar IP a la lista de bloqueo
+    const blockOwner = owner || MANUAL_OWNER;
+    let result = null;
     try {
-      await conn.write('/ip/firewall/address-list/add', [
+      result = await conn.write('/ip/firewall/address-list/add', [
         '=list=api_speed_blocked',
-        '=address=127.0.0.1',
-        '=comment=Lista_bloqueo_velocidad',
-        '=timeout=1s'
+        `=address=${userIp}`,
+        `=comment=${speedBlockComment([blockOwner])}`
       ]);
     } catch (e) {
-      if (!e.message.includes('already have')) {
-        logger.debug('Lista api_speed_blocked ya existe o error menor:', e.message);
-      }
-    }
-
-    // 2. Verificar/crear regla de firewall para bloqueo por velocidad
-    const firewallRules = await conn.write('/ip/firewall/filter/print', [
-      '?comment=bloqueo_velocidad_api'
-    ]);
+      if (!e.message.includes('already have')) throw e;
 
-    if (firewallRules.length === 0) {
-      await conn.write('/ip/firewall/filter/add', [
-        '=chain=forward',
-        '=src-address-list=api_speed_blocked',
-        '=action=drop',
-        '=comment=bloqueo_velocidad_api'
-      ]);
-      logger.info('Regla de firewall para bloqueo por velocidad creada');
+      // Ya bloqueada por otro límite 0/0: se añade este dueño a la entrada para que
+      // siga bloqueada hasta que la quiten todos
+      const [entry] = await conn.write('/ip/firewall/address-list/print', ['?list=api_speed_blocked', `?address=${userIp}`]);
+      const owners = speedBlockOwners(entry?.comment);
+      if (entry && !owners.includes(blockOwner)) {
+        await conn.write('/ip/firewall/address-list/set', [
+          `=.id=${entry['.id']}`,
+          `=comment=${speedBlockComment([...owners, blockOwner])}`
+        ]);
+      }
     }
 
-    // 3. Agregar IP a la lista de bloqueo
-    const result = await conn.write('/ip/firewall/address-list/add', [
-      '=list=api_speed_blocked',
-      `=address=${userIp}`,
-      '=comment=Bloqueado_por_limite_0_API'
-    ]);
-
     // 4. También crear una regla de queue con límite mínimo como respaldo
     const existingRules = await this.retryOperation(() =>
-      conn.write('/queue/simple/print', { '?target': userIp + '/32' })
+      conn.write('/queue/simple/print', [`?target=${userIp}/32`])
     );
     
     for (const rule of existingRules) {
       await this.retryOperation(() =>
-        conn.write('/queue/simple/remove', { '.id': rule['.id'] })
+        conn.write('/queue/simple/remove', [`=.id=${rule['.id']}`])
       );
     }
 
     const queueName = `blocked_${userIp.replace(/\./g, '_')}_${Date.now()}`;
     await this.retryOperation(() =>
-      conn.write('/queue/simple/add', {
-        name: queueName,
-        target: userIp + '/32',
-        'max-limit': '1/1', // 1 bit por segundo
-        comment: `API_BLOCKED_${new Date().toISOString()}`
-      })
+      conn.write('/queue/simple/add', [
+        `=name=${queueName}`,
+        `=target=${userIp}/32`,
+        '=max-limit=1/1', // 1 bit por segundo
+        `=comment=${owner || MANUAL_OWNER}_BLOCKED_${new Date().toISOString()}`
+      ])
     );
 
+    this.publishEvent('device.blocked', { ip: userIp, method: 'firewall_and_queue', reason: 'limit-zero' });
+
     return {
       success: true,
       message: `IP ${userIp} bloqueada completamente (sin acceso a internet)`,
       isBlocked: true,
       method: 'firewall_and_queue',
-      ruleId: result['.id'] || null,
+      ruleId: this.getReturnId(result),
       userIp: userIp,
       limitFormatted: '0.0 / 0.0 Mbps (Bloqueado)',
       verification: {
@@ -480,29 +600,34 @@ async blockUserCompletely(userIp) {
   }
 }
 
-// FUNCIÓN MEJORADA: Remover límite completamente
-async removeSpeedLimit(userIp) {
+// FUNCIÓN MEJORADA: Remover límite completamente. Con `owner` solo quita la queue
+// y el bloqueo 0/0 que puso esa funcionalidad; sin él (acción manual), cualquier límite
+async removeSpeedLimit(userIp, { owner } = {}) {
   try {
     const conn = await this.connect();
     
-    logger.info(`Removiendo todos los límites para ${userIp}`);
+    logger.info(`Removiendo ${owner ? `los límites de ${owner}` : 'todos los límites'} para ${userIp}`);
     
-    // 1. Remover de listas de firewall
-    await this.unblockUser(userIp);
+    // 1. Remover de la lista de bloqueo por velocidad
+    await this.removeSpeedBlock(userIp, owner);
     
-    // 2. Remover reglas de queue
-    const rules = await this.retryOperation(() =>
-      conn.write('/queue/simple/print', { '?target': userIp + '/32' })
+    // 2. Remover reglas de queue (la de conteo de cuotas no limita: se conserva)
+    const queues = await this.retryOperation(() =>
+      conn.write('/queue/simple/print', [`?target=${userIp}/32`])
     );
+    const rules = queues.filter(rule => owner
+      ? queueOwner(rule.comment) === owner
+      : rule.comment !== ACCOUNTING_COMMENT);
     
     for (const rule of rules) {
       await this.retryOperation(() =>
-        conn.write('/queue/simple/remove', { '.id': rule['.id'] })
+        conn.write('/queue/simple/remove', [`=.id=${rule['.id']}`])
       );
       logger.info(`Regla de queue removida para ${userIp}: ${rule['.id']}`);
     }
     
     logger.info(`Todos los límites removidos para ${userIp} (${rules.length} reglas eliminadas)`);
+    this.publishEvent('limit.removed', { ip: userIp, rulesRemoved: rules.length });
     
     return { 
       success: true, 
@@ -516,48 +641,56 @@ async removeSpeedLimit(userIp) {
   }
 }
 
-async kickUser(userIp) {
-  try {
-    const conn = await this.connect();
+// Quitar el bloqueo 0/0 de una IP en api_speed_blocked: el del dueño indicado (la
+// entrada solo se borra si no la mantiene otro dueño) o, sin dueño (acción manual), todos
+async removeSpeedBlock(userIp, owner) {
+  const conn = await this.connect();
+  const entries = await this.retryOperation(() =>
+    conn.write('/ip/firewall/address-list/print', ['?list=api_speed_blocked', `?address=${userIp}`])
+  );
 
-    // 1. Crear lista si no existe (con IP temporal)
-    try {
-      await conn.write('/ip/firewall/address-list/add', [
-        '=list=api_blocked',
-        '=address=127.0.0.1',
-        '=comment=Lista_inicial',
-        '=timeout=1s'
-      ]);
-    } catch (e) {
-      if (!e.message.includes('already have')) throw e;
+  let removed = 0;
+  for (const entry of entries) {
+    const owners = speedBlockOwners(entry.comment);
+    if (owner && !owners.includes(owner)) continue;
+
+    const remaining = owner ? owners.filter(o => o !== owner) : [];
+    if (remaining.length > 0) {
+      await this.retryOperation(() =>
+        conn.write('/ip/firewall/address-list/set', [`=.id=${entry['.id']}`, `=comment=${speedBlockComment(remaining)}`])
+      );
+      continue;
     }
 
-    // 2. Verificar/crear regla de firewall
-    const firewallRules = await conn.write('/ip/firewall/filter/print', [
-      '?comment=bloqueo_api'
-    ]);
+    await this.retryOperation(() =>
+      conn.write('/ip/firewall/address-list/remove', [`=.id=${entry['.id']}`])
+    );
+    removed++;
+  }
+  if (removed > 0) {
+    this.publishEvent('device.unblocked', { ip: userIp, rulesRemoved: removed });
+  }
+  return removed;
+}
 
-    if (firewallRules.length === 0) {
-      await conn.write('/ip/firewall/filter/add', [
-        '=chain=forward',
-        '=src-address-list=api_blocked',
-        '=action=drop',
-        '=comment=bloqueo_api'
-      ]);
-    }
+async kickUser(userIp, duration = 300) {
+  try {
+    // 1-2. Asegurar lista api_blocked y regla de firewall
+    await this.ensureBlockList();
 
-    // 3. Bloquear IP
-    const result = await conn.write('/ip/firewall/address-list/add', [
-      '=list=api_blocked',
-      `=address=${userIp}`,
-      '=comment=Bloqueado_por_API',
-      '=timeout=5m'
-    ]);
+    // 3. Bloquear IP durante `duration` segundos
+    const result = await this.addToBlockList(userIp, {
+      comment: 'Bloqueado_por_API',
+      timeout: `${duration}s`,
+      replace: true
+    });
 
+    const minutes = Math.round(duration / 60);
     return {
       success: true,
-      message: `IP ${userIp} bloqueada por 5 minutos`,
-      ruleId: result['.id']
+      message: `IP ${userIp} bloqueada por ${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}`,
+      ruleId: this.getReturnId(result),
+      duration: duration
     };
   } catch (error) {
     logger.error(`Error bloqueando usuario: ${error.message}`);
@@ -565,6 +698,94 @@ async kickUser(userIp) {
   }
 }
 
+// Crear la lista (api_blocked por defecto) y su regla forward-drop si no existen
+async ensureBlockList(list = 'api_blocked') {
+  const conn = await this.connect();
+
+  // 1. Crear lista si no existe (con IP temporal)
+  try {
+    await conn.write('/ip/firewall/address-list/add', [
+      `=list=${list}`,
+      '=address=127.0.0.1',
+      '=comment=Lista_inicial',
+      '=timeout=1s'
+    ]);
+  } catch (e) {
+    if (!e.message.includes('already have')) throw e;
+  }
+
+  // 2. Verificar/crear regla de firewall
+  const firewallRules = await conn.write('/ip/firewall/filter/print', [
+    `?comment=${BLOCK_LISTS[list]}`
+  ]);
+
+  if (firewallRules.length === 0) {
+    await conn.write('/ip/firewall/filter/add', [
+      '=chain=forward',
+      `=src-address-list=${list}`,
+      '=action=drop',
+      `=comment=${BLOCK_LISTS[list]}`
+    ]);
+  }
+}
+
+// Agregar una IP a api_blocked u otra lista de bloqueo (timeout en formato RouterOS: 300s, 5m, 8h...).
+// Con `replace`, si la IP ya está en la lista se sustituye su entrada para que
+// queden el comentario y el timeout nuevos
+async addToBlockList(userIp, { comment, timeout, list = 'api_blocked', replace = false }) {
+  const conn = await this.connect();
+  const params = [
+    `=list=${list}`,
+    `=address=${userIp}`,
+    `=comment=${comment}`
+  ];
+  if (timeout) {
+    params.push(`=timeout=${timeout}`);
+  }
+
+  let result;
+  try {
+    result = await conn.write('/ip/firewall/address-list/add', params);
+  } catch (e) {
+    if (!replace || !e.message.includes('already have')) throw e;
+
+    const existing = await this.retryOperation(() =>
+      conn.write('/ip/firewall/address-list/print', [`?list=${list}`, `?address=${userIp}`])
+    );
+    for (const entry of existing) {
+      await conn.write('/ip/firewall/address-list/remove', [`=.id=${entry['.id']}`]);
+    }
+    logger.info(`Entrada de ${list} para ${userIp} sustituida (${existing.map(entry => entry.comment).join(', ')})`);
+    result = await conn.write('/ip/firewall/address-list/add', params);
+  }
+  this.publishEvent('device.blocked', { ip: userIp, method: 'address_list', comment, timeout: timeout || null });
+  return result;
+}
+
+// Entradas de api_blocked (u otra lista), opcionalmente filtradas por prefijo de comentario
+async getBlockListEntries(commentPrefix, list = 'api_blocked') {
+  const conn = await this.connect();
+  const entries = await this.retryOperation(() =>
+    conn.write('/ip/firewall/address-list/print', [`?list=${list}`])
+  );
+
+  return entries
+    .filter(entry => !commentPrefix || (entry.comment || '').startsWith(commentPrefix))
+    .map(entry => ({
+      id: entry['.id'],
+      ip: entry.address,
+      comment: entry.comment || '',
+      timeout: entry.timeout || null,
+      dynamic: entry.dynamic === 'true'
+    }));
+}
+
+async removeBlockListEntry(entryId, userIp = null) {
+  const conn = await this.connect();
+  await conn.write('/ip/firewall/address-list/remove', [`=.id=${entryId}`]);
+  this.publishEvent('device.unblocked', { ip: userIp, entryId });
+}
+
 // FUNCIÓN MEJORADA: Desbloquear usuario (actualiza la existente)
 async unblockUser(userIp) {
   try {
@@ -592,6 +813,11 @@ async unblockUser(userIp) {
       }
     }
 
+    // Solo publicar si había bloqueo
+    if (removed > 0) {
+      this.publishEvent('device.unblocked', { ip: userIp, rulesRemoved: removed });
+    }
+
     return {
       success: true,
       message: `IP ${userIp} desbloqueada`,
@@ -604,6 +830,87 @@ async unblockUser(userIp) {
 }
 
 
+  // Contadores por IP de las simple queues ("subida/bajada" en RouterOS)
+  async getQueueCounters() {
+    const conn = await this.connect();
+    const queues = await this.retryOperation(() =>
+      conn.write('/queue/simple/print')
+    );
+
+    return queues
+      .filter(queue => queue.target)
+      .map(queue => {
+        const [bytesUp, bytesDown] = this.parseCounterPair(queue.bytes);
+        return {
+          id: queue['.id'],
+          name: queue.name,
+          ip: queue.target.split(',')[0].split('/')[0],
+          maxLimit: queue['max-limit'] || null,
+          bytesUp,
+          bytesDown
+        };
+      });
+  }
+
+  parseCounterPair(value) {
+    const [first, second] = (value || '0/0').toString().split('/');
+    return [parseInt(first) || 0, parseInt(second) || 0];
+  }
+
+  // Queue que rige una IP ({ id, maxLimit }), o null si no tiene
+  async getIpQueue(userIp) {
+    const conn = await this.connect();
+    const queues = await this.retryOperation(() =>
+      conn.write('/queue/simple/print', [`?target=${userIp}/32`])
+    );
+
+    return queues[0] ? { id: queues[0]['.id'], maxLimit: queues[0]['max-limit'] || '0/0' } : null;
+  }
+
+  // Cambiar el límite de una queue sin recrearla, conservando sus contadores
+  async updateQueueLimit(userIp, queueId, maxLimit) {
+    const conn = await this.connect();
+    await this.retryOperation(() =>
+      conn.write('/queue/simple/set', [`=.id=${queueId}`, `=max-limit=${maxLimit}`])
+    );
+
+    if (maxLimit === '0/0') {
+      this.publishEvent('limit.removed', { ip: userIp, queueId });
+    } else {
+      this.publishEvent('limit.set', { ip: userIp, limit: maxLimit, queueId });
+    }
+  }
+
+  // Límite actual de una IP ("rx/tx") y dueño que lo puso, o null si no tiene
+  async getSpeedLimitState(userIp) {
+    const conn = await this.connect();
+    const queues = await this.retryOperation(() =>
+      conn.write('/queue/simple/print', [`?target=${userIp}/32`])
+    );
+
+    const queue = queues.find(q => q['max-limit'] && q['max-limit'] !== '0/0');
+    return queue ? { limit: queue['max-limit'], owner: queueOwner(queue.comment) } : null;
+  }
+
+  // Queue sin límite para contar el tráfico de una IP que no tiene ninguna
+  async ensureAccountingQueue(userIp) {
+    const conn = await this.connect();
+    const existing = await this.retryOperation(() =>
+      conn.write('/queue/simple/print', [`?target=${userIp}/32`])
+    );
+    if (existing.length > 0) {
+      return existing[0]['.id'];
+    }
+
+    const result = await conn.write('/queue/simple/add', [
+      `=name=quota_${userIp.replace(/\./g, '_')}`,
+      `=target=${userIp}/32`,
+      '=max-limit=0/0',
+      `=comment=${ACCOUNTING_COMMENT}`
+    ]);
+    logger.info(`Queue de conteo creada para ${userIp}`);
+    return this.getReturnId(result);
+  }
 
   async getActiveQueues() {
     try {
@@ -612,50 +919,318 @@ async unblockUser(userIp) {
         conn.write('/queue/simple/print')
       );
       
-      return queues.map(queue => ({
-        id: queue['.id'],
-        name: queue.name,
-        target: queue.target,
-        maxLimit: queue['max-limit'],
-        bytesIn: parseInt(queue.bytes) || 0,
-        bytesOut: parseInt(queue['bytes-out']) || 0,
-        packetsIn: parseInt(queue.packets) || 0,
-        packetsOut: parseInt(queue['packets-out']) || 0
-      }));
+      // RouterOS reporta bytes y paquetes como "subida/bajada"
+      return queues.map(queue => {
+        const [bytesIn, bytesOut] = this.parseCounterPair(queue.bytes);
+        const [packetsIn, packetsOut] = this.parseCounterPair(queue.packets);
+        return {
+          id: queue['.id'],
+          name: queue.name,
+          target: queue.target,
+          maxLimit: queue['max-limit'],
+          bytesIn,
+          bytesOut,
+          packetsIn,
+          packetsOut
+        };
+      });
     } catch (error) {
       logger.error(`Error obteniendo queues: ${error.message}`);
       throw new Error(`Error al obtener queues: ${error.message}`);
     }
   }
 
+  // Estado de la sesión compartida: el keepalive ya la verifica, así que solo se
+  // contacta con el router si no hay sesión abierta
   async checkMikrotikConnection() {
     try {
-      const conn = await this.connect();
-      const result = await this.retryOperation(() => 
-        conn.write('/system/resource/print')
-      );
-      return result && result.length > 0;
+      await this.connect();
+      return true;
     } catch (error) {
-      logger.error(`Error verificando conexión: ${error.message}`);
+      logger.debug(`Error verificando conexión: ${error.message}`);
       return false;
     }
   }
 
+  getConnectionStats() {
+    return this.connection.getStats();
+  }
+
+  // Leases DHCP con su estado y vencimiento
+  async getDhcpLeases() {
+    const conn = await this.connect();
+    const leases = await this.retryOperation(() =>
+      conn.write('/ip/dhcp-server/lease/print')
+    );
+
+    return leases.map(lease => ({
+      id: lease['.id'],
+      address: lease.address,
+      activeAddress: lease['active-address'] || null,
+      mac: lease['mac-address'] || null,
+      hostName: lease['host-name'] || null,
+      clientId: lease['client-id'] || null,
+      server: lease.server || null,
+      status: lease.status || null,
+      dynamic: lease.dynamic === 'true',
+      disabled: lease.disabled === 'true',
+      expiresAfter: lease['expires-after'] || null,
+      lastSeen: lease['last-seen'] || null,
+      comment: lease.comment || ''
+    }));
+  }
+
+  async getDhcpLease(leaseId) {
+    const leases = await this.getDhcpLeases();
+    return leases.find(lease => lease.id === leaseId) || null;
+  }
+
+  // Servidores DHCP y pools de direcciones disponibles para las reservas
+  async getDhcpServers() {
+    const conn = await this.connect();
+    const [servers, pools] = await Promise.all([
+      this.retryOperation(() => conn.write('/ip/dhcp-server/print')),
+      this.retryOperation(() => conn.write('/ip/pool/print'))
+    ]);
+
+    return {
+      servers: servers.map(server => ({
+        id: server['.id'],
+        name: server.name,
+        interface: server.interface,
+        addressPool: server['address-pool'] || null,
+        leaseTime: server['lease-time'] || null,
+        disabled: server.disabled === 'true'
+      })),
+      pools: pools.map(pool => ({
+        id: pool['.id'],
+        name: pool.name,
+        ranges: pool.ranges || ''
+      }))
+    };
+  }
+
+  // Parámetros de una lease; `address` puede ser una IP o el nombre de un pool
+  leaseParams({ mac, address, server, comment }) {
+    const params = [];
+    if (mac !== undefined) params.push(`=mac-address=${mac}`);
+    if (address !== undefined) params.push(`=address=${address}`);
+    if (server !== undefined) params.push(`=server=${server}`);
+    if (comment !== undefined) params.push(`=comment=${comment}`);
+    return params;
+  }
+
+  async addStaticLease(lease) {
+    const conn = await this.connect();
+    const result = await conn.write('/ip/dhcp-server/lease/add', this.leaseParams(lease));
+    const leaseId = this.getReturnId(result);
+    logger.info(`Reserva DHCP creada: ${lease.mac} -> ${lease.address} (${leaseId})`);
+    return {
+      success: true,
+      message: `Reserva creada para ${lease.mac} en ${lease.address}`,
+      leaseId
+    };
+  }
+
+  // Convertir una lease dinámica en reserva estática
+  async makeLeaseStatic(leaseId) {
+    const conn = await this.connect();
+    await conn.write('/ip/dhcp-server/lease/make-static', [`=.id=${leaseId}`]);
+    logger.info(`Lease ${leaseId} convertida en estática`);
+    return {
+      success: true,
+      message: 'Lease convertida en reserva estática',
+      leaseId
+    };
+  }
+
+  async updateLease(leaseId, changes) {
+    const conn = await this.connect();
+    await conn.write('/ip/dhcp-server/lease/set', [`=.id=${leaseId}`, ...this.leaseParams(changes)]);
+    logger.info(`Lease ${leaseId} actualizada`);
+    return {
+      success: true,
+      message: 'Reserva actualizada',
+      leaseId
+    };
+  }
+
+  async removeLease(leaseId) {
+    const conn = await this.connect();
+    await conn.write('/ip/dhcp-server/lease/remove', [`=.id=${leaseId}`]);
+    logger.info(`Lease ${leaseId} eliminada`);
+    return {
+      success: true,
+      message: 'Reserva eliminada',
+      leaseId
+    };
+  }
+
+  // Clientes Wi-Fi asociados (tabla de registro de wireless)
+  async getWirelessClients() {
+    const conn = await this.connect();
+    const registrations = await this.retryOperation(() =>
+      conn.write('/interface/wireless/registration-table/print')
+    );
+
+    return registrations.map(reg => {
+      // Los contadores de wireless vienen como "tx,rx"
+      const [bytesTx, bytesRx] = (reg.bytes || '0,0').split(',').map(v => parseInt(v) || 0);
+      return {
+        id: reg['.id'],
+        interface: reg.interface,
+        mac: reg['mac-address'],
+        signalStrength: reg['signal-strength'] ? parseInt(reg['signal-strength']) : null,
+        signalToNoise: reg['signal-to-noise'] ? parseInt(reg['signal-to-noise']) : null,
+        txRate: reg['tx-rate'] || null,
+        rxRate: reg['rx-rate'] || null,
+        txRateMbps: reg['tx-rate'] ? parseFloat(reg['tx-rate']) : null,
+        rxRateMbps: reg['rx-rate'] ? parseFloat(reg['rx-rate']) : null,
+        txCcq: reg['tx-ccq'] ? parseInt(reg['tx-ccq']) : null,
+        rxCcq: reg['rx-ccq'] ? parseInt(reg['rx-ccq']) : null,
+        uptime: reg.uptime || null,
+        lastActivity: reg['last-activity'] || null,
+        bytesTx,
+        bytesRx
+      };
+    });
+  }
+
+  // Desasociar un cliente Wi-Fi; puede volver a conectarse salvo que la access list lo impida
+  async disconnectWirelessClient(mac) {
+    const conn = await this.connect();
+    const registrations = await conn.write('/interface/wireless/registration-table/print', [
+      `?mac-address=${mac}`
+    ]);
+
+    for (const reg of registrations) {
+      await conn.write('/interface/wireless/registration-table/remove', [`=.id=${reg['.id']}`]);
+    }
+
+    logger.info(`Cliente Wi-Fi ${mac} desconectado`);
+    return {
+      success: true,
+      message: `Cliente Wi-Fi ${mac} desconectado`
+    };
+  }
+
+  // Access list de wireless: reglas de permitir/denegar por MAC
+  async getWirelessAccessList() {
+    const conn = await this.connect();
+    const entries = await this.retryOperation(() =>
+      conn.write('/interface/wireless/access-list/print')
+    );
+
+    return entries.map(entry => ({
+      id: entry['.id'],
+      mac: entry['mac-address'],
+      interface: entry.interface || 'all',
+      action: entry.authentication === 'false' ? 'deny' : 'allow',
+      signalRange: entry['signal-range'] || null,
+      comment: entry.comment || '',
+      disabled: entry.disabled === 'true'
+    }));
+  }
+
+  async addWirelessAccessEntry({ mac, action, interface: iface, comment }) {
+    const conn = await this.connect();
+    const params = [
+      `=mac-address=${mac}`,
+      `=authentication=${action === 'allow' ? 'yes' : 'no'}`,
+      `=forwarding=${action === 'allow' ? 'yes' : 'no'}`
+    ];
+    if (iface && iface !== 'all') params.push(`=interface=${iface}`);
+    if (comment) params.push(`=comment=${comment}`);
+
+    const result = await conn.write('/interface/wireless/access-list/add', params);
+    const ruleId = this.getReturnId(result);
+    logger.info(`Regla de access list creada: ${action} ${mac} (${ruleId})`);
+    return {
+      success: true,
+      message: `${mac} ${action === 'allow' ? 'permitida' : 'denegada'} en la access list`,
+      ruleId
+    };
+  }
+
+  async removeWirelessAccessEntry(ruleId) {
+    const conn = await this.connect();
+    await conn.write('/interface/wireless/access-list/remove', [`=.id=${ruleId}`]);
+    logger.info(`Regla de access list ${ruleId} eliminada`);
+    return {
+      success: true,
+      message: 'Regla eliminada de la access list',
+      ruleId
+    };
+  }
+
+  // Configuración del router en formato de script (`/export`). RouterOS 7 la
+  // devuelve directamente con `as-string`; en RouterOS 6 se exporta a un
+  // archivo temporal que se lee y se borra.
+  async exportConfig() {
+    const conn = await this.connect();
+
+    try {
+      const result = await conn.write('/execute', ['=script=/export', '=as-string=']);
+      const output = Array.isArray(result) ? result[0]?.ret : result?.ret;
+      // Sin as-string, /execute devuelve el id del job en segundo plano
+      if (output && !/^\*[0-9A-F]+$/i.test(output)) {
+        return output;
+      }
+    } catch (error) {
+      logger.debug(`Export con as-string no disponible: ${error.message}`);
+    }
+
+    const name = 'haplite-export';
+    await conn.write('/execute', [`=script=/export file=${name}`]);
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const files = await conn.write('/file/print', [`?name=${name}.rsc`]);
+      if (files.length > 0 && files[0].contents !== undefined) {
+        const { contents, size } = files[0];
+        await conn.write('/file/remove', [`=.id=${files[0]['.id']}`]);
+
+        // RouterOS 6 corta `contents` en unos 4 KB: mejor fallar que guardar una copia parcial
+        const expected = parseInt(size);
+        const received = Buffer.byteLength(contents);
+        if (!Number.isNaN(expected) && received < expected) {
+          throw new Error(`Exportación incompleta: el router devolvió ${received} de ${expected} bytes`);
+        }
+        return contents;
+      }
+    }
+
+    throw new Error('El router no generó el archivo de exportación');
+  }
+
   // Obtener estadísticas del sistema
   async getSystemStats() {
     try {
       const conn = await this.connect();
       const [resource, health] = await Promise.all([
         this.retryOperation(() => conn.write('/system/resource/print')),
-        this.retryOperation(() => conn.write('/system/health/print'))
+        // No todos los modelos tienen sensores; sin health solo falta la temperatura
+        this.retryOperation(() => conn.write('/system/health/print'), 1).catch(() => [])
       ]);
 
+      const info = resource[0];
+      // RouterOS 6 devuelve un registro con campos; RouterOS 7 una entrada por sensor
+      const temperature = health[0]?.temperature ||
+        health.find(sensor => sensor.name === 'temperature')?.value;
+
       return {
-        cpuLoad: resource[0]['cpu-load'],
-        memoryFree: resource[0]['free-memory'],
-        memoryTotal: resource[0]['total-memory'],
-        uptime: resource[0].uptime,
-        temperature: health[0]?.temperature || 'N/A'
+        cpuLoad: info['cpu-load'],
+        memoryFree: info['free-memory'],
+        memoryTotal: info['total-memory'],
+        uptime: info.uptime,
+        temperature: temperature || 'N/A',
+        version: info.version || null,
+        boardName: info['board-name'] || null,
+        architecture: info['architecture-name'] || null,
+        cpu: info.cpu || null,
+        cpuCount: parseInt(info['cpu-count']) || null,
+        diskFree: info['free-hdd-space'],
+        diskTotal: info['total-hdd-space']
       };
     } catch (error) {
       logger.error(`Error obteniendo estadísticas del sistema: ${error.message}`);
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const routerRegistry = require('./routerRegistry');
+const macPolicyService = require('./macPolicyService');
+const { normalizeMac } = require('./deviceService');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+// Planes de ancho de banda con nombre ("Básico 2/1 Mbps", "Bloqueado" = 0/0).
+// Se asignan a dispositivos como políticas "limit" por MAC con `planId`, de modo
+// que siguen al dispositivo si cambia de IP; editar un plan reaplica sus límites.
+class PlanService {
+  constructor() {
+    this.store = createStore('plans');
+  }
+
+  async list() {
+    const plans = await this.store.all();
+    return plans.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async findByName(name) {
+    const plans = await this.store.all();
+    return plans.find(p => p.name.toLowerCase() === name.toLowerCase()) || null;
+  }
+
+  async create(data, createdBy) {
+    const plan = {
+      id: crypto.randomUUID(),
+      name: data.name,
+      description: data.description || null,
+      rxLimit: data.rxLimit,
+      txLimit: data.txLimit,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(plan);
+    logger.info(`Plan "${plan.name}" creado (${plan.rxLimit}/${plan.txLimit})`);
+    return plan;
+  }
+
+  // Actualizar un plan y reaplicar los límites a todos los dispositivos que lo tienen
+  async update(id, changes, actor) {
+    const plan = await this.store.get(id);
+    if (!plan) {
+      return null;
+    }
+
+    const updated = { ...plan, updatedAt: new Date().toISOString() };
+    ['name', 'description', 'rxLimit', 'txLimit'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    await this.store.save(updated);
+
+    const limitsChanged = updated.rxLimit !== plan.rxLimit || updated.txLimit !== plan.txLimit;
+    const reapplied = limitsChanged ? await this.reapply(updated, actor) : { updated: 0, failed: 0 };
+    return { plan: updated, reapplied };
+  }
+
+  async remove(id) {
+    return this.store.remove(id);
+  }
+
+  // Políticas por MAC (de cualquier router) que usan el plan
+  async getMembers(id) {
+    const policies = await macPolicyService.list();
+    return policies.filter(p => p.planId === id);
+  }
+
+  async reapply(plan, actor) {
+    const members = await this.getMembers(plan.id);
+    let updated = 0;
+    let failed = 0;
+
+    for (const policy of members) {
+      try {
+        const service = await routerRegistry.getService(policy.router);
+        // Sin los 2s de verificación de cada límite: la petición espera a todos los miembros
+        await macPolicyService.updateLimits({ actor, router: policy.router, service }, policy, plan, { verify: false });
+        updated++;
+      } catch (error) {
+        failed++;
+        logger.error(`Error reaplicando el plan "${plan.name}" a ${policy.mac}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Plan "${plan.name}" reaplicado a ${updated} dispositivos (${failed} fallidos)`);
+    return { updated, failed };
+  }
+
+  // Asignar un plan a un dispositivo (crea o actualiza su simple queue)
+  async assign(ctx, mac, plan, groupId = null) {
+    return macPolicyService.assign(ctx, {
+      mac,
+      type: 'limit',
+      rxLimit: plan.rxLimit,
+      txLimit: plan.txLimit,
+      planId: plan.id,
+      groupId
+    });
+  }
+
+  // Agregar a cada usuario conectado el plan que tiene asignado (por MAC)
+  async enrichUsers(router, users) {
+    try {
+      const [policies, plans] = await Promise.all([macPolicyService.list(router), this.store.all()]);
+      const byMac = new Map(policies.filter(p => p.planId).map(p => [p.mac, p]));
+      const byId = new Map(plans.map(p => [p.id, p]));
+
+      return users.map(user => {
+        const policy = user.mac ? byMac.get(normalizeMac(user.mac)) : null;
+        const plan = policy ? byId.get(policy.planId) : null;
+        return {
+          ...user,
+          plan: plan
+            ? { id: plan.id, name: plan.name, rxLimit: plan.rxLimit, txLimit: plan.txLimit, groupId: policy.groupId }
+            : null
+        };
+      });
+    } catch (error) {
+      logger.warn(`No se pudo agregar el plan de los dispositivos: ${error.message}`);
+      return users;
+    }
+  }
+}
+
+module.exports = new PlanService();
@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const routerRegistry = require('./routerRegistry');
+const auditService = require('./auditService');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const QUOTA_ACTOR = { username: 'quota', role: 'system' };
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Lista propia de los bloqueos por cuota: no se mezclan con expulsiones, pausas ni límites
+const QUOTA_LIST = 'api_quota_blocked';
+const QUOTA_COMMENT = 'Cuota_API';
+
+// Inicio del periodo (hora local) al que pertenece una fecha
+const getPeriodStart = (period, date = new Date()) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === 'weekly') {
+    // Semanas de lunes a domingo
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (period === 'monthly') {
+    start.setDate(1);
+  }
+  return start.toISOString();
+};
+
+const getPeriodEnd = (period, date = new Date()) => {
+  const end = new Date(getPeriodStart(period, date));
+  if (period === 'daily') end.setDate(end.getDate() + 1);
+  if (period === 'weekly') end.setDate(end.getDate() + 7);
+  if (period === 'monthly') end.setMonth(end.getMonth() + 1);
+  return end.toISOString();
+};
+
+// Cuotas de datos por dispositivo o por grupo con limitación automática
+class QuotaService {
+  constructor() {
+    this.store = createStore('quotas');
+    // Uso acumulado por dispositivo ("router|ip") y periodo
+    this.usage = createStore('quota-usage');
+    // Dispositivos con la cuota superada y el límite que tenían antes ("quotaId|ip")
+    this.enforced = createStore('quota-state');
+    this.pollInterval = parseInt(process.env.QUOTA_POLL_MS) || 60000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Control de cuotas iniciado (cada ${this.pollInterval / 1000}s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async list(router) {
+    const quotas = await this.store.all();
+    const filtered = quotas.filter(q => !router || q.router === router);
+    return Promise.all(filtered.map(q => this.withStatus(q)));
+  }
+
+  async get(id) {
+    const quota = await this.store.get(id);
+    return quota ? this.withStatus(quota) : null;
+  }
+
+  async create(data, createdBy) {
+    const quota = {
+      id: crypto.randomUUID(),
+      router: data.router,
+      name: data.name,
+      ips: data.ips,
+      scope: data.scope || 'device',
+      period: data.period,
+      limitBytes: data.limitBytes,
+      action: data.action || 'throttle',
+      throttleRx: data.action === 'block' ? null : data.throttleRx,
+      throttleTx: data.action === 'block' ? null : data.throttleTx,
+      enabled: data.enabled !== false,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(quota);
+    logger.info(`Cuota "${quota.name}" creada (${quota.period}, ${quota.limitBytes} bytes)`);
+    this.tick();
+    return quota;
+  }
+
+  async update(id, changes) {
+    const quota = await this.store.get(id);
+    if (!quota) {
+      return null;
+    }
+
+    const updated = { ...quota, updatedAt: new Date().toISOString() };
+    ['name', 'ips', 'scope', 'period', 'limitBytes', 'action', 'throttleRx', 'throttleTx', 'enabled'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    if (updated.action === 'block') {
+      updated.throttleRx = null;
+      updated.throttleTx = null;
+    }
+
+    await this.store.save(updated);
+
+    // Reaplicar desde cero si cambió la acción o la velocidad de castigo
+    const reapply = ['action', 'throttleRx', 'throttleTx'].some(field => changes[field] !== undefined);
+    await this.releaseQuota(updated, (ip) => reapply || !updated.enabled || !updated.ips.includes(ip));
+    this.tick();
+    return updated;
+  }
+
+  async remove(id) {
+    const quota = await this.store.get(id);
+    if (!quota) {
+      return false;
+    }
+
+    await this.store.remove(id);
+    await this.releaseQuota(quota, () => true);
+    return true;
+  }
+
+  // Uso del periodo en curso de un conjunto de IPs
+  async getUsedBytes(router, ips, period, now = new Date()) {
+    const periodStart = getPeriodStart(period, now);
+    let total = 0;
+
+    for (const ip of ips) {
+      const record = await this.usage.get(`${router}|${ip}`);
+      const bucket = record?.periods?.[period];
+      if (bucket && bucket.start === periodStart) {
+        total += bucket.bytes;
+      }
+    }
+    return total;
+  }
+
+  async getDeviceStatus(quota, ips, now = new Date()) {
+    const usedBytes = await this.getUsedBytes(quota.router, ips, quota.period, now);
+    return {
+      quotaId: quota.id,
+      name: quota.name,
+      period: quota.period,
+      periodEnd: getPeriodEnd(quota.period, now),
+      limitBytes: quota.limitBytes,
+      usedBytes,
+      remainingBytes: Math.max(quota.limitBytes - usedBytes, 0),
+      exceeded: usedBytes >= quota.limitBytes,
+      action: quota.action
+    };
+  }
+
+  async withStatus(quota) {
+    const devices = {};
+    if (quota.scope === 'group') {
+      const status = await this.getDeviceStatus(quota, quota.ips);
+      quota.ips.forEach(ip => { devices[ip] = status; });
+    } else {
+      for (const ip of quota.ips) {
+        devices[ip] = await this.getDeviceStatus(quota, [ip]);
+      }
+    }
+    return { ...quota, usage: devices };
+  }
+
+  // Estado de cuota más restrictivo (menos bytes restantes) por IP de un router
+  async getStatusByIp(router) {
+    const quotas = (await this.store.all()).filter(q => q.router === router && q.enabled);
+    const byIp = new Map();
+
+    for (const quota of quotas) {
+      const { usage } = await this.withStatus(quota);
+      Object.entries(usage).forEach(([ip, status]) => {
+        const current = byIp.get(ip);
+        if (!current || status.remainingBytes < current.remainingBytes) {
+          byIp.set(ip, status);
+        }
+      });
+    }
+    return byIp;
+  }
+
+  // Agregar la cuota restante a la lista de usuarios conectados
+  async enrichUsers(router, users) {
+    try {
+      const byIp = await this.getStatusByIp(router);
+      return users.map(user => ({ ...user, quota: byIp.get(user.ip) || null }));
+    } catch (error) {
+      logger.warn(`No se pudo agregar el estado de cuotas: ${error.message}`);
+      return users;
+    }
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const quotas = (await this.store.all()).filter(q => q.enabled);
+      const routers = new Set(quotas.map(q => q.router));
+
+      for (const routerId of routers) {
+        await this.pollRouter(routerId, quotas.filter(q => q.router === routerId));
+      }
+    } catch (error) {
+      logger.error(`Error evaluando cuotas: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async pollRouter(routerId, quotas, now = new Date()) {
+    const service = await routerRegistry.getService(routerId);
+    if (!service) {
+      return;
+    }
+
+    try {
+      const ips = new Set(quotas.flatMap(q => q.ips));
+      const counters = await service.getQueueCounters();
+
+      for (const ip of ips) {
+        const queues = counters.filter(c => c.ip === ip);
+        if (queues.length === 0) {
+          // Sin queue no hay contadores: crear una de conteo y empezar a medir
+          await service.ensureAccountingQueue(ip);
+          continue;
+        }
+        await this.accumulate(routerId, ip, queues, now);
+      }
+
+      for (const quota of quotas) {
+        await this.evaluate(service, quota, now);
+      }
+    } catch (error) {
+      logger.error(`Error actualizando cuotas en ${routerId}: ${error.message}`);
+    }
+  }
+
+  // Sumar el tráfico desde la última lectura, tolerando reinicios de contadores
+  async accumulate(routerId, ip, queues, now) {
+    const key = `${routerId}|${ip}`;
+    const record = await this.usage.get(key) || { id: key, router: routerId, ip, counters: {}, periods: {} };
+    let delta = 0;
+
+    const counters = {};
+    queues.forEach(queue => {
+      const total = queue.bytesUp + queue.bytesDown;
+      const previous = record.counters[queue.id];
+      // Queue nueva o recreada (setSpeedLimit) o contador reiniciado: todo es tráfico nuevo
+      delta += previous !== undefined && total >= previous ? total - previous : total;
+      counters[queue.id] = total;
+    });
+
+    // La primera lectura solo fija la referencia
+    if (Object.keys(record.counters).length === 0 && !record.updatedAt) {
+      delta = 0;
+    }
+
+    PERIODS.forEach(period => {
+      const start = getPeriodStart(period, now);
+      const bucket = record.periods[period];
+      record.periods[period] = bucket && bucket.start === start
+        ? { start, bytes: bucket.bytes + delta }
+        : { start, bytes: delta };
+    });
+
+    record.counters = counters;
+    record.updatedAt = now.toISOString();
+    await this.usage.save(record);
+  }
+
+  async evaluate(service, quota, now) {
+    const groups = quota.scope === 'group' ? [quota.ips] : quota.ips.map(ip => [ip]);
+
+    for (const ips of groups) {
+      const status = await this.getDeviceStatus(quota, ips, now);
+
+      for (const ip of ips) {
+        const key = `${quota.id}|${ip}`;
+        const enforced = await this.enforced.get(key);
+
+        if (status.exceeded && !enforced) {
+          await this.enforce(service, quota, ip, status);
+        } else if (!status.exceeded && enforced) {
+          // Nuevo periodo (o límite ampliado): restaurar el límite anterior
+          await this.restore(service, enforced);
+        }
+      }
+    }
+  }
+
+  // Bloquear en la lista de cuotas o bajar el límite de la queue de la IP sin recrearla,
+  // para no perder la queue de conteo ni tocar lo que pusieron otras funcionalidades
+  async enforce(service, quota, ip, status) {
+    try {
+      const block = quota.action === 'block';
+      const record = {
+        id: `${quota.id}|${ip}`,
+        quotaId: quota.id,
+        router: quota.router,
+        ip,
+        action: quota.action,
+        enforcedAt: new Date().toISOString()
+      };
+
+      await auditService.track({
+        actor: QUOTA_ACTOR,
+        router: quota.router,
+        service,
+        action: block ? 'quotaBlock' : 'quotaThrottle',
+        target: { ip },
+        params: { quotaId: quota.id, usedBytes: status.usedBytes, limitBytes: quota.limitBytes }
+      }, async () => {
+        if (block) {
+          await service.ensureBlockList(QUOTA_LIST);
+          return service.addToBlockList(ip, { comment: QUOTA_COMMENT, list: QUOTA_LIST }).catch(error => {
+            // Ya bloqueada por otra cuota: basta con esa entrada
+            if (!error.message.includes('already have')) throw error;
+          });
+        }
+
+        const queue = await service.getIpQueue(ip) || { id: await service.ensureAccountingQueue(ip), maxLimit: '0/0' };
+        record.queueId = queue.id;
+        record.previousLimit = queue.maxLimit;
+        record.appliedLimit = `${quota.throttleRx}/${quota.throttleTx}`;
+        return service.updateQueueLimit(ip, queue.id, record.appliedLimit);
+      });
+
+      await this.enforced.save(record);
+      logger.info(`Cuota "${quota.name}" superada por ${ip}: ${block ? 'bloqueado' : 'limitado'}`);
+    } catch (error) {
+      logger.error(`Error aplicando cuota a ${ip}: ${error.message}`);
+    }
+  }
+
+  // Deshacer solo lo que puso la cuota: si otro cambió la queue mientras tanto se respeta
+  async restore(service, enforced) {
+    try {
+      await auditService.track({
+        actor: QUOTA_ACTOR,
+        router: enforced.router,
+        service,
+        action: 'quotaRestore',
+        target: { ip: enforced.ip },
+        params: { quotaId: enforced.quotaId, restoredLimit: enforced.previousLimit || null }
+      }, async () => {
+        if (enforced.action === 'block') {
+          // La entrada se comparte entre cuotas: se quita con la última que bloquea la IP
+          const others = (await this.enforced.all()).filter(e => e.id !== enforced.id &&
+            e.router === enforced.router && e.ip === enforced.ip && e.action === 'block');
+          if (others.length > 0) return;
+
+          const entries = await service.getBlockListEntries(QUOTA_COMMENT, QUOTA_LIST);
+          for (const entry of entries.filter(e => e.ip === enforced.ip)) {
+            await service.removeBlockListEntry(entry.id, entry.ip);
+          }
+          return;
+        }
+
+        const queue = await service.getIpQueue(enforced.ip);
+        if (queue && queue.id === enforced.queueId && queue.maxLimit === enforced.appliedLimit) {
+          await service.updateQueueLimit(enforced.ip, queue.id, enforced.previousLimit);
+        }
+      });
+
+      await this.enforced.remove(enforced.id);
+      logger.info(`Cuota restablecida para ${enforced.ip}`);
+    } catch (error) {
+      logger.error(`Error restableciendo cuota de ${enforced.ip}: ${error.message}`);
+    }
+  }
+
+  // Restaurar los dispositivos limitados por una cuota que cumplan `shouldRelease`
+  async releaseQuota(quota, shouldRelease) {
+    const enforced = (await this.enforced.all()).filter(e => e.quotaId === quota.id && shouldRelease(e.ip));
+    if (enforced.length === 0) {
+      return;
+    }
+
+    const service = await routerRegistry.getService(quota.router);
+    for (const entry of enforced) {
+      if (service) {
+        await this.restore(service, entry);
+      } else {
+        await this.enforced.remove(entry.id);
+      }
+    }
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.PERIODS = PERIODS;
@@ -0,0 +1,268 @@
+const { EventEmitter } = require('events');
+const { RouterOSAPI, RosException } = require('node-routeros');
+const { createLimiter, withTimeout } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+// Fallo de la conexión (sin sesión, caída o sin respuesta a tiempo), a diferencia
+// de un !trap de RouterOS: solo estos errores merecen reintentarse
+class RouterConnectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RouterConnectionError';
+  }
+}
+
+const errorMessage = (error) => (error && error.message) || String(error);
+
+// Sesión RouterOS compartida por todos los usuarios de un router. Los comandos pasan
+// por una cola con concurrencia limitada y un tiempo máximo; un keepalive comprueba
+// la sesión cuando está inactiva y, si se cae, se reconecta con espera exponencial.
+// Emite 'up' al conectar y 'down' (con el motivo) al perder o no lograr la conexión.
+class RouterConnection extends EventEmitter {
+  constructor(config, options = {}) {
+    super();
+    this.config = config;
+    this.label = `${config.host}:${config.port}`;
+
+    const keepalive = options.keepaliveInterval ?? parseInt(process.env.MIKROTIK_KEEPALIVE_MS);
+    this.keepaliveInterval = Number.isNaN(keepalive) ? 30000 : keepalive; // 0 = sin keepalive
+    this.commandTimeout = options.commandTimeout || parseInt(process.env.MIKROTIK_COMMAND_TIMEOUT_MS) || 15000;
+    this.reconnectBaseDelay = options.reconnectBaseDelay || 1000;
+    this.reconnectMaxDelay = options.reconnectMaxDelay || parseInt(process.env.MIKROTIK_RECONNECT_MAX_MS) || 30000;
+    this.limiter = createLimiter(options.concurrency || parseInt(process.env.MIKROTIK_MAX_CONCURRENCY) || 4);
+
+    this.api = null;
+    // Se rechaza al perder la sesión: node-routeros deja sin resolver los comandos en curso
+    this.lost = null;
+    this.rejectLost = null;
+    // idle | connecting | connected | disconnected | closed
+    this.state = 'idle';
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.keepaliveTimer = null;
+    this.lastActivity = 0;
+    this.lastError = null;
+    this.connectedAt = null;
+  }
+
+  get connected() {
+    return this.state === 'connected';
+  }
+
+  // Abrir la sesión (o esperar a la que ya se está abriendo)
+  connect() {
+    if (this.state === 'closed') {
+      return Promise.reject(new RouterConnectionError(`Conexión con ${this.label} cerrada`));
+    }
+    if (this.connected) {
+      return Promise.resolve(this);
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+    // Durante la espera entre reintentos se falla enseguida en lugar de acumular comandos
+    if (this.reconnectTimer) {
+      return Promise.reject(new RouterConnectionError(`Router ${this.label} no disponible: ${this.lastError}`));
+    }
+
+    this.state = 'connecting';
+    this.connecting = this.open()
+      .then(() => {
+        this.state = 'connected';
+        this.reconnectAttempts = 0;
+        this.lastError = null;
+        this.connectedAt = new Date().toISOString();
+        this.lastActivity = Date.now();
+        this.startKeepalive();
+        logger.info(`Conexión establecida con MikroTik ${this.label}`);
+        this.emit('up');
+        return this;
+      })
+      .catch(error => {
+        if (this.state !== 'closed') {
+          this.state = 'disconnected';
+          this.lastError = error.message;
+          logger.error(`Error conectando a MikroTik ${this.label}: ${error.message}`);
+          this.emit('down', error.message);
+          this.scheduleReconnect();
+        }
+        throw error;
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+
+    return this.connecting;
+  }
+
+  async open() {
+    const api = new RouterOSAPI({
+      host: this.config.host,
+      port: this.config.port,
+      user: this.config.user,
+      password: this.config.password,
+      // Inactividad del socket en segundos: holgura sobre el keepalive
+      timeout: this.keepaliveInterval ? Math.ceil(this.keepaliveInterval * 3 / 1000) : 3600
+    });
+    api.on('error', error => this.handleDrop(api, error));
+    api.on('close', () => this.handleDrop(api, new Error('el router cerró la conexión')));
+
+    try {
+      await withTimeout(api.connect(), this.commandTimeout,
+        () => new RouterConnectionError(`Tiempo de espera agotado conectando a ${this.label}`));
+    } catch (error) {
+      this.discard(api);
+      throw error instanceof RouterConnectionError ? error : new RouterConnectionError(errorMessage(error));
+    }
+
+    if (this.state === 'closed') {
+      this.discard(api);
+      throw new RouterConnectionError(`Conexión con ${this.label} cerrada`);
+    }
+    this.api = api;
+    this.lost = new Promise((resolve, reject) => {
+      this.rejectLost = reject;
+    });
+    this.lost.catch(() => {});
+  }
+
+  // Ejecutar un comando en la cola compartida
+  write(menu, params = [], { timeout = this.commandTimeout } = {}) {
+    return this.limiter.run(async () => {
+      await this.connect();
+      const api = this.api;
+      if (!api) {
+        throw new RouterConnectionError(`Conexión con ${this.label} perdida`);
+      }
+
+      try {
+        const result = await withTimeout(Promise.race([api.write(menu, params), this.lost]), timeout,
+          () => new RouterConnectionError(`Sin respuesta de ${this.label} a ${menu} en ${timeout} ms`));
+        this.lastActivity = Date.now();
+        return result;
+      } catch (error) {
+        // Errores del socket (RosException); los !trap llegan como Error normal
+        if (error instanceof RosException) {
+          throw new RouterConnectionError(error.message);
+        }
+        throw error;
+      }
+    });
+  }
+
+  startKeepalive() {
+    this.stopKeepalive();
+    if (!this.keepaliveInterval) {
+      return;
+    }
+    this.keepaliveTimer = setInterval(() => this.checkHealth(), this.keepaliveInterval);
+    this.keepaliveTimer.unref();
+  }
+
+  stopKeepalive() {
+    clearInterval(this.keepaliveTimer);
+    this.keepaliveTimer = null;
+  }
+
+  // Comprobar la sesión si lleva un intervalo sin tráfico. No pasa por la cola para
+  // detectar también una sesión colgada con comandos esperando
+  async checkHealth() {
+    const api = this.api;
+    if (!this.connected || !api || Date.now() - this.lastActivity < this.keepaliveInterval) {
+      return;
+    }
+
+    try {
+      await withTimeout(api.write('/system/identity/print'), this.commandTimeout,
+        () => new RouterConnectionError('keepalive sin respuesta'));
+      this.lastActivity = Date.now();
+    } catch (error) {
+      // Un !trap también es una respuesta: la sesión sigue viva
+      if (error instanceof RouterConnectionError || error instanceof RosException) {
+        this.handleDrop(api, error);
+      } else {
+        this.lastActivity = Date.now();
+      }
+    }
+  }
+
+  handleDrop(api, error) {
+    if (api !== this.api) {
+      return;
+    }
+
+    this.api = null;
+    this.discard(api);
+    this.stopKeepalive();
+    this.rejectLost(new RouterConnectionError(`Conexión con ${this.label} perdida: ${errorMessage(error)}`));
+    if (this.state === 'closed') {
+      return;
+    }
+
+    this.state = 'disconnected';
+    this.lastError = errorMessage(error);
+    logger.warn(`Conexión con MikroTik ${this.label} perdida: ${this.lastError}`);
+    this.emit('down', this.lastError);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.state === 'closed') {
+      return;
+    }
+
+    const delay = Math.min(this.reconnectBaseDelay * 2 ** this.reconnectAttempts, this.reconnectMaxDelay);
+    this.reconnectAttempts++;
+    logger.info(`Reconectando a MikroTik ${this.label} en ${delay} ms (intento ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // Si falla, connect() programa el siguiente intento
+      this.connect().catch(() => {});
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  // Soltar una sesión sin esperar al router
+  discard(api) {
+    api.removeAllListeners();
+    api.on('error', () => {});
+    // node-routeros mantiene un temporizador mientras queden comandos sin respuesta
+    clearTimeout(api.connectionHoldInterval);
+    if (api.connector) {
+      api.connector.destroy();
+    }
+  }
+
+  // Cerrar definitivamente: cancela reconexiones y comandos en cola
+  async close() {
+    this.state = 'closed';
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopKeepalive();
+    this.limiter.clear(new RouterConnectionError(`Conexión con ${this.label} cerrada`));
+
+    const api = this.api;
+    this.api = null;
+    if (api) {
+      this.rejectLost(new RouterConnectionError(`Conexión con ${this.label} cerrada`));
+      await withTimeout(api.close(), 2000, () => new Error('cierre sin respuesta')).catch(() => {});
+      this.discard(api);
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      active: this.limiter.active,
+      queued: this.limiter.pending,
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError,
+      connectedAt: this.connectedAt
+    };
+  }
+}
+
+module.exports = RouterConnection;
+module.exports.RouterConnectionError = RouterConnectionError;
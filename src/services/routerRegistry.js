@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const MikrotikService = require('./mikrotikService');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const ENV_ROUTER_ID = 'default';
+
+class RouterRegistry {
+  constructor() {
+    this.store = createStore('routers');
+    this.services = new Map();
+  }
+
+  // Router definido por las variables MIKROTIK_* (no se persiste)
+  getEnvRouter() {
+    if (!process.env.MIKROTIK_HOST) {
+      return null;
+    }
+
+    return {
+      id: ENV_ROUTER_ID,
+      name: process.env.MIKROTIK_NAME || 'MikroTik',
+      host: process.env.MIKROTIK_HOST,
+      port: parseInt(process.env.MIKROTIK_PORT) || 8728,
+      user: process.env.MIKROTIK_USER,
+      password: process.env.MIKROTIK_PASSWORD,
+      source: 'env'
+    };
+  }
+
+  async getAll() {
+    const envRouter = this.getEnvRouter();
+    const stored = await this.store.all();
+    return envRouter ? [envRouter, ...stored] : stored;
+  }
+
+  async get(id) {
+    if (id === ENV_ROUTER_ID) {
+      return this.getEnvRouter();
+    }
+    return this.store.get(id);
+  }
+
+  async getDefaultId() {
+    const preferred = process.env.MIKROTIK_DEFAULT_ROUTER;
+    if (preferred && await this.get(preferred)) {
+      return preferred;
+    }
+
+    const routers = await this.getAll();
+    return routers.length > 0 ? routers[0].id : null;
+  }
+
+  // Resolver un identificador (o el router por defecto si no se indica)
+  async resolve(id) {
+    const routerId = id || await this.getDefaultId();
+    if (!routerId) {
+      return null;
+    }
+    return this.get(routerId);
+  }
+
+  async add(data) {
+    const id = data.id || crypto.randomUUID();
+
+    if (await this.get(id)) {
+      throw new Error(`Ya existe un router con id ${id}`);
+    }
+
+    const router = {
+      id,
+      name: data.name,
+      host: data.host,
+      port: parseInt(data.port) || 8728,
+      user: data.user,
+      password: data.password,
+      source: 'store',
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(router);
+    logger.info(`Router ${id} (${router.host}) registrado`);
+    return router;
+  }
+
+  async update(id, changes) {
+    const router = await this.get(id);
+    if (!router) {
+      return null;
+    }
+    if (router.source === 'env') {
+      throw new Error('El router por defecto se configura mediante variables de entorno');
+    }
+
+    const updated = { ...router, updatedAt: new Date().toISOString() };
+    ['name', 'host', 'user', 'password'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    if (changes.port !== undefined) {
+      updated.port = parseInt(changes.port) || 8728;
+    }
+
+    await this.store.save(updated);
+    await this.releaseService(id);
+    logger.info(`Router ${id} actualizado`);
+    return updated;
+  }
+
+  async remove(id) {
+    const router = await this.get(id);
+    if (!router) {
+      return false;
+    }
+    if (router.source === 'env') {
+      throw new Error('El router por defecto se configura mediante variables de entorno');
+    }
+
+    await this.releaseService(id);
+    await this.store.remove(id);
+    logger.info(`Router ${id} eliminado`);
+    return true;
+  }
+
+  // Obtener (o crear) el servicio MikroTik asociado a un router
+  async getService(id) {
+    const router = await this.resolve(id);
+    if (!router) {
+      return null;
+    }
+
+    if (!this.services.has(router.id)) {
+      this.services.set(router.id, new MikrotikService({
+        id: router.id,
+        host: router.host,
+        port: router.port,
+        user: router.user,
+        password: router.password
+      }));
+    }
+    return this.services.get(router.id);
+  }
+
+  async releaseService(id) {
+    const service = this.services.get(id);
+    if (service) {
+      this.services.delete(id);
+      try {
+        await service.disconnect();
+      } catch (error) {
+        logger.warn(`Error desconectando router ${id}: ${error.message}`);
+      }
+    }
+  }
+
+  async disconnectAll() {
+    await Promise.all(Array.from(this.services.keys()).map(id => this.releaseService(id)));
+  }
+
+  // Representación pública (sin credenciales)
+  toPublic(router) {
+    const { password, ...rest } = router;
+    return rest;
+  }
+}
+
+module.exports = new RouterRegistry();
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const routerRegistry = require('./routerRegistry');
+const auditService = require('./auditService');
+const { createStore } = require('../utils/store');
+const { isWithinWindow } = require('../utils/timeWindow');
+const logger = require('../utils/logger');
+
+const SCHEDULER_ACTOR = { username: 'scheduler', role: 'system' };
+
+// Dueño de las queues y bloqueos 0/0 de las programaciones (ver MikrotikService.setSpeedLimit)
+const SCHEDULE_OWNER = 'SCHEDULE';
+
+// Límites de velocidad programados por franja horaria
+class ScheduleService {
+  constructor() {
+    this.store = createStore('schedules');
+    // Estado aplicado por dispositivo ("router|ip"), para sobrevivir a reinicios
+    this.state = createStore('schedule-state');
+    this.tickInterval = parseInt(process.env.SCHEDULE_TICK_MS) || 30000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Programador de límites iniciado (cada ${this.tickInterval / 1000}s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async list(router) {
+    const schedules = await this.store.all();
+    return schedules
+      .filter(s => !router || s.router === router)
+      .map(s => ({ ...s, active: s.enabled && isWithinWindow(s) }));
+  }
+
+  async get(id) {
+    const schedule = await this.store.get(id);
+    return schedule ? { ...schedule, active: schedule.enabled && isWithinWindow(schedule) } : null;
+  }
+
+  async create(data, createdBy) {
+    const schedule = {
+      id: crypto.randomUUID(),
+      router: data.router,
+      name: data.name || `${data.ip} ${data.start}-${data.end}`,
+      ip: data.ip,
+      days: data.days || [],
+      start: data.start,
+      end: data.end,
+      mode: data.mode || 'limit',
+      rxLimit: data.mode === 'unlimited' ? null : data.rxLimit,
+      txLimit: data.mode === 'unlimited' ? null : data.txLimit,
+      priority: data.priority || 0,
+      enabled: data.enabled !== false,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(schedule);
+    logger.info(`Programación ${schedule.id} creada para ${schedule.ip} (${schedule.start}-${schedule.end})`);
+    this.tick();
+    return schedule;
+  }
+
+  async update(id, changes) {
+    const schedule = await this.store.get(id);
+    if (!schedule) {
+      return null;
+    }
+
+    const updated = { ...schedule, updatedAt: new Date().toISOString() };
+    ['name', 'ip', 'days', 'start', 'end', 'mode', 'rxLimit', 'txLimit', 'priority', 'enabled'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+    if (updated.mode === 'unlimited') {
+      updated.rxLimit = null;
+      updated.txLimit = null;
+    }
+
+    await this.store.save(updated);
+    this.tick();
+    return updated;
+  }
+
+  async remove(id) {
+    const removed = await this.store.remove(id);
+    if (removed) {
+      this.tick();
+    }
+    return removed;
+  }
+
+  // Programación que debe regir ahora para cada dispositivo (mayor prioridad; a igualdad, la más reciente)
+  async getDesiredState(now = new Date()) {
+    const schedules = await this.store.all();
+    const desired = new Map();
+
+    schedules
+      .filter(s => s.enabled && isWithinWindow(s, now))
+      .forEach(schedule => {
+        const key = `${schedule.router}|${schedule.ip}`;
+        const current = desired.get(key);
+        if (!current || schedule.priority >= current.priority) {
+          desired.set(key, schedule);
+        }
+      });
+
+    return desired;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const desired = await this.getDesiredState();
+      const applied = await this.state.all();
+
+      // Aplicar programaciones que entran en vigor o cambian
+      for (const [key, schedule] of desired) {
+        const current = applied.find(a => a.id === key);
+        const signature = `${schedule.id}:${schedule.mode}:${schedule.rxLimit}/${schedule.txLimit}`;
+        if (current && current.signature === signature) continue;
+
+        await this.applySchedule(key, schedule, signature, current);
+      }
+
+      // Revertir dispositivos cuya programación terminó o se eliminó
+      for (const current of applied) {
+        if (desired.has(current.id)) continue;
+        await this.releaseDevice(current);
+      }
+    } catch (error) {
+      logger.error(`Error evaluando programaciones: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async applySchedule(key, schedule, signature, current) {
+    try {
+      const service = await routerRegistry.getService(schedule.router);
+      if (!service) {
+        logger.warn(`Programación ${schedule.id}: router ${schedule.router} no existe`);
+        return;
+      }
+
+      // Límite que había antes de la franja, para restaurarlo al terminar. Si ya regía
+      // otra programación sobre la IP se conserva el que había antes de ella
+      const previous = current ? current.previous : await service.getSpeedLimitState(schedule.ip);
+      const unlimited = schedule.mode === 'unlimited';
+      await auditService.track({
+        actor: SCHEDULER_ACTOR,
+        router: schedule.router,
+        service,
+        action: unlimited ? 'removeSpeedLimit' : 'setSpeedLimit',
+        target: { ip: schedule.ip },
+        params: { scheduleId: schedule.id, rxLimit: schedule.rxLimit, txLimit: schedule.txLimit }
+      }, () => unlimited
+        ? service.removeSpeedLimit(schedule.ip, { owner: SCHEDULE_OWNER })
+        : service.setSpeedLimit(schedule.ip, schedule.rxLimit, schedule.txLimit, { owner: SCHEDULE_OWNER }));
+
+      await this.state.save({
+        id: key,
+        router: schedule.router,
+        ip: schedule.ip,
+        scheduleId: schedule.id,
+        mode: schedule.mode,
+        previous,
+        signature,
+        appliedAt: new Date().toISOString()
+      });
+      logger.info(`Programación ${schedule.name} aplicada a ${schedule.ip}`);
+    } catch (error) {
+      logger.error(`Error aplicando programación ${schedule.id} a ${schedule.ip}: ${error.message}`);
+    }
+  }
+
+  // Quitar lo que puso la programación y restaurar el límite que reemplazó. Los bloqueos
+  // de otras funcionalidades no se tocan, y si alguien cambió el límite durante la
+  // franja se respeta el suyo
+  async releaseDevice(current) {
+    try {
+      const service = await routerRegistry.getService(current.router);
+      if (service) {
+        const unlimited = current.mode === 'unlimited';
+        const limit = await service.getSpeedLimitState(current.ip);
+        const untouched = unlimited ? !limit : limit?.owner === SCHEDULE_OWNER;
+        const track = (action, params, operation) => auditService.track({
+          actor: SCHEDULER_ACTOR,
+          router: current.router,
+          service,
+          action,
+          target: { ip: current.ip },
+          params: { scheduleId: current.scheduleId, reason: 'schedule-ended', ...params }
+        }, operation);
+
+        if (!unlimited) {
+          await track('removeSpeedLimit', {}, () => service.removeSpeedLimit(current.ip, { owner: SCHEDULE_OWNER }));
+        }
+
+        if (untouched && current.previous) {
+          const { limit: previousLimit, owner } = current.previous;
+          // 1/1 es el respaldo de un bloqueo completo
+          const [rx, tx] = previousLimit === '1/1' ? [0, 0] : previousLimit.split('/').map(v => parseInt(v));
+          await track(previousLimit === '1/1' ? 'blockUserCompletely' : 'setSpeedLimit', { restoredLimit: previousLimit },
+            () => service.setSpeedLimit(current.ip, rx, tx, { verify: false, owner: owner || undefined }));
+        }
+      }
+
+      await this.state.remove(current.id);
+      logger.info(`Programación finalizada para ${current.ip}, límite anterior restaurado`);
+    } catch (error) {
+      logger.error(`Error revirtiendo programación de ${current.ip}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,190 @@
+const { diffList, diffObject, isEmptyDiff } = require('../utils/snapshotDiff');
+const logger = require('../utils/logger');
+
+// Espera máxima entre sondeos cuando el router falla
+const MAX_BACKOFF = 60000;
+
+// Sondeo compartido de un flujo de datos (tipo + router) para WebSocketManager.
+// Consulta el router una sola vez por intervalo, al más rápido que pida alguna vista,
+// y reparte el resultado por salas de Socket.IO. Una vista agrupa a los sockets con
+// los mismos filtros e intervalo: recibe su propio filtrado, como mucho una vez por
+// su intervalo, y solo las diferencias respecto a lo último que se le envió.
+class StreamPoller {
+  constructor(io, { type, routerId, definition, fetch }) {
+    this.io = io;
+    this.type = type;
+    this.routerId = routerId;
+    this.definition = definition;
+    this.fetch = fetch;
+    this.views = new Map();
+    this.timer = null;
+    this.nextPollAt = null;
+    this.polling = false;
+    this.latest = null;
+    this.failures = 0;
+    this.lastError = null;
+  }
+
+  get interval() {
+    return Math.min(...Array.from(this.views.values(), view => view.interval));
+  }
+
+  get idle() {
+    return this.views.size === 0;
+  }
+
+  // Añadir un socket a la vista de esas opciones; devuelve la sala
+  join(socket, viewKey, options, interval) {
+    const room = `${this.type}:${this.routerId}:${viewKey}`;
+    let view = this.views.get(room);
+
+    if (!view) {
+      view = { room, options, interval, members: new Set(), last: null, lastTimestamp: null, lastEmitAt: 0 };
+      this.views.set(room, view);
+    }
+    view.members.add(socket.id);
+    socket.join(room);
+
+    if (view.last) {
+      // El socket parte de la misma base que el resto de la sala
+      socket.emit(this.definition.event, this.fullPayload(view));
+    } else if (this.latest) {
+      this.emitView(view, this.latest, Date.now());
+    }
+
+    // Sondear ya si aún no hay datos, o antes de lo previsto si esta vista es más rápida
+    // (salvo durante la espera tras un fallo)
+    if (!this.polling) {
+      const wait = this.latest ? interval : 0;
+      if (!this.timer || (this.failures === 0 && this.nextPollAt - Date.now() > wait)) {
+        this.schedule(wait);
+      }
+    }
+    return room;
+  }
+
+  leave(socket, room) {
+    const view = this.views.get(room);
+    if (!view) return;
+
+    view.members.delete(socket.id);
+    socket.leave(room);
+    if (view.members.size === 0) {
+      this.views.delete(room);
+    }
+    if (this.idle) {
+      this.stop();
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.nextPollAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextPollAt = null;
+  }
+
+  // Intervalo normal o, tras fallos seguidos, espera exponencial
+  nextDelay() {
+    return this.failures === 0 ? this.interval : Math.min(this.interval * 2 ** this.failures, MAX_BACKOFF);
+  }
+
+  async poll() {
+    this.timer = null;
+    if (this.polling || this.idle) return;
+    this.polling = true;
+
+    try {
+      const sample = { data: await this.fetch(), timestamp: new Date().toISOString() };
+      this.latest = sample;
+      this.failures = 0;
+      this.lastError = null;
+
+      // Submuestreo: cada vista recibe una muestra por intervalo propio (con medio
+      // intervalo de sondeo de margen para no saltarse una por el desfase)
+      const now = Date.now();
+      const margin = this.interval / 2;
+      this.views.forEach(view => {
+        if (!view.last || now - view.lastEmitAt >= view.interval - margin) {
+          this.emitView(view, sample, now);
+        }
+      });
+    } catch (error) {
+      this.failures++;
+      this.lastError = error.message;
+      const retryIn = this.nextDelay();
+      logger.error(`Error obteniendo ${this.definition.label} (${this.routerId}): ${error.message}`);
+
+      this.views.forEach(view => {
+        this.io.to(view.room).emit('error', {
+          type: this.type,
+          message: this.definition.errorMessage,
+          router: this.routerId,
+          retryIn
+        });
+      });
+    } finally {
+      this.polling = false;
+    }
+
+    if (!this.idle) {
+      this.schedule(this.nextDelay());
+    }
+  }
+
+  emitView(view, sample, now) {
+    const { event, key, filter } = this.definition;
+    const data = filter ? filter(sample.data, view.options) : sample.data;
+
+    if (!view.last) {
+      view.last = data;
+      view.lastTimestamp = sample.timestamp;
+      this.io.to(view.room).emit(event, this.fullPayload(view));
+    } else {
+      const changes = key ? diffList(view.last, data, key) : diffObject(view.last, data);
+      view.last = data;
+      view.lastTimestamp = sample.timestamp;
+      if (!isEmptyDiff(changes)) {
+        this.io.to(view.room).emit(event, {
+          changes,
+          key: key || null,
+          full: false,
+          router: this.routerId,
+          timestamp: sample.timestamp,
+          interval: view.interval
+        });
+      }
+    }
+    view.lastEmitAt = now;
+  }
+
+  fullPayload(view) {
+    return {
+      data: view.last,
+      full: true,
+      router: this.routerId,
+      timestamp: view.lastTimestamp,
+      interval: view.interval
+    };
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      router: this.routerId,
+      interval: this.idle ? null : this.interval,
+      views: this.views.size,
+      clients: Array.from(this.views.values()).reduce((total, view) => total + view.members.size, 0),
+      failures: this.failures,
+      lastError: this.lastError,
+      lastSample: this.latest ? this.latest.timestamp : null
+    };
+  }
+}
+
+module.exports = StreamPoller;
@@ -0,0 +1,118 @@
+const routerRegistry = require('./routerRegistry');
+const { parseUptime } = require('./metricsService');
+const TimeSeriesStore = require('../utils/timeSeriesStore');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const usage = (free, total) => {
+  const freeBytes = toNumber(free);
+  const totalBytes = toNumber(total);
+  if (freeBytes === null || !totalBytes) {
+    return { free: freeBytes, total: totalBytes, used: null, usedPercent: null };
+  }
+  const used = totalBytes - freeBytes;
+  return {
+    free: freeBytes,
+    total: totalBytes,
+    used,
+    usedPercent: Math.round(used / totalBytes * 1000) / 10
+  };
+};
+
+// Estado del router (CPU, memoria, disco, temperatura, versión y placa) y su
+// historial: una muestra por router cada SYSTEM_SAMPLE_MS en DATA_DIR/system-stats/
+class SystemHealthService {
+  constructor() {
+    this.history = new TimeSeriesStore('system-stats');
+    this.sampleInterval = parseInt(process.env.SYSTEM_SAMPLE_MS) || 60000;
+    this.retention = (parseInt(process.env.SYSTEM_HISTORY_RETENTION_DAYS) || 7) * DAY;
+    this.timer = null;
+    this.running = false;
+    this.lastPrune = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+    logger.info(`Historial del sistema iniciado (muestra cada ${this.sampleInterval / 1000}s)`);
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.sampleInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Estadísticas de RouterOS en números y unidades consistentes (bytes, segundos, %)
+  async getStatus(service) {
+    const stats = await service.getSystemStats();
+    return {
+      cpuLoad: toNumber(stats.cpuLoad),
+      cpu: stats.cpu,
+      cpuCount: stats.cpuCount,
+      memory: usage(stats.memoryFree, stats.memoryTotal),
+      disk: usage(stats.diskFree, stats.diskTotal),
+      uptime: stats.uptime,
+      uptimeSeconds: parseUptime(stats.uptime),
+      temperature: toNumber(stats.temperature),
+      version: stats.version,
+      boardName: stats.boardName,
+      architecture: stats.architecture
+    };
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const routers = await routerRegistry.getAll();
+      const timestamp = new Date().toISOString();
+      const points = [];
+
+      for (const router of routers) {
+        try {
+          const service = await routerRegistry.getService(router.id);
+          const status = await this.getStatus(service);
+          points.push({
+            router: router.id,
+            timestamp,
+            cpuLoad: status.cpuLoad,
+            memoryUsed: status.memory.used,
+            memoryUsedPercent: status.memory.usedPercent,
+            diskUsedPercent: status.disk.usedPercent,
+            temperature: status.temperature
+          });
+        } catch (error) {
+          logger.debug(`Sin muestra del sistema para ${router.id}: ${error.message}`);
+        }
+      }
+
+      await this.history.append(points);
+
+      if (Date.now() - this.lastPrune > HOUR) {
+        this.lastPrune = Date.now();
+        await this.history.prune(new Date(Date.now() - this.retention));
+      }
+    } catch (error) {
+      logger.error(`Error registrando historial del sistema: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async query({ router, from, to = new Date() }) {
+    return this.history.query(from, to, point => point.router === router);
+  }
+}
+
+module.exports = new SystemHealthService();
@@ -0,0 +1,18 @@
+const quotaService = require('./quotaService');
+const deviceService = require('./deviceService');
+const planService = require('./planService');
+const wirelessService = require('./wirelessService');
+
+// Servicios que agregan campos a los usuarios conectados de /users y `users-data`
+// (cuota, ficha del inventario, plan y señal Wi-Fi), en este orden
+const ENRICHERS = [quotaService, deviceService, planService, wirelessService];
+
+const enrichUsers = async (router, users) => {
+  let enriched = users;
+  for (const enricher of ENRICHERS) {
+    enriched = await enricher.enrichUsers(router, enriched);
+  }
+  return enriched;
+};
+
+module.exports = { enrichUsers };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const SALT_ROUNDS = 10;
+
+// Contraseña generada del administrador inicial (solo legible por el usuario del proceso)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const PASSWORD_FILE = path.join(DATA_DIR, 'admin-password.txt');
+
+// Cuentas de acceso a la API
+class UserStore {
+  constructor() {
+    this.store = createStore('users');
+  }
+
+  async list() {
+    const users = await this.store.all();
+    return users.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async findById(id) {
+    return this.store.get(id);
+  }
+
+  async findByUsername(username) {
+    const users = await this.store.all();
+    return users.find(u => u.username === username) || null;
+  }
+
+  async create({ username, password, role = 'viewer' }) {
+    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    // Comprobar después del hash: otra alta con el mismo nombre pudo terminar mientras tanto
+    if (await this.findByUsername(username)) {
+      throw new Error('El usuario ya existe');
+    }
+
+    // Id único al insertar: no se repite entre altas simultáneas ni se reutiliza
+    // tras borrar una cuenta (un JWT antiguo no puede apuntar a otra)
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      password: hash,
+      role,
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(user);
+    return user;
+  }
+
+  async update(id, changes) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    const updated = { ...user, updatedAt: new Date().toISOString() };
+    if (changes.role !== undefined) updated.role = changes.role;
+    if (changes.disabled !== undefined) updated.disabled = Boolean(changes.disabled);
+
+    // No dejar la API sin administradores activos
+    if (this.isActiveAdmin(user) && !this.isActiveAdmin(updated) && await this.countActiveAdmins() <= 1) {
+      throw new Error('No se puede dejar la API sin administradores activos');
+    }
+
+    await this.store.save(updated);
+    return updated;
+  }
+
+  async setPassword(id, password) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    user.password = await bcrypt.hash(password, SALT_ROUNDS);
+    user.updatedAt = new Date().toISOString();
+    await this.store.save(user);
+    return user;
+  }
+
+  async remove(id) {
+    const user = await this.findById(id);
+    if (!user) {
+      return false;
+    }
+
+    if (this.isActiveAdmin(user) && await this.countActiveAdmins() <= 1) {
+      throw new Error('No se puede eliminar el último administrador activo');
+    }
+
+    return this.store.remove(id);
+  }
+
+  async verifyPassword(user, password) {
+    return bcrypt.compare(password, user.password);
+  }
+
+  isActiveAdmin(user) {
+    return user.role === 'admin' && !user.disabled;
+  }
+
+  async countActiveAdmins() {
+    const users = await this.store.all();
+    return users.filter(u => this.isActiveAdmin(u)).length;
+  }
+
+  // Crear el administrador inicial en el primer arranque
+  async bootstrap() {
+    const users = await this.store.all();
+    if (users.length > 0) {
+      return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+
+    if (process.env.ADMIN_PASSWORD) {
+      logger.info(`Administrador inicial "${username}" creado desde ADMIN_PASSWORD`);
+      return this.create({ username, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+    }
+
+    // La contraseña generada no pasa por el logger ni por la consola (acabarían en
+    // logs/ o en los logs del gestor de procesos): se guarda en un archivo 0600
+    const password = crypto.randomBytes(12).toString('base64url');
+    try {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      await fs.promises.writeFile(PASSWORD_FILE, `${password}\n`, { mode: 0o600 });
+      await fs.promises.chmod(PASSWORD_FILE, 0o600);
+    } catch (error) {
+      logger.error(`No se pudo guardar la contraseña del administrador inicial (${error.message}): define ADMIN_PASSWORD`);
+      return null;
+    }
+
+    const user = await this.create({ username, password, role: 'admin' });
+    logger.warn(`Administrador inicial "${username}" creado; su contraseña está en ${PASSWORD_FILE}. Cámbiala tras el primer login y borra el archivo`);
+    return user;
+  }
+
+  // Representación pública (sin hash de contraseña)
+  toPublic(user) {
+    const { password, ...rest } = user;
+    return rest;
+  }
+}
+
+module.exports = new UserStore();
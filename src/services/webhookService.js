@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const eventBus = require('./eventBus');
+const AppendLog = require('../utils/appendLog');
+const { createStore } = require('../utils/store');
+const logger = require('../utils/logger');
+
+const TEST_EVENT = 'webhook.test';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Firma HMAC-SHA256 de "<timestamp>.<cuerpo>" con el secreto del webhook
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Webhooks salientes: cada endpoint se suscribe a tipos de evento del eventBus
+// y recibe un POST JSON firmado, con reintentos y backoff exponencial
+class WebhookService {
+  constructor() {
+    this.store = createStore('webhooks');
+    this.deliveries = new AppendLog('webhook-deliveries');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+    this.onEvent = (event) => this.dispatch(event);
+  }
+
+  start() {
+    eventBus.on('event', this.onEvent);
+    logger.info('Webhooks iniciados');
+  }
+
+  stop() {
+    eventBus.off('event', this.onEvent);
+  }
+
+  async list() {
+    return this.store.all();
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async create(data, createdBy) {
+    const webhook = {
+      id: crypto.randomUUID(),
+      name: data.name,
+      url: data.url,
+      events: data.events,
+      secret: data.secret || crypto.randomBytes(32).toString('hex'),
+      enabled: data.enabled !== false,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.save(webhook);
+    logger.info(`Webhook "${webhook.name}" creado (${webhook.events.join(', ')})`);
+    return webhook;
+  }
+
+  async update(id, changes) {
+    const webhook = await this.store.get(id);
+    if (!webhook) {
+      return null;
+    }
+
+    const updated = { ...webhook, updatedAt: new Date().toISOString() };
+    ['name', 'url', 'events', 'secret', 'enabled'].forEach(field => {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    });
+
+    await this.store.save(updated);
+    return updated;
+  }
+
+  async remove(id) {
+    return this.store.remove(id);
+  }
+
+  subscribes(webhook, type) {
+    return webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(type));
+  }
+
+  async dispatch(event) {
+    try {
+      const webhooks = (await this.store.all()).filter(w => this.subscribes(w, event.type));
+      webhooks.forEach(webhook => this.deliver(webhook, event));
+    } catch (error) {
+      logger.error(`Error despachando evento ${event.type}: ${error.message}`);
+    }
+  }
+
+  // Entregar un evento reintentando con backoff (1s, 2s, 4s...) ante errores de red, 429 o 5xx
+  deliver(webhook, event) {
+    const delivery = (async () => {
+      let last;
+      for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+        last = await this.attempt(webhook, event, attempt);
+        if (last.status === 'success' || !last.retryable) {
+          break;
+        }
+        if (attempt < this.maxAttempts) {
+          await sleep(this.retryBaseDelay * 2 ** (attempt - 1));
+        }
+      }
+      return last;
+    })();
+
+    delivery.catch(error => logger.error(`Error entregando webhook ${webhook.name}: ${error.message}`));
+    return delivery;
+  }
+
+  async attempt(webhook, event, attempt) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify(event);
+    const started = Date.now();
+    const record = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      eventId: event.id,
+      event: event.type,
+      url: webhook.url,
+      attempt,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'HAPLite-API-Webhooks',
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Delivery': record.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      record.statusCode = response.status;
+      record.status = response.ok ? 'success' : 'failed';
+      record.retryable = !response.ok && (response.status === 429 || response.status >= 500);
+      record.error = response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      record.statusCode = null;
+      record.status = 'failed';
+      record.retryable = true;
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - started;
+    await this.deliveries.append(record);
+
+    if (record.status === 'success') {
+      logger.debug(`Webhook ${webhook.name}: ${event.type} entregado (${record.statusCode})`);
+    } else {
+      logger.warn(`Webhook ${webhook.name}: intento ${attempt} de ${event.type} fallido (${record.error})`);
+    }
+    return record;
+  }
+
+  // Disparar un evento de prueba (un solo intento, sin reintentos) y devolver el resultado
+  async test(webhook) {
+    // No pasa por el eventBus: solo lo recibe este webhook
+    const event = {
+      id: crypto.randomUUID(),
+      type: TEST_EVENT,
+      timestamp: new Date().toISOString(),
+      data: { webhookId: webhook.id, message: 'Evento de prueba' }
+    };
+    return this.attempt(webhook, event, 1);
+  }
+
+  async getDeliveries({ webhookId, event, status, limit = 100, offset = 0 } = {}) {
+    const filtered = webhookId || event || status;
+    const { total, entries } = await this.deliveries.query({
+      filter: filtered
+        ? d => (!webhookId || d.webhookId === webhookId) && (!event || d.event === event) && (!status || d.status === status)
+        : null,
+      limit,
+      offset
+    });
+
+    return { total, deliveries: entries };
+  }
+
+  // Representación pública (sin el secreto completo)
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `…${secret.slice(-4)}` };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.sign = sign;
@@ -1,37 +1,129 @@
-const MikrotikService = require('./mikrotikService');
+const routerRegistry = require('./routerRegistry');
+const StreamPoller = require('./streamPoller');
+const { enrichUsers } = require('./userEnricher');
+const { normalizeMac } = require('./deviceService');
+const systemHealthService = require('./systemHealthService');
+const { verifyToken } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
+// Intervalo mínimo de una suscripción: el sondeo compartido va al más rápido pedido
+const MIN_INTERVAL = 200;
+
+// Aviso previo a la caducidad del token, para que el cliente lo renueve a tiempo
+const EXPIRY_WARNING = 60000;
+// Mayor espera que admite setTimeout (~24,8 días)
+const MAX_TIMER = 2 ** 31 - 1;
+
+const sortedList = (values) => (Array.isArray(values) ? values.map(String) : []).sort();
+
+// Flujos de datos suscribibles: evento emitido, permiso necesario (el mismo que la
+// ruta HTTP equivalente), clave de los elementos (para las diferencias), intervalo
+// por defecto, consulta al router y filtros por cliente
+const STREAMS = {
+  bandwidth: {
+    event: 'bandwidth-data',
+    permission: PERMISSIONS.NETWORK_READ,
+    key: 'interface',
+    interval: 2000, // tiempo real
+    label: 'ancho de banda',
+    errorMessage: 'Error obteniendo datos de ancho de banda',
+    fetch: async (service) => (await service.getBandwidthUsage()) || [],
+    // Lista vacía = todas las interfaces
+    options: ({ interfaces = ['ether1', 'wlan1', 'bridge'] }) => ({ interfaces: sortedList(interfaces) }),
+    filter: (data, { interfaces }) => interfaces.length > 0 ? data.filter(item => interfaces.includes(item.interface)) : data
+  },
+  users: {
+    event: 'users-data',
+    permission: PERMISSIONS.NETWORK_READ,
+    key: 'ip',
+    interval: 5000,
+    label: 'usuarios',
+    errorMessage: 'Error obteniendo usuarios conectados',
+    fetch: async (service, routerId) => enrichUsers(routerId, await service.getConnectedUsers()),
+    options: () => ({})
+  },
+  'device-traffic': {
+    event: 'device-traffic',
+    permission: PERMISSIONS.NETWORK_READ,
+    key: 'ip',
+    interval: 2000,
+    label: 'tráfico por dispositivo',
+    errorMessage: 'Error obteniendo tráfico por dispositivo',
+    fetch: (service) => service.getDeviceTraffic(),
+    // ips vacío = todos los dispositivos
+    options: ({ ips = [] }) => ({ ips: sortedList(ips) }),
+    filter: (data, { ips }) => ips.length > 0 ? data.filter(device => ips.includes(device.ip)) : data
+  },
+  wireless: {
+    event: 'wireless-data',
+    permission: PERMISSIONS.NETWORK_READ,
+    key: 'mac',
+    interval: 5000,
+    label: 'clientes Wi-Fi',
+    errorMessage: 'Error obteniendo clientes Wi-Fi',
+    fetch: (service) => service.getWirelessClients(),
+    // macs vacío = todos los clientes
+    options: ({ macs = [] }) => ({ macs: sortedList(macs.map(normalizeMac)) }),
+    filter: (data, { macs }) => macs.length > 0 ? data.filter(client => macs.includes(normalizeMac(client.mac))) : data
+  },
+  system: {
+    event: 'system-data',
+    permission: PERMISSIONS.NETWORK_READ,
+    key: null, // objeto único: diferencias campo a campo
+    interval: 5000,
+    label: 'estado del sistema',
+    errorMessage: 'Error obteniendo estado del sistema',
+    fetch: (service) => systemHealthService.getStatus(service),
+    options: () => ({})
+  }
+};
+
 class WebSocketManager {
   constructor(io) {
     this.io = io;
-    this.mikrotikService = new MikrotikService();
-    this.intervals = new Map();
-    this.clientSettings = new Map();
-    this.connectionRetryAttempts = 0;
-    this.maxRetryAttempts = 5;
+    // Un StreamPoller por tipo y router ("bandwidth:default")
+    this.streams = new Map();
+    // Suscripciones de cada socket: tipo -> { options, views: [{ poller, room }] }
+    this.subscriptions = new Map();
   }
 
   initialize() {
+    // Autenticar en el handshake con el mismo JWT de la API: sin token válido no hay conexión
+    this.io.use((socket, next) => this.authenticateHandshake(socket, next));
+
     this.io.on('connection', (socket) => {
-      logger.info(`Cliente conectado: ${socket.id}`);
-      
-      // Enviar estado inicial
-      this.sendInitialData(socket);
-      
-      // Manejar suscripciones
-      socket.on('subscribe-bandwidth', (options = {}) => {
-        this.handleBandwidthSubscription(socket, options);
+      const { user } = socket.data;
+      logger.info(`Cliente conectado: ${socket.id} (${user.username}, ${user.role})`);
+
+      this.scheduleExpiry(socket);
+      socket.emit('authenticated', this.describeSession(user));
+      if (hasPermission(user.role, PERMISSIONS.NETWORK_READ)) {
+        this.sendInitialData(socket);
+      }
+
+      // Renovar el token sin reconectar (p. ej. antes de que caduque). Los datos de los
+      // eventos los envía el cliente y pueden ser null: no se usan parámetros por defecto
+      socket.on('refresh-token', (data) => {
+        this.handleTokenRefresh(socket, data || {});
       });
       
-      socket.on('subscribe-users', (options = {}) => {
-        this.handleUsersSubscription(socket, options);
+      // Manejar suscripciones: subscribe-bandwidth, subscribe-users, ...
+      Object.keys(STREAMS).forEach(type => {
+        socket.on(`subscribe-${type}`, (options) => this.handleSubscription(socket, type, async () => {
+          if (!await this.authorize(socket, STREAMS[type].permission)) return;
+          await this.subscribe(socket, type, options || {});
+        }));
       });
       
-      socket.on('update-interval', (data) => {
-        this.updateClientInterval(socket, data);
-      });
+      socket.on('update-interval', (data) => this.handleSubscription(socket, data?.type, async () => {
+        const definition = STREAMS[data?.type];
+        if (definition && !await this.authorize(socket, definition.permission)) return;
+        await this.updateClientInterval(socket, data || {});
+      }));
       
       socket.on('disconnect', () => {
+        this.clearExpiry(socket);
         this.handleDisconnect(socket);
       });
       
@@ -42,21 +134,192 @@ class WebSocketManager {
     });
   }
 
+  // Token del handshake: `auth.token` (socket.io-client) o la cabecera Authorization
+  getHandshakeToken(socket) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    return auth.token || headers.authorization?.replace('Bearer ', '') || null;
+  }
+
+  async authenticateHandshake(socket, next) {
+    const token = this.getHandshakeToken(socket);
+    if (!token) {
+      return next(this.authError('Acceso denegado. Token no proporcionado.'));
+    }
+
+    try {
+      const user = await verifyToken(token);
+      if (!user) {
+        return next(this.authError('Cuenta deshabilitada o inexistente'));
+      }
+
+      socket.data.user = user;
+      socket.data.token = token;
+      next();
+    } catch (error) {
+      logger.warn(`Autenticación de socket ${socket.id} fallida: ${error.message}`);
+      next(this.authError(error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido'));
+    }
+  }
+
+  // Error de handshake: el cliente lo recibe en `connect_error` (message y data)
+  authError(message) {
+    const error = new Error(message);
+    error.data = { type: 'auth', message };
+    return error;
+  }
+
+  describeSession(user) {
+    return {
+      user: { id: user.userId, username: user.username, role: user.role },
+      expiresAt: user.exp ? new Date(user.exp * 1000).toISOString() : null
+    };
+  }
+
+  // Avisar antes de que caduque el token y desconectar al caducar
+  scheduleExpiry(socket) {
+    this.clearExpiry(socket);
+    const { exp } = socket.data.user;
+    if (!exp) return;
+
+    const remaining = exp * 1000 - Date.now();
+    if (remaining > MAX_TIMER) {
+      socket.data.expiryTimers = [setTimeout(() => this.scheduleExpiry(socket), MAX_TIMER)];
+      return;
+    }
+
+    socket.data.expiryTimers = [
+      setTimeout(() => {
+        socket.emit('token-expiring', { expiresAt: new Date(exp * 1000).toISOString() });
+      }, Math.max(remaining - EXPIRY_WARNING, 0)),
+      setTimeout(() => this.endSession(socket, 'Token expirado'), Math.max(remaining, 0))
+    ];
+  }
+
+  clearExpiry(socket) {
+    (socket.data.expiryTimers || []).forEach(timer => clearTimeout(timer));
+    socket.data.expiryTimers = [];
+  }
+
+  endSession(socket, message) {
+    logger.info(`Cerrando socket ${socket.id} de ${socket.data.user.username}: ${message}`);
+    socket.emit('error', { type: 'auth', message });
+    socket.disconnect(true);
+  }
+
+  async handleTokenRefresh(socket, { token }) {
+    try {
+      const user = token ? await verifyToken(token) : null;
+      if (!user) {
+        throw new Error('Cuenta deshabilitada o inexistente');
+      }
+      if (user.userId !== socket.data.user.userId) {
+        throw new Error('El token pertenece a otra cuenta');
+      }
+
+      socket.data.user = user;
+      socket.data.token = token;
+      this.scheduleExpiry(socket);
+      this.dropForbiddenSubscriptions(socket);
+
+      logger.info(`Token del socket ${socket.id} renovado (${user.username})`);
+      socket.emit('token-refreshed', this.describeSession(user));
+    } catch (error) {
+      logger.warn(`Renovación de token del socket ${socket.id} fallida: ${error.message}`);
+      socket.emit('error', {
+        type: 'auth',
+        message: 'Token inválido'
+      });
+    }
+  }
+
+  // Revalidar la cuenta (sigue activa y con su rol vigente) y exigir el permiso del evento
+  async authorize(socket, permission) {
+    let user = null;
+    try {
+      user = await verifyToken(socket.data.token);
+    } catch (error) {
+      logger.warn(`Token del socket ${socket.id} no válido: ${error.message}`);
+    }
+
+    if (!user) {
+      this.endSession(socket, 'Cuenta deshabilitada o inexistente');
+      return false;
+    }
+
+    socket.data.user = user;
+    this.dropForbiddenSubscriptions(socket);
+    if (hasPermission(user.role, permission)) {
+      return true;
+    }
+
+    logger.warn(`Acceso denegado a ${user.username} por WebSocket: requiere ${permission}`);
+    socket.emit('error', {
+      type: 'unauthorized',
+      message: `Se requiere el permiso ${permission}`
+    });
+    return false;
+  }
+
+  // Cancelar las suscripciones que el rol actual ya no permite
+  dropForbiddenSubscriptions(socket) {
+    const subscriptions = this.subscriptions.get(socket.id);
+    if (!subscriptions) return;
+
+    Array.from(subscriptions.keys())
+      .filter(type => !hasPermission(socket.data.user.role, STREAMS[type].permission))
+      .forEach(type => {
+        this.unsubscribe(socket, type);
+        socket.emit('error', {
+          type: 'unauthorized',
+          message: `Suscripción ${type} cancelada: se requiere el permiso ${STREAMS[type].permission}`
+        });
+      });
+  }
+
+  // Resolver los routers de una suscripción: un id, 'all' o el router por defecto
+  async getTargetRouters(target) {
+    if (target === 'all') {
+      const routers = await routerRegistry.getAll();
+      return Promise.all(routers.map(async r => ({
+        id: r.id,
+        service: await routerRegistry.getService(r.id)
+      })));
+    }
+
+    const router = await routerRegistry.resolve(target);
+    if (!router) {
+      throw new Error(target ? `Router no encontrado: ${target}` : 'No hay routers configurados');
+    }
+    return [{ id: router.id, service: await routerRegistry.getService(router.id) }];
+  }
+
+  getClientSettings(socketId, type) {
+    const subscriptions = this.subscriptions.get(socketId);
+    const subscription = subscriptions && subscriptions.get(type);
+    return subscription ? subscription.options : {};
+  }
+
   async sendInitialData(socket) {
     try {
+      const [{ id: routerId, service }] = await this.getTargetRouters();
+
       // Enviar datos iniciales de ancho de banda
-      const bandwidthData = await this.mikrotikService.getBandwidthUsage();
+      const bandwidthData = await service.getBandwidthUsage();
       if (bandwidthData) {
         socket.emit('bandwidth-data', {
           data: bandwidthData,
+          full: true,
+          router: routerId,
           timestamp: new Date().toISOString()
         });
       }
       
       // Enviar usuarios conectados
-      const users = await this.mikrotikService.getConnectedUsers();
+      const users = await enrichUsers(routerId, await service.getConnectedUsers());
       socket.emit('users-data', {
         data: users,
+        full: true,
+        router: routerId,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -68,116 +331,98 @@ class WebSocketManager {
     }
   }
 
-  handleBandwidthSubscription(socket, options) {
-    const { 
-      interval = 2000, // Por defecto 2 segundos para tiempo real
-      interfaces = ['ether1', 'wlan1', 'bridge']
-    } = options;
-    
-    logger.info(`Cliente ${socket.id} suscrito a ancho de banda (intervalo: ${interval}ms)`);
-    
-    // Limpiar intervalo existente si hay uno
-    this.clearClientInterval(socket.id, 'bandwidth');
-    
-    // Guardar configuración del cliente
-    this.clientSettings.set(socket.id, { interval, interfaces });
-    
-    // Enviar datos inmediatamente al suscribirse
-    this.sendBandwidthData(socket, interfaces);
-    
-    // Crear nuevo intervalo
-    const intervalId = setInterval(async () => {
-      await this.sendBandwidthData(socket, interfaces);
-    }, interval);
-    
-    // Guardar referencia del intervalo
-    if (!this.intervals.has(socket.id)) {
-      this.intervals.set(socket.id, new Map());
-    }
-    this.intervals.get(socket.id).set('bandwidth', intervalId);
-  }
+  // Suscribir el socket a un flujo: se une a la vista (sala) de sus opciones en el
+  // sondeo compartido de cada router, sustituyendo su suscripción anterior del mismo tipo
+  async subscribe(socket, type, options) {
+    const definition = STREAMS[type];
+    const { router } = options; // id de router, 'all' o vacío para el router por defecto
+    const interval = Math.max(parseInt(options.interval) || definition.interval, MIN_INTERVAL);
+    const filters = definition.options(options);
 
-  async sendBandwidthData(socket, interfaces) {
+    let targets;
     try {
-      const bandwidthData = await this.mikrotikService.getBandwidthUsage();
-      
-      if (bandwidthData && bandwidthData.length > 0) {
-        // Si no se especifican interfaces, enviar todas
-        const filteredData = interfaces.length > 0 
-          ? bandwidthData.filter(item => interfaces.includes(item.interface))
-          : bandwidthData;
-        
-        logger.info(`Enviando ${filteredData.length} items de ancho de banda al cliente ${socket.id}`);
-        
-        socket.emit('bandwidth-data', {
-          data: filteredData,
-          timestamp: new Date().toISOString(),
-          interval: 2000
-        });
-        
-        // Reset contador de reintentos en caso de éxito
-        this.connectionRetryAttempts = 0;
-      } else {
-        logger.warn(`No hay datos de ancho de banda para enviar al cliente ${socket.id}`);
-        socket.emit('bandwidth-data', {
-          data: [],
-          timestamp: new Date().toISOString(),
-          interval: 2000
-        });
-      }
+      targets = await this.getTargetRouters(router);
     } catch (error) {
-      logger.error(`Error obteniendo ancho de banda: ${error.message}`);
-      
-      // Manejar reconexión
-      if (this.connectionRetryAttempts < this.maxRetryAttempts) {
-        this.connectionRetryAttempts++;
-        socket.emit('warning', {
-          type: 'connection',
-          message: `Reintentando conexión (${this.connectionRetryAttempts}/${this.maxRetryAttempts})`
-        });
-      } else {
-        socket.emit('error', {
-          type: 'bandwidth',
-          message: 'Error persistente obteniendo datos de ancho de banda'
-        });
-        this.clearClientInterval(socket.id, 'bandwidth');
-      }
+      logger.error(`Error suscribiendo a ${definition.label}: ${error.message}`);
+      socket.emit('error', {
+        type,
+        message: definition.errorMessage
+      });
+      return;
     }
+    if (!socket.connected) return;
+
+    this.unsubscribe(socket, type);
+    logger.info(`Cliente ${socket.id} suscrito a ${definition.label} (intervalo: ${interval}ms, router: ${router || 'default'})`);
+
+    const viewKey = JSON.stringify({ interval, ...filters });
+    const views = targets.map(({ id: routerId }) => {
+      const poller = this.getStream(type, routerId);
+      return { poller, room: poller.join(socket, viewKey, filters, interval) };
+    });
+
+    if (!this.subscriptions.has(socket.id)) {
+      this.subscriptions.set(socket.id, new Map());
+    }
+    this.subscriptions.get(socket.id).set(type, { options: { ...options, interval, router }, views });
   }
 
-  handleUsersSubscription(socket, options) {
-    const { interval = 5000 } = options; // Actualizar usuarios cada 5 segundos
-    
-    logger.info(`Cliente ${socket.id} suscrito a usuarios (intervalo: ${interval}ms)`);
-    
-    this.clearClientInterval(socket.id, 'users');
-    
-    const intervalId = setInterval(async () => {
-      try {
-        const users = await this.mikrotikService.getConnectedUsers();
-        socket.emit('users-data', {
-          data: users,
-          timestamp: new Date().toISOString()
-        });
-      } catch (error) {
-        logger.error(`Error obteniendo usuarios: ${error.message}`);
-        socket.emit('error', {
-          type: 'users',
-          message: 'Error obteniendo usuarios conectados'
-        });
+  getStream(type, routerId) {
+    const key = `${type}:${routerId}`;
+    if (!this.streams.has(key)) {
+      const definition = STREAMS[type];
+      this.streams.set(key, new StreamPoller(this.io, {
+        type,
+        routerId,
+        definition,
+        // El servicio se resuelve en cada sondeo por si el router se actualiza o elimina
+        fetch: async () => {
+          const service = await routerRegistry.getService(routerId);
+          if (!service) {
+            throw new Error(`Router no encontrado: ${routerId}`);
+          }
+          return definition.fetch(service, routerId);
+        }
+      }));
+    }
+    return this.streams.get(key);
+  }
+
+  unsubscribe(socket, type) {
+    const subscriptions = this.subscriptions.get(socket.id);
+    const subscription = subscriptions && subscriptions.get(type);
+    if (!subscription) return;
+
+    subscription.views.forEach(({ poller, room }) => {
+      poller.leave(socket, room);
+      if (poller.idle) {
+        this.streams.delete(`${poller.type}:${poller.routerId}`);
       }
-    }, interval);
-    
-    if (!this.intervals.has(socket.id)) {
-      this.intervals.set(socket.id, new Map());
+    });
+    subscriptions.delete(type);
+    if (subscriptions.size === 0) {
+      this.subscriptions.delete(socket.id);
     }
-    this.intervals.get(socket.id).set('users', intervalId);
+    logger.debug(`Suscripción ${type} eliminada para cliente ${socket.id}`);
   }
 
-  updateClientInterval(socket, data) {
+  // Ejecutar una petición de suscripción del cliente respondiendo con un error si falla
+  async handleSubscription(socket, type, operation) {
+    try {
+      await operation();
+    } catch (error) {
+      logger.error(`Error procesando suscripción ${type || ''} de ${socket.id}: ${error.message}`);
+      socket.emit('error', {
+        type: 'invalid-subscription',
+        message: 'No se pudo procesar la suscripción'
+      });
+    }
+  }
+
+  async updateClientInterval(socket, data) {
     const { type, interval } = data;
     
-    if (!['bandwidth', 'users'].includes(type)) {
+    if (!STREAMS[type]) {
       socket.emit('error', {
         type: 'invalid-subscription',
         message: 'Tipo de suscripción inválido'
@@ -187,47 +432,30 @@ class WebSocketManager {
     
     logger.info(`Actualizando intervalo de ${type} para cliente ${socket.id} a ${interval}ms`);
     
-    // Reiniciar suscripción con nuevo intervalo
-    if (type === 'bandwidth') {
-      const settings = this.clientSettings.get(socket.id) || {};
-      this.handleBandwidthSubscription(socket, { ...settings, interval });
-    } else if (type === 'users') {
-      this.handleUsersSubscription(socket, { interval });
-    }
-  }
-
-  clearClientInterval(socketId, type) {
-    const clientIntervals = this.intervals.get(socketId);
-    if (clientIntervals && clientIntervals.has(type)) {
-      clearInterval(clientIntervals.get(type));
-      clientIntervals.delete(type);
-      logger.debug(`Intervalo ${type} limpiado para cliente ${socketId}`);
-    }
+    // Reiniciar suscripción con nuevo intervalo y las mismas opciones
+    await this.subscribe(socket, type, { ...this.getClientSettings(socket.id, type), interval });
   }
 
   handleDisconnect(socket) {
     logger.info(`Cliente desconectado: ${socket.id}`);
     
-    // Limpiar todos los intervalos del cliente
-    const clientIntervals = this.intervals.get(socket.id);
-    if (clientIntervals) {
-      clientIntervals.forEach((interval, type) => {
-        clearInterval(interval);
-        logger.debug(`Intervalo ${type} limpiado para cliente ${socket.id}`);
-      });
-      this.intervals.delete(socket.id);
+    const subscriptions = this.subscriptions.get(socket.id);
+    if (subscriptions) {
+      Array.from(subscriptions.keys()).forEach(type => this.unsubscribe(socket, type));
     }
-    
-    // Limpiar configuraciones del cliente
-    this.clientSettings.delete(socket.id);
   }
 
-  // Broadcast a todos los clientes
-  broadcastBandwidthAlert(data) {
-    this.io.emit('bandwidth-alert', {
-      data,
-      timestamp: new Date().toISOString(),
-      type: 'high-usage'
+  // Broadcast a todos los clientes autenticados con permiso de lectura
+  broadcastBandwidthAlert(data, type = 'high-usage') {
+    this.io.sockets.sockets.forEach(socket => {
+      const user = socket.data.user;
+      if (!user || !hasPermission(user.role, PERMISSIONS.NETWORK_READ)) return;
+
+      socket.emit('bandwidth-alert', {
+        data,
+        timestamp: new Date().toISOString(),
+        type
+      });
     });
   }
 
@@ -243,31 +471,27 @@ class WebSocketManager {
   cleanup() {
     logger.info('Limpiando recursos de WebSocket Manager');
     
-    // Limpiar todos los intervalos
-    this.intervals.forEach((clientIntervals, socketId) => {
-      clientIntervals.forEach((interval) => {
-        clearInterval(interval);
-      });
-    });
-    
-    this.intervals.clear();
-    this.clientSettings.clear();
+    // Detener todos los sondeos
+    this.streams.forEach(poller => poller.stop());
+    this.streams.clear();
+    this.subscriptions.clear();
     
-    // Desconectar MikroTik
-    this.mikrotikService.disconnect();
+    // Desconectar routers MikroTik
+    routerRegistry.disconnectAll();
   }
 
   // Obtener estadísticas
   getStats() {
     return {
       connectedClients: this.io.engine.clientsCount,
-      activeSubscriptions: this.intervals.size,
-      subscriptionDetails: Array.from(this.intervals.entries()).map(([socketId, intervals]) => ({
+      activeSubscriptions: this.subscriptions.size,
+      subscriptionDetails: Array.from(this.subscriptions.entries()).map(([socketId, subscriptions]) => ({
         socketId,
-        subscriptions: Array.from(intervals.keys())
-      }))
+        subscriptions: Array.from(subscriptions.keys())
+      })),
+      streams: Array.from(this.streams.values(), poller => poller.getStats())
     };
   }
 }
 
-module.exports = WebSocketManager;
\ No newline at end of file
+module.exports = WebSocketManager;
@@ -0,0 +1,44 @@
+const routerRegistry = require('./routerRegistry');
+const { normalizeMac } = require('./deviceService');
+const logger = require('../utils/logger');
+
+// Datos de la tabla de registro de wireless para cada usuario conectado por Wi-Fi
+class WirelessService {
+  async getClientsByMac(router) {
+    const service = await routerRegistry.getService(router);
+    const clients = await service.getWirelessClients();
+    return new Map(clients.map(client => [normalizeMac(client.mac), client]));
+  }
+
+  async enrichUsers(router, users) {
+    try {
+      const clients = await this.getClientsByMac(router);
+
+      return users.map(user => {
+        const client = user.mac ? clients.get(normalizeMac(user.mac)) : null;
+        if (!client) {
+          return { ...user, wireless: null };
+        }
+
+        return {
+          ...user,
+          wireless: {
+            interface: client.interface,
+            signalStrength: client.signalStrength,
+            signalToNoise: client.signalToNoise,
+            txRate: client.txRate,
+            rxRate: client.rxRate,
+            txCcq: client.txCcq,
+            uptime: client.uptime
+          }
+        };
+      });
+    } catch (error) {
+      // Routers sin paquete wireless o tabla no disponible: se devuelven sin el campo
+      logger.warn(`No se pudo agregar la información de wireless: ${error.message}`);
+      return users;
+    }
+  }
+}
+
+module.exports = new WirelessService();
@@ -0,0 +1,48 @@
+// Fallos programados para los comandos del simulador:
+//  - trap:       responde !trap con `message` (por defecto "already have such entry")
+//  - delay:      responde con normalidad tras `ms` milisegundos
+//  - timeout:    no responde nunca (el cliente se queda esperando)
+//  - disconnect: cierra la conexión
+// `command` es la ruta exacta (/queue/simple/add), un menú (/queue/simple) o una RegExp.
+const TYPES = ['trap', 'delay', 'timeout', 'disconnect'];
+
+class FaultInjector {
+  constructor() {
+    this.faults = [];
+  }
+
+  add({ command, type = 'trap', message = 'failure: already have such entry', ms = 1000, times = Infinity }) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Tipo de fallo desconocido: ${type} (${TYPES.join(', ')})`);
+    }
+    const fault = { command, type, message, ms, remaining: times };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  remove(fault) {
+    this.faults = this.faults.filter(f => f !== fault);
+  }
+
+  clear() {
+    this.faults = [];
+  }
+
+  matches(fault, path) {
+    if (fault.command instanceof RegExp) return fault.command.test(path);
+    return path === fault.command || path.startsWith(`${fault.command}/`);
+  }
+
+  // Primer fallo pendiente para el comando; consume una de sus repeticiones
+  take(path) {
+    const fault = this.faults.find(f => this.matches(f, path));
+    if (!fault) return null;
+
+    fault.remaining--;
+    if (fault.remaining <= 0) this.remove(fault);
+    return fault;
+  }
+}
+
+module.exports = FaultInjector;
+module.exports.TYPES = TYPES;
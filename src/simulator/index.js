@@ -0,0 +1,190 @@
+const net = require('net');
+const fs = require('fs');
+const { encodeSentence, SentenceReader } = require('./protocol');
+const RouterState = require('./routerState');
+const FaultInjector = require('./faults');
+const logger = require('../utils/logger');
+
+const { RouterTrap } = RouterState;
+
+// Servidor TCP que habla la API binaria de RouterOS (puerto 8728) sobre un
+// RouterState en memoria. Permite usar MikrotikService sin un router real:
+//
+//   const simulator = new RouterOSSimulator({ user: 'admin', password: 'admin' });
+//   await simulator.listen(8728);
+//   simulator.state.setTraffic('192.168.88.10', { rx: 20e6, tx: 2e6 });
+//   simulator.faults.add({ command: '/queue/simple/add', type: 'timeout', times: 1 });
+class RouterOSSimulator {
+  constructor({ user = 'admin', password = '', state = new RouterState(), faults = new FaultInjector() } = {}) {
+    this.user = user;
+    this.password = password;
+    this.state = state;
+    this.faults = faults;
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  get port() {
+    const address = this.server.address();
+    return address ? address.port : null;
+  }
+
+  // Puerto 0 = uno libre (útil en tests); devuelve el puerto asignado
+  listen(port = 8728, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        logger.info(`Simulador RouterOS escuchando en ${host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  close() {
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handleConnection(socket) {
+    const reader = new SentenceReader();
+    const session = { socket, loggedIn: false };
+    this.sockets.add(socket);
+    logger.debug(`Simulador: conexión desde ${socket.remoteAddress}:${socket.remotePort}`);
+
+    socket.on('data', data => {
+      reader.push(data).forEach(words => this.handleSentence(session, words));
+    });
+    socket.on('error', error => logger.debug(`Simulador: error de socket: ${error.message}`));
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  send(session, reply, fields = {}, tag) {
+    if (session.socket.destroyed) return;
+    const words = [reply, ...Object.entries(fields).map(([key, value]) => `=${key}=${value}`)];
+    if (tag !== undefined) words.push(`.tag=${tag}`);
+    session.socket.write(encodeSentence(words));
+  }
+
+  handleSentence(session, words) {
+    if (words.length === 0) return;
+    const [path, ...rest] = words;
+    const attributes = {};
+    const queries = [];
+    let tag;
+
+    rest.forEach(word => {
+      if (word.startsWith('.tag=')) {
+        tag = word.slice(5);
+      } else if (word.startsWith('=')) {
+        const separator = word.indexOf('=', 1);
+        if (separator === -1) {
+          attributes[word.slice(1)] = '';
+        } else {
+          attributes[word.slice(1, separator)] = word.slice(separator + 1);
+        }
+      } else if (word.startsWith('?')) {
+        queries.push(word.slice(1));
+      }
+    });
+
+    const fault = this.faults.take(path);
+    if (!fault) {
+      this.respond(session, path, attributes, queries, tag);
+      return;
+    }
+
+    logger.debug(`Simulador: fallo ${fault.type} en ${path}`);
+    switch (fault.type) {
+      case 'trap':
+        this.send(session, '!trap', { message: fault.message }, tag);
+        this.send(session, '!done', {}, tag);
+        break;
+      case 'delay':
+        setTimeout(() => this.respond(session, path, attributes, queries, tag), fault.ms);
+        break;
+      case 'disconnect':
+        session.socket.destroy();
+        break;
+      default:
+        // timeout: el comando queda sin respuesta
+        break;
+    }
+  }
+
+  respond(session, path, attributes, queries, tag) {
+    try {
+      if (path === '/login') {
+        if (attributes.name !== this.user || attributes.password !== this.password) {
+          throw new RouterTrap('invalid user name or password (6)');
+        }
+        session.loggedIn = true;
+        this.send(session, '!done', {}, tag);
+        return;
+      }
+      if (!session.loggedIn) throw new RouterTrap('not logged in');
+
+      // '#' es el comando vacío que usa node-routeros para mantener la conexión
+      if (path === '#' || path === '/cancel') {
+        this.send(session, '!done', {}, tag);
+        return;
+      }
+
+      const { replies, ret } = this.state.command(path, attributes, queries);
+      replies.forEach(reply => this.send(session, '!re', reply, tag));
+      this.send(session, '!done', ret !== undefined ? { ret } : {}, tag);
+    } catch (error) {
+      if (!(error instanceof RouterTrap)) {
+        logger.error(`Simulador: error procesando ${path}: ${error.message}`);
+      }
+      this.send(session, '!trap', { message: error.message }, tag);
+      this.send(session, '!done', {}, tag);
+    }
+  }
+}
+
+// Escenario opcional (SIMULATOR_SCENARIO=archivo.json):
+// { "clients": [...], "traffic": { "ether1": { "rx": 1e7, "tx": 1e6 } }, "resource": {...}, "health": {...}, "faults": [...] }
+const loadScenario = (file) => {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const state = new RouterState(scenario.clients ? { clients: scenario.clients } : {});
+  const faults = new FaultInjector();
+
+  Object.entries(scenario.traffic || {}).forEach(([target, rate]) => state.setTraffic(target, rate));
+  if (scenario.resource) state.setResource(scenario.resource);
+  if (scenario.health) state.setHealth(scenario.health);
+  (scenario.faults || []).forEach(fault => faults.add(fault));
+
+  return { state, faults };
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  const options = {
+    user: process.env.SIMULATOR_USER || process.env.MIKROTIK_USER || 'admin',
+    password: process.env.SIMULATOR_PASSWORD ?? process.env.MIKROTIK_PASSWORD ?? ''
+  };
+  if (process.env.SIMULATOR_SCENARIO) {
+    Object.assign(options, loadScenario(process.env.SIMULATOR_SCENARIO));
+  }
+
+  const simulator = new RouterOSSimulator(options);
+  simulator.listen(parseInt(process.env.SIMULATOR_PORT) || 8728, process.env.SIMULATOR_HOST || '127.0.0.1')
+    .then(port => {
+      console.log(`Simulador RouterOS en ${process.env.SIMULATOR_HOST || '127.0.0.1'}:${port} (usuario ${options.user})`);
+    })
+    .catch(error => {
+      console.error(`No se pudo iniciar el simulador: ${error.message}`);
+      process.exit(1);
+    });
+
+  process.on('SIGINT', () => simulator.close().then(() => process.exit(0)));
+  process.on('SIGTERM', () => simulator.close().then(() => process.exit(0)));
+}
+
+module.exports = RouterOSSimulator;
+module.exports.RouterState = RouterState;
+module.exports.FaultInjector = FaultInjector;
+module.exports.loadScenario = loadScenario;
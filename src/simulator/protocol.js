@@ -0,0 +1,96 @@
+// Codificación del protocolo binario de la API de RouterOS: cada palabra va
+// precedida de su longitud (1 a 5 bytes) y una palabra vacía cierra la frase.
+
+const encodeLength = (length) => {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  if (length < 0x4000) {
+    return Buffer.from([(length >> 8) | 0x80, length & 0xff]);
+  }
+  if (length < 0x200000) {
+    return Buffer.from([(length >> 16) | 0xc0, (length >> 8) & 0xff, length & 0xff]);
+  }
+  if (length < 0x10000000) {
+    return Buffer.from([(length >>> 24) | 0xe0, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]);
+  }
+  const buffer = Buffer.alloc(5);
+  buffer[0] = 0xf0;
+  buffer.writeUInt32BE(length, 1);
+  return buffer;
+};
+
+// Devuelve [bytes que ocupa la longitud, longitud], o null si faltan datos
+const decodeLength = (buffer, offset) => {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+
+  let size;
+  let length;
+  if ((first & 0x80) === 0x00) {
+    size = 1;
+    length = first;
+  } else if ((first & 0xc0) === 0x80) {
+    size = 2;
+    length = first & ~0xc0;
+  } else if ((first & 0xe0) === 0xc0) {
+    size = 3;
+    length = first & ~0xe0;
+  } else if ((first & 0xf0) === 0xe0) {
+    size = 4;
+    length = first & ~0xf0;
+  } else {
+    size = 5;
+    length = 0;
+  }
+
+  if (offset + size > buffer.length) return null;
+  for (let i = 1; i < size; i++) {
+    length = length * 256 + buffer[offset + i];
+  }
+  return [size, length];
+};
+
+// El cliente (node-routeros) codifica en win1252; latin1 coincide en lo que usa la API
+const encodeSentence = (words) => Buffer.concat([
+  ...words.map(word => {
+    const data = Buffer.from(word, 'latin1');
+    return Buffer.concat([encodeLength(data.length), data]);
+  }),
+  encodeLength(0)
+]);
+
+// Acumula los datos del socket y devuelve las frases completas
+class SentenceReader {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.words = [];
+  }
+
+  push(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    const sentences = [];
+    let offset = 0;
+
+    for (;;) {
+      const header = decodeLength(this.buffer, offset);
+      if (!header) break;
+      const [size, length] = header;
+      if (offset + size + length > this.buffer.length) break;
+
+      offset += size;
+      if (length === 0) {
+        sentences.push(this.words);
+        this.words = [];
+      } else {
+        this.words.push(this.buffer.toString('latin1', offset, offset + length));
+        offset += length;
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+    return sentences;
+  }
+}
+
+module.exports = { encodeLength, decodeLength, encodeSentence, SentenceReader };
@@ -0,0 +1,590 @@
+// Estado en memoria de un hAP lite simulado: tablas de RouterOS, contadores de
+// tráfico que avanzan con el tiempo según las velocidades configuradas y los
+// comandos /print, /add, /set y /remove que usa MikrotikService.
+
+// Error de RouterOS (!trap): el cliente lo recibe como Error(message)
+class RouterTrap extends Error {}
+
+const BOOLEAN_FIELDS = new Set(['disabled', 'dynamic', 'running', 'complete', 'authentication', 'forwarding', 'invalid']);
+
+// Tamaño medio de paquete para derivar los contadores de paquetes de los bytes
+const PACKET_SIZE = 800;
+
+const toBoolean = (value) => {
+  if (value === 'yes') return 'true';
+  if (value === 'no') return 'false';
+  return value;
+};
+
+// "10M", "512k", "1000000" -> bits por segundo (0 = sin límite)
+const parseRate = (value) => {
+  const match = /^(\d+(?:\.\d+)?)([kKMG]?)$/.exec(String(value || '0'));
+  if (!match) return 0;
+  const multiplier = { '': 1, k: 1e3, K: 1e3, M: 1e6, G: 1e9 }[match[2]];
+  return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+// Segundos -> formato de duración de RouterOS (1w2d3h4m5s)
+const formatDuration = (totalSeconds) => {
+  let seconds = Math.max(0, Math.floor(totalSeconds));
+  const parts = [];
+  [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60]].forEach(([unit, size]) => {
+    if (seconds >= size) {
+      parts.push(`${Math.floor(seconds / size)}${unit}`);
+      seconds %= size;
+    }
+  });
+  if (seconds > 0 || parts.length === 0) parts.push(`${seconds}s`);
+  return parts.join('');
+};
+
+// "5m", "1h30m", "300s", "300" -> segundos
+const parseDuration = (value) => {
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+  let seconds = 0;
+  const pattern = /(\d+)([wdhms])/g;
+  const units = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    seconds += parseInt(match[1]) * units[match[2]];
+  }
+  return seconds;
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const missing = (field) => new RouterTrap(`missing value(s) of argument(s) ${field}`);
+
+// Comportamiento de cada menú: valores por defecto, campos obligatorios,
+// duplicados que RouterOS rechaza ("already have ...") y campos calculados
+const MENUS = {
+  '/interface': { readOnly: true },
+  '/ip/arp': {
+    required: ['address'],
+    defaults: { interface: 'bridge', 'mac-address': '', dynamic: 'false', complete: 'true', disabled: 'false' }
+  },
+  '/ip/pool': {
+    required: ['name', 'ranges'],
+    conflict: (item, other) => item.name === other.name && 'failure: already have pool with such name'
+  },
+  '/ip/dhcp-server': {
+    required: ['name', 'interface'],
+    defaults: { 'address-pool': 'static-only', 'lease-time': '10m', disabled: 'false', invalid: 'false' },
+    conflict: (item, other) => item.name === other.name && 'failure: already have server with such name'
+  },
+  '/ip/dhcp-server/lease': {
+    required: ['address', 'mac-address'],
+    defaults: { server: 'all', status: 'waiting', dynamic: 'false', disabled: 'false' },
+    conflict: (item, other) => other.dynamic === 'false' &&
+      item['mac-address'].toUpperCase() === (other['mac-address'] || '').toUpperCase() &&
+      (item.server === other.server || item.server === 'all' || other.server === 'all') &&
+      'failure: already have static lease for this client'
+  },
+  '/queue/simple': {
+    required: ['target'],
+    defaults: { 'max-limit': '0/0', 'limit-at': '0/0', parent: 'none', disabled: 'false', dynamic: 'false' },
+    conflict: (item, other) => item.name === other.name && 'failure: already have queue with such name'
+  },
+  '/ip/firewall/address-list': {
+    required: ['list', 'address'],
+    defaults: { dynamic: 'false', disabled: 'false' },
+    conflict: (item, other) => item.list === other.list && item.address === other.address && 'failure: already have such entry'
+  },
+  '/ip/firewall/filter': {
+    required: ['chain'],
+    defaults: { action: 'accept', disabled: 'false', dynamic: 'false', invalid: 'false', bytes: '0', packets: '0' }
+  },
+  '/interface/wireless/registration-table': { noAdd: true },
+  '/interface/wireless/access-list': {
+    required: ['mac-address'],
+    defaults: { interface: 'all', authentication: 'true', forwarding: 'true', 'signal-range': '-120..120', disabled: 'false' }
+  },
+  '/file': { noAdd: true }
+};
+
+const DEFAULT_INTERFACES = [
+  { name: 'ether1', type: 'ether', running: 'true', comment: 'WAN' },
+  { name: 'ether2', type: 'ether', running: 'true' },
+  { name: 'ether3', type: 'ether', running: 'false' },
+  { name: 'ether4', type: 'ether', running: 'false' },
+  { name: 'wlan1', type: 'wlan', running: 'true' },
+  { name: 'bridge', type: 'bridge', running: 'true' }
+];
+
+const DEFAULT_CLIENTS = [
+  { mac: 'AC:1F:6B:10:20:01', ip: '192.168.88.10', hostName: 'portatil', interface: 'wlan1', rx: 4000000, tx: 600000 },
+  { mac: 'AC:1F:6B:10:20:02', ip: '192.168.88.11', hostName: 'telefono', interface: 'wlan1', rx: 1500000, tx: 200000 },
+  { mac: 'AC:1F:6B:10:20:03', ip: '192.168.88.12', hostName: 'smart-tv', interface: 'ether2', rx: 8000000, tx: 300000 }
+];
+
+class RouterState {
+  constructor({ identity = 'hAP-lite-sim', version = '6.49.10 (long-term)', clients = DEFAULT_CLIENTS, interfaces = DEFAULT_INTERFACES } = {}) {
+    this.identity = identity;
+    this.version = version;
+    this.startedAt = Date.now();
+    this.lastAdvance = Date.now();
+    this.tables = {};
+    this.nextIds = {};
+    this.jobs = 0;
+    Object.keys(MENUS).forEach(menu => {
+      this.tables[menu] = [];
+      this.nextIds[menu] = 1;
+    });
+
+    // Velocidades configuradas (bps): por interfaz { rx, tx } y por IP { rx, tx } (rx = bajada)
+    this.traffic = new Map();
+    // Bytes acumulados por IP, para las queues y la tabla de registro wireless
+    this.hostCounters = new Map();
+
+    this.resource = {
+      'cpu-load': '4',
+      'free-memory': '14680064',
+      'total-memory': '33554432',
+      'free-hdd-space': '8912896',
+      'total-hdd-space': '16777216',
+      cpu: 'MIPS 24Kc V7.4',
+      'cpu-count': '1',
+      'cpu-frequency': '650',
+      'architecture-name': 'smips',
+      'board-name': 'hAP lite',
+      platform: 'MikroTik'
+    };
+    // El hAP lite no tiene sensores; se pueden simular con setHealth()
+    this.health = {};
+
+    interfaces.forEach((iface, index) => this.insert('/interface', {
+      mtu: '1500',
+      'mac-address': `D4:CA:6D:00:00:0${index + 1}`,
+      disabled: 'false',
+      ...iface
+    }));
+    this.setTraffic('ether1', { rx: 12000000, tx: 1500000 });
+    this.setTraffic('wlan1', { rx: 800000, tx: 5500000 });
+    this.setTraffic('ether2', { rx: 300000, tx: 8000000 });
+    this.setTraffic('bridge', { rx: 1100000, tx: 13500000 });
+
+    this.insert('/ip/pool', { name: 'dhcp', ranges: '192.168.88.10-192.168.88.254' });
+    this.insert('/ip/dhcp-server', {
+      ...MENUS['/ip/dhcp-server'].defaults,
+      name: 'defconf',
+      interface: 'bridge',
+      'address-pool': 'dhcp'
+    });
+    this.insert('/ip/firewall/filter', {
+      ...MENUS['/ip/firewall/filter'].defaults,
+      chain: 'input',
+      'connection-state': 'established,related',
+      comment: 'defconf: accept established,related'
+    });
+    this.insert('/ip/firewall/filter', {
+      ...MENUS['/ip/firewall/filter'].defaults,
+      chain: 'forward',
+      action: 'drop',
+      'connection-state': 'invalid',
+      comment: 'defconf: drop invalid'
+    });
+
+    clients.forEach(client => this.addClient(client));
+  }
+
+  // --- Control del escenario (tests y simulador de desarrollo) ---
+
+  // Conectar un dispositivo: entrada ARP, lease dinámica y, si es Wi-Fi, registro wireless
+  addClient({ mac, ip, hostName = null, interface: iface = 'ether2', rx = 0, tx = 0, signal = -60 }) {
+    this.advance();
+    const upperMac = mac.toUpperCase();
+    this.insert('/ip/arp', { ...MENUS['/ip/arp'].defaults, address: ip, 'mac-address': upperMac, interface: 'bridge', dynamic: 'true' });
+    this.insert('/ip/dhcp-server/lease', {
+      ...MENUS['/ip/dhcp-server/lease'].defaults,
+      address: ip,
+      'active-address': ip,
+      'mac-address': upperMac,
+      'active-mac-address': upperMac,
+      'client-id': `1:${upperMac.toLowerCase()}`,
+      ...(hostName ? { 'host-name': hostName } : {}),
+      server: 'defconf',
+      status: 'bound',
+      dynamic: 'true',
+      'expires-after': '9m30s',
+      'last-seen': '30s'
+    });
+    if (iface.startsWith('wlan')) {
+      this.insert('/interface/wireless/registration-table', {
+        interface: iface,
+        'mac-address': upperMac,
+        'last-ip': ip,
+        ap: 'false',
+        'signal-strength': `${signal}@HT20-7`,
+        'signal-to-noise': String(signal + 96),
+        'tx-rate': '65Mbps-20MHz/1S',
+        'rx-rate': '58.5Mbps-20MHz/1S',
+        'tx-ccq': '91',
+        'last-activity': '0s',
+        connectedAt: Date.now()
+      });
+    }
+    this.setTraffic(ip, { rx, tx });
+  }
+
+  // Desconectar un dispositivo (deja de aparecer en ARP, leases dinámicas y wireless)
+  removeClient(mac) {
+    const upperMac = mac.toUpperCase();
+    const sameMac = item => (item['mac-address'] || '').toUpperCase() === upperMac;
+    this.tables['/ip/arp'] = this.tables['/ip/arp'].filter(item => !sameMac(item));
+    this.tables['/ip/dhcp-server/lease'] = this.tables['/ip/dhcp-server/lease']
+      .filter(item => !(sameMac(item) && item.dynamic === 'true'));
+    this.tables['/interface/wireless/registration-table'] = this.tables['/interface/wireless/registration-table']
+      .filter(item => !sameMac(item));
+  }
+
+  // Velocidad de una interfaz (por nombre) o de un dispositivo (por IP), en bps
+  setTraffic(target, { rx = 0, tx = 0 }) {
+    this.advance();
+    this.traffic.set(target, { rx, tx });
+  }
+
+  setResource(fields) {
+    Object.entries(fields).forEach(([key, value]) => {
+      this.resource[key] = String(value);
+    });
+  }
+
+  setHealth(fields) {
+    this.health = Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, String(value)]));
+  }
+
+  table(menu) {
+    return this.tables[menu];
+  }
+
+  // --- Contadores ---
+
+  // Acumular los bytes transcurridos desde la última lectura
+  advance(now = Date.now()) {
+    const seconds = (now - this.lastAdvance) / 1000;
+    this.lastAdvance = now;
+    if (seconds <= 0) return;
+
+    this.tables['/interface'].forEach(iface => {
+      const rate = this.traffic.get(iface.name);
+      if (!rate || iface.running !== 'true') return;
+      iface.counters.rx += rate.rx / 8 * seconds;
+      iface.counters.tx += rate.tx / 8 * seconds;
+    });
+
+    this.traffic.forEach((rate, target) => {
+      if (this.tables['/interface'].some(iface => iface.name === target)) return;
+      const counters = this.hostCounters.get(target) || { rx: 0, tx: 0 };
+      counters.rx += rate.rx / 8 * seconds;
+      counters.tx += rate.tx / 8 * seconds;
+      this.hostCounters.set(target, counters);
+    });
+
+    // Las queues cuentan el tráfico de su target recortado a max-limit ("subida/bajada")
+    this.tables['/queue/simple'].forEach(queue => {
+      const rate = this.queueRate(queue);
+      queue.counters.up += rate.up / 8 * seconds;
+      queue.counters.down += rate.down / 8 * seconds;
+    });
+  }
+
+  queueRate(queue) {
+    if (queue.disabled === 'true') return { up: 0, down: 0 };
+    const rate = this.traffic.get(queue.target.split('/')[0]) || { rx: 0, tx: 0 };
+    const [maxUp, maxDown] = queue['max-limit'].split('/').map(parseRate);
+    return {
+      up: maxUp > 0 ? Math.min(rate.tx, maxUp) : rate.tx,
+      down: maxDown > 0 ? Math.min(rate.rx, maxDown) : rate.rx
+    };
+  }
+
+  // --- Tablas ---
+
+  insert(menu, fields) {
+    const id = `*${(this.nextIds[menu]++).toString(16).toUpperCase()}`;
+    const item = { '.id': id, ...fields };
+    if (menu === '/interface') item.counters = { rx: 0, tx: 0 };
+    if (menu === '/queue/simple') item.counters = { up: 0, down: 0 };
+    this.tables[menu].push(item);
+    return item;
+  }
+
+  find(menu, id) {
+    const item = this.tables[menu].find(entry => entry['.id'] === id);
+    if (!item) throw new RouterTrap('no such item');
+    return item;
+  }
+
+  // Los ids pueden venir en .id o numbers, separados por comas
+  targetIds(attributes) {
+    const ids = attributes['.id'] || attributes.numbers;
+    if (!ids) throw new RouterTrap('no such item');
+    return ids.split(',');
+  }
+
+  // Entradas de address-list con timeout: caducan y se muestran como dinámicas
+  expire(now = Date.now()) {
+    this.tables['/ip/firewall/address-list'] = this.tables['/ip/firewall/address-list']
+      .filter(entry => !entry.expiresAt || entry.expiresAt > now);
+  }
+
+  // Registro tal como lo devuelve /print (sin campos internos, con los calculados)
+  view(menu, item, now = Date.now()) {
+    const { counters, expiresAt, connectedAt, ...fields } = item;
+
+    if (menu === '/interface') {
+      fields['rx-byte'] = String(Math.floor(counters.rx));
+      fields['tx-byte'] = String(Math.floor(counters.tx));
+      fields['rx-packet'] = String(Math.floor(counters.rx / PACKET_SIZE));
+      fields['tx-packet'] = String(Math.floor(counters.tx / PACKET_SIZE));
+    } else if (menu === '/queue/simple') {
+      const rate = this.queueRate(item);
+      fields.bytes = `${Math.floor(counters.up)}/${Math.floor(counters.down)}`;
+      fields.packets = `${Math.floor(counters.up / PACKET_SIZE)}/${Math.floor(counters.down / PACKET_SIZE)}`;
+      fields.rate = `${rate.up}/${rate.down}`;
+    } else if (menu === '/ip/firewall/address-list' && expiresAt) {
+      fields.timeout = formatDuration((expiresAt - now) / 1000);
+    } else if (menu === '/interface/wireless/registration-table') {
+      const host = this.hostCounters.get(item['last-ip']) || { rx: 0, tx: 0 };
+      // Desde el punto de vista del AP: tx = hacia el cliente
+      fields.bytes = `${Math.floor(host.rx)},${Math.floor(host.tx)}`;
+      fields.uptime = formatDuration((now - connectedAt) / 1000);
+    }
+
+    return fields;
+  }
+
+  // Filtros de /print: ?campo=valor, ?campo (existe) y ?-campo (no existe)
+  matches(fields, queries) {
+    return queries.every(query => {
+      if (query.startsWith('-')) return fields[query.slice(1)] === undefined;
+      const separator = query.indexOf('=');
+      if (separator === -1) return fields[query] !== undefined;
+      return fields[query.slice(0, separator)] === query.slice(separator + 1);
+    });
+  }
+
+  print(menu, attributes, queries) {
+    this.advance();
+    this.expire();
+    const proplist = attributes['.proplist'] ? attributes['.proplist'].split(',') : null;
+
+    return this.tables[menu]
+      .map(item => this.view(menu, item))
+      .filter(fields => this.matches(fields, queries))
+      .map(fields => (proplist
+        ? Object.fromEntries(Object.entries(fields).filter(([key]) => key === '.id' || proplist.includes(key)))
+        : fields));
+  }
+
+  add(menu, attributes) {
+    const spec = MENUS[menu];
+    if (spec.readOnly || spec.noAdd) throw new RouterTrap('no such command');
+    this.advance();
+    this.expire();
+
+    const fields = { ...(spec.defaults || {}) };
+    Object.entries(attributes).forEach(([key, value]) => {
+      fields[key] = BOOLEAN_FIELDS.has(key) ? toBoolean(value) : value;
+    });
+    (spec.required || []).forEach(field => {
+      if (fields[field] === undefined || fields[field] === '') throw missing(field);
+    });
+
+    if (menu === '/queue/simple') {
+      if (!fields.target.includes('/')) fields.target = `${fields.target}/32`;
+      if (!fields.name) fields.name = `queue${this.nextIds[menu]}`;
+    }
+    if (menu === '/ip/dhcp-server/lease') {
+      fields['mac-address'] = fields['mac-address'].toUpperCase();
+    }
+
+    const conflict = spec.conflict && this.tables[menu].map(other => spec.conflict(fields, other)).find(Boolean);
+    if (conflict) throw new RouterTrap(conflict);
+
+    if (menu === '/ip/firewall/address-list' && fields.timeout) {
+      fields.expiresAt = Date.now() + parseDuration(fields.timeout) * 1000;
+      fields.dynamic = 'true';
+      delete fields.timeout;
+    }
+
+    return this.insert(menu, fields)['.id'];
+  }
+
+  set(menu, attributes) {
+    const spec = MENUS[menu];
+    if (spec.readOnly || spec.noAdd) throw new RouterTrap('no such command');
+    const changes = { ...attributes };
+    delete changes['.id'];
+    delete changes.numbers;
+
+    this.targetIds(attributes).forEach(targetId => {
+      const item = this.find(menu, targetId);
+      if (item.dynamic === 'true' && menu !== '/ip/firewall/address-list') {
+        throw new RouterTrap('failure: can not change dynamic item');
+      }
+      Object.entries(changes).forEach(([key, value]) => {
+        item[key] = BOOLEAN_FIELDS.has(key) ? toBoolean(value) : value;
+      });
+    });
+  }
+
+  remove(menu, attributes) {
+    if (MENUS[menu].readOnly) throw new RouterTrap('no such command');
+    this.expire();
+    const ids = this.targetIds(attributes);
+    ids.forEach(id => this.find(menu, id));
+    this.tables[menu] = this.tables[menu].filter(item => !ids.includes(item['.id']));
+  }
+
+  makeStatic(attributes) {
+    this.targetIds(attributes).forEach(id => {
+      const lease = this.find('/ip/dhcp-server/lease', id);
+      if (lease.dynamic !== 'true') throw new RouterTrap('failure: lease is not dynamic');
+      lease.dynamic = 'false';
+      delete lease['expires-after'];
+    });
+  }
+
+  // /interface/monitor-traffic =interface=ether1,wlan1 =once=
+  monitorTraffic(attributes) {
+    if (!attributes.interface) throw missing('interface');
+    this.advance();
+
+    return attributes.interface.split(',').map(name => {
+      const iface = this.tables['/interface'].find(item => item.name === name);
+      if (!iface) throw new RouterTrap('no such item');
+      const rate = iface.running === 'true' ? (this.traffic.get(name) || { rx: 0, tx: 0 }) : { rx: 0, tx: 0 };
+      return {
+        name,
+        'rx-packets-per-second': String(Math.round(rate.rx / 8 / PACKET_SIZE)),
+        'rx-bits-per-second': String(rate.rx),
+        'fp-rx-packets-per-second': '0',
+        'fp-rx-bits-per-second': '0',
+        'rx-drops-per-second': '0',
+        'rx-errors-per-second': '0',
+        'tx-packets-per-second': String(Math.round(rate.tx / 8 / PACKET_SIZE)),
+        'tx-bits-per-second': String(rate.tx),
+        'fp-tx-packets-per-second': '0',
+        'fp-tx-bits-per-second': '0',
+        'tx-drops-per-second': '0',
+        'tx-queue-drops-per-second': '0',
+        'tx-errors-per-second': '0'
+      };
+    });
+  }
+
+  systemResource() {
+    return {
+      uptime: formatDuration((Date.now() - this.startedAt) / 1000),
+      version: this.version,
+      'build-time': 'Jun/18/2024 11:17:39',
+      'factory-software': '6.34.2',
+      ...this.resource,
+      'write-sect-since-reboot': '1024',
+      'write-sect-total': '65536',
+      'bad-blocks': '0'
+    };
+  }
+
+  // Script de /export con la configuración que mantiene el simulador
+  exportConfig() {
+    this.expire();
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${MONTHS[now.getMonth()]}/${pad(now.getDate())}/${now.getFullYear()} ` +
+      `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+    const quote = value => (/^[\w.:/*,-]+$/.test(value) ? value : `"${String(value).replace(/"/g, '\\"')}"`);
+    const line = (fields, keys) => `add ${keys
+      .filter(key => fields[key] !== undefined && fields[key] !== '')
+      .map(key => `${key}=${quote(fields[key])}`)
+      .join(' ')}`;
+
+    const sections = [
+      ['/ip pool', this.tables['/ip/pool'], ['name', 'ranges']],
+      ['/ip dhcp-server', this.tables['/ip/dhcp-server'], ['address-pool', 'interface', 'lease-time', 'name']],
+      ['/interface wireless access-list', this.tables['/interface/wireless/access-list'],
+        ['authentication', 'comment', 'forwarding', 'interface', 'mac-address']],
+      ['/ip dhcp-server lease', this.tables['/ip/dhcp-server/lease'].filter(lease => lease.dynamic === 'false'),
+        ['address', 'comment', 'mac-address', 'server']],
+      ['/ip firewall address-list', this.tables['/ip/firewall/address-list'].filter(entry => !entry.expiresAt),
+        ['address', 'comment', 'list']],
+      ['/ip firewall filter', this.tables['/ip/firewall/filter'],
+        ['action', 'chain', 'comment', 'connection-state', 'src-address-list']],
+      ['/queue simple', this.tables['/queue/simple'], ['comment', 'max-limit', 'name', 'target']]
+    ];
+
+    const lines = [`# ${stamp} by RouterOS ${this.version.split(' ')[0]}`, '# model = RB941-2nD'];
+    sections.forEach(([header, items, keys]) => {
+      if (items.length === 0) return;
+      lines.push(header);
+      items.forEach(item => lines.push(line(item, keys)));
+    });
+    lines.push('/system identity', `set name=${quote(this.identity)}`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  // /execute: solo /export (como texto o a un archivo .rsc)
+  execute(attributes) {
+    const script = (attributes.script || '').trim();
+    if (!script) throw missing('script');
+
+    const exportMatch = /^\/export(?:\s+file=(\S+))?$/.exec(script);
+    if (!exportMatch) throw new RouterTrap(`simulator: unsupported script ${script}`);
+
+    const content = this.exportConfig();
+    if (attributes['as-string'] !== undefined) return content;
+
+    const name = exportMatch[1] ? `${exportMatch[1].replace(/\.rsc$/, '')}.rsc` : 'export.rsc';
+    this.tables['/file'] = this.tables['/file'].filter(file => file.name !== name);
+    this.insert('/file', {
+      name,
+      type: 'script',
+      size: String(Buffer.byteLength(content)),
+      'creation-time': new Date().toISOString(),
+      contents: content
+    });
+    // Id del trabajo en segundo plano, como RouterOS cuando exporta a archivo
+    return `*${(++this.jobs).toString(16).toUpperCase()}`;
+  }
+
+  // Ejecutar un comando (p. ej. /queue/simple/print) con sus atributos (=k=v) y filtros (?k=v)
+  command(path, attributes = {}, queries = []) {
+    if (path === '/interface/monitor-traffic') return { replies: this.monitorTraffic(attributes) };
+    if (path === '/system/resource/print') return { replies: [this.systemResource()] };
+    if (path === '/system/health/print') {
+      return { replies: Object.keys(this.health).length > 0 ? [this.health] : [] };
+    }
+    if (path === '/system/identity/print') return { replies: [{ name: this.identity }] };
+    if (path === '/execute') return { replies: [], ret: this.execute(attributes) };
+
+    const separator = path.lastIndexOf('/');
+    const menu = path.slice(0, separator);
+    const verb = path.slice(separator + 1);
+    if (!MENUS[menu]) throw new RouterTrap('no such command prefix');
+
+    switch (verb) {
+      case 'print':
+        return { replies: this.print(menu, attributes, queries) };
+      case 'add':
+        return { replies: [], ret: this.add(menu, attributes) };
+      case 'set':
+        this.set(menu, attributes);
+        return { replies: [] };
+      case 'remove':
+        this.remove(menu, attributes);
+        return { replies: [] };
+      case 'make-static':
+        if (menu !== '/ip/dhcp-server/lease') throw new RouterTrap('no such command');
+        this.makeStatic(attributes);
+        return { replies: [] };
+      default:
+        throw new RouterTrap('no such command');
+    }
+  }
+}
+
+module.exports = RouterState;
+module.exports.RouterTrap = RouterTrap;
+module.exports.formatDuration = formatDuration;
+module.exports.parseRate = parseRate;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// Entradas recientes que se mantienen en memoria por registro
+const MEMORY_ENTRIES = parseInt(process.env.APPEND_LOG_MEMORY_ENTRIES) || 1000;
+
+// Registro de solo anexado (una entrada JSON por línea) en DATA_DIR.
+// En memoria solo se guardan las últimas entradas: las consultas que necesitan
+// más (filtros o páginas antiguas) recorren el archivo línea a línea.
+// Con STORE_DRIVER=memory no hay archivo y solo se conservan esas últimas entradas.
+class AppendLog {
+  constructor(name, { memoryEntries = MEMORY_ENTRIES } = {}) {
+    this.name = name;
+    this.file = path.join(DATA_DIR, `${name}.jsonl`);
+    this.persistent = (process.env.STORE_DRIVER || 'file') === 'file';
+    this.memoryEntries = memoryEntries;
+    this.tail = [];
+    this.total = 0;
+    this.pendingWrite = Promise.resolve();
+    this.loading = this.load();
+  }
+
+  async load() {
+    if (!this.persistent) {
+      return;
+    }
+
+    try {
+      await this.scan(entry => this.remember(entry));
+      logger.debug(`Log ${this.name}: ${this.total} entradas (${this.tail.length} en memoria)`);
+    } catch (error) {
+      logger.error(`Error cargando log ${this.name}: ${error.message}`);
+    }
+  }
+
+  // Recorrer las entradas del archivo en orden sin cargarlo entero
+  async scan(onEntry) {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    try {
+      const lines = readline.createInterface({ input: handle.createReadStream(), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          logger.warn(`Línea inválida en ${this.name}.jsonl ignorada`);
+          continue;
+        }
+        onEntry(entry);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  remember(entry) {
+    this.total++;
+    this.tail.push(entry);
+    if (this.tail.length > this.memoryEntries) {
+      this.tail.shift();
+    }
+  }
+
+  async append(entry) {
+    await this.loading;
+    this.remember(entry);
+
+    if (this.persistent) {
+      const line = `${JSON.stringify(entry)}\n`;
+      this.pendingWrite = this.pendingWrite
+        .then(async () => {
+          await fs.promises.mkdir(DATA_DIR, { recursive: true });
+          await fs.promises.appendFile(this.file, line);
+        })
+        .catch(error => {
+          logger.error(`Error escribiendo log ${this.name}: ${error.message}`);
+        });
+      await this.pendingWrite;
+    }
+    return entry;
+  }
+
+  // Entradas que cumplen `filter`, de la más reciente a la más antigua, y el total.
+  // Sin filtro, las páginas que caben en memoria no leen el archivo
+  async query({ filter, limit, offset = 0 } = {}) {
+    await this.loading;
+    const end = limit ? offset + limit : Infinity;
+
+    if (!this.persistent || (!filter && end <= this.tail.length)) {
+      const entries = (filter ? this.tail.filter(filter) : this.tail).slice().reverse();
+      return {
+        total: filter ? entries.length : this.total,
+        entries: entries.slice(offset, end)
+      };
+    }
+
+    // Conservar solo las `end` coincidencias más recientes mientras se recorre
+    await this.pendingWrite;
+    let total = 0;
+    let recent = [];
+    await this.scan(entry => {
+      if (filter && !filter(entry)) return;
+      total++;
+      recent.push(entry);
+      if (recent.length >= end * 2) {
+        recent = recent.slice(-end);
+      }
+    });
+
+    return {
+      total,
+      entries: recent.slice(-end).reverse().slice(offset, end)
+    };
+  }
+}
+
+module.exports = AppendLog;
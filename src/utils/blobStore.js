@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// Contenidos de texto grandes guardados como un archivo por clave en
+// DATA_DIR/<name>/. Con STORE_DRIVER=memory se mantienen en memoria.
+class BlobStore {
+  constructor(name) {
+    this.name = name;
+    this.dir = path.join(DATA_DIR, name);
+    this.persistent = (process.env.STORE_DRIVER || 'file') === 'file';
+    this.memory = new Map();
+  }
+
+  file(key) {
+    // Las claves se generan internamente; se descarta cualquier separador de ruta
+    return path.join(this.dir, path.basename(key));
+  }
+
+  async write(key, content) {
+    if (!this.persistent) {
+      this.memory.set(key, content);
+      return;
+    }
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.file(key), content, 'utf8');
+  }
+
+  async read(key) {
+    if (!this.persistent) {
+      return this.memory.has(key) ? this.memory.get(key) : null;
+    }
+    try {
+      return await fs.promises.readFile(this.file(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    if (!this.persistent) {
+      this.memory.delete(key);
+      return;
+    }
+    await fs.promises.rm(this.file(key), { force: true });
+  }
+}
+
+module.exports = BlobStore;
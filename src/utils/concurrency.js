@@ -0,0 +1,60 @@
+// Ejecutar `worker` sobre cada elemento con como mucho `limit` en paralelo.
+// Devuelve los resultados en el orden de `items`.
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+// Cola FIFO que ejecuta como mucho `limit` tareas a la vez.
+// `run(task)` devuelve el resultado de la tarea cuando le toca ejecutarse.
+const createLimiter = (limit) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    while (active < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  return {
+    run: (task) => new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    }),
+    // Rechazar las tareas que todavía no han empezado
+    clear: (error) => queue.splice(0).forEach(({ reject }) => reject(error)),
+    get active() { return active; },
+    get pending() { return queue.length; }
+  };
+};
+
+// Rechazar con `createError()` si `promise` no termina en `ms`.
+// La operación original no se cancela: su resultado tardío se ignora.
+const withTimeout = (promise, ms, createError) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = { mapWithConcurrency, createLimiter, withTimeout };
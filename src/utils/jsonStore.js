@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// Colección de documentos persistida como un archivo JSON en DATA_DIR
+class JsonStore {
+  constructor(name) {
+    this.name = name;
+    this.file = path.join(DATA_DIR, `${name}.json`);
+    this.items = new Map();
+    this.pendingWrite = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    try {
+      const raw = fs.readFileSync(this.file, 'utf8');
+      JSON.parse(raw).forEach(item => this.items.set(String(item.id), item));
+      logger.debug(`Store ${this.name}: ${this.items.size} registros cargados`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error cargando store ${this.name}: ${error.message}`);
+      }
+    }
+  }
+
+  async all() {
+    return Array.from(this.items.values());
+  }
+
+  async get(id) {
+    return this.items.get(String(id)) || null;
+  }
+
+  async save(item) {
+    this.items.set(String(item.id), item);
+    await this.persist();
+    return item;
+  }
+
+  async remove(id) {
+    const existed = this.items.delete(String(id));
+    if (existed) {
+      await this.persist();
+    }
+    return existed;
+  }
+
+  // Serializar escrituras para no pisar el archivo con escrituras concurrentes.
+  // Si la escritura falla se rechaza para que quien guardaba responda con error;
+  // la cola sigue para las siguientes escrituras
+  persist() {
+    const data = JSON.stringify(Array.from(this.items.values()), null, 2);
+    const write = this.pendingWrite.then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      const tmpFile = `${this.file}.tmp`;
+      await fs.promises.writeFile(tmpFile, data);
+      await fs.promises.rename(tmpFile, this.file);
+    });
+    this.pendingWrite = write.catch(() => {});
+
+    return write.catch(error => {
+      logger.error(`Error guardando store ${this.name}: ${error.message}`);
+      throw error;
+    });
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,108 @@
+// Tamaño máximo de la tabla LCS; por encima la zona cambiada se da entera como reemplazo
+const MAX_CELLS = 16 * 1024 * 1024;
+
+// Diff por líneas (LCS) en formato unificado. Se recortan primero el prefijo y
+// el sufijo comunes, así la tabla solo cubre la zona que cambió.
+const diffLines = (before, after) => {
+  const a = before.split(/\r?\n/);
+  const b = after.split(/\r?\n/);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    return [
+      ...a.slice(0, start).map(line => ({ op: ' ', line })),
+      ...a.slice(start, endA).map(line => ({ op: '-', line })),
+      ...b.slice(start, endB).map(line => ({ op: '+', line })),
+      ...a.slice(endA).map(line => ({ op: ' ', line }))
+    ];
+  }
+
+  // lcs[i][j] = longitud de la subsecuencia común de a[start+i..] y b[start+j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ op: ' ', line: a[k] });
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ op: ' ', line: a[start + i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      ops.push({ op: '-', line: a[start + i] });
+      i++;
+    } else {
+      ops.push({ op: '+', line: b[start + j] });
+      j++;
+    }
+  }
+  for (let k = endA; k < a.length; k++) ops.push({ op: ' ', line: a[k] });
+
+  return ops;
+};
+
+// Agrupar las operaciones en hunks "@@ -a,b +c,d @@" con `context` líneas alrededor
+const unifiedDiff = (before, after, { context = 3, fromLabel = 'a', toLabel = 'b' } = {}) => {
+  const ops = diffLines(before, after);
+  const changed = ops.map((o, index) => (o.op === ' ' ? -1 : index)).filter(index => index >= 0);
+
+  const hunks = [];
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= 2 * context + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  // Número de línea (base 1) en cada lado al comienzo de cada operación
+  let lineA = 1;
+  let lineB = 1;
+  const positions = ops.map(o => {
+    const position = { a: lineA, b: lineB };
+    if (o.op !== '+') lineA++;
+    if (o.op !== '-') lineB++;
+    return position;
+  });
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+    const countA = slice.filter(o => o.op !== '+').length;
+    const countB = slice.filter(o => o.op !== '-').length;
+    // Un lado vacío se numera con la línea anterior, como en diff -u
+    const startA = countA === 0 ? positions[from].a - 1 : positions[from].a;
+    const startB = countB === 0 ? positions[from].b - 1 : positions[from].b;
+    lines.push(`@@ -${startA},${countA} +${startB},${countB} @@`);
+    slice.forEach(o => lines.push(`${o.op}${o.line}`));
+  });
+
+  return {
+    added: ops.filter(o => o.op === '+').length,
+    removed: ops.filter(o => o.op === '-').length,
+    diff: hunks.length > 0 ? lines.join('\n') : ''
+  };
+};
+
+module.exports = { diffLines, unifiedDiff };
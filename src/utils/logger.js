@@ -19,6 +19,8 @@ const consoleFormat = winston.format.combine(
 // Crear logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  // Los tests no escriben en logs/ ni en la consola
+  silent: process.env.NODE_ENV === 'test',
   format: logFormat,
   defaultMeta: { service: 'mikrotik-api' },
   transports: [
@@ -0,0 +1,26 @@
+// Colección de documentos en memoria (sin persistencia), útil para desarrollo
+class MemoryStore {
+  constructor(name) {
+    this.name = name;
+    this.items = new Map();
+  }
+
+  async all() {
+    return Array.from(this.items.values());
+  }
+
+  async get(id) {
+    return this.items.get(String(id)) || null;
+  }
+
+  async save(item) {
+    this.items.set(String(item.id), item);
+    return item;
+  }
+
+  async remove(id) {
+    return this.items.delete(String(id));
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,27 @@
+const net = require('net');
+
+// Direcciones IPv4 y rangos CIDR (a.b.c.d/n)
+const CIDR_PATTERN = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/;
+const MAC_PATTERN = /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/i;
+
+const ipToNumber = (ip) => ip.split('.').reduce((acc, octet) => (acc * 256) + parseInt(octet), 0);
+
+const isCidr = (value) => {
+  const match = CIDR_PATTERN.exec(value);
+  return Boolean(match && net.isIPv4(match[1]) && parseInt(match[2]) <= 32);
+};
+
+const isMac = (value) => MAC_PATTERN.test(value);
+
+// ¿Pertenece la IP al rango? (solo IPv4)
+const cidrContains = (cidr, ip) => {
+  if (!net.isIPv4(ip)) return false;
+  const [base, bits] = cidr.split('/');
+  const prefix = parseInt(bits);
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(ipToNumber(base) / size) * size;
+  const value = ipToNumber(ip);
+  return value >= network && value < network + size;
+};
+
+module.exports = { isCidr, isMac, cidrContains };
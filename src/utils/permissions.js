@@ -0,0 +1,51 @@
+// Modelo de permisos por rol
+//   viewer:   solo lectura de datos del router
+//   operator: además límites de velocidad, expulsiones, desbloqueos, alertas e inventario
+//   admin:    además cuentas de la API, configuración de routers, auditoría, webhooks, reservas DHCP
+//             y copias de la configuración
+const PERMISSIONS = {
+  NETWORK_READ: 'network:read',
+  LIMITS_MANAGE: 'limits:manage',
+  DEVICES_BLOCK: 'devices:block',
+  ROUTERS_MANAGE: 'routers:manage',
+  ACCOUNTS_MANAGE: 'accounts:manage',
+  AUDIT_READ: 'audit:read',
+  ALERTS_MANAGE: 'alerts:manage',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  INVENTORY_MANAGE: 'inventory:manage',
+  DHCP_MANAGE: 'dhcp:manage',
+  BACKUPS_MANAGE: 'backups:manage',
+  PROFILE_MANAGE: 'profile:manage'
+};
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  viewer: [
+    PERMISSIONS.NETWORK_READ,
+    PERMISSIONS.PROFILE_MANAGE
+  ],
+  operator: [
+    PERMISSIONS.NETWORK_READ,
+    PERMISSIONS.LIMITS_MANAGE,
+    PERMISSIONS.DEVICES_BLOCK,
+    PERMISSIONS.ALERTS_MANAGE,
+    PERMISSIONS.INVENTORY_MANAGE,
+    PERMISSIONS.PROFILE_MANAGE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+// Cuentas creadas antes del modelo de roles usaban el rol "user"
+const ROLE_ALIASES = {
+  user: 'viewer'
+};
+
+const normalizeRole = (role) => ROLE_ALIASES[role] || role;
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[normalizeRole(role)] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, normalizeRole, hasPermission };
@@ -0,0 +1,31 @@
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Cambios entre dos listas de objetos identificados por `key`: los elementos nuevos
+// o modificados se envían completos y de los eliminados solo su clave
+const diffList = (previous, current, key) => {
+  const before = new Map(previous.map(item => [item[key], item]));
+  const present = new Set(current.map(item => item[key]));
+
+  return {
+    updated: current.filter(item => !same(before.get(item[key]), item)),
+    removed: previous.filter(item => !present.has(item[key])).map(item => item[key])
+  };
+};
+
+// Cambios entre dos objetos, campo a campo
+const diffObject = (previous, current) => {
+  const updated = {};
+  Object.keys(current).forEach(field => {
+    if (!same(previous[field], current[field])) updated[field] = current[field];
+  });
+
+  return {
+    updated,
+    removed: Object.keys(previous).filter(field => !(field in current))
+  };
+};
+
+const isEmptyDiff = ({ updated, removed }) =>
+  removed.length === 0 && (Array.isArray(updated) ? updated.length === 0 : Object.keys(updated).length === 0);
+
+module.exports = { diffList, diffObject, isEmptyDiff };
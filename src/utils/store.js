@@ -0,0 +1,21 @@
+const JsonStore = require('./jsonStore');
+const MemoryStore = require('./memoryStore');
+
+// Drivers de persistencia disponibles. Todos exponen la misma interfaz
+// asíncrona: all(), get(id), save(item), remove(id)
+const drivers = {
+  file: JsonStore,
+  memory: MemoryStore
+};
+
+const createStore = (name) => {
+  const driverName = process.env.STORE_DRIVER || 'file';
+  const Driver = drivers[driverName];
+
+  if (!Driver) {
+    throw new Error(`Driver de persistencia desconocido: ${driverName}`);
+  }
+  return new Driver(name);
+};
+
+module.exports = { createStore, drivers };
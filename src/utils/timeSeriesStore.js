@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// Serie temporal de solo anexado particionada por día o por mes (UTC):
+// DATA_DIR/<name>/<partición>.jsonl, un punto JSON con `timestamp` por línea.
+// Las consultas solo leen las particiones del rango y la retención borra
+// particiones completas. Con STORE_DRIVER=memory los puntos quedan en memoria.
+class TimeSeriesStore {
+  constructor(name, { partition = 'day' } = {}) {
+    this.name = name;
+    this.dir = path.join(DATA_DIR, name);
+    this.partition = partition;
+    this.persistent = (process.env.STORE_DRIVER || 'file') === 'file';
+    this.memory = new Map();
+    this.pendingWrite = Promise.resolve();
+  }
+
+  partitionKey(timestamp) {
+    const iso = new Date(timestamp).toISOString();
+    return this.partition === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+  }
+
+  // Fin (exclusivo) de una partición, para saber si ya quedó fuera de la retención
+  partitionEnd(key) {
+    const end = new Date(this.partition === 'month' ? `${key}-01T00:00:00Z` : `${key}T00:00:00Z`);
+    if (this.partition === 'month') {
+      end.setUTCMonth(end.getUTCMonth() + 1);
+    } else {
+      end.setUTCDate(end.getUTCDate() + 1);
+    }
+    return end;
+  }
+
+  partitionsBetween(from, to) {
+    const keys = [];
+    const cursor = new Date(from);
+    cursor.setUTCHours(0, 0, 0, 0);
+    if (this.partition === 'month') cursor.setUTCDate(1);
+
+    while (cursor <= to) {
+      keys.push(this.partitionKey(cursor));
+      if (this.partition === 'month') {
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+      } else {
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+      }
+    }
+    return keys;
+  }
+
+  async append(points) {
+    if (points.length === 0) {
+      return;
+    }
+
+    const byPartition = new Map();
+    points.forEach(point => {
+      const key = this.partitionKey(point.timestamp);
+      if (!byPartition.has(key)) byPartition.set(key, []);
+      byPartition.get(key).push(point);
+    });
+
+    if (!this.persistent) {
+      byPartition.forEach((list, key) => {
+        this.memory.set(key, [...(this.memory.get(key) || []), ...list]);
+      });
+      return;
+    }
+
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        for (const [key, list] of byPartition) {
+          const lines = list.map(point => JSON.stringify(point)).join('\n');
+          await fs.promises.appendFile(path.join(this.dir, `${key}.jsonl`), `${lines}\n`);
+        }
+      })
+      .catch(error => {
+        logger.error(`Error escribiendo serie ${this.name}: ${error.message}`);
+      });
+    await this.pendingWrite;
+  }
+
+  async readPartition(key) {
+    if (!this.persistent) {
+      return this.memory.get(key) || [];
+    }
+
+    try {
+      const raw = await fs.promises.readFile(path.join(this.dir, `${key}.jsonl`), 'utf8');
+      const points = [];
+      raw.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          points.push(JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Línea inválida en ${this.name}/${key}.jsonl ignorada`);
+        }
+      });
+      return points;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error leyendo serie ${this.name}/${key}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  // Puntos con from <= timestamp < to que cumplan `filter`, en orden cronológico
+  async query(from, to, filter = () => true) {
+    await this.pendingWrite;
+
+    const results = [];
+    for (const key of this.partitionsBetween(from, to)) {
+      const points = await this.readPartition(key);
+      points.forEach(point => {
+        const time = new Date(point.timestamp);
+        if (time >= from && time < to && filter(point)) {
+          results.push(point);
+        }
+      });
+    }
+    return results.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // Eliminar las particiones que terminan antes de `cutoff`
+  async prune(cutoff) {
+    await this.pendingWrite;
+
+    if (!this.persistent) {
+      Array.from(this.memory.keys())
+        .filter(key => this.partitionEnd(key) <= cutoff)
+        .forEach(key => this.memory.delete(key));
+      return;
+    }
+
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.jsonl'))) {
+      const key = file.replace('.jsonl', '');
+      if (this.partitionEnd(key) <= cutoff) {
+        await fs.promises.unlink(path.join(this.dir, file));
+        logger.debug(`Serie ${this.name}: partición ${key} eliminada por retención`);
+      }
+    }
+  }
+}
+
+module.exports = TimeSeriesStore;
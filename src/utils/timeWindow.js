@@ -0,0 +1,52 @@
+// Ventanas horarias recurrentes: { days: [0-6] (0 = domingo), start: 'HH:MM', end: 'HH:MM' }
+// Si start > end la ventana cruza la medianoche (p. ej. 23:00–07:00) y pertenece
+// al día en que empieza. Se evalúan en la hora local del servidor.
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+const isWithinWindow = (window, date = new Date()) => {
+  const days = window.days && window.days.length > 0 ? window.days : ALL_DAYS;
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (start === end) {
+    // Ventana de día completo
+    return days.includes(today);
+  }
+
+  if (start < end) {
+    return days.includes(today) && now >= start && now < end;
+  }
+
+  // Ventana nocturna: tramo de hoy desde start o tramo de ayer hasta end
+  return (days.includes(today) && now >= start) || (days.includes(yesterday) && now < end);
+};
+
+// Minutos que faltan para que termine la ventana activa (0 si no está activa)
+const minutesUntilEnd = (window, date = new Date()) => {
+  if (!isWithinWindow(window, date)) {
+    return 0;
+  }
+
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) {
+    return 24 * 60 - now;
+  }
+  return end > now ? end - now : 24 * 60 - now + end;
+};
+
+module.exports = { ALL_DAYS, isValidTime, isWithinWindow, minutesUntilEnd, toMinutes };
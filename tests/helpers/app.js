@@ -0,0 +1,17 @@
+const express = require('express');
+const authRoutes = require('../../src/routes/auth');
+const mikrotikRoutes = require('../../src/routes/mikrotik');
+const { errorHandler, notFound } = require('../../src/middleware/errorHandler');
+
+// La parte de server.js que atienden /api/auth y /api/mikrotik, sin escuchar en un puerto
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/mikrotik', mikrotikRoutes);
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = { createApp };
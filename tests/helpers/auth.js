@@ -0,0 +1,26 @@
+const jwt = require('jsonwebtoken');
+const userStore = require('../../src/services/userStore');
+
+const PASSWORD = 'password123';
+
+const signToken = (user, options = { expiresIn: '1h' }) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role },
+  process.env.JWT_SECRET,
+  options
+);
+
+// Una cuenta por rol; devuelve { users, tokens } indexados por rol
+const createAccounts = async () => {
+  const users = {};
+  const tokens = {};
+  for (const role of ['admin', 'operator', 'viewer']) {
+    users[role] = await userStore.findByUsername(role) ||
+      await userStore.create({ username: role, password: PASSWORD, role });
+    tokens[role] = signToken(users[role]);
+  }
+  return { users, tokens };
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = { PASSWORD, signToken, createAccounts, bearer };
@@ -0,0 +1,30 @@
+const RouterOSSimulator = require('../../src/simulator');
+
+const USER = 'api';
+const PASSWORD = 'api-secret';
+
+// Simulador de RouterOS en un puerto libre, configurado como router por defecto (MIKROTIK_*)
+const startSimulator = async () => {
+  const simulator = new RouterOSSimulator({ user: USER, password: PASSWORD });
+  const port = await simulator.listen(0);
+
+  process.env.MIKROTIK_HOST = '127.0.0.1';
+  process.env.MIKROTIK_PORT = String(port);
+  process.env.MIKROTIK_USER = USER;
+  process.env.MIKROTIK_PASSWORD = PASSWORD;
+  return simulator;
+};
+
+// Volver al estado inicial del router simulado entre tests
+const resetSimulator = (simulator) => {
+  simulator.state = new RouterOSSimulator.RouterState();
+  simulator.faults.clear();
+};
+
+const stopSimulator = async (simulator) => {
+  await require('../../src/services/routerRegistry').disconnectAll();
+  await simulator.close();
+  delete process.env.MIKROTIK_HOST;
+};
+
+module.exports = { startSimulator, resetSimulator, stopSimulator };
@@ -0,0 +1,15 @@
+// Reintenta `check` hasta que devuelva un valor verdadero; para efectos que los
+// servicios lanzan en segundo plano (tick de programaciones, toques de queda...)
+const waitFor = async (check, { timeout = 8000, interval = 50 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`waitFor: la condición no se cumplió en ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+};
+
+module.exports = { waitFor };
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createApp } = require('../helpers/app');
+const { PASSWORD, createAccounts, signToken, bearer } = require('../helpers/auth');
+const userStore = require('../../src/services/userStore');
+const { metricsAuth } = require('../../src/middleware/auth');
+
+describe('/api/auth', () => {
+  const app = createApp();
+  let users;
+  let tokens;
+
+  beforeAll(async () => {
+    ({ users, tokens } = await createAccounts());
+  });
+
+  describe('POST /login', () => {
+    test('devuelve un JWT con el rol de la cuenta', async () => {
+      const res = await request(app).post('/api/auth/login').send({ username: 'operator', password: PASSWORD });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toEqual({ id: users.operator.id, username: 'operator', role: 'operator' });
+      expect(jwt.verify(res.body.token, process.env.JWT_SECRET)).toMatchObject({ username: 'operator', role: 'operator' });
+    });
+
+    test('valida usuario y contraseña', async () => {
+      const res = await request(app).post('/api/auth/login').send({ username: '', password: '123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.param)).toEqual(expect.arrayContaining(['username', 'password']));
+    });
+
+    test('rechaza una contraseña incorrecta', async () => {
+      const res = await request(app).post('/api/auth/login').send({ username: 'viewer', password: 'incorrecta' });
+      expect(res.status).toBe(401);
+    });
+
+    test('rechaza un usuario inexistente', async () => {
+      const res = await request(app).post('/api/auth/login').send({ username: 'nadie', password: PASSWORD });
+      expect(res.status).toBe(401);
+    });
+
+    test('rechaza una cuenta deshabilitada', async () => {
+      const disabled = await userStore.create({ username: 'deshabilitada', password: PASSWORD });
+      await userStore.update(disabled.id, { disabled: true });
+
+      const res = await request(app).post('/api/auth/login').send({ username: 'deshabilitada', password: PASSWORD });
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /register', () => {
+    const account = { username: 'nueva', password: 'password123', role: 'operator' };
+
+    test('un administrador crea cuentas', async () => {
+      const res = await request(app).post('/api/auth/register').set(bearer(tokens.admin)).send(account);
+
+      expect(res.status).toBe(201);
+      expect(res.body.user).toMatchObject({ username: 'nueva', role: 'operator' });
+      expect(res.body.user.password).toBeUndefined();
+    });
+
+    test('rechaza usuarios duplicados', async () => {
+      const res = await request(app).post('/api/auth/register').set(bearer(tokens.admin)).send(account);
+      expect(res.status).toBe(400);
+    });
+
+    test('las altas simultáneas no se pisan', async () => {
+      const register = (username) => request(app).post('/api/auth/register').set(bearer(tokens.admin))
+        .send({ username, password: 'password123' });
+
+      const [a, b] = await Promise.all([register('simultanea1'), register('simultanea2')]);
+      expect([a.status, b.status]).toEqual([201, 201]);
+      expect(a.body.user.id).not.toBe(b.body.user.id);
+      expect((await userStore.findById(a.body.user.id)).username).toBe('simultanea1');
+      expect((await userStore.findById(b.body.user.id)).username).toBe('simultanea2');
+
+      const same = await Promise.all([register('repetida'), register('repetida')]);
+      expect(same.map(res => res.status).sort()).toEqual([201, 400]);
+    });
+
+    test('valida los datos de la cuenta', async () => {
+      const res = await request(app).post('/api/auth/register').set(bearer(tokens.admin))
+        .send({ username: 'ab', password: '123', role: 'root' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.param)).toEqual(expect.arrayContaining(['username', 'password', 'role']));
+    });
+
+    test('el rol por defecto es viewer', async () => {
+      const res = await request(app).post('/api/auth/register').set(bearer(tokens.admin))
+        .send({ username: 'lectora', password: 'password123' });
+      expect(res.body.user.role).toBe('viewer');
+    });
+
+    test('solo los administradores pueden registrar', async () => {
+      const res = await request(app).post('/api/auth/register').set(bearer(tokens.operator)).send({ ...account, username: 'otra' });
+      expect(res.status).toBe(403);
+    });
+
+    test('requiere token', async () => {
+      const res = await request(app).post('/api/auth/register').send(account);
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /me', () => {
+    test('devuelve la cuenta del token', async () => {
+      const res = await request(app).get('/api/auth/me').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toEqual({ id: users.viewer.id, username: 'viewer', role: 'viewer' });
+    });
+
+    test('rechaza peticiones sin token', async () => {
+      const res = await request(app).get('/api/auth/me');
+      expect(res.status).toBe(401);
+    });
+
+    test('rechaza tokens inválidos o expirados', async () => {
+      const invalid = await request(app).get('/api/auth/me').set(bearer('no-es-un-jwt'));
+      const expired = await request(app).get('/api/auth/me').set(bearer(signToken(users.viewer, { expiresIn: -10 })));
+
+      expect(invalid.status).toBe(401);
+      expect(expired.status).toBe(401);
+    });
+
+    test('rechaza tokens de cuentas eliminadas', async () => {
+      const temporal = await userStore.create({ username: 'temporal', password: PASSWORD });
+      const token = signToken(temporal);
+      await userStore.remove(temporal.id);
+
+      const res = await request(app).get('/api/auth/me').set(bearer(token));
+      expect(res.status).toBe(401);
+    });
+
+    test('usa el rol vigente de la cuenta, no el del token', async () => {
+      const cuenta = await userStore.create({ username: 'ascendida', password: PASSWORD, role: 'viewer' });
+      const token = signToken(cuenta);
+      await userStore.update(cuenta.id, { role: 'operator' });
+
+      const res = await request(app).get('/api/auth/me').set(bearer(token));
+      expect(res.body.user.role).toBe('operator');
+    });
+  });
+
+  describe('POST /change-password', () => {
+    test('cambia la contraseña si la actual es correcta', async () => {
+      const cuenta = await userStore.create({ username: 'cambia', password: PASSWORD });
+      const token = signToken(cuenta);
+
+      const res = await request(app).post('/api/auth/change-password').set(bearer(token))
+        .send({ currentPassword: PASSWORD, newPassword: 'nueva-clave' });
+      expect(res.status).toBe(200);
+
+      const login = await request(app).post('/api/auth/login').send({ username: 'cambia', password: 'nueva-clave' });
+      expect(login.status).toBe(200);
+    });
+
+    test('rechaza una contraseña actual incorrecta', async () => {
+      const res = await request(app).post('/api/auth/change-password').set(bearer(tokens.viewer))
+        .send({ currentPassword: 'incorrecta', newPassword: 'nueva-clave' });
+      expect(res.status).toBe(400);
+    });
+
+    test('valida la nueva contraseña', async () => {
+      const res = await request(app).post('/api/auth/change-password').set(bearer(tokens.viewer))
+        .send({ currentPassword: PASSWORD, newPassword: '123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].param).toBe('newPassword');
+    });
+
+    test('requiere token', async () => {
+      const res = await request(app).post('/api/auth/change-password').send({ currentPassword: PASSWORD, newPassword: 'nueva-clave' });
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('metricsAuth', () => {
+    const metrics = express().get('/metrics', metricsAuth, (req, res) => res.send('ok'));
+
+    afterEach(() => {
+      delete process.env.METRICS_TOKEN;
+    });
+
+    test('sin METRICS_TOKEN exige un JWT', async () => {
+      const anonymous = await request(metrics).get('/metrics');
+      const viewer = await request(metrics).get('/metrics').set(bearer(tokens.viewer));
+
+      expect(anonymous.status).toBe(401);
+      expect(viewer.status).toBe(200);
+    });
+
+    test('con METRICS_TOKEN exige ese token', async () => {
+      process.env.METRICS_TOKEN = 'token-de-metricas';
+
+      const jwtOnly = await request(metrics).get('/metrics').set(bearer(tokens.admin));
+      const scraper = await request(metrics).get('/metrics').set(bearer('token-de-metricas'));
+
+      expect(jwtOnly.status).toBe(401);
+      expect(scraper.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const backupService = require('../../src/services/backupService');
+
+describe('/api/mikrotik/backups', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const snapshot = (comment) => request(app).post('/api/mikrotik/backups').set(bearer(tokens.admin)).send({ comment });
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('exporta la configuración y permite consultarla y descargarla', async () => {
+    const created = await snapshot('antes de cambios');
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ router: 'default', reason: 'manual', createdBy: 'admin', comment: 'antes de cambios' });
+    const { id } = created.body.data;
+
+    const detail = await request(app).get(`/api/mikrotik/backups/${id}`).set(bearer(tokens.admin));
+    expect(detail.body.data.hash).toBe(created.body.data.hash);
+
+    const download = await request(app).get(`/api/mikrotik/backups/${id}/download`).set(bearer(tokens.admin));
+    expect(download.headers['content-disposition']).toMatch(/attachment; filename="default-.*\.rsc"/);
+    expect(download.text).toContain('/ip dhcp-server');
+  });
+
+  test('compara dos copias', async () => {
+    const before = await snapshot();
+    simulator.state.add('/queue/simple', { name: 'limite', target: '192.168.88.10', 'max-limit': '1M/1M' });
+    const after = await snapshot();
+
+    const json = await request(app)
+      .get(`/api/mikrotik/backups/diff?from=${before.body.data.id}&to=${after.body.data.id}`)
+      .set(bearer(tokens.admin));
+    const text = await request(app)
+      .get(`/api/mikrotik/backups/diff?from=${before.body.data.id}&to=${after.body.data.id}&format=text`)
+      .set(bearer(tokens.admin));
+
+    expect(json.body.data.added).toBeGreaterThanOrEqual(2);
+    expect(json.body.data.diff).toContain('+add max-limit=1M/1M name=limite target=192.168.88.10/32');
+    expect(text.type).toBe('text/plain');
+    expect(text.text).toContain('+/queue simple');
+  });
+
+  test('lista, filtra y elimina copias', async () => {
+    const created = await snapshot();
+
+    const manual = await request(app).get('/api/mikrotik/backups?reason=manual').set(bearer(tokens.admin));
+    const scheduled = await request(app).get('/api/mikrotik/backups?reason=scheduled').set(bearer(tokens.admin));
+    expect(manual.body.data.map(s => s.id)).toContain(created.body.data.id);
+    expect(scheduled.body.count).toBe(0);
+
+    const removed = await request(app).delete(`/api/mikrotik/backups/${created.body.data.id}`).set(bearer(tokens.admin));
+    expect(removed.status).toBe(200);
+
+    const missing = await request(app).get(`/api/mikrotik/backups/${created.body.data.id}`).set(bearer(tokens.admin));
+    expect(missing.status).toBe(404);
+  });
+
+  test('copia la configuración antes de las operaciones destructivas', async () => {
+    backupService.beforeOperations = true;
+    try {
+      const lease = simulator.state.table('/ip/dhcp-server/lease')[0];
+      await request(app).delete(`/api/mikrotik/dhcp/leases/${lease['.id']}`).set(bearer(tokens.admin));
+    } finally {
+      backupService.beforeOperations = false;
+    }
+
+    const res = await request(app).get('/api/mikrotik/backups?reason=pre-operation').set(bearer(tokens.admin));
+    expect(res.body.data[0]).toMatchObject({ operation: 'removeLease', createdBy: 'admin' });
+  });
+
+  test('valida ids, filtros y comentario', async () => {
+    const id = await request(app).get('/api/mikrotik/backups/no-es-uuid').set(bearer(tokens.admin));
+    const reason = await request(app).get('/api/mikrotik/backups?reason=otro').set(bearer(tokens.admin));
+    const diff = await request(app).get('/api/mikrotik/backups/diff?from=x').set(bearer(tokens.admin));
+    const comment = await snapshot('x'.repeat(201));
+
+    [id, reason, diff, comment].forEach(res => expect(res.status).toBe(400));
+  });
+
+  test('responde 500 si el export falla', async () => {
+    simulator.faults.add({ command: '/execute', type: 'trap', message: 'simulated failure' });
+
+    const res = await snapshot();
+    expect(res.status).toBe(500);
+  }, 15000);
+
+  test('solo los administradores acceden a las copias', async () => {
+    const res = await request(app).get('/api/mikrotik/backups').set(bearer(tokens.operator));
+    expect(res.status).toBe(403);
+  });
+});
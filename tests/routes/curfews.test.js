@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const { waitFor } = require('../helpers/wait');
+const curfewService = require('../../src/services/curfewService');
+
+describe('/api/mikrotik/curfews', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const blocked = (comment) => simulator.state.table('/ip/firewall/address-list')
+    .filter(e => e.list === 'api_blocked' && (e.comment || '').startsWith(comment))
+    .map(e => e.address);
+  const idle = () => waitFor(() => !curfewService.running);
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(async () => {
+    await idle();
+    await stopSimulator(simulator);
+  });
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('un toque de queda vigente bloquea sus IPs y al eliminarlo se liberan', async () => {
+    const created = await request(app).post('/api/mikrotik/curfews').set(bearer(tokens.operator))
+      .send({ name: 'Noche', ips: ['192.168.88.10', '192.168.88.11'], start: '00:00', end: '00:00' });
+
+    expect(created.status).toBe(201);
+    await waitFor(() => blocked('Curfew_API').length === 2);
+
+    const active = await request(app).get('/api/mikrotik/curfews/active').set(bearer(tokens.viewer));
+    expect(active.body.data.curfews.map(c => c.id)).toEqual([created.body.data.id]);
+
+    await idle();
+    await request(app).delete(`/api/mikrotik/curfews/${created.body.data.id}`).set(bearer(tokens.operator));
+    await waitFor(() => blocked('Curfew_API').length === 0);
+  });
+
+  test('crea, consulta y actualiza toques de queda', async () => {
+    const created = await request(app).post('/api/mikrotik/curfews').set(bearer(tokens.operator))
+      .send({ name: 'Estudio', ips: ['192.168.88.12'], days: [1, 2, 3], start: '16:00', end: '18:00' });
+    const { id } = created.body.data;
+
+    const list = await request(app).get('/api/mikrotik/curfews').set(bearer(tokens.viewer));
+    expect(list.body.data.map(c => c.id)).toContain(id);
+
+    const updated = await request(app).put(`/api/mikrotik/curfews/${id}`).set(bearer(tokens.operator)).send({ enabled: false });
+    expect(updated.body.data.enabled).toBe(false);
+
+    const detail = await request(app).get(`/api/mikrotik/curfews/${id}`).set(bearer(tokens.viewer));
+    expect(detail.body.data).toMatchObject({ name: 'Estudio', ips: ['192.168.88.12'], enabled: false });
+
+    await idle();
+    await request(app).delete(`/api/mikrotik/curfews/${id}`).set(bearer(tokens.operator));
+  });
+
+  test('valida nombre, IPs y franja', async () => {
+    const res = await request(app).post('/api/mikrotik/curfews').set(bearer(tokens.operator))
+      .send({ name: '', ips: ['no-es-ip'], start: '7:00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(e => e.param)).toEqual(expect.arrayContaining(['name', 'ips[0]', 'start', 'end']));
+  });
+
+  test('responde 404 para toques de queda inexistentes', async () => {
+    const res = await request(app).get('/api/mikrotik/curfews/no-existe').set(bearer(tokens.viewer));
+    expect(res.status).toBe(404);
+  });
+
+  describe('pausas', () => {
+    test('pausa y reanuda internet de un dispositivo', async () => {
+      const paused = await request(app).post('/api/mikrotik/curfews/pause').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.12', minutes: 30 });
+
+      expect(paused.status).toBe(200);
+      expect(blocked('Pausa_API')).toEqual(['192.168.88.12']);
+
+      const active = await request(app).get('/api/mikrotik/curfews/active').set(bearer(tokens.viewer));
+      expect(active.body.data.pauses).toEqual([expect.objectContaining({ ip: '192.168.88.12' })]);
+
+      const resumed = await request(app).delete('/api/mikrotik/curfews/pause/192.168.88.12').set(bearer(tokens.operator));
+      expect(resumed.status).toBe(200);
+      expect(blocked('Pausa_API')).toEqual([]);
+    });
+
+    test('pausar un dispositivo ya expulsado sustituye la entrada', async () => {
+      simulator.state.add('/ip/firewall/address-list', { list: 'api_blocked', address: '192.168.88.12', comment: 'Bloqueado_por_API' });
+
+      const paused = await request(app).post('/api/mikrotik/curfews/pause').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.12', minutes: 30 });
+
+      expect(paused.status).toBe(200);
+      expect(blocked('Pausa_API')).toEqual(['192.168.88.12']);
+      expect(blocked('Bloqueado_por_API')).toEqual([]);
+
+      const kicked = await request(app).post('/api/mikrotik/kick-user').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.12', duration: 60 });
+      expect(kicked.status).toBe(200);
+      expect(blocked('Pausa_API')).toEqual([]);
+      expect(blocked('Bloqueado_por_API')).toEqual(['192.168.88.12']);
+    });
+
+    test('valida IP y minutos', async () => {
+      const res = await request(app).post('/api/mikrotik/curfews/pause').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.12', minutes: 0 });
+      expect(res.status).toBe(400);
+    });
+
+    test('los viewers no pueden pausar', async () => {
+      const res = await request(app).post('/api/mikrotik/curfews/pause').set(bearer(tokens.viewer))
+        .send({ ip: '192.168.88.12', minutes: 30 });
+      expect(res.status).toBe(403);
+    });
+
+    test('responde 500 si el router falla', async () => {
+      simulator.faults.add({ command: '/ip/firewall/address-list', type: 'trap', message: 'simulated failure' });
+
+      const res = await request(app).post('/api/mikrotik/curfews/pause').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.12', minutes: 30 });
+      expect(res.status).toBe(500);
+    }, 15000);
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+
+describe('/api/mikrotik/dhcp', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const leases = () => simulator.state.table('/ip/dhcp-server/lease');
+  const leaseOf = (mac) => leases().find(l => l['mac-address'] === mac);
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  describe('consultas', () => {
+    test('lista las leases con filtros', async () => {
+      const all = await request(app).get('/api/mikrotik/dhcp/leases').set(bearer(tokens.viewer));
+      const statics = await request(app).get('/api/mikrotik/dhcp/leases?dynamic=false').set(bearer(tokens.viewer));
+
+      expect(all.status).toBe(200);
+      expect(all.body.data.map(l => l.hostName)).toEqual(['portatil', 'telefono', 'smart-tv']);
+      expect(statics.body.count).toBe(0);
+    });
+
+    test('lista servidores y pools', async () => {
+      const res = await request(app).get('/api/mikrotik/dhcp/servers').set(bearer(tokens.viewer));
+
+      expect(res.body.data.servers).toEqual([expect.objectContaining({ name: 'defconf', addressPool: 'dhcp' })]);
+      expect(res.body.data.pools.map(p => p.name)).toEqual(['dhcp']);
+    });
+
+    test('obtiene una lease por id y valida el formato', async () => {
+      const { '.id': id } = leaseOf('AC:1F:6B:10:20:01');
+
+      const found = await request(app).get(`/api/mikrotik/dhcp/leases/${id}`).set(bearer(tokens.viewer));
+      const missing = await request(app).get('/api/mikrotik/dhcp/leases/*FFFF').set(bearer(tokens.viewer));
+      const invalid = await request(app).get('/api/mikrotik/dhcp/leases/1').set(bearer(tokens.viewer));
+
+      expect(found.body.data).toMatchObject({ id, address: '192.168.88.10', dynamic: true });
+      expect(missing.status).toBe(404);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('reservas', () => {
+    test('crea una reserva y rechaza duplicarla', async () => {
+      const reservation = { mac: '02:00:00:00:00:20', address: '192.168.88.20', comment: 'impresora' };
+
+      const created = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin)).send(reservation);
+      const duplicate = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin)).send(reservation);
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ address: '192.168.88.20', dynamic: false, comment: 'impresora' });
+      expect(duplicate.status).toBe(409);
+    });
+
+    test('comprueba que el servidor y el pool existen', async () => {
+      const server = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin))
+        .send({ mac: '02:00:00:00:00:20', address: '192.168.88.20', server: 'otro' });
+      const pool = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin))
+        .send({ mac: '02:00:00:00:00:20', pool: 'otro' });
+
+      expect(server.status).toBe(400);
+      expect(pool.status).toBe(400);
+    });
+
+    test('valida MAC y dirección', async () => {
+      const missing = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin)).send({ mac: '02:00:00:00:00:20' });
+      const both = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin))
+        .send({ mac: 'no-es-mac', address: '192.168.88.20', pool: 'dhcp' });
+
+      expect(missing.status).toBe(400);
+      expect(both.body.errors.map(e => e.param)).toEqual(['mac', 'pool']);
+    });
+
+    test('convierte una lease dinámica en estática, la edita y la elimina', async () => {
+      const { '.id': id } = leaseOf('AC:1F:6B:10:20:03');
+
+      const dynamicEdit = await request(app).put(`/api/mikrotik/dhcp/leases/${id}`).set(bearer(tokens.admin)).send({ comment: 'tv' });
+      expect(dynamicEdit.status).toBe(409);
+
+      const madeStatic = await request(app).post(`/api/mikrotik/dhcp/leases/${id}/make-static`).set(bearer(tokens.admin));
+      expect(madeStatic.body.data.dynamic).toBe(false);
+
+      const again = await request(app).post(`/api/mikrotik/dhcp/leases/${id}/make-static`).set(bearer(tokens.admin));
+      expect(again.status).toBe(409);
+
+      const updated = await request(app).put(`/api/mikrotik/dhcp/leases/${id}`).set(bearer(tokens.admin))
+        .send({ address: '192.168.88.50', comment: 'tv' });
+      expect(updated.body.data).toMatchObject({ address: '192.168.88.50', comment: 'tv' });
+
+      const removed = await request(app).delete(`/api/mikrotik/dhcp/leases/${id}`).set(bearer(tokens.admin));
+      expect(removed.status).toBe(200);
+      expect(leaseOf('AC:1F:6B:10:20:03')).toBeUndefined();
+    });
+
+    test('responde 500 si el router rechaza la reserva', async () => {
+      simulator.faults.add({ command: '/ip/dhcp-server/lease/add', type: 'trap', message: 'failure: already have static lease' });
+
+      const res = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.admin))
+        .send({ mac: '02:00:00:00:00:20', address: '192.168.88.20' });
+      expect(res.status).toBe(500);
+      expect(res.body.error).toMatch('already have static lease');
+    });
+
+    test('solo los administradores gestionan el DHCP', async () => {
+      const res = await request(app).post('/api/mikrotik/dhcp/leases').set(bearer(tokens.operator))
+        .send({ mac: '02:00:00:00:00:20', address: '192.168.88.20' });
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const planService = require('../../src/services/planService');
+const MikrotikService = require('../../src/services/mikrotikService');
+
+describe('/api/mikrotik/groups', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+  let plan;
+
+  const queueFor = (ip) => simulator.state.table('/queue/simple').find(q => q.target === `${ip}/32`);
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+    plan = await planService.create({ name: 'Básico', rxLimit: 5000000, txLimit: 1000000 }, 'admin');
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('el plan del grupo se aplica a los miembros y se quita al eliminarlo', async () => {
+    const created = await request(app).post('/api/mikrotik/groups').set(bearer(tokens.operator))
+      .send({ name: 'Niños', members: ['AC:1F:6B:10:20:01', '02:00:00:00:00:99'], planId: plan.id });
+
+    expect(created.status).toBe(201);
+    expect(created.body.applied).toEqual([
+      { mac: 'AC:1F:6B:10:20:01', status: 'applied', ip: '192.168.88.10' },
+      { mac: '02:00:00:00:00:99', status: 'pending', ip: null }
+    ]);
+    expect(queueFor('192.168.88.10')['max-limit']).toBe('5000000/1000000');
+
+    const removed = await request(app).delete(`/api/mikrotik/groups/${created.body.data.id}`).set(bearer(tokens.operator));
+    expect(removed.status).toBe(200);
+    expect(queueFor('192.168.88.10')).toBeUndefined();
+  }, 15000);
+
+  test('no pisa la política individual de un miembro', async () => {
+    await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator)).send({ type: 'block' });
+
+    const created = await request(app).post('/api/mikrotik/groups').set(bearer(tokens.operator))
+      .send({ name: 'Salón', members: ['AC:1F:6B:10:20:03'], planId: plan.id });
+
+    expect(created.body.applied[0]).toMatchObject({ mac: 'AC:1F:6B:10:20:03', status: 'skipped' });
+
+    await request(app).delete('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator));
+  });
+
+  test('al editar el plan se reaplica a los miembros sin esperar la verificación de cada uno', async () => {
+    const family = await planService.create({ name: 'Familia', rxLimit: 4000000, txLimit: 1000000 }, 'admin');
+    const created = await request(app).post('/api/mikrotik/groups').set(bearer(tokens.operator))
+      .send({ name: 'Casa', members: ['AC:1F:6B:10:20:01', 'AC:1F:6B:10:20:02'], planId: family.id });
+    const setSpeedLimit = jest.spyOn(MikrotikService.prototype, 'setSpeedLimit');
+
+    try {
+      const { reapplied } = await planService.update(family.id, { rxLimit: 6000000 }, { username: 'admin', role: 'admin' });
+
+      expect(reapplied).toEqual({ updated: 2, failed: 0 });
+      expect(queueFor('192.168.88.10')['max-limit']).toBe('6000000/1000000');
+      expect(queueFor('192.168.88.11')['max-limit']).toBe('6000000/1000000');
+      expect(setSpeedLimit).toHaveBeenCalledTimes(2);
+      setSpeedLimit.mock.calls.forEach(([, , , options]) => expect(options.verify).toBe(false));
+    } finally {
+      setSpeedLimit.mockRestore();
+      await request(app).delete(`/api/mikrotik/groups/${created.body.data.id}`).set(bearer(tokens.operator));
+      await planService.remove(family.id);
+    }
+  }, 20000);
+
+  test('crea, consulta y actualiza grupos sin plan', async () => {
+    const created = await request(app).post('/api/mikrotik/groups').set(bearer(tokens.operator))
+      .send({ name: 'Invitados', members: ['ac:1f:6b:10:20:02'] });
+    const { id } = created.body.data;
+    expect(created.body.data.members).toEqual(['AC:1F:6B:10:20:02']);
+
+    const updated = await request(app).put(`/api/mikrotik/groups/${id}`).set(bearer(tokens.operator)).send({ name: 'Visitas' });
+    expect(updated.body.data.name).toBe('Visitas');
+
+    const list = await request(app).get('/api/mikrotik/groups').set(bearer(tokens.viewer));
+    expect(list.body.data.map(g => g.id)).toContain(id);
+
+    const detail = await request(app).get(`/api/mikrotik/groups/${id}`).set(bearer(tokens.viewer));
+    expect(detail.body.data.name).toBe('Visitas');
+  });
+
+  test('valida nombre, miembros y plan', async () => {
+    const res = await request(app).post('/api/mikrotik/groups').set(bearer(tokens.operator))
+      .send({ name: '', members: ['no-es-mac'], planId: 'no-existe' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(e => e.param)).toEqual(['name', 'members[0]', 'planId']);
+  });
+
+  test('responde 404 para grupos inexistentes', async () => {
+    const res = await request(app).put('/api/mikrotik/groups/no-existe').set(bearer(tokens.operator)).send({ name: 'x' });
+    expect(res.status).toBe(404);
+  });
+
+  test('los viewers no pueden crear grupos', async () => {
+    const res = await request(app).post('/api/mikrotik/groups').set(bearer(tokens.viewer)).send({ name: 'x' });
+    expect(res.status).toBe(403);
+  });
+});
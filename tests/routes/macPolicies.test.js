@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const { waitFor } = require('../helpers/wait');
+const curfewService = require('../../src/services/curfewService');
+
+describe('/api/mikrotik/mac-policies', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const queueFor = (ip) => simulator.state.table('/queue/simple').find(q => q.target === `${ip}/32`);
+  const blocked = () => simulator.state.table('/ip/firewall/address-list')
+    .filter(e => e.list === 'api_blocked' && e.comment !== 'Lista_inicial')
+    .map(e => e.address);
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('un límite por MAC se aplica a la IP del dispositivo y se quita al eliminarlo', async () => {
+    const res = await request(app).put('/api/mikrotik/mac-policies/ac:1f:6b:10:20:03').set(bearer(tokens.operator))
+      .send({ type: 'limit', rxLimit: 2000000, txLimit: 1000000 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ mac: 'AC:1F:6B:10:20:03', ip: '192.168.88.12', createdBy: 'operator' });
+    expect(queueFor('192.168.88.12')['max-limit']).toBe('2000000/1000000');
+
+    const detail = await request(app).get('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.viewer));
+    expect(detail.body.data.type).toBe('limit');
+
+    const removed = await request(app).delete('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator));
+    expect(removed.status).toBe(200);
+    expect(queueFor('192.168.88.12')).toBeUndefined();
+  }, 15000);
+
+  test('una expulsión por MAC bloquea la IP actual', async () => {
+    const res = await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:02').set(bearer(tokens.operator))
+      .send({ type: 'kick', duration: 120 });
+
+    expect(res.status).toBe(200);
+    expect(blocked()).toEqual(['192.168.88.11']);
+
+    await request(app).delete('/api/mikrotik/mac-policies/AC:1F:6B:10:20:02').set(bearer(tokens.operator));
+    expect(blocked()).toEqual([]);
+  });
+
+  test('aplicar y quitar una política no levanta el toque de queda de la misma IP', async () => {
+    const curfew = await request(app).post('/api/mikrotik/curfews').set(bearer(tokens.operator))
+      .send({ name: 'Noche', ips: ['192.168.88.12'], start: '00:00', end: '00:00' });
+    await waitFor(() => blocked().includes('192.168.88.12'));
+    await waitFor(() => !curfewService.running);
+
+    const limit = await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator))
+      .send({ type: 'limit', rxLimit: 0, txLimit: 0 });
+    expect(limit.status).toBe(200);
+    expect(queueFor('192.168.88.12')['max-limit']).toBe('1/1');
+    expect(blocked()).toEqual(['192.168.88.12']);
+
+    await request(app).delete('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator));
+    expect(queueFor('192.168.88.12')).toBeUndefined();
+    expect(simulator.state.table('/ip/firewall/address-list').filter(e => e.list === 'api_speed_blocked' && e.address === '192.168.88.12')).toEqual([]);
+    expect(blocked()).toEqual(['192.168.88.12']);
+
+    await request(app).delete(`/api/mikrotik/curfews/${curfew.body.data.id}`).set(bearer(tokens.operator));
+    await waitFor(() => !curfewService.running);
+  });
+
+  test('quitar una política 0/0 mantiene el bloqueo 0/0 manual de la misma IP', async () => {
+    const speedBlocked = () => simulator.state.table('/ip/firewall/address-list')
+      .filter(e => e.list === 'api_speed_blocked' && e.address === '192.168.88.12');
+
+    await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', rxLimit: 0, txLimit: 0 });
+    await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator))
+      .send({ type: 'limit', rxLimit: 0, txLimit: 0 });
+    expect(speedBlocked().map(e => e.comment)).toEqual(['Bloqueado_por_limite_0_API+MAC_POLICY']);
+
+    await request(app).delete('/api/mikrotik/mac-policies/AC:1F:6B:10:20:03').set(bearer(tokens.operator));
+    expect(speedBlocked().map(e => e.comment)).toEqual(['Bloqueado_por_limite_0_API']);
+  }, 15000);
+
+  test('la política de un dispositivo ausente queda pendiente', async () => {
+    const res = await request(app).put('/api/mikrotik/mac-policies/02:00:00:00:00:99').set(bearer(tokens.operator))
+      .send({ type: 'block' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ip).toBeNull();
+    expect(res.body.message).toMatch('se aplicará cuando el dispositivo se conecte');
+
+    const list = await request(app).get('/api/mikrotik/mac-policies').set(bearer(tokens.viewer));
+    expect(list.body.data.map(p => p.mac)).toContain('02:00:00:00:00:99');
+  });
+
+  test('valida MAC, tipo y límites', async () => {
+    const mac = await request(app).put('/api/mikrotik/mac-policies/no-es-mac').set(bearer(tokens.operator)).send({ type: 'block' });
+    const type = await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:01').set(bearer(tokens.operator)).send({ type: 'ban' });
+    const limits = await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:01').set(bearer(tokens.operator)).send({ type: 'limit' });
+
+    expect(mac.status).toBe(400);
+    expect(type.status).toBe(400);
+    expect(limits.body.errors.map(e => e.param)).toEqual(['rxLimit', 'txLimit']);
+  });
+
+  test('responde 404 si el plan o la política no existen', async () => {
+    const plan = await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:01').set(bearer(tokens.operator))
+      .send({ type: 'limit', planId: 'no-existe' });
+    const policy = await request(app).delete('/api/mikrotik/mac-policies/AC:1F:6B:10:20:01').set(bearer(tokens.operator));
+
+    expect(plan.status).toBe(404);
+    expect(policy.status).toBe(404);
+  });
+
+  test('los viewers no pueden asignar políticas', async () => {
+    const res = await request(app).put('/api/mikrotik/mac-policies/AC:1F:6B:10:20:01').set(bearer(tokens.viewer))
+      .send({ type: 'block' });
+    expect(res.status).toBe(403);
+  });
+});
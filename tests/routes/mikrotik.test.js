@@ -0,0 +1,345 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const routerRegistry = require('../../src/services/routerRegistry');
+const auditService = require('../../src/services/auditService');
+const bandwidthHistoryService = require('../../src/services/bandwidthHistoryService');
+
+describe('/api/mikrotik', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const queues = () => simulator.state.table('/queue/simple');
+  const addressList = (list) => simulator.state.table('/ip/firewall/address-list').filter(e => e.list === list);
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  describe('autenticación y router', () => {
+    test('requiere token', async () => {
+      const res = await request(app).get('/api/mikrotik/users');
+      expect(res.status).toBe(401);
+    });
+
+    test('responde 404 si el router indicado no existe', async () => {
+      const res = await request(app).get('/api/mikrotik/users?router=inexistente').set(bearer(tokens.viewer));
+      expect(res.status).toBe(404);
+    });
+
+    test('las rutas desconocidas responden 404', async () => {
+      const res = await request(app).get('/api/mikrotik/no-existe').set(bearer(tokens.viewer));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /users', () => {
+    test('combina ARP, leases y datos del inventario', async () => {
+      const res = await request(app).get('/api/mikrotik/users').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(3);
+      expect(res.body.data.find(u => u.ip === '192.168.88.10')).toMatchObject({
+        mac: 'AC:1F:6B:10:20:01',
+        dispositivo: 'portatil',
+        hasSpeedLimit: false,
+        wireless: expect.objectContaining({ interface: 'wlan1' })
+      });
+      expect(res.body.data.find(u => u.ip === '192.168.88.12').wireless).toBeNull();
+    });
+
+    test('responde 500 si el router falla', async () => {
+      simulator.faults.add({ command: '/ip/arp/print', type: 'trap', message: 'simulated failure', times: 3 });
+
+      const res = await request(app).get('/api/mikrotik/users').set(bearer(tokens.viewer));
+      expect(res.status).toBe(500);
+      expect(res.body.error).toMatch('simulated failure');
+    });
+  });
+
+  describe('GET /users/:ip/traffic', () => {
+    test('devuelve el historial de velocidad del dispositivo', async () => {
+      simulator.state.add('/queue/simple', { target: '192.168.88.10', 'max-limit': '0/0' });
+      await bandwidthHistoryService.recordDevices('default', await routerRegistry.getService('default'));
+
+      const res = await request(app).get('/api/mikrotik/users/192.168.88.10/traffic?minutes=5').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0]).toMatchObject({ ip: '192.168.88.10', rxBits: 4000000, txBits: 600000 });
+    });
+
+    test('valida la IP y el rango', async () => {
+      const invalidIp = await request(app).get('/api/mikrotik/users/999.1.1.1/traffic').set(bearer(tokens.viewer));
+      const invalidRange = await request(app)
+        .get('/api/mikrotik/users/192.168.88.10/traffic?from=2026-01-02T00:00:00Z&to=2026-01-01T00:00:00Z')
+        .set(bearer(tokens.viewer));
+
+      expect(invalidIp.status).toBe(400);
+      expect(invalidRange.status).toBe(400);
+    });
+  });
+
+  describe('GET /bandwidth', () => {
+    test('devuelve la velocidad de las interfaces activas', async () => {
+      const res = await request(app).get('/api/mikrotik/bandwidth').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(i => i.interface)).toEqual(['ether1', 'ether2', 'wlan1', 'bridge']);
+      expect(res.body.data[0]).toMatchObject({ rxBits: 12000000, txBits: 1500000 });
+    });
+  });
+
+  describe('GET /bandwidth-history', () => {
+    test('devuelve las muestras del rango por interfaz', async () => {
+      await bandwidthHistoryService.record('default', [
+        { interface: 'ether1', rxBits: 1000, txBits: 2000 },
+        { interface: 'wlan1', rxBits: 3000, txBits: 4000 }
+      ]);
+
+      const res = await request(app).get('/api/mikrotik/bandwidth-history?interface=ether1&minutes=10').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.resolution).toBe('raw');
+      expect(res.body.data).toEqual([expect.objectContaining({ interface: 'ether1', rxBits: 1000, txBits: 2000 })]);
+    });
+
+    test('valida resolución y rango', async () => {
+      const resolution = await request(app).get('/api/mikrotik/bandwidth-history?resolution=5m').set(bearer(tokens.viewer));
+      const minutes = await request(app).get('/api/mikrotik/bandwidth-history?minutes=0').set(bearer(tokens.viewer));
+      const range = await request(app)
+        .get('/api/mikrotik/bandwidth-history?from=2026-01-02T00:00:00Z&to=2026-01-01T00:00:00Z')
+        .set(bearer(tokens.viewer));
+
+      expect(resolution.status).toBe(400);
+      expect(minutes.status).toBe(400);
+      expect(range.status).toBe(400);
+    });
+  });
+
+  describe('POST /speed-limit', () => {
+    test('crea una simple queue con el límite y lo audita', async () => {
+      const res = await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.10', rxLimit: 2000000, txLimit: 1000000 });
+
+      expect(res.status).toBe(200);
+      expect(queues()).toEqual([expect.objectContaining({ target: '192.168.88.10/32', 'max-limit': '2000000/1000000' })]);
+
+      const { entries } = await auditService.query({ action: 'setSpeedLimit', ip: '192.168.88.10' });
+      expect(entries[0]).toMatchObject({ outcome: 'success', actor: expect.objectContaining({ username: 'operator' }) });
+    });
+
+    test('reemplaza el límite anterior de la IP', async () => {
+      simulator.state.add('/queue/simple', { target: '192.168.88.10', 'max-limit': '5M/5M' });
+
+      await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.10', rxLimit: 1000000, txLimit: 1000000 });
+
+      expect(queues().map(q => q['max-limit'])).toEqual(['1000000/1000000']);
+    });
+
+    test('un límite 0/0 bloquea la IP por firewall', async () => {
+      const res = await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.11', rxLimit: 0, txLimit: 0 });
+
+      expect(res.status).toBe(200);
+      expect(addressList('api_speed_blocked').map(e => e.address)).toContain('192.168.88.11');
+      expect(queues()[0]['max-limit']).toBe('1/1');
+    });
+
+    test('valida IP y límites', async () => {
+      const res = await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.operator))
+        .send({ ip: 'router', rxLimit: -1 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(e => e.param)).toEqual(['ip', 'rxLimit', 'txLimit']);
+    });
+
+    test('los viewers no pueden limitar', async () => {
+      const res = await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.viewer))
+        .send({ ip: '192.168.88.10', rxLimit: 1000000, txLimit: 1000000 });
+      expect(res.status).toBe(403);
+    });
+
+    test('responde 500 si RouterOS rechaza la queue', async () => {
+      simulator.faults.add({ command: '/queue/simple/add', type: 'trap', message: 'failure: already have queue with such name', times: 3 });
+
+      const res = await request(app).post('/api/mikrotik/speed-limit').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.10', rxLimit: 1000000, txLimit: 1000000 });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toMatch('already have');
+    });
+  });
+
+  describe('DELETE /speed-limit/:ip', () => {
+    test('elimina las queues y bloqueos de la IP', async () => {
+      simulator.state.add('/queue/simple', { target: '192.168.88.10', 'max-limit': '1M/1M' });
+      simulator.state.add('/ip/firewall/address-list', { list: 'api_speed_blocked', address: '192.168.88.10' });
+
+      const res = await request(app).delete('/api/mikrotik/speed-limit/192.168.88.10').set(bearer(tokens.operator));
+
+      expect(res.status).toBe(200);
+      expect(queues()).toHaveLength(0);
+      expect(addressList('api_speed_blocked')).toHaveLength(0);
+    });
+
+    test('valida la IP', async () => {
+      const res = await request(app).delete('/api/mikrotik/speed-limit/no-es-ip').set(bearer(tokens.operator));
+      expect(res.status).toBe(400);
+    });
+
+    test('los viewers no pueden quitar límites', async () => {
+      const res = await request(app).delete('/api/mikrotik/speed-limit/192.168.88.10').set(bearer(tokens.viewer));
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /kick-user', () => {
+    test('bloquea la IP en api_blocked durante la duración indicada', async () => {
+      const res = await request(app).post('/api/mikrotik/kick-user').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.11', duration: 120 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toMatch('2 minutos');
+      expect(addressList('api_blocked').find(e => e.address === '192.168.88.11').expiresAt).toBeGreaterThan(Date.now());
+      expect(simulator.state.table('/ip/firewall/filter').some(r => r.comment === 'bloqueo_api')).toBe(true);
+    });
+
+    test('valida IP y duración', async () => {
+      const res = await request(app).post('/api/mikrotik/kick-user').set(bearer(tokens.operator))
+        .send({ ip: '192.168.88.11', duration: 10 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].param).toBe('duration');
+    });
+
+    test('los viewers no pueden expulsar', async () => {
+      const res = await request(app).post('/api/mikrotik/kick-user').set(bearer(tokens.viewer)).send({ ip: '192.168.88.11' });
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /unblock-user', () => {
+    test('quita la IP de las listas de bloqueo', async () => {
+      simulator.state.add('/ip/firewall/address-list', { list: 'api_blocked', address: '192.168.88.11' });
+
+      const res = await request(app).post('/api/mikrotik/unblock-user').set(bearer(tokens.operator)).send({ ip: '192.168.88.11' });
+
+      expect(res.status).toBe(200);
+      expect(addressList('api_blocked')).toHaveLength(0);
+    });
+
+    test('valida la IP', async () => {
+      const res = await request(app).post('/api/mikrotik/unblock-user').set(bearer(tokens.operator)).send({});
+      expect(res.status).toBe(400);
+    });
+
+    test('los viewers no pueden desbloquear', async () => {
+      const res = await request(app).post('/api/mikrotik/unblock-user').set(bearer(tokens.viewer)).send({ ip: '192.168.88.11' });
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /bulk', () => {
+    test('resuelve IPs, MACs y rangos y aplica la acción a cada dispositivo', async () => {
+      const res = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator)).send({
+        action: 'set-limit',
+        targets: ['192.168.88.10', 'AC:1F:6B:10:20:02', '192.168.88.0/24', '02:00:00:00:00:99'],
+        rxLimit: 1000000,
+        txLimit: 500000
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toMatchObject({ total: 4, succeeded: 3, failed: 0, skipped: 1 });
+      expect(queues().map(q => q.target).sort()).toEqual(['192.168.88.10/32', '192.168.88.11/32', '192.168.88.12/32']);
+      expect(res.body.data.find(r => r.status === 'skipped').target).toBe('02:00:00:00:00:99');
+    });
+
+    test('expulsa varias IPs', async () => {
+      const res = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'kick', targets: ['192.168.88.10', '192.168.88.11'], duration: 60 });
+
+      expect(res.body.summary.succeeded).toBe(2);
+      expect(addressList('api_blocked').map(e => e.address)).toEqual(expect.arrayContaining(['192.168.88.10', '192.168.88.11']));
+    });
+
+    test('un bloqueo 0/0 masivo crea una sola regla de firewall', async () => {
+      const res = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'set-limit', targets: ['192.168.88.10', '192.168.88.11', '192.168.88.12'], rxLimit: 0, txLimit: 0 });
+
+      expect(res.body.summary.succeeded).toBe(3);
+      expect(simulator.state.table('/ip/firewall/filter').filter(r => r.comment === 'bloqueo_velocidad_api')).toHaveLength(1);
+      expect(addressList('api_speed_blocked').map(e => e.address)).toEqual(expect.arrayContaining(['192.168.88.10', '192.168.88.11', '192.168.88.12']));
+    });
+
+    test('informa de los objetivos que fallan', async () => {
+      simulator.faults.add({ command: '/ip/firewall/address-list/print', type: 'trap', message: 'simulated failure' });
+      simulator.faults.add({ command: '/queue/simple/print', type: 'trap', message: 'simulated failure' });
+
+      const res = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'remove-limit', targets: ['192.168.88.10'] });
+
+      expect(res.body.success).toBe(false);
+      expect(res.body.data[0]).toMatchObject({ status: 'failed', error: expect.stringMatching('simulated failure') });
+    }, 15000);
+
+    test('valida acción, objetivos y límites', async () => {
+      const action = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'reboot', targets: ['192.168.88.10'] });
+      const targets = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'kick', targets: ['no-es-un-objetivo'] });
+      const empty = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'kick', targets: [] });
+      const limits = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.operator))
+        .send({ action: 'set-limit', targets: ['192.168.88.10'] });
+
+      [action, targets, empty, limits].forEach(res => expect(res.status).toBe(400));
+    });
+
+    test('los viewers no pueden lanzar operaciones masivas', async () => {
+      const res = await request(app).post('/api/mikrotik/bulk').set(bearer(tokens.viewer))
+        .send({ action: 'unblock', targets: ['192.168.88.10'] });
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /queues', () => {
+    test('lista las simple queues con sus contadores', async () => {
+      simulator.state.add('/queue/simple', { name: 'limite', target: '192.168.88.10', 'max-limit': '1M/2M' });
+
+      const res = await request(app).get('/api/mikrotik/queues').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({ name: 'limite', target: '192.168.88.10/32', maxLimit: '1M/2M' })]);
+    });
+  });
+
+  describe('GET /status', () => {
+    test('confirma la conexión con el router', async () => {
+      const res = await request(app).get('/api/mikrotik/status').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.router).toBe('default');
+    });
+
+    test('responde 500 si el router rechaza las credenciales', async () => {
+      await routerRegistry.disconnectAll();
+      simulator.password = 'otra';
+
+      try {
+        const res = await request(app).get('/api/mikrotik/status').set(bearer(tokens.viewer));
+        expect(res.status).toBe(500);
+      } finally {
+        simulator.password = process.env.MIKROTIK_PASSWORD;
+      }
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const { waitFor } = require('../helpers/wait');
+const quotaService = require('../../src/services/quotaService');
+
+describe('/api/mikrotik/quotas', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const queueFor = (ip) => simulator.state.table('/queue/simple').find(q => q.target === `${ip}/32`);
+  const addresses = (list) => simulator.state.table('/ip/firewall/address-list')
+    .filter(e => e.list === list && e.address !== '127.0.0.1')
+    .map(e => e.address);
+  const idle = () => waitFor(() => !quotaService.running);
+  const quota = {
+    name: 'Portátil',
+    ips: ['192.168.88.10'],
+    period: 'daily',
+    limitBytes: 1000,
+    throttleRx: 256000,
+    throttleTx: 128000
+  };
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(async () => {
+    await idle();
+    await stopSimulator(simulator);
+  });
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('mide el consumo, limita al superar la cuota y restaura al eliminarla', async () => {
+    const created = await request(app).post('/api/mikrotik/quotas').set(bearer(tokens.operator)).send(quota);
+    expect(created.status).toBe(201);
+
+    // Primera pasada: crea la queue de conteo; la segunda fija la referencia
+    await idle();
+    const accounting = queueFor('192.168.88.10');
+    expect(accounting['max-limit']).toBe('0/0');
+    await quotaService.tick();
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await quotaService.tick();
+    // Se limita la misma queue: sus contadores siguen midiendo el consumo
+    expect(queueFor('192.168.88.10')).toMatchObject({ '.id': accounting['.id'], 'max-limit': '256000/128000' });
+
+    const usage = await request(app).get('/api/mikrotik/quotas/usage').set(bearer(tokens.viewer));
+    expect(usage.body.data).toEqual([expect.objectContaining({ ip: '192.168.88.10', exceeded: true, remainingBytes: 0 })]);
+
+    const removed = await request(app).delete(`/api/mikrotik/quotas/${created.body.data.id}`).set(bearer(tokens.operator));
+    expect(removed.status).toBe(200);
+    // La queue de conteo vuelve a no limitar
+    expect(queueFor('192.168.88.10')).toMatchObject({ '.id': accounting['.id'], 'max-limit': '0/0' });
+  }, 20000);
+
+  test('bloquea en su propia lista y al restablecer no quita otros bloqueos de la IP', async () => {
+    simulator.state.add('/ip/firewall/address-list', { list: 'api_blocked', address: '192.168.88.11', comment: 'Pausa_API' });
+    const created = await request(app).post('/api/mikrotik/quotas').set(bearer(tokens.operator))
+      .send({ ...quota, ips: ['192.168.88.11'], action: 'block', throttleRx: undefined, throttleTx: undefined });
+
+    await idle();
+    await quotaService.tick();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await quotaService.tick();
+    expect(addresses('api_quota_blocked')).toEqual(['192.168.88.11']);
+
+    await request(app).delete(`/api/mikrotik/quotas/${created.body.data.id}`).set(bearer(tokens.operator));
+    expect(addresses('api_quota_blocked')).toEqual([]);
+    expect(addresses('api_blocked')).toEqual(['192.168.88.11']);
+    expect(queueFor('192.168.88.11')['max-limit']).toBe('0/0');
+  }, 20000);
+
+  test('crea, consulta y actualiza cuotas', async () => {
+    const created = await request(app).post('/api/mikrotik/quotas').set(bearer(tokens.operator))
+      .send({ ...quota, ips: ['192.168.88.12'], action: 'block', throttleRx: undefined, throttleTx: undefined });
+    const { id } = created.body.data;
+    await idle();
+
+    const list = await request(app).get('/api/mikrotik/quotas').set(bearer(tokens.viewer));
+    expect(list.body.data.find(q => q.id === id).usage['192.168.88.12']).toMatchObject({ limitBytes: 1000, action: 'block' });
+
+    const updated = await request(app).put(`/api/mikrotik/quotas/${id}`).set(bearer(tokens.operator)).send({ limitBytes: 5000 });
+    expect(updated.body.data.limitBytes).toBe(5000);
+
+    const detail = await request(app).get(`/api/mikrotik/quotas/${id}`).set(bearer(tokens.viewer));
+    expect(detail.body.data.limitBytes).toBe(5000);
+
+    await idle();
+    await request(app).delete(`/api/mikrotik/quotas/${id}`).set(bearer(tokens.operator));
+  });
+
+  test('valida la cuota', async () => {
+    const res = await request(app).post('/api/mikrotik/quotas').set(bearer(tokens.operator))
+      .send({ name: 'x', ips: [], period: 'yearly', limitBytes: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(e => e.param)).toEqual(
+      expect.arrayContaining(['ips', 'period', 'limitBytes', 'throttleRx', 'throttleTx'])
+    );
+  });
+
+  test('responde 404 para cuotas inexistentes', async () => {
+    const res = await request(app).delete('/api/mikrotik/quotas/no-existe').set(bearer(tokens.operator));
+    expect(res.status).toBe(404);
+  });
+
+  test('los viewers no pueden crear cuotas', async () => {
+    const res = await request(app).post('/api/mikrotik/quotas').set(bearer(tokens.viewer)).send(quota);
+    expect(res.status).toBe(403);
+  });
+});
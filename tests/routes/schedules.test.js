@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const { waitFor } = require('../helpers/wait');
+const scheduleService = require('../../src/services/scheduleService');
+
+describe('/api/mikrotik/schedules', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const queueFor = (ip) => simulator.state.table('/queue/simple').find(q => q.target === `${ip}/32`);
+  const allDay = { start: '00:00', end: '00:00' };
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('crea, consulta, actualiza y elimina una programación', async () => {
+    const created = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', days: [1, 2], start: '08:00', end: '09:00', rxLimit: 1000000, txLimit: 500000 });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ router: 'default', name: '192.168.88.12 08:00-09:00', createdBy: 'operator' });
+    const { id } = created.body.data;
+
+    const list = await request(app).get('/api/mikrotik/schedules').set(bearer(tokens.viewer));
+    expect(list.body.data.map(s => s.id)).toContain(id);
+
+    const updated = await request(app).put(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.operator)).send({ mode: 'unlimited' });
+    expect(updated.body.data).toMatchObject({ mode: 'unlimited', rxLimit: null, txLimit: null });
+
+    const removed = await request(app).delete(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.operator));
+    expect(removed.status).toBe(200);
+
+    const missing = await request(app).get(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.viewer));
+    expect(missing.status).toBe(404);
+  });
+
+  test('una programación vigente aplica el límite y al eliminarla se revierte', async () => {
+    const created = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.11', ...allDay, rxLimit: 3000000, txLimit: 1000000 });
+
+    // El tick termina (y registra el estado aplicado) después de verificar la queue
+    await waitFor(async () => (await scheduleService.state.all()).length > 0);
+    expect(queueFor('192.168.88.11')['max-limit']).toBe('3000000/1000000');
+
+    const detail = await request(app).get(`/api/mikrotik/schedules/${created.body.data.id}`).set(bearer(tokens.viewer));
+    expect(detail.body.data.active).toBe(true);
+
+    await request(app).delete(`/api/mikrotik/schedules/${created.body.data.id}`).set(bearer(tokens.operator));
+    await waitFor(() => !queueFor('192.168.88.11'));
+    await waitFor(async () => (await scheduleService.state.all()).length === 0);
+  }, 20000);
+
+  test('al terminar restaura el límite que reemplazó y respeta los bloqueos de la IP', async () => {
+    simulator.state.add('/queue/simple', { name: 'manual', target: '192.168.88.12/32', 'max-limit': '5000000/5000000', comment: 'API_LIMIT_manual' });
+    simulator.state.add('/ip/firewall/address-list', { list: 'api_blocked', address: '192.168.88.12', comment: 'Bloqueado_por_API' });
+
+    const created = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', ...allDay, rxLimit: 3000000, txLimit: 1000000 });
+    await waitFor(async () => (await scheduleService.state.all()).length > 0);
+    expect(queueFor('192.168.88.12')['max-limit']).toBe('3000000/1000000');
+
+    await request(app).delete(`/api/mikrotik/schedules/${created.body.data.id}`).set(bearer(tokens.operator));
+    await waitFor(async () => (await scheduleService.state.all()).length === 0);
+
+    expect(queueFor('192.168.88.12')['max-limit']).toBe('5000000/5000000');
+    expect(simulator.state.table('/ip/firewall/address-list').filter(e => e.list === 'api_blocked').map(e => e.address))
+      .toEqual(['192.168.88.12']);
+  }, 20000);
+
+  test('el modo unlimited solo quita los límites de programaciones', async () => {
+    simulator.state.add('/queue/simple', { name: 'politica', target: '192.168.88.12/32', 'max-limit': '2000000/2000000', comment: 'MAC_POLICY_LIMIT_politica' });
+
+    const created = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', ...allDay, mode: 'unlimited' });
+    await waitFor(async () => (await scheduleService.state.all()).length > 0);
+    expect(queueFor('192.168.88.12')).toMatchObject({ 'max-limit': '2000000/2000000', comment: 'MAC_POLICY_LIMIT_politica' });
+
+    await request(app).delete(`/api/mikrotik/schedules/${created.body.data.id}`).set(bearer(tokens.operator));
+    await waitFor(async () => (await scheduleService.state.all()).length === 0);
+    expect(queueFor('192.168.88.12')['max-limit']).toBe('2000000/2000000');
+  }, 20000);
+
+  test('valida la franja y los límites', async () => {
+    const res = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', days: [7], start: '25:00', end: '9:00' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(e => e.param)).toEqual(
+      expect.arrayContaining(['days[0]', 'start', 'end', 'rxLimit', 'txLimit'])
+    );
+  });
+
+  test('el modo unlimited no exige límites', async () => {
+    const res = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', start: '08:00', end: '09:00', mode: 'unlimited' });
+    expect(res.status).toBe(201);
+  });
+
+  test('pasar a modo limit exige los límites que no estén guardados', async () => {
+    const created = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.operator))
+      .send({ ip: '192.168.88.12', start: '08:00', end: '09:00', mode: 'unlimited' });
+    const { id } = created.body.data;
+
+    const missing = await request(app).put(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.operator)).send({ mode: 'limit' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors.map(e => e.param)).toEqual(['rxLimit', 'txLimit']);
+
+    const complete = await request(app).put(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.operator))
+      .send({ mode: 'limit', rxLimit: 1000000, txLimit: 1000000 });
+    expect(complete.status).toBe(200);
+
+    const partial = await request(app).put(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.operator)).send({ rxLimit: 2000000 });
+    expect(partial.body.data).toMatchObject({ mode: 'limit', rxLimit: 2000000, txLimit: 1000000 });
+
+    await request(app).delete(`/api/mikrotik/schedules/${id}`).set(bearer(tokens.operator));
+  });
+
+  test('responde 404 para programaciones inexistentes', async () => {
+    const update = await request(app).put('/api/mikrotik/schedules/no-existe').set(bearer(tokens.operator)).send({ priority: 1 });
+    const remove = await request(app).delete('/api/mikrotik/schedules/no-existe').set(bearer(tokens.operator));
+
+    expect(update.status).toBe(404);
+    expect(remove.status).toBe(404);
+  });
+
+  test('los viewers solo pueden consultar', async () => {
+    const list = await request(app).get('/api/mikrotik/schedules').set(bearer(tokens.viewer));
+    const create = await request(app).post('/api/mikrotik/schedules').set(bearer(tokens.viewer))
+      .send({ ip: '192.168.88.12', start: '08:00', end: '09:00', mode: 'unlimited' });
+
+    expect(list.status).toBe(200);
+    expect(create.status).toBe(403);
+  });
+});
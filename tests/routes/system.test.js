@@ -0,0 +1,75 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const systemHealthService = require('../../src/services/systemHealthService');
+
+describe('/api/mikrotik/system', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  test('devuelve CPU, memoria, disco y placa', async () => {
+    simulator.state.setResource({ 'cpu-load': 37 });
+    simulator.state.setHealth({ temperature: 48 });
+
+    const res = await request(app).get('/api/mikrotik/system').set(bearer(tokens.viewer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      cpuLoad: 37,
+      cpuCount: 1,
+      temperature: 48,
+      boardName: 'hAP lite',
+      memory: expect.objectContaining({ total: 33554432, free: 14680064 })
+    });
+  });
+
+  test('sin sensores la temperatura es null', async () => {
+    const res = await request(app).get('/api/mikrotik/system').set(bearer(tokens.viewer));
+    expect(res.body.data.temperature).toBeNull();
+  });
+
+  test('responde 500 si el router falla', async () => {
+    simulator.faults.add({ command: '/system/resource/print', type: 'trap', message: 'simulated failure' });
+
+    const res = await request(app).get('/api/mikrotik/system').set(bearer(tokens.viewer));
+    expect(res.status).toBe(500);
+  }, 15000);
+
+  describe('GET /history', () => {
+    test('devuelve las muestras registradas', async () => {
+      simulator.state.setResource({ 'cpu-load': 12 });
+      await systemHealthService.tick();
+
+      const res = await request(app).get('/api/mikrotik/system/history?minutes=5').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([expect.objectContaining({ router: 'default', cpuLoad: 12 })]);
+    });
+
+    test('valida el rango', async () => {
+      const minutes = await request(app).get('/api/mikrotik/system/history?minutes=0').set(bearer(tokens.viewer));
+      const dates = await request(app).get('/api/mikrotik/system/history?from=ayer').set(bearer(tokens.viewer));
+      const range = await request(app)
+        .get('/api/mikrotik/system/history?from=2026-01-02T00:00:00Z&to=2026-01-01T00:00:00Z')
+        .set(bearer(tokens.viewer));
+
+      [minutes, dates, range].forEach(res => expect(res.status).toBe(400));
+    });
+  });
+
+  test('requiere token', async () => {
+    const res = await request(app).get('/api/mikrotik/system');
+    expect(res.status).toBe(401);
+  });
+});
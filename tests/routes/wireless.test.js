@@ -0,0 +1,95 @@
+const request = require('supertest');
+const { createApp } = require('../helpers/app');
+const { createAccounts, bearer } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+
+describe('/api/mikrotik/wireless', () => {
+  const app = createApp();
+  let simulator;
+  let tokens;
+
+  const registrations = () => simulator.state.table('/interface/wireless/registration-table');
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ tokens } = await createAccounts());
+  });
+
+  afterAll(() => stopSimulator(simulator));
+
+  beforeEach(() => resetSimulator(simulator));
+
+  describe('clientes', () => {
+    test('lista los clientes asociados', async () => {
+      simulator.state.addClient({ mac: '02:00:00:00:00:30', ip: '192.168.88.30', interface: 'wlan1', signal: -71 });
+
+      const res = await request(app).get('/api/mikrotik/wireless/clients?interface=wlan1').set(bearer(tokens.viewer));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(c => c.mac)).toEqual(['AC:1F:6B:10:20:01', 'AC:1F:6B:10:20:02', '02:00:00:00:00:30']);
+      expect(res.body.data[2].signalStrength).toBe(-71);
+    });
+
+    test('desconecta un cliente Wi-Fi', async () => {
+      const res = await request(app).delete('/api/mikrotik/wireless/clients/ac:1f:6b:10:20:02').set(bearer(tokens.operator));
+
+      expect(res.status).toBe(200);
+      expect(registrations().map(r => r['mac-address'])).toEqual(['AC:1F:6B:10:20:01']);
+    });
+
+    test('responde 404 si la MAC no está asociada y 400 si no es válida', async () => {
+      const wired = await request(app).delete('/api/mikrotik/wireless/clients/AC:1F:6B:10:20:03').set(bearer(tokens.operator));
+      const invalid = await request(app).delete('/api/mikrotik/wireless/clients/no-es-mac').set(bearer(tokens.operator));
+
+      expect(wired.status).toBe(404);
+      expect(invalid.status).toBe(400);
+    });
+
+    test('los viewers no pueden desconectar clientes', async () => {
+      const res = await request(app).delete('/api/mikrotik/wireless/clients/AC:1F:6B:10:20:02').set(bearer(tokens.viewer));
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('access list', () => {
+    test('agrega, lista y elimina reglas', async () => {
+      const created = await request(app).post('/api/mikrotik/wireless/access-list').set(bearer(tokens.operator))
+        .send({ mac: 'ac:1f:6b:10:20:02', action: 'deny', comment: 'sin wifi' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ mac: 'AC:1F:6B:10:20:02', action: 'deny', interface: 'all' });
+
+      const list = await request(app).get('/api/mikrotik/wireless/access-list').set(bearer(tokens.viewer));
+      expect(list.body.data).toEqual([expect.objectContaining({ id: created.body.data.id, action: 'deny', comment: 'sin wifi' })]);
+
+      const removed = await request(app).delete(`/api/mikrotik/wireless/access-list/${created.body.data.id}`).set(bearer(tokens.operator));
+      expect(removed.status).toBe(200);
+      expect(simulator.state.table('/interface/wireless/access-list')).toHaveLength(0);
+    });
+
+    test('rechaza reglas duplicadas para la misma interfaz', async () => {
+      const rule = { mac: 'AC:1F:6B:10:20:02', action: 'allow', interface: 'wlan1' };
+      await request(app).post('/api/mikrotik/wireless/access-list').set(bearer(tokens.operator)).send(rule);
+
+      const duplicate = await request(app).post('/api/mikrotik/wireless/access-list').set(bearer(tokens.operator)).send(rule);
+      expect(duplicate.status).toBe(409);
+    });
+
+    test('valida MAC, acción e id', async () => {
+      const body = await request(app).post('/api/mikrotik/wireless/access-list').set(bearer(tokens.operator))
+        .send({ mac: 'x', action: 'block' });
+      const id = await request(app).delete('/api/mikrotik/wireless/access-list/12').set(bearer(tokens.operator));
+      const missing = await request(app).delete('/api/mikrotik/wireless/access-list/*FFFF').set(bearer(tokens.operator));
+
+      expect(body.body.errors.map(e => e.param)).toEqual(['mac', 'action']);
+      expect(id.status).toBe(400);
+      expect(missing.status).toBe(404);
+    });
+
+    test('los viewers no pueden modificar la access list', async () => {
+      const res = await request(app).post('/api/mikrotik/wireless/access-list').set(bearer(tokens.viewer))
+        .send({ mac: 'AC:1F:6B:10:20:02', action: 'deny' });
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,6 @@
+// Entorno común de los tests: datos en memoria, sin router real ni copias automáticas
+process.env.STORE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BACKUP_BEFORE_OPERATIONS = 'false';
+delete process.env.MIKROTIK_HOST;
+delete process.env.MIKROTIK_DEFAULT_ROUTER;
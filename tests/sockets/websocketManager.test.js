@@ -0,0 +1,382 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const WebSocketManager = require('../../src/services/websocketManager');
+const userStore = require('../../src/services/userStore');
+const { PASSWORD, createAccounts, signToken } = require('../helpers/auth');
+const { startSimulator, resetSimulator, stopSimulator } = require('../helpers/simulator');
+const { waitFor } = require('../helpers/wait');
+
+// Siguiente evento `event` del cliente (que cumpla `match`, si se indica)
+const nextEvent = (client, event, match = () => true, timeout = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    client.off(event, listener);
+    reject(new Error(`Sin evento ${event} en ${timeout}ms`));
+  }, timeout);
+  const listener = (payload) => {
+    if (!match(payload)) return;
+    clearTimeout(timer);
+    client.off(event, listener);
+    resolve(payload);
+  };
+  client.on(event, listener);
+});
+
+describe('WebSocketManager', () => {
+  let simulator;
+  let users;
+  let tokens;
+  let server;
+  let io;
+  let manager;
+  let url;
+  const clients = [];
+
+  // Cliente con el token en el handshake (sin conectar todavía: hay que escuchar antes)
+  const createClient = (token) => {
+    const client = connect(url, { transports: ['websocket'], reconnection: false, forceNew: true, auth: token ? { token } : {} });
+    clients.push(client);
+    return client;
+  };
+
+  // Conectar y esperar la sesión y el estado inicial
+  const authenticate = async (token) => {
+    const client = createClient(token);
+    const authenticated = nextEvent(client, 'authenticated');
+    const initialUsers = nextEvent(client, 'users-data');
+    await authenticated;
+    await initialUsers;
+    return client;
+  };
+
+  beforeAll(async () => {
+    simulator = await startSimulator();
+    ({ users, tokens } = await createAccounts());
+
+    server = http.createServer();
+    io = new Server(server);
+    manager = new WebSocketManager(io);
+    manager.initialize();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.disconnect());
+    resetSimulator(simulator);
+  });
+
+  afterAll(async () => {
+    await waitFor(() => manager.subscriptions.size === 0 && manager.streams.size === 0);
+    manager.cleanup();
+    await new Promise(resolve => io.close(resolve));
+    await stopSimulator(simulator);
+  });
+
+  describe('autenticación', () => {
+    test('autentica en el handshake y envía la cuenta y el estado inicial', async () => {
+      const client = createClient(tokens.viewer);
+      const authenticated = nextEvent(client, 'authenticated');
+      const bandwidth = nextEvent(client, 'bandwidth-data');
+      const initialUsers = nextEvent(client, 'users-data');
+
+      expect(await authenticated).toMatchObject({
+        user: { username: 'viewer', role: 'viewer' },
+        expiresAt: expect.any(String)
+      });
+      expect((await bandwidth).router).toBe('default');
+      expect((await initialUsers).data.map(u => u.ip)).toEqual(['192.168.88.10', '192.168.88.11', '192.168.88.12']);
+    });
+
+    test.each([
+      ['sin token', undefined, 'Acceso denegado. Token no proporcionado.'],
+      ['con un token inválido', 'no-es-un-jwt', 'Token inválido'],
+      ['con un token caducado', () => signToken(users.viewer, { expiresIn: -10 }), 'Token expirado']
+    ])('rechaza la conexión %s', async (name, token, message) => {
+      const client = createClient(typeof token === 'function' ? token() : token);
+
+      const error = await nextEvent(client, 'connect_error');
+      expect(error.message).toBe(message);
+      expect(error.data).toEqual({ type: 'auth', message });
+      expect(client.connected).toBe(false);
+    });
+
+    test('rechaza cuentas deshabilitadas', async () => {
+      const account = await userStore.create({ username: 'socket-deshabilitada', password: PASSWORD });
+      await userStore.update(account.id, { disabled: true });
+
+      const error = await nextEvent(createClient(signToken(account)), 'connect_error');
+      expect(error.message).toBe('Cuenta deshabilitada o inexistente');
+    });
+
+    test('acepta el token en la cabecera Authorization', async () => {
+      const client = connect(url, {
+        transports: ['websocket'],
+        reconnection: false,
+        forceNew: true,
+        extraHeaders: { Authorization: `Bearer ${tokens.viewer}` }
+      });
+      clients.push(client);
+
+      expect((await nextEvent(client, 'authenticated')).user.username).toBe('viewer');
+    });
+  });
+
+  describe('sesión', () => {
+    test('desconecta el socket cuando caduca el token', async () => {
+      const client = createClient(signToken(users.viewer, { expiresIn: 1 }));
+      const expiring = nextEvent(client, 'token-expiring');
+      const error = nextEvent(client, 'error', payload => payload.type === 'auth');
+      const disconnected = nextEvent(client, 'disconnect');
+
+      await expiring;
+      expect(await error).toEqual({ type: 'auth', message: 'Token expirado' });
+      expect(await disconnected).toBe('io server disconnect');
+    });
+
+    test('renovar el token mantiene la sesión abierta', async () => {
+      const client = createClient(signToken(users.viewer, { expiresIn: 1 }));
+      await nextEvent(client, 'authenticated');
+      const refreshed = nextEvent(client, 'token-refreshed');
+
+      client.emit('refresh-token', { token: tokens.viewer });
+      expect(await refreshed).toMatchObject({ user: { username: 'viewer' }, expiresAt: expect.any(String) });
+
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      expect(client.connected).toBe(true);
+    });
+
+    test('no acepta renovar con el token de otra cuenta', async () => {
+      const client = await authenticate(tokens.viewer);
+      const error = nextEvent(client, 'error');
+
+      client.emit('refresh-token', { token: tokens.admin });
+      expect(await error).toEqual({ type: 'auth', message: 'Token inválido' });
+      expect(client.connected).toBe(true);
+    });
+
+    test('una cuenta deshabilitada pierde la sesión en su siguiente evento', async () => {
+      const account = await userStore.create({ username: 'socket-temporal', password: PASSWORD });
+      const client = await authenticate(signToken(account));
+      await userStore.update(account.id, { disabled: true });
+      const error = nextEvent(client, 'error');
+      const disconnected = nextEvent(client, 'disconnect');
+
+      client.emit('subscribe-users', {});
+
+      expect(await error).toEqual({ type: 'auth', message: 'Cuenta deshabilitada o inexistente' });
+      await disconnected;
+      expect(manager.subscriptions.has(client.id)).toBe(false);
+    });
+  });
+
+  describe('suscripciones', () => {
+    test('bandwidth envía solo las interfaces pedidas y después las diferencias', async () => {
+      const client = await authenticate(tokens.viewer);
+      const received = [];
+      client.on('bandwidth-data', payload => received.push(payload));
+
+      client.emit('subscribe-bandwidth', { interval: 300, interfaces: ['ether1'] });
+
+      await waitFor(() => received.length >= 2);
+      expect(received[0]).toMatchObject({ full: true, interval: 300 });
+      expect(received[0].data).toEqual([expect.objectContaining({ interface: 'ether1', rxBits: 12000000 })]);
+      // Los contadores de bytes avanzan: la muestra siguiente llega como cambio
+      expect(received[1]).toMatchObject({ full: false, key: 'interface', changes: { removed: [] } });
+      expect(received[1].changes.updated.map(item => item.interface)).toEqual(['ether1']);
+      expect(manager.getStats().subscriptionDetails).toEqual([{ socketId: client.id, subscriptions: ['bandwidth'] }]);
+    });
+
+    test('users envía los usuarios y después solo las altas y bajas', async () => {
+      const client = await authenticate(tokens.viewer);
+      const users = nextEvent(client, 'users-data');
+
+      client.emit('subscribe-users', { interval: 200 });
+      expect((await users).data).toHaveLength(3);
+
+      const changes = nextEvent(client, 'users-data');
+      simulator.state.addClient({ mac: '02:00:00:00:00:30', ip: '192.168.88.30' });
+      simulator.state.removeClient('AC:1F:6B:10:20:02');
+
+      const delta = await changes;
+      expect(delta).toMatchObject({ full: false, key: 'ip', changes: { removed: ['192.168.88.11'] } });
+      expect(delta.changes.updated.map(u => u.ip)).toEqual(['192.168.88.30']);
+    });
+
+    test('device-traffic filtra por IP', async () => {
+      simulator.state.add('/queue/simple', { target: '192.168.88.10', 'max-limit': '0/0' });
+      simulator.state.add('/queue/simple', { target: '192.168.88.11', 'max-limit': '0/0' });
+      const client = await authenticate(tokens.viewer);
+      const traffic = nextEvent(client, 'device-traffic');
+
+      client.emit('subscribe-device-traffic', { interval: 1000, ips: ['192.168.88.11'] });
+      expect((await traffic).data.map(d => d.ip)).toEqual(['192.168.88.11']);
+    });
+
+    test('wireless filtra por MAC', async () => {
+      const client = await authenticate(tokens.viewer);
+      const wireless = nextEvent(client, 'wireless-data');
+
+      client.emit('subscribe-wireless', { interval: 1000, macs: ['ac:1f:6b:10:20:02'] });
+      expect((await wireless).data.map(c => c.mac)).toEqual(['AC:1F:6B:10:20:02']);
+    });
+
+    test('system envía el estado del router', async () => {
+      const client = await authenticate(tokens.viewer);
+      const system = nextEvent(client, 'system-data');
+
+      client.emit('subscribe-system', { interval: 1000 });
+      expect((await system).data).toMatchObject({ boardName: 'hAP lite', cpuLoad: 4 });
+    });
+
+    test('informa de los errores del router', async () => {
+      simulator.faults.add({ command: '/interface/wireless/registration-table/print', type: 'trap', message: 'simulated failure' });
+      const client = await authenticate(tokens.viewer);
+      const error = nextEvent(client, 'error');
+
+      client.emit('subscribe-wireless', { interval: 10000 });
+      expect(await error).toMatchObject({ type: 'wireless', router: 'default', retryIn: 20000 });
+    }, 15000);
+
+    test('tras un fallo el flujo espera cada vez más y se recupera con datos completos', async () => {
+      const client = await authenticate(tokens.viewer);
+      simulator.faults.add({ command: '/interface/wireless/registration-table/print', type: 'trap', message: 'simulated failure', times: 2 });
+      const errors = [];
+      client.on('error', payload => errors.push(payload));
+      const wireless = nextEvent(client, 'wireless-data');
+
+      client.emit('subscribe-wireless', { interval: 200 });
+
+      expect(await wireless).toMatchObject({ full: true, data: expect.any(Array) });
+      expect(errors.map(e => e.retryIn)).toEqual([400, 800]);
+      expect(manager.getStats().streams).toEqual([expect.objectContaining({ type: 'wireless', failures: 0, lastError: null })]);
+    });
+  });
+
+  describe('sondeo compartido', () => {
+    test('un único sondeo por flujo al intervalo más rápido pedido', async () => {
+      const a = await authenticate(tokens.viewer);
+      const b = await authenticate(tokens.viewer);
+      const c = await authenticate(tokens.viewer);
+      a.emit('subscribe-bandwidth', { interval: 1000, interfaces: ['ether1'] });
+      b.emit('subscribe-bandwidth', { interval: 300, interfaces: ['wlan1'] });
+      c.emit('subscribe-bandwidth', { interval: 1000, interfaces: ['ether1'] });
+
+      await waitFor(() => manager.subscriptions.size === 3);
+      expect(manager.getStats().streams).toEqual([
+        expect.objectContaining({ type: 'bandwidth', router: 'default', interval: 300, views: 2, clients: 3 })
+      ]);
+    });
+
+    test('cada cliente recibe su filtro y su propio intervalo', async () => {
+      const fast = await authenticate(tokens.viewer);
+      const slow = await authenticate(tokens.viewer);
+      const received = { fast: [], slow: [] };
+
+      fast.on('wireless-data', payload => received.fast.push(payload));
+      slow.on('wireless-data', payload => received.slow.push(payload));
+
+      fast.emit('subscribe-wireless', { interval: 200, macs: ['AC:1F:6B:10:20:01'] });
+      slow.emit('subscribe-wireless', { interval: 1000, macs: ['AC:1F:6B:10:20:02'] });
+      await waitFor(() => received.slow.length >= 2, { timeout: 3000 });
+
+      // Los contadores de bytes avanzan, así que cada muestra enviada trae cambios
+      expect(received.fast.length).toBeGreaterThan(received.slow.length * 2);
+      expect(received.slow[0].data.map(client => client.mac)).toEqual(['AC:1F:6B:10:20:02']);
+      expect(received.slow[1].changes.updated.map(client => client.mac)).toEqual(['AC:1F:6B:10:20:02']);
+    });
+
+    test('un cliente nuevo en una vista existente parte de la última muestra enviada', async () => {
+      const first = await authenticate(tokens.viewer);
+      first.emit('subscribe-system', { interval: 5000 });
+      const base = await nextEvent(first, 'system-data');
+
+      const second = await authenticate(tokens.viewer);
+      const joined = nextEvent(second, 'system-data');
+      second.emit('subscribe-system', { interval: 5000 });
+
+      expect(await joined).toEqual(base);
+      expect(manager.getStats().streams).toEqual([expect.objectContaining({ type: 'system', views: 1, clients: 2 })]);
+    });
+  });
+
+  describe('update-interval', () => {
+    test('reinicia la suscripción con el nuevo intervalo y conserva sus opciones', async () => {
+      const client = await authenticate(tokens.viewer);
+      client.emit('subscribe-system', { interval: 5000 });
+      await nextEvent(client, 'system-data');
+
+      const restarted = nextEvent(client, 'system-data', payload => payload.interval === 200);
+      client.emit('update-interval', { type: 'system', interval: 200 });
+      await restarted;
+      expect(manager.getClientSettings(client.id, 'system').interval).toBe(200);
+
+      // Con 200 ms el cambio llega antes de que venza el intervalo original
+      const change = nextEvent(client, 'system-data', payload => !payload.full, 3000);
+      simulator.state.setResource({ 'cpu-load': 50 });
+      expect((await change).changes.updated).toMatchObject({ cpuLoad: 50 });
+    });
+
+    test('rechaza tipos desconocidos', async () => {
+      const client = await authenticate(tokens.viewer);
+      const error = nextEvent(client, 'error');
+
+      client.emit('update-interval', { type: 'alerts', interval: 1000 });
+      expect(await error).toMatchObject({ type: 'invalid-subscription' });
+    });
+  });
+
+  describe('datos del cliente', () => {
+    test('una suscripción con null usa las opciones por defecto', async () => {
+      const client = await authenticate(tokens.viewer);
+      const data = nextEvent(client, 'system-data');
+
+      client.emit('subscribe-system', null);
+      expect(await data).toMatchObject({ full: true, router: 'default' });
+    });
+
+    test('update-interval y refresh-token con null responden con un error', async () => {
+      const client = await authenticate(tokens.viewer);
+
+      const invalid = nextEvent(client, 'error');
+      client.emit('update-interval', null);
+      expect(await invalid).toMatchObject({ type: 'invalid-subscription' });
+
+      const refresh = nextEvent(client, 'error');
+      client.emit('refresh-token', null);
+      expect(await refresh).toMatchObject({ type: 'auth' });
+    });
+
+    test('si la suscripción falla se avisa al cliente', async () => {
+      const client = await authenticate(tokens.viewer);
+      jest.spyOn(manager, 'subscribe').mockRejectedValueOnce(new Error('fallo inesperado'));
+      const error = nextEvent(client, 'error');
+
+      client.emit('subscribe-system', {});
+      expect(await error).toMatchObject({ type: 'invalid-subscription' });
+      jest.restoreAllMocks();
+    });
+  });
+
+  test('al desconectar se limpian las suscripciones y los sondeos sin clientes', async () => {
+    const client = await authenticate(tokens.viewer);
+    client.emit('subscribe-bandwidth', { interval: 1000 });
+    client.emit('subscribe-system', { interval: 1000 });
+    await waitFor(() => manager.subscriptions.get(client.id)?.size === 2);
+    const { id } = client;
+
+    client.disconnect();
+
+    await waitFor(() => !manager.subscriptions.has(id));
+    expect(manager.streams.size).toBe(0);
+    expect(manager.getStats().activeSubscriptions).toBe(0);
+  });
+
+  test('responde al ping', async () => {
+    const client = await authenticate(tokens.viewer);
+    const pong = nextEvent(client, 'pong');
+
+    client.emit('ping');
+    expect((await pong).timestamp).toEqual(expect.any(Number));
+  });
+});
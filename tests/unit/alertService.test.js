@@ -0,0 +1,39 @@
+const alertService = require('../../src/services/alertService');
+
+describe('AlertService router-down', () => {
+  const sample = (reachable, seconds) => ({
+    router: 'default',
+    reachable,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, seconds)).toISOString()
+  });
+
+  test('ignora la histéresis y se resuelve en cuanto el router vuelve', async () => {
+    const rule = await alertService.createRule({
+      router: 'default',
+      name: 'Router caído',
+      type: 'router-down',
+      threshold: 5,
+      hysteresis: 2,
+      cooldown: 0
+    }, 'admin');
+    expect(rule).toMatchObject({ threshold: 0, hysteresis: 0 });
+
+    await alertService.evaluateSample(sample(false, 0));
+    expect(await alertService.getFiring(rule.id)).toMatchObject({ status: 'firing', value: 1 });
+
+    await alertService.evaluateSample(sample(true, 30));
+    expect(await alertService.getFiring(rule.id)).toBeNull();
+
+    // Las reglas guardadas antes con histéresis también se resuelven
+    const updated = await alertService.updateRule(rule.id, { hysteresis: 3 });
+    expect(updated.hysteresis).toBe(0);
+    await alertService.rules.save({ ...updated, hysteresis: 3 });
+
+    await alertService.evaluateSample(sample(false, 60));
+    expect(await alertService.getFiring(rule.id)).not.toBeNull();
+    await alertService.evaluateSample(sample(true, 90));
+    expect(await alertService.getFiring(rule.id)).toBeNull();
+
+    await alertService.removeRule(rule.id);
+  });
+});
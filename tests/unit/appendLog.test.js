@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('AppendLog', () => {
+  const env = { DATA_DIR: process.env.DATA_DIR, STORE_DRIVER: process.env.STORE_DRIVER };
+  let dataDir;
+  let AppendLog;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'append-log-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.STORE_DRIVER = 'file';
+    jest.isolateModules(() => {
+      AppendLog = require('../../src/utils/appendLog');
+    });
+  });
+
+  afterAll(() => {
+    Object.entries(env).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const fill = async (log, count) => {
+    for (let n = 1; n <= count; n++) {
+      await log.append({ n, even: n % 2 === 0 });
+    }
+  };
+
+  test('mantiene en memoria solo las últimas entradas y lee las anteriores del archivo', async () => {
+    const log = new AppendLog('paginas', { memoryEntries: 3 });
+    await fill(log, 10);
+
+    expect(log.tail.map(e => e.n)).toEqual([8, 9, 10]);
+    expect(await log.query({ limit: 2 })).toEqual({ total: 10, entries: [{ n: 10, even: true }, { n: 9, even: false }] });
+
+    const older = await log.query({ limit: 3, offset: 5 });
+    expect(older.total).toBe(10);
+    expect(older.entries.map(e => e.n)).toEqual([5, 4, 3]);
+  });
+
+  test('filtra recorriendo todo el archivo', async () => {
+    const log = new AppendLog('filtros', { memoryEntries: 2 });
+    await fill(log, 9);
+
+    const even = await log.query({ filter: e => e.even, limit: 2, offset: 1 });
+    expect(even.total).toBe(4);
+    expect(even.entries.map(e => e.n)).toEqual([6, 4]);
+
+    const all = await log.query({ filter: e => e.n > 6 });
+    expect(all.entries.map(e => e.n)).toEqual([9, 8, 7]);
+  });
+
+  test('al arrancar carga solo la cola y el total', async () => {
+    await fill(new AppendLog('arranque'), 5);
+    fs.appendFileSync(path.join(dataDir, 'arranque.jsonl'), 'no es json\n');
+
+    const log = new AppendLog('arranque', { memoryEntries: 2 });
+    const { total, entries } = await log.query({ limit: 2 });
+
+    expect(total).toBe(5);
+    expect(entries.map(e => e.n)).toEqual([5, 4]);
+    expect(log.tail).toHaveLength(2);
+  });
+});
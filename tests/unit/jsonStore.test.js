@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('JsonStore', () => {
+  const env = { DATA_DIR: process.env.DATA_DIR };
+  let dataDir;
+  let JsonStore;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    process.env.DATA_DIR = dataDir;
+    jest.isolateModules(() => {
+      JsonStore = require('../../src/utils/jsonStore');
+    });
+  });
+
+  afterAll(() => {
+    if (env.DATA_DIR === undefined) delete process.env.DATA_DIR;
+    else process.env.DATA_DIR = env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const stored = (name) => JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8'));
+
+  test('guarda en disco y carga al crear el store', async () => {
+    await new JsonStore('cuentas').save({ id: 1, name: 'uno' });
+
+    expect(stored('cuentas')).toEqual([{ id: 1, name: 'uno' }]);
+    expect(await new JsonStore('cuentas').get('1')).toEqual({ id: 1, name: 'uno' });
+  });
+
+  test('rechaza el guardado si no se puede escribir y sigue con las escrituras siguientes', async () => {
+    const store = new JsonStore('routers');
+    jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+    await expect(store.save({ id: 'a' })).rejects.toThrow('ENOSPC');
+    await expect(store.save({ id: 'b' })).resolves.toEqual({ id: 'b' });
+    expect(stored('routers').map(item => item.id)).toEqual(['a', 'b']);
+  });
+});
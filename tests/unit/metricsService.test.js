@@ -0,0 +1,29 @@
+const metricsService = require('../../src/services/metricsService');
+
+describe('MetricsService.render', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('los scrapes solapados comparten una sola lectura del router', async () => {
+    let finish;
+    const collectRouters = jest.spyOn(metricsService, 'collectRouters').mockImplementation(() => new Promise(resolve => {
+      finish = () => {
+        metricsService.connectedDevices.set({ router: 'default' }, 3);
+        resolve();
+      };
+    }));
+
+    const first = metricsService.render();
+    const second = metricsService.render();
+    finish();
+    const [a, b] = await Promise.all([first, second]);
+
+    expect(collectRouters).toHaveBeenCalledTimes(1);
+    expect(a).toBe(b);
+    expect(a).toContain('mikrotik_connected_devices{router="default"} 3');
+
+    // Pasada la lectura, el siguiente scrape vuelve a leer el router
+    collectRouters.mockResolvedValue();
+    await metricsService.render();
+    expect(collectRouters).toHaveBeenCalledTimes(2);
+  });
+});
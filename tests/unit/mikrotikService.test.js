@@ -0,0 +1,201 @@
+const MikrotikService = require('../../src/services/mikrotikService');
+const { RouterConnectionError } = require('../../src/services/routerConnection');
+
+// Conexión falsa: devuelve la respuesta configurada para cada comando
+const fakeConnection = (responses) => {
+  const connection = {
+    connect: async () => connection,
+    close: async () => {},
+    write: jest.fn(async (command) => responses[command] || [])
+  };
+  return connection;
+};
+
+const createService = (responses) => {
+  const service = new MikrotikService({ host: '127.0.0.1', user: 'api', password: 'secret' });
+  service.connection = fakeConnection(responses);
+  return service;
+};
+
+describe('MikrotikService.parseSpeedToMbps', () => {
+  const service = new MikrotikService();
+
+  test.each([
+    [undefined, 'Sin límite'],
+    ['', 'Sin límite'],
+    ['512k', '0.5 Mbps'],
+    ['10M', '10 Mbps'],
+    ['1.5M', '1.5 Mbps'],
+    ['1G', '1000.0 Mbps'],
+    ['2000000', '2.0 Mbps'],
+    ['1500', '1.5 Kbps'],
+    ['500', '500 bps'],
+    [3000000, '3.0 Mbps']
+  ])('%p -> %p', (input, expected) => {
+    expect(service.parseSpeedToMbps(input)).toBe(expected);
+  });
+});
+
+describe('MikrotikService.formatBandwidth', () => {
+  const service = new MikrotikService();
+
+  test.each([
+    [0, '0 bps'],
+    [512, '512.0 bps'],
+    [1024, '1.0 Kbps'],
+    [1536, '1.5 Kbps'],
+    [1048576, '1.0 Mbps'],
+    [5 * 1024 ** 3, '5.0 Gbps'],
+    [2048 * 1024 ** 3, '2048.0 Gbps']
+  ])('%p -> %p', (input, expected) => {
+    expect(service.formatBandwidth(input)).toBe(expected);
+  });
+});
+
+describe('MikrotikService.getConnectedUsers', () => {
+  const arp = [
+    { '.id': '*1', address: '192.168.88.10', 'mac-address': 'AA:AA:AA:AA:AA:01', interface: 'bridge', dynamic: 'true' },
+    { '.id': '*2', address: '192.168.88.11', 'mac-address': 'AA:AA:AA:AA:AA:02', interface: 'bridge', dynamic: 'true' },
+    { '.id': '*3', address: '192.168.88.12', 'mac-address': 'AA:AA:AA:AA:AA:03', interface: 'bridge', dynamic: 'false' }
+  ];
+  const leases = [
+    { '.id': '*A', address: '192.168.88.10', 'mac-address': 'AA:AA:AA:AA:AA:01', 'host-name': 'portatil', status: 'bound' },
+    { '.id': '*B', address: '192.168.88.11', 'mac-address': 'AA:AA:AA:AA:AA:02', status: 'bound' }
+  ];
+  const queues = [
+    { '.id': '*10', target: '192.168.88.10/32', 'max-limit': '2000000/10000000', bytes: '1000/5000', rate: '300000/2000000' },
+    { '.id': '*11', target: '192.168.88.11/32', 'max-limit': '0/0', bytes: '200/800', rate: '0/64000' }
+  ];
+
+  let users;
+
+  beforeAll(async () => {
+    const service = createService({
+      '/ip/arp/print': arp,
+      '/ip/dhcp-server/lease/print': leases,
+      '/queue/simple/print': queues
+    });
+    users = await service.getConnectedUsers();
+  });
+
+  const byIp = (ip) => users.find(user => user.ip === ip);
+
+  test('devuelve un usuario por entrada ARP', () => {
+    expect(users.map(user => user.ip)).toEqual(['192.168.88.10', '192.168.88.11', '192.168.88.12']);
+    expect(byIp('192.168.88.10')).toMatchObject({ id: '*1', mac: 'AA:AA:AA:AA:AA:01', interface: 'bridge' });
+  });
+
+  test('toma el nombre de la lease DHCP y, si no lo hay, la MAC', () => {
+    expect(byIp('192.168.88.10').dispositivo).toBe('portatil');
+    expect(byIp('192.168.88.11').dispositivo).toBe('AA:AA:AA:AA:AA:02');
+    expect(byIp('192.168.88.12').dispositivo).toBe('AA:AA:AA:AA:AA:03');
+  });
+
+  test('las entradas ARP dinámicas están activas y las demás son estáticas', () => {
+    expect(byIp('192.168.88.10').status).toBe('Activo');
+    expect(byIp('192.168.88.12').status).toBe('Estático');
+  });
+
+  test('aplica el límite de la queue del dispositivo', () => {
+    expect(byIp('192.168.88.10')).toMatchObject({
+      hasSpeedLimit: true,
+      speedLimit: '2000000/10000000',
+      velocidadConexion: '2.0 Mbps / 10.0 Mbps',
+      bandwidth: { bytesIn: 1000, bytesOut: 0 }
+    });
+  });
+
+  test('una queue de conteo (0/0) no cuenta como límite', () => {
+    expect(byIp('192.168.88.11')).toMatchObject({
+      hasSpeedLimit: false,
+      speedLimit: '',
+      velocidadConexion: 'Sin límite'
+    });
+  });
+
+  test('sin queue no hay límite, contadores ni velocidad', () => {
+    expect(byIp('192.168.88.12')).toMatchObject({
+      hasSpeedLimit: false,
+      speedLimit: null,
+      bandwidth: null,
+      traffic: null
+    });
+  });
+
+  test('la velocidad sale del campo rate de la queue (rx = bajada)', () => {
+    expect(byIp('192.168.88.10').traffic).toEqual({
+      rxBits: 2000000,
+      txBits: 300000,
+      rx: '1.9 Mbps',
+      tx: '293.0 Kbps'
+    });
+  });
+});
+
+describe('MikrotikService.computeDeviceRates', () => {
+  test('sin rate calcula la velocidad por diferencia de bytes con la lectura anterior', () => {
+    const service = new MikrotikService();
+    const queue = (bytes) => [{ '.id': '*1', target: '192.168.88.10/32', bytes }];
+
+    expect(service.computeDeviceRates(queue('1000/2000'), 0).size).toBe(0);
+
+    const rates = service.computeDeviceRates(queue('2000/4500'), 1000);
+    expect(rates.get('192.168.88.10')).toMatchObject({ txBits: 8000, rxBits: 20000 });
+  });
+
+  test('si los contadores bajan (queue reiniciada) no devuelve velocidad', () => {
+    const service = new MikrotikService();
+    service.computeDeviceRates([{ '.id': '*1', target: '192.168.88.10/32', bytes: '5000/5000' }], 0);
+    const rates = service.computeDeviceRates([{ '.id': '*1', target: '192.168.88.10/32', bytes: '10/10' }], 1000);
+    expect(rates.has('192.168.88.10')).toBe(false);
+  });
+});
+
+describe('MikrotikService.retryOperation', () => {
+  const service = new MikrotikService();
+
+  test('reintenta los fallos de conexión', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new RouterConnectionError('sin respuesta'))
+      .mockResolvedValue(['ok']);
+
+    await expect(service.retryOperation(operation, 3, 0)).resolves.toEqual(['ok']);
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('no reintenta los !trap del router', async () => {
+    const operation = jest.fn().mockRejectedValue(new Error('failure: already have such entry'));
+
+    await expect(service.retryOperation(operation, 3, 0)).rejects.toThrow('already have such entry');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('se rinde tras el último intento', async () => {
+    const operation = jest.fn().mockRejectedValue(new RouterConnectionError('sin respuesta'));
+
+    await expect(service.retryOperation(operation, 3, 0)).rejects.toThrow(RouterConnectionError);
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('MikrotikService.exportConfig', () => {
+  test('falla si el router devuelve el archivo de exportación recortado', async () => {
+    const service = createService({
+      '/execute': [{ ret: '*1' }],
+      '/file/print': [{ '.id': '*A', name: 'haplite-export.rsc', size: '9000', contents: 'x'.repeat(4095) }]
+    });
+
+    await expect(service.exportConfig()).rejects.toThrow('4095 de 9000 bytes');
+    expect(service.connection.write).toHaveBeenCalledWith('/file/remove', ['=.id=*A']);
+  });
+
+  test('devuelve el archivo completo', async () => {
+    const contents = '/ip address\nadd address=192.168.88.1/24 interface=bridge\n';
+    const service = createService({
+      '/execute': [{ ret: '*1' }],
+      '/file/print': [{ '.id': '*A', name: 'haplite-export.rsc', size: String(Buffer.byteLength(contents)), contents }]
+    });
+
+    await expect(service.exportConfig()).resolves.toBe(contents);
+  });
+});
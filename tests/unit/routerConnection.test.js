@@ -0,0 +1,133 @@
+const RouterOSSimulator = require('../../src/simulator');
+const RouterConnection = require('../../src/services/routerConnection');
+const { RouterConnectionError } = RouterConnection;
+const { waitFor } = require('../helpers/wait');
+
+describe('RouterConnection', () => {
+  let simulator;
+  let port;
+  const connections = [];
+
+  const createConnection = (options = {}) => {
+    const connection = new RouterConnection(
+      { host: '127.0.0.1', port, user: 'api', password: 'api-secret' },
+      { keepaliveInterval: 0, reconnectBaseDelay: 100, ...options }
+    );
+    connections.push(connection);
+    return connection;
+  };
+
+  beforeAll(async () => {
+    simulator = new RouterOSSimulator({ user: 'api', password: 'api-secret' });
+    port = await simulator.listen(0);
+  });
+
+  afterEach(async () => {
+    await Promise.all(connections.splice(0).map(connection => connection.close()));
+    simulator.faults.clear();
+    simulator.password = 'api-secret';
+  });
+
+  afterAll(() => simulator.close());
+
+  test('abre una única sesión aunque se pida a la vez desde varios sitios', async () => {
+    const connection = createConnection();
+    const up = jest.fn();
+    connection.on('up', up);
+
+    const [a, b] = await Promise.all([connection.connect(), connection.connect()]);
+
+    expect(a).toBe(b);
+    expect(up).toHaveBeenCalledTimes(1);
+    expect(await connection.write('/system/identity/print')).toEqual([expect.objectContaining({ name: 'hAP-lite-sim' })]);
+  });
+
+  test('limita los comandos en paralelo y encola el resto', async () => {
+    const connection = createConnection({ concurrency: 2 });
+    await connection.connect();
+    simulator.faults.add({ command: '/ip/arp/print', type: 'delay', ms: 200, times: 4 });
+
+    const pending = Array.from({ length: 4 }, () => connection.write('/ip/arp/print'));
+    await waitFor(() => connection.getStats().active === 2);
+    expect(connection.getStats().queued).toBe(2);
+
+    const results = await Promise.all(pending);
+    expect(results.every(rows => rows.length === 3)).toBe(true);
+    expect(connection.getStats()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  test('corta los comandos sin respuesta', async () => {
+    const connection = createConnection();
+    simulator.faults.add({ command: '/ip/arp/print', type: 'timeout', times: 1 });
+
+    await expect(connection.write('/ip/arp/print', [], { timeout: 200 })).rejects.toThrow(RouterConnectionError);
+    // La sesión sigue disponible para el resto de comandos
+    expect(await connection.write('/ip/dhcp-server/lease/print')).toHaveLength(3);
+  });
+
+  test('los !trap del router no son errores de conexión', async () => {
+    const connection = createConnection();
+    simulator.faults.add({ command: '/ip/arp/print', type: 'trap', message: 'simulated failure' });
+
+    const error = await connection.write('/ip/arp/print').catch(e => e);
+    expect(error).not.toBeInstanceOf(RouterConnectionError);
+    expect(error.message).toBe('simulated failure');
+    expect(connection.connected).toBe(true);
+  });
+
+  test('si se cae la conexión falla los comandos en curso y se reconecta', async () => {
+    const connection = createConnection();
+    const down = jest.fn();
+    const up = jest.fn();
+    connection.on('down', down);
+    connection.on('up', up);
+    await connection.connect();
+    simulator.faults.add({ command: '/ip/arp/print', type: 'disconnect', times: 1 });
+
+    await expect(connection.write('/ip/arp/print')).rejects.toThrow(RouterConnectionError);
+    expect(down).toHaveBeenCalledTimes(1);
+
+    await waitFor(() => up.mock.calls.length === 2);
+    expect(connection.getStats()).toMatchObject({ state: 'connected', reconnectAttempts: 0 });
+    expect(await connection.write('/ip/arp/print')).toHaveLength(3);
+  });
+
+  test('reintenta con espera exponencial mientras el router rechaza la sesión', async () => {
+    simulator.password = 'otra';
+    const connection = createConnection();
+
+    await expect(connection.connect()).rejects.toThrow(RouterConnectionError);
+    // Durante la espera se falla sin volver a contactar con el router
+    await expect(connection.write('/ip/arp/print')).rejects.toThrow('no disponible');
+
+    await waitFor(() => connection.getStats().reconnectAttempts >= 3);
+    simulator.password = 'api-secret';
+    await waitFor(() => connection.connected, { timeout: 3000 });
+  });
+
+  test('el keepalive detecta una sesión que ya no responde', async () => {
+    const connection = createConnection({ keepaliveInterval: 100, commandTimeout: 200 });
+    const down = jest.fn();
+    connection.on('down', down);
+    await connection.connect();
+    simulator.faults.add({ command: '/system/identity/print', type: 'timeout', times: 1 });
+
+    await waitFor(() => down.mock.calls.length === 1);
+    expect(down).toHaveBeenCalledWith('keepalive sin respuesta');
+    await waitFor(() => connection.connected);
+  });
+
+  test('close rechaza los comandos en cola y no vuelve a conectar', async () => {
+    const connection = createConnection({ concurrency: 1 });
+    await connection.connect();
+    simulator.faults.add({ command: '/ip/arp/print', type: 'delay', ms: 200, times: 1 });
+
+    const running = expect(connection.write('/ip/arp/print')).rejects.toThrow(RouterConnectionError);
+    const queued = expect(connection.write('/ip/dhcp-server/lease/print')).rejects.toThrow('cerrada');
+    await waitFor(() => connection.getStats().queued === 1);
+    await connection.close();
+
+    await Promise.all([running, queued]);
+    await expect(connection.connect()).rejects.toThrow('cerrada');
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('UserStore.bootstrap', () => {
+  const env = { DATA_DIR: process.env.DATA_DIR };
+  let dataDir;
+  let userStore;
+  let logger;
+  let logged;
+  let printed;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+    process.env.DATA_DIR = dataDir;
+    jest.isolateModules(() => {
+      userStore = require('../../src/services/userStore');
+      logger = require('../../src/utils/logger');
+    });
+  });
+
+  afterAll(() => {
+    if (env.DATA_DIR === undefined) delete process.env.DATA_DIR;
+    else process.env.DATA_DIR = env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await Promise.all((await userStore.list()).map(user => userStore.store.remove(user.id)));
+    delete process.env.ADMIN_PASSWORD;
+    logged = ['info', 'warn', 'error'].map(level => jest.spyOn(logger, level).mockImplementation(() => logger));
+    printed = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.ADMIN_PASSWORD;
+  });
+
+  const loggedText = () => logged.flatMap(spy => spy.mock.calls.flat()).join('\n');
+  const passwordFile = () => path.join(dataDir, 'admin-password.txt');
+
+  test('crea el administrador con ADMIN_PASSWORD', async () => {
+    process.env.ADMIN_PASSWORD = 'desde-entorno';
+
+    const admin = await userStore.bootstrap();
+
+    expect(admin).toMatchObject({ username: 'admin', role: 'admin' });
+    expect(await userStore.verifyPassword(admin, 'desde-entorno')).toBe(true);
+    expect(loggedText()).not.toContain('desde-entorno');
+  });
+
+  test('sin ADMIN_PASSWORD guarda la contraseña generada en un archivo 0600 de DATA_DIR', async () => {
+    const admin = await userStore.bootstrap();
+
+    const password = fs.readFileSync(passwordFile(), 'utf8').trim();
+    expect(await userStore.verifyPassword(admin, password)).toBe(true);
+    expect(fs.statSync(passwordFile()).mode & 0o777).toBe(0o600);
+    expect(loggedText()).toContain(passwordFile());
+    expect(loggedText()).not.toContain(password);
+    expect(printed).not.toHaveBeenCalled();
+  });
+
+  test('si no puede guardar la contraseña no crea la cuenta', async () => {
+    jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('EROFS: read-only file system'));
+
+    expect(await userStore.bootstrap()).toBeNull();
+    expect(await userStore.list()).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('ADMIN_PASSWORD'));
+  });
+
+  test('no hace nada si ya hay cuentas', async () => {
+    await userStore.create({ username: 'existente', password: 'password123', role: 'admin' });
+
+    expect(await userStore.bootstrap()).toBeNull();
+    expect(await userStore.list()).toHaveLength(1);
+  });
+});